@@ -30,6 +30,8 @@ async function runPostInfoScraper(options) {
       includeMedia: options.includeMedia,
       maxThreadDepth: options.maxThreadDepth,
       maxReplies: options.maxReplies,
+      maxLikes: options.maxLikes,
+      maxReposts: options.maxReposts,
       outputDir: options.outputDir,
       outputFormat: options.outputFormat,
       saveToFile: !options.stdout
@@ -247,10 +249,12 @@ program
   .option('--include-thread', 'Include full thread context', false)
   .option('--include-replies', 'Include post replies', false)
   .option('--include-parent', 'Include parent post (if reply)', false)
-  .option('--include-engagement', 'Include engagement metrics', false)
+  .option('--include-engagement', 'Include likers and reposters (saved as like/repost edges)', false)
   .option('--include-media', 'Include media attachments', false)
   .option('--max-thread-depth <number>', 'Maximum thread depth to follow', (val) => parseInt(val), 10)
   .option('--max-replies <number>', 'Maximum replies to fetch', (val) => parseInt(val), 50)
+  .option('--max-likes <number>', 'Maximum likes to fetch per post (0 = no limit)', (val) => parseInt(val), 100)
+  .option('--max-reposts <number>', 'Maximum reposts to fetch per post (0 = no limit)', (val) => parseInt(val), 100)
   .option('-o, --output-dir <dir>', 'Output directory for scraped data', './data')
   .option('--output-format <format>', 'Output format (json, csv)', 'json')
   .option('--stdout', 'Output to stdout instead of file', false)
@@ -282,12 +286,16 @@ Data Enrichment:
   --include-thread            # Full thread context and position
   --include-replies           # All replies to the post
   --include-parent            # Parent post if this is a reply
-  --include-engagement        # Like/repost/reply counts
+  --include-engagement        # Likers and reposters, stored as like/repost edges
   --include-media             # Images, videos, external links
 
 Thread Analysis:
   --max-thread-depth 5        # Follow thread up to 5 levels deep
   --max-replies 100           # Fetch up to 100 replies
+
+Engagement:
+  --max-likes 1000            # Page through up to 1000 likes per post
+  --max-reposts 0             # Fetch every repost
 `)
 
 program.parse()
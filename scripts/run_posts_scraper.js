@@ -30,6 +30,8 @@ async function runPostsScraper(options) {
       includeMedia: options.includeMedia,
       includeReplies: options.includeReplies,
       includeReposts: options.includeReposts,
+      includeQuotes: options.quotes,
+      feedFilter: options.feedFilter,
       filterLanguages: options.languages ? options.languages.split(',') : null,
       outputDir: options.outputDir,
       dryRun: options.dryRun,
@@ -49,6 +51,8 @@ async function runPostsScraper(options) {
     console.log(`Include Media: ${chalk.cyan(options.includeMedia ? 'Yes' : 'No')}`)
     console.log(`Include Replies: ${chalk.cyan(options.includeReplies ? 'Yes' : 'No')}`)
     console.log(`Include Reposts: ${chalk.cyan(options.includeReposts ? 'Yes' : 'No')}`)
+    console.log(`Include Quotes: ${chalk.cyan(options.quotes ? 'Yes' : 'No')}`)
+    console.log(`Feed Filter: ${chalk.cyan(scraper.options.feedFilter)}`)
     console.log(`Languages: ${chalk.cyan(options.languages || 'All')}`)
     console.log(`Output Directory: ${chalk.cyan(options.outputDir)}`)
     console.log(`Dry Run: ${chalk.cyan(options.dryRun ? 'Yes' : 'No')}`)
@@ -114,9 +118,11 @@ program
   .option('-u, --max-posts-per-user <number>', 'Maximum posts per user', (val) => parseInt(val), 100)
   .option('--min-age <days>', 'Minimum post age in days', (val) => parseInt(val), 0)
   .option('--max-age <days>', 'Maximum post age in days', (val) => parseInt(val), 30)
-  .option('--include-media', 'Include posts with media (images/videos)', false)
+  .option('--include-media', 'Only posts with media (images/videos), same as --feed-filter posts_with_media', false)
   .option('--include-replies', 'Include reply posts', false)
-  .option('--include-reposts', 'Include repost/quote posts', false)
+  .option('--include-reposts', 'Include reposts', false)
+  .option('--no-quotes', 'Skip quote posts')
+  .option('--feed-filter <filter>', 'Author feed filter: posts_no_replies, posts_with_replies, posts_with_media, posts_with_video, posts_and_author_threads')
   .option('-l, --languages <langs>', 'Comma-separated list of language codes (e.g., en,es,fr)')
   .option('-o, --output-dir <dir>', 'Output directory for scraped data', './data')
   .option('-d, --dry-run', 'Run without saving data (for testing)', false)
@@ -139,6 +145,8 @@ Post Filtering:
   --min-age 0 --max-age 1     # Only posts from last 24 hours
   --min-age 1 --max-age 7     # Posts from last week
   --include-media             # Only posts with images/videos
+  --feed-filter posts_with_video  # Only posts with videos
+  --include-reposts --no-quotes   # Keep reposts, drop quote posts
   --include-replies           # Include reply threads
   --languages en              # Only English posts
 `)
@@ -14,7 +14,12 @@ import PostsScraper from '../src/scrapers/posts_scraper.js'
 import RelationshipsScraper from '../src/scrapers/relationships_scraper.js'
 import UserInfoScraper from '../src/scrapers/user_info_scraper.js'
 import PostInfoScraper from '../src/scrapers/post_info_scraper.js'
+import FirehoseScraper from '../src/scrapers/firehose_scraper.js'
+import JetstreamScraper from '../src/scrapers/jetstream_scraper.js'
+import RepoScraper from '../src/scrapers/repo_scraper.js'
+import SearchScraper from '../src/scrapers/search_scraper.js'
 import logger from '../src/core/logger.js'
+import SETTINGS from '../src/config/settings.js'
 
 /**
  * Main Bluesky Scraper Runner
@@ -26,7 +31,12 @@ const program = new Command();
 program
     .name('bluesky-scraper')
     .description('Scalable Bluesky web scraper using AT Protocol')
-    .version('1.0.0');
+    .version('1.0.0')
+    .option('--record <file>', 'Record every API request/response to a cassette file')
+    .option('--replay <file>', 'Serve API responses from a cassette file (no network)')
+    .hook('preAction', () => {
+        configureCassette(program.opts());
+    });
 
 // Users scraper command
 program
@@ -56,6 +66,10 @@ program
     .option('-r, --resume', 'Resume from last checkpoint', false)
     .option('--include-replies', 'Include reply posts', false)
     .option('--include-reposts', 'Include repost posts', true)
+    .option('--no-quotes', 'Skip quote posts')
+    .option('--include-media', 'Only posts with images/videos (posts_with_media feed filter)', false)
+    .option('--feed-filter <filter>', 'Author feed filter (posts_no_replies, posts_with_replies, posts_with_media, posts_with_video, posts_and_author_threads)')
+    .option('-l, --languages <langs>', 'Comma-separated language codes matched against record.langs (e.g. en,es)')
     .option('--min-post-length <number>', 'Minimum post length', '1')
     .option('--max-post-age <number>', 'Maximum post age in days', '30')
     .option('--dry-run', 'Run in dry-run mode', false)
@@ -78,6 +92,7 @@ program
     .option('-r, --resume', 'Resume from last checkpoint', false)
     .option('--min-follower-count <number>', 'Minimum follower count', '10')
     .option('--prioritize-popular', 'Prioritize popular users', true)
+    .option('--bidirectional', 'Mark mutual follows and export them separately', false)
     .option('--dry-run', 'Run in dry-run mode', false)
     .option('--verbose', 'Enable verbose logging', false)
     .action(async (options) => {
@@ -110,17 +125,85 @@ program
     .option('-f, --file <path>', 'File containing URLs/URIs (one per line)')
     .option('--include-thread', 'Include thread context', false)
     .option('--include-replies', 'Include replies', false)
-    .option('--include-likes', 'Include likes', false)
-    .option('--include-reposts', 'Include reposts', false)
+    .option('--include-likes', 'Include likes (saved as like edges)', false)
+    .option('--include-reposts', 'Include reposts (saved as repost edges)', false)
+    .option('--include-engagement', 'Include both likes and reposts', false)
     .option('--max-replies <number>', 'Max replies to fetch', '50')
-    .option('--max-likes <number>', 'Max likes to fetch', '100')
-    .option('--max-reposts <number>', 'Max reposts to fetch', '100')
+    .option('--max-thread-depth <number>', 'Max reply levels to reconstruct', '10')
+    .option('--max-likes <number>', 'Max likes to fetch per post (0 = no limit)', '100')
+    .option('--max-reposts <number>', 'Max reposts to fetch per post (0 = no limit)', '100')
+    .option('--include-quotes', 'Include quotes and save the quote cascade', false)
+    .option('--max-quotes <number>', 'Max quotes to fetch per post', '100')
+    .option('--max-quote-depth <number>', 'Levels of quotes of quotes to follow', '1')
     .option('--no-save', 'Don\'t save to file', false)
     .option('--verbose', 'Enable verbose logging', false)
     .action(async (urls, options) => {
         await runPostInfoScraper(urls, options);
     });
 
+// Stream command
+program
+    .command('stream')
+    .description('Ingest records in real time from Jetstream or the raw firehose')
+    .option('--source <source>', 'Stream source (jetstream, firehose)', 'jetstream')
+    .option('--url <url>', 'Jetstream or relay WebSocket URL')
+    .option('--collections <collections>', 'Comma-separated collection NSIDs to keep', '')
+    .option('--dids <dids>', 'Comma-separated DIDs to keep (jetstream only)', '')
+    .option('-m, --max-events <number>', 'Stop after this many events (0 = run until stopped)', '0')
+    .option('-s, --save-interval <number>', 'Save interval (number of records)', '1000')
+    .option('-c, --checkpoint-interval <number>', 'Checkpoint interval (number of events)', '5000')
+    .option('-r, --resume', 'Resume from last checkpoint cursor', false)
+    .option('--dry-run', 'Run in dry-run mode', false)
+    .option('--verbose', 'Enable verbose logging', false)
+    .action(async (options) => {
+        await runStreamScraper(options);
+    });
+
+// Repo export command
+program
+    .command('repo')
+    .description('Export complete repositories with com.atproto.sync.getRepo')
+    .argument('[dids...]', 'Repository DIDs to export')
+    .option('-f, --file <path>', 'File containing DIDs (one per line)')
+    .option('--list-repos', 'Enumerate every repository on the host with listRepos', false)
+    .option('--pds <url>', 'PDS or relay to download from')
+    .option('--collections <collections>', 'Comma-separated collection NSIDs to keep', '')
+    .option('-m, --max-repos <number>', 'Maximum repositories to export (0 = no limit)', '0')
+    .option('--store-car', 'Keep the raw CAR files', false)
+    .option('-s, --save-interval <number>', 'Save interval (number of records)', '1000')
+    .option('-c, --checkpoint-interval <number>', 'Checkpoint interval (number of repos)', '10')
+    .option('-r, --resume', 'Resume from last checkpoint', false)
+    .option('--dry-run', 'Run in dry-run mode', false)
+    .option('--verbose', 'Enable verbose logging', false)
+    .action(async (dids, options) => {
+        await runRepoScraper(dids, options);
+    });
+
+// Search harvest command
+program
+    .command('search')
+    .description('Harvest every post matching a search over a date range')
+    .argument('[queries...]', 'Search queries or hashtags')
+    .option('--since <date>', 'Start of the date range (ISO 8601, default: 7 days before --until)')
+    .option('--until <date>', 'End of the date range (ISO 8601, default: now)')
+    .option('--window-hours <number>', 'Width of the initial date windows in hours', '24')
+    .option('--min-window-minutes <number>', 'Narrowest window to split down to', '1')
+    .option('--result-cap <number>', 'Results per window before it is split (default: MAX_SEARCH_RESULTS)')
+    .option('--lang <code>', 'Only posts in this language')
+    .option('--author <actor>', 'Only posts by this account')
+    .option('--mentions <actor>', 'Only posts mentioning this account')
+    .option('--domain <domain>', 'Only posts linking to this domain')
+    .option('--url <url>', 'Only posts linking to this URL')
+    .option('-m, --max-posts <number>', 'Maximum posts to collect (0 = no limit)', '0')
+    .option('-s, --save-interval <number>', 'Save interval (number of posts)', '500')
+    .option('-c, --checkpoint-interval <number>', 'Checkpoint interval (number of posts)', '1000')
+    .option('-r, --resume', 'Resume from last checkpoint', false)
+    .option('--dry-run', 'Run in dry-run mode', false)
+    .option('--verbose', 'Enable verbose logging', false)
+    .action(async (queries, options) => {
+        await runSearchScraper(queries, options);
+    });
+
 // Full pipeline command
 program
     .command('full')
@@ -145,6 +228,35 @@ program
         await showStatus();
     });
 
+// Graph analysis command
+program
+    .command('analyze')
+    .description('Compute degree, reciprocity, PageRank, components, k-core and communities over the stored follow graph')
+    .option('--max-depth <number>', 'Skip relationships crawled deeper than this depth')
+    .option('--damping <number>', 'PageRank damping factor', '0.85')
+    .option('--verbose', 'Enable verbose logging', false)
+    .action(async (options) => {
+        await runGraphAnalysis(options);
+    });
+
+// Export commands
+const exportCommand = program
+    .command('export')
+    .description('Export scraped data for other tools');
+
+exportCommand
+    .command('graph')
+    .description('Export the relationship graph as GEXF, GraphML, Pajek or a weighted edge list')
+    .option('-f, --format <format>', 'Output format (gexf, graphml, pajek, edgelist)', 'gexf')
+    .option('-o, --output <path>', 'Output file (default: data/exports/graph_<timestamp>.<ext>)')
+    .option('--types <types>', 'Comma-separated edge types (follows, likes, reposts, blocks)', 'follows')
+    .option('--max-depth <number>', 'Skip relationships crawled deeper than this depth')
+    .option('--min-degree <number>', 'Drop accounts with fewer edges (in + out)', '0')
+    .option('--verbose', 'Enable verbose logging', false)
+    .action(async (options) => {
+        await runGraphExport(options);
+    });
+
 /**
  * Run users scraper
  */
@@ -201,6 +313,10 @@ async function runPostsScraper(options) {
             checkpointInterval: parseInt(options.checkpointInterval),
             includeReplies: options.includeReplies,
             includeReposts: options.includeReposts,
+            includeQuotes: options.quotes,
+            includeMedia: options.includeMedia,
+            feedFilter: options.feedFilter,
+            filterLanguages: options.languages ? options.languages.split(',') : null,
             minPostLength: parseInt(options.minPostLength),
             maxPostAge: parseInt(options.maxPostAge)
         };
@@ -242,7 +358,8 @@ async function runRelationshipsScraper(options) {
             saveInterval: parseInt(options.saveInterval),
             checkpointInterval: parseInt(options.checkpointInterval),
             minFollowerCount: parseInt(options.minFollowerCount),
-            prioritizePopularUsers: options.prioritizePopular
+            prioritizePopularUsers: options.prioritizePopular,
+            bidirectional: options.bidirectional
         };
 
         if (options.dryRun) {
@@ -257,6 +374,15 @@ async function runRelationshipsScraper(options) {
         await scraper.start({ resume: options.resume });
         
         logFinalStats('Relationships', scraper.getStats());
+
+        if (options.bidirectional) {
+            const mutualsPath = await scraper.exportMutuals('json');
+            logger.info(`Exported mutual follows to ${mutualsPath}`);
+            for (const { did, mutualCount } of scraper.getMutualCounts(10)) {
+                logger.info(`  ${did}: ${mutualCount} mutual follows`);
+            }
+        }
+
         await scraper.cleanup();
 
     } catch (error) {
@@ -342,9 +468,14 @@ async function runPostInfoScraper(urls, options) {
             includeReplies: options.includeReplies,
             includeLikes: options.includeLikes,
             includeReposts: options.includeReposts,
+            includeEngagement: options.includeEngagement,
             maxReplies: parseInt(options.maxReplies),
+            maxThreadDepth: parseInt(options.maxThreadDepth),
             maxLikes: parseInt(options.maxLikes),
             maxReposts: parseInt(options.maxReposts),
+            includeQuotes: options.includeQuotes,
+            maxQuotes: parseInt(options.maxQuotes),
+            maxQuoteDepth: parseInt(options.maxQuoteDepth),
             saveToFile: !options.noSave
         };
 
@@ -361,6 +492,7 @@ async function runPostInfoScraper(urls, options) {
         }
 
         logFinalStats('Post Info', scraper.getStats());
+        await scraper.cleanup();
 
     } catch (error) {
         logger.error('Post info scraper failed:', error);
@@ -368,6 +500,160 @@ async function runPostInfoScraper(urls, options) {
     }
 }
 
+/**
+ * Run stream scraper (Jetstream or firehose)
+ */
+async function runStreamScraper(options) {
+    try {
+        configureLogging(options.verbose);
+
+        if (!['jetstream', 'firehose'].includes(options.source)) {
+            throw new Error(`Unknown stream source: ${options.source}`);
+        }
+
+        logger.info(`Starting Stream Scraper (${options.source})`);
+
+        const collections = parseCommaList(options.collections);
+        const dids = parseCommaList(options.dids);
+
+        const scraperOptions = {
+            maxEvents: parseInt(options.maxEvents),
+            saveInterval: parseInt(options.saveInterval),
+            checkpointInterval: parseInt(options.checkpointInterval)
+        };
+
+        if (options.source === 'jetstream') {
+            if (options.url) scraperOptions.url = options.url;
+            if (collections.length > 0) scraperOptions.wantedCollections = collections;
+            if (dids.length > 0) scraperOptions.wantedDids = dids;
+        } else {
+            if (options.url) scraperOptions.relayUrl = options.url;
+            if (collections.length > 0) scraperOptions.collections = collections;
+            if (dids.length > 0) logger.warn('--dids is only supported by the jetstream source, ignoring');
+        }
+
+        if (options.dryRun) {
+            logger.info('DRY RUN MODE - Configuration:', scraperOptions);
+            return;
+        }
+
+        const scraper = options.source === 'jetstream'
+            ? new JetstreamScraper(scraperOptions)
+            : new FirehoseScraper(scraperOptions);
+        await setupGracefulShutdown(scraper);
+
+        await scraper.initialize();
+        await scraper.start({ resume: options.resume });
+
+        logFinalStats('Stream', scraper.getStats());
+        await scraper.cleanup();
+
+    } catch (error) {
+        logger.error('Stream scraper failed:', error);
+        process.exit(1);
+    }
+}
+
+/**
+ * Run repo export scraper
+ */
+async function runRepoScraper(dids, options) {
+    try {
+        configureLogging(options.verbose);
+        logger.info('Starting Repo Scraper');
+
+        let targets = [...dids];
+        if (options.file) {
+            const fs = await import('fs');
+            const content = fs.readFileSync(options.file, 'utf8');
+            targets = targets.concat(parseCommaList(content.split('\n').join(',')));
+        }
+
+        const collections = parseCommaList(options.collections);
+
+        const scraperOptions = {
+            dids: targets,
+            listRepos: options.listRepos,
+            storeRawCar: options.storeCar,
+            maxRepos: parseInt(options.maxRepos),
+            saveInterval: parseInt(options.saveInterval),
+            checkpointInterval: parseInt(options.checkpointInterval)
+        };
+
+        if (options.pds) scraperOptions.baseURL = options.pds;
+        if (collections.length > 0) scraperOptions.collections = collections;
+
+        if (options.dryRun) {
+            logger.info('DRY RUN MODE - Configuration:', { ...scraperOptions, dids: targets.length });
+            return;
+        }
+
+        const scraper = new RepoScraper(scraperOptions);
+        await setupGracefulShutdown(scraper);
+
+        await scraper.initialize();
+        await scraper.start({ resume: options.resume });
+
+        logFinalStats('Repo', scraper.getStats());
+        await scraper.cleanup();
+
+    } catch (error) {
+        logger.error('Repo scraper failed:', error);
+        process.exit(1);
+    }
+}
+
+/**
+ * Run search harvester
+ */
+async function runSearchScraper(queries, options) {
+    try {
+        configureLogging(options.verbose);
+        logger.info('Starting Search Scraper');
+
+        const scraperOptions = {
+            queries,
+            since: options.since,
+            until: options.until,
+            windowHours: parseFloat(options.windowHours),
+            minWindowMinutes: parseFloat(options.minWindowMinutes),
+            maxPosts: parseInt(options.maxPosts),
+            saveInterval: parseInt(options.saveInterval),
+            checkpointInterval: parseInt(options.checkpointInterval),
+            lang: options.lang,
+            author: options.author,
+            mentions: options.mentions,
+            domain: options.domain,
+            url: options.url
+        };
+
+        if (options.resultCap) scraperOptions.resultCap = parseInt(options.resultCap);
+
+        if (queries.length === 0 && !options.resume) {
+            logger.error('No search queries provided.');
+            process.exit(1);
+        }
+
+        if (options.dryRun) {
+            logger.info('DRY RUN MODE - Configuration:', scraperOptions);
+            return;
+        }
+
+        const scraper = new SearchScraper(scraperOptions);
+        await setupGracefulShutdown(scraper);
+
+        await scraper.initialize();
+        await scraper.start({ resume: options.resume });
+
+        logFinalStats('Search', scraper.getStats());
+        await scraper.cleanup();
+
+    } catch (error) {
+        logger.error('Search scraper failed:', error);
+        process.exit(1);
+    }
+}
+
 /**
  * Run full pipeline
  */
@@ -470,6 +756,101 @@ async function showStatus() {
     }
 }
 
+/**
+ * Compute network metrics from stored relationships
+ */
+async function runGraphAnalysis(options) {
+    configureLogging(options.verbose);
+
+    const spinner = ora('Analyzing follow graph...').start();
+    let fileManager = null;
+
+    try {
+        const { default: FileManager } = await import('../src/utils/file_manager.js');
+        const { analyzeGraph } = await import('../src/analysis/graph_metrics.js');
+        fileManager = new FileManager();
+        await fileManager.initialize();
+
+        const { path: metricsPath, summary } = await analyzeGraph(fileManager, {
+            maxDepth: options.maxDepth !== undefined ? parseInt(options.maxDepth) : undefined,
+            damping: parseFloat(options.damping)
+        });
+
+        spinner.succeed(chalk.green(`Saved metrics for ${summary.nodes} users to ${metricsPath}`));
+
+        console.log('\n=== FOLLOW GRAPH ===\n');
+        console.log(`  Users: ${summary.nodes}`);
+        console.log(`  Follows: ${summary.edges}`);
+        console.log(`  Reciprocity: ${(summary.reciprocity * 100).toFixed(1)}%`);
+        console.log(`  Components: ${summary.components} (largest: ${summary.largestComponent})`);
+        console.log(`  Max k-core: ${summary.maxCore}`);
+        console.log(`  Communities: ${summary.communities} (modularity: ${summary.modularity.toFixed(3)})`);
+        console.log('');
+    } catch (error) {
+        spinner.fail(chalk.red('Graph analysis failed'));
+        logger.error('Graph analysis failed:', error);
+        process.exit(1);
+    } finally {
+        if (fileManager) {
+            await fileManager.close();
+        }
+    }
+}
+
+/**
+ * Export the relationship graph
+ */
+async function runGraphExport(options) {
+    configureLogging(options.verbose);
+
+    const spinner = ora('Building relationship graph...').start();
+    let fileManager = null;
+
+    try {
+        const { default: FileManager } = await import('../src/utils/file_manager.js');
+        const { exportGraph } = await import('../src/utils/graph_export.js');
+        fileManager = new FileManager();
+        await fileManager.initialize();
+
+        const result = await exportGraph(fileManager, options.format, {
+            output: options.output ? path.resolve(options.output) : undefined,
+            types: parseCommaList(options.types),
+            maxDepth: options.maxDepth !== undefined ? parseInt(options.maxDepth) : undefined,
+            minDegree: parseInt(options.minDegree)
+        });
+
+        spinner.succeed(chalk.green(`Exported ${result.nodes} nodes and ${result.edges} edges to ${result.path}`));
+    } catch (error) {
+        spinner.fail(chalk.red('Graph export failed'));
+        logger.error('Graph export failed:', error);
+        process.exit(1);
+    } finally {
+        if (fileManager) {
+            await fileManager.close();
+        }
+    }
+}
+
+/**
+ * Split a comma-separated CLI value into a trimmed list
+ */
+function parseCommaList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Point every APIClient at the cassette chosen with --record / --replay
+ */
+function configureCassette({ record, replay }) {
+    if (record && replay) {
+        program.error('--record and --replay cannot be combined');
+    }
+    if (record || replay) {
+        SETTINGS.DEVELOPMENT.CASSETTE_MODE = record ? 'record' : 'replay';
+        SETTINGS.DEVELOPMENT.CASSETTE_PATH = path.resolve(record || replay);
+    }
+}
+
 /**
  * Configure logging based on verbosity
  */
@@ -0,0 +1,395 @@
+/**
+ * Graph Metrics
+ *
+ * Network analytics over the stored follow graph: in/out degree,
+ * reciprocity, PageRank, weakly connected components, k-core and label
+ * propagation communities. Everything is computed from saved relationships
+ * (see buildGraph in utils/graph_export.js), without network access, and
+ * written back as per-user attributes.
+ */
+
+import path from 'path'
+
+import logger from '../core/logger.js'
+import { buildGraph } from '../utils/graph_export.js'
+
+/**
+ * Default algorithm parameters
+ */
+export const DEFAULT_OPTIONS = {
+  damping: 0.85,
+  maxIterations: 100,
+  tolerance: 1e-6,
+  maxPropagationRounds: 50
+}
+
+/**
+ * Compute per-user metrics for a graph
+ * @param {Object} graph - { nodes, edges } as returned by buildGraph
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} { metrics: Map<did, Object>, summary }
+ */
+export function computeGraphMetrics(graph, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options }
+  const dids = [...graph.nodes.keys()]
+  const index = new Map(dids.map((did, i) => [did, i]))
+  const n = dids.length
+
+  // Directed adjacency; edges of different types between the same pair count once
+  const outSets = Array.from({ length: n }, () => new Set())
+  const inDegree = new Int32Array(n)
+  for (const { source, target } of graph.edges.values()) {
+    const s = index.get(source)
+    const t = index.get(target)
+    if (s === undefined || t === undefined || s === t || outSets[s].has(t)) {
+      continue
+    }
+    outSets[s].add(t)
+    inDegree[t]++
+  }
+  const out = outSets.map(set => [...set])
+
+  // Undirected view, weighted 2 for mutual follows
+  const undirected = Array.from({ length: n }, () => new Map())
+  let edgeCount = 0
+  let reciprocated = 0
+  const mutualCount = new Int32Array(n)
+  for (let s = 0; s < n; s++) {
+    for (const t of out[s]) {
+      edgeCount++
+      if (outSets[t].has(s)) {
+        reciprocated++
+        mutualCount[s]++
+      }
+      undirected[s].set(t, (undirected[s].get(t) || 0) + 1)
+      undirected[t].set(s, (undirected[t].get(s) || 0) + 1)
+    }
+  }
+  const neighbors = undirected.map(map => [...map.keys()])
+
+  const { rank, iterations } = pageRank(out, settings)
+  const components = weakComponents(neighbors)
+  const cores = coreNumbers(neighbors)
+  const communities = labelPropagation(undirected, settings.maxPropagationRounds)
+
+  const metrics = new Map()
+  for (let i = 0; i < n; i++) {
+    metrics.set(dids[i], {
+      inDegree: inDegree[i],
+      outDegree: out[i].length,
+      mutualCount: mutualCount[i],
+      reciprocity: out[i].length > 0 ? mutualCount[i] / out[i].length : null,
+      pageRank: rank[i],
+      component: components.labels[i],
+      componentSize: components.sizes[components.labels[i]],
+      coreNumber: cores[i],
+      community: communities.labels[i]
+    })
+  }
+
+  const summary = {
+    nodes: n,
+    edges: edgeCount,
+    reciprocity: edgeCount > 0 ? reciprocated / edgeCount : 0,
+    components: components.sizes.length,
+    largestComponent: components.sizes[0] || 0,
+    maxCore: cores.reduce((max, core) => Math.max(max, core), 0),
+    communities: communities.sizes.length,
+    modularity: modularity(undirected, communities.labels),
+    pageRankIterations: iterations
+  }
+
+  return { metrics, summary }
+}
+
+/**
+ * Build the follow graph from stored data, compute its metrics and write
+ * them back per user
+ * @param {FileManager} fileManager - Initialized file manager
+ * @param {Object} options - buildGraph filters (maxDepth) and algorithm parameters
+ * @returns {Object} { path, summary, metrics }
+ */
+export async function analyzeGraph(fileManager, options = {}) {
+  const graph = await buildGraph(fileManager, { types: ['follows'], maxDepth: options.maxDepth })
+  logger.info(`Computing graph metrics for ${graph.nodes.size} users and ${graph.edges.size} follows`)
+
+  const { metrics, summary } = computeGraphMetrics(graph, options)
+  const filePath = await saveGraphMetrics(fileManager, graph, metrics, summary)
+
+  return { path: filePath, summary, metrics }
+}
+
+/**
+ * Write metrics as user attributes: an analysis file of
+ * { did, handle, ...metrics } records and, when structured storage is
+ * configured, the actor_metrics table
+ * @param {FileManager} fileManager - Initialized file manager
+ * @param {Object} graph - Graph the metrics were computed on
+ * @param {Map} metrics - Per-user metrics
+ * @param {Object} summary - Graph-level summary
+ * @returns {string} File path
+ */
+export async function saveGraphMetrics(fileManager, graph, metrics, summary) {
+  const computedAt = new Date().toISOString()
+  const records = []
+  for (const [did, values] of metrics) {
+    records.push({ did, handle: graph.nodes.get(did)?.handle || null, ...values })
+  }
+
+  const filename = `graph_metrics_${computedAt.replace(/[:.]/g, '-')}.json`
+  const filePath = path.join(fileManager.baseDir, 'analysis', filename)
+  await fileManager.writeJsonFile(filePath, {
+    metadata: {
+      type: 'graph_metrics',
+      count: records.length,
+      timestamp: computedAt,
+      summary
+    },
+    data: records
+  })
+
+  if (fileManager.storage) {
+    await fileManager.storage.saveActorMetrics(records, computedAt)
+  }
+
+  logger.info(`Saved graph metrics for ${records.length} users to ${filePath}`)
+  return filePath
+}
+
+/**
+ * PageRank by power iteration; rank held by accounts that follow nobody is
+ * spread evenly over the graph
+ */
+function pageRank(out, { damping, maxIterations, tolerance }) {
+  const n = out.length
+  let rank = new Float64Array(n).fill(n > 0 ? 1 / n : 0)
+  let iterations = 0
+
+  if (n === 0) {
+    return { rank, iterations }
+  }
+
+  while (iterations < maxIterations) {
+    iterations++
+    const next = new Float64Array(n)
+    let dangling = 0
+
+    for (let i = 0; i < n; i++) {
+      if (out[i].length === 0) {
+        dangling += rank[i]
+        continue
+      }
+      const share = rank[i] / out[i].length
+      for (const j of out[i]) {
+        next[j] += share
+      }
+    }
+
+    const base = (1 - damping) / n + damping * dangling / n
+    let delta = 0
+    for (let i = 0; i < n; i++) {
+      next[i] = base + damping * next[i]
+      delta += Math.abs(next[i] - rank[i])
+    }
+
+    rank = next
+    if (delta < tolerance) {
+      break
+    }
+  }
+
+  return { rank, iterations }
+}
+
+/**
+ * Weakly connected components, numbered from 0 by decreasing size
+ */
+function weakComponents(neighbors) {
+  const n = neighbors.length
+  const raw = new Int32Array(n).fill(-1)
+  const rawSizes = []
+
+  for (let start = 0; start < n; start++) {
+    if (raw[start] !== -1) {
+      continue
+    }
+
+    const id = rawSizes.length
+    const stack = [start]
+    raw[start] = id
+    let size = 0
+    while (stack.length > 0) {
+      const node = stack.pop()
+      size++
+      for (const next of neighbors[node]) {
+        if (raw[next] === -1) {
+          raw[next] = id
+          stack.push(next)
+        }
+      }
+    }
+    rawSizes.push(size)
+  }
+
+  return rankBySize(raw, rawSizes)
+}
+
+/**
+ * Core number of every node (Batagelj-Zaversnik bucket algorithm), on the
+ * undirected graph
+ */
+function coreNumbers(neighbors) {
+  const n = neighbors.length
+  const degree = neighbors.map(list => list.length)
+  const maxDegree = degree.reduce((max, d) => Math.max(max, d), 0)
+
+  // Sort nodes by degree into buckets
+  const bin = new Array(maxDegree + 1).fill(0)
+  for (const d of degree) {
+    bin[d]++
+  }
+  let start = 0
+  for (let d = 0; d <= maxDegree; d++) {
+    const count = bin[d]
+    bin[d] = start
+    start += count
+  }
+
+  const position = new Int32Array(n)
+  const order = new Int32Array(n)
+  for (let v = 0; v < n; v++) {
+    position[v] = bin[degree[v]]
+    order[position[v]] = v
+    bin[degree[v]]++
+  }
+  for (let d = maxDegree; d > 0; d--) {
+    bin[d] = bin[d - 1]
+  }
+  bin[0] = 0
+
+  // Peel nodes in degree order, moving each neighbour down one bucket
+  for (let i = 0; i < n; i++) {
+    const v = order[i]
+    for (const u of neighbors[v]) {
+      if (degree[u] > degree[v]) {
+        const du = degree[u]
+        const pu = position[u]
+        const pw = bin[du]
+        const w = order[pw]
+        if (u !== w) {
+          position[u] = pw
+          order[pu] = w
+          position[w] = pu
+          order[pw] = u
+        }
+        bin[du]++
+        degree[u]--
+      }
+    }
+  }
+
+  return degree
+}
+
+/**
+ * Label propagation communities on the weighted undirected graph. Nodes are
+ * visited in a fixed order and ties keep the current label (else the lowest),
+ * so results are reproducible
+ */
+function labelPropagation(undirected, maxRounds) {
+  const n = undirected.length
+  const labels = Int32Array.from({ length: n }, (_, i) => i)
+
+  for (let round = 0; round < maxRounds; round++) {
+    let changed = 0
+
+    for (let i = 0; i < n; i++) {
+      if (undirected[i].size === 0) {
+        continue
+      }
+
+      const weights = new Map()
+      for (const [j, weight] of undirected[i]) {
+        weights.set(labels[j], (weights.get(labels[j]) || 0) + weight)
+      }
+
+      let bestWeight = 0
+      for (const weight of weights.values()) {
+        bestWeight = Math.max(bestWeight, weight)
+      }
+      if (weights.get(labels[i]) === bestWeight) {
+        continue
+      }
+
+      let best = Infinity
+      for (const [label, weight] of weights) {
+        if (weight === bestWeight && label < best) {
+          best = label
+        }
+      }
+      labels[i] = best
+      changed++
+    }
+
+    if (changed === 0) {
+      break
+    }
+  }
+
+  const sizes = new Map()
+  for (const label of labels) {
+    sizes.set(label, (sizes.get(label) || 0) + 1)
+  }
+
+  // Compact labels to 0..k-1 before ranking
+  const compact = new Map([...sizes.keys()].map((label, i) => [label, i]))
+  return rankBySize(labels.map(label => compact.get(label)), [...sizes.values()])
+}
+
+/**
+ * Newman modularity of a partition of the weighted undirected graph
+ */
+function modularity(undirected, labels) {
+  let total = 0
+  const internal = new Map()
+  const degrees = new Map()
+
+  for (let i = 0; i < undirected.length; i++) {
+    for (const [j, weight] of undirected[i]) {
+      total += weight
+      degrees.set(labels[i], (degrees.get(labels[i]) || 0) + weight)
+      if (labels[i] === labels[j]) {
+        internal.set(labels[i], (internal.get(labels[i]) || 0) + weight)
+      }
+    }
+  }
+
+  // Every undirected edge was seen from both ends
+  if (total === 0) {
+    return 0
+  }
+  let q = 0
+  for (const [label, degree] of degrees) {
+    q += (internal.get(label) || 0) / total - (degree / total) ** 2
+  }
+  return q
+}
+
+// Renumber group ids so that 0 is the largest group
+function rankBySize(labels, sizes) {
+  const ranked = sizes.map((size, id) => ({ size, id })).sort((a, b) => b.size - a.size || a.id - b.id)
+  const rename = new Int32Array(sizes.length)
+  ranked.forEach(({ id }, rank) => { rename[id] = rank })
+
+  return {
+    labels: Array.from(labels, label => rename[label]),
+    sizes: ranked.map(({ size }) => size)
+  }
+}
+
+export default {
+  DEFAULT_OPTIONS,
+  computeGraphMetrics,
+  analyzeGraph,
+  saveGraphMetrics
+}
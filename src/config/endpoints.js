@@ -26,7 +26,10 @@ export const ENDPOINTS = {
     GET_REPOSTS: '/xrpc/app.bsky.feed.getRepostedBy',
     GET_QUOTES: '/xrpc/app.bsky.feed.getQuotes',
     SEARCH_POSTS: '/xrpc/app.bsky.feed.searchPosts',
-    GET_TIMELINE: '/xrpc/app.bsky.feed.getTimeline'
+    GET_TIMELINE: '/xrpc/app.bsky.feed.getTimeline',
+    GET_ACTOR_LIKES: '/xrpc/app.bsky.feed.getActorLikes',
+    GET_FEED: '/xrpc/app.bsky.feed.getFeed',
+    GET_FEED_GENERATOR: '/xrpc/app.bsky.feed.getFeedGenerator'
   },
 
   // Graph (Relationships) endpoints
@@ -35,7 +38,16 @@ export const ENDPOINTS = {
     GET_FOLLOWS: '/xrpc/app.bsky.graph.getFollows',
     GET_KNOWN_FOLLOWERS: '/xrpc/app.bsky.graph.getKnownFollowers',
     GET_RELATIONSHIPS: '/xrpc/app.bsky.graph.getRelationships',
-    GET_SUGGESTED_FOLLOWS: '/xrpc/app.bsky.graph.getSuggestedFollowsByActor'
+    GET_SUGGESTED_FOLLOWS: '/xrpc/app.bsky.graph.getSuggestedFollowsByActor',
+    GET_LIST: '/xrpc/app.bsky.graph.getList',
+    GET_LISTS: '/xrpc/app.bsky.graph.getLists',
+    GET_STARTER_PACK: '/xrpc/app.bsky.graph.getStarterPack'
+  },
+
+  // Server (session) endpoints
+  SERVER: {
+    CREATE_SESSION: '/xrpc/com.atproto.server.createSession',
+    REFRESH_SESSION: '/xrpc/com.atproto.server.refreshSession'
   },
 
   // Identity resolution endpoints
@@ -54,10 +66,39 @@ export const ENDPOINTS = {
   // Sync endpoints for bulk data
   SYNC: {
     LIST_REPOS: '/xrpc/com.atproto.sync.listRepos',
-    GET_REPO: '/xrpc/com.atproto.sync.getRepo'
+    GET_REPO: '/xrpc/com.atproto.sync.getRepo',
+    SUBSCRIBE_REPOS: '/xrpc/com.atproto.sync.subscribeRepos'
   }
 }
 
+// Endpoints that only work with an authenticated session
+export const AUTH_REQUIRED_ENDPOINTS = [
+  ENDPOINTS.FEED.GET_TIMELINE,
+  ENDPOINTS.FEED.GET_ACTOR_LIKES,
+  ENDPOINTS.GRAPH.GET_KNOWN_FOLLOWERS
+]
+
+// Response field holding the items of each cursor-paginated endpoint
+export const PAGINATION_ITEM_KEYS = {
+  [ENDPOINTS.ACTOR.SEARCH_ACTORS]: 'actors',
+  [ENDPOINTS.ACTOR.GET_SUGGESTIONS]: 'actors',
+  [ENDPOINTS.FEED.GET_AUTHOR_FEED]: 'feed',
+  [ENDPOINTS.FEED.GET_TIMELINE]: 'feed',
+  [ENDPOINTS.FEED.GET_ACTOR_LIKES]: 'feed',
+  [ENDPOINTS.FEED.GET_FEED]: 'feed',
+  [ENDPOINTS.FEED.SEARCH_POSTS]: 'posts',
+  [ENDPOINTS.FEED.GET_QUOTES]: 'posts',
+  [ENDPOINTS.FEED.GET_LIKES]: 'likes',
+  [ENDPOINTS.FEED.GET_REPOSTS]: 'repostedBy',
+  [ENDPOINTS.GRAPH.GET_FOLLOWERS]: 'followers',
+  [ENDPOINTS.GRAPH.GET_FOLLOWS]: 'follows',
+  [ENDPOINTS.GRAPH.GET_KNOWN_FOLLOWERS]: 'followers',
+  [ENDPOINTS.GRAPH.GET_LIST]: 'items',
+  [ENDPOINTS.GRAPH.GET_LISTS]: 'lists',
+  [ENDPOINTS.REPO.LIST_RECORDS]: 'records',
+  [ENDPOINTS.SYNC.LIST_REPOS]: 'repos'
+}
+
 // Rate limiting configuration per endpoint
 export const RATE_LIMITS = {
   [ENDPOINTS.ACTOR.SEARCH_ACTORS]: {
@@ -178,6 +219,8 @@ export const DISCOVERY_PATTERNS = {
 export default {
   API_BASE_URL,
   ENDPOINTS,
+  AUTH_REQUIRED_ENDPOINTS,
+  PAGINATION_ITEM_KEYS,
   RATE_LIMITS,
   REQUEST_CONFIG,
   QUERY_PARAMS,
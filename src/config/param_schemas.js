@@ -0,0 +1,184 @@
+/**
+ * XRPC Parameter Schemas
+ *
+ * Joi schemas for the query parameters of every endpoint APIClient calls.
+ * Parameters are validated before a request is rate limited or sent, so a
+ * malformed call fails fast instead of burning a request on a 400.
+ */
+
+import Joi from 'joi'
+
+import { ENDPOINTS, REQUEST_CONFIG } from './endpoints.js'
+
+// Identifier formats (AT Protocol specs)
+const did = Joi.string().pattern(/^did:[a-z]+:[a-zA-Z0-9._:%-]+$/, 'DID')
+const handle = Joi.string().max(253).pattern(
+  /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/,
+  'handle'
+)
+const actor = Joi.alternatives().try(did, handle)
+const atUri = Joi.string().pattern(/^at:\/\/[^/\s]+(\/[a-zA-Z0-9.-]+(\/[^/\s]+)?)?$/, 'AT URI')
+const nsid = Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9-]*(\.[a-zA-Z0-9-]+){2,}$/, 'NSID')
+const cid = Joi.string().pattern(/^[a-zA-Z0-9]+$/, 'CID')
+const cursor = Joi.string().allow('')
+const datetime = Joi.string().isoDate()
+
+const limit = (max = REQUEST_CONFIG.PAGINATION.MAX_LIMIT) =>
+  Joi.number().integer().min(REQUEST_CONFIG.PAGINATION.MIN_LIMIT).max(max)
+
+const paginated = (keys = {}, max) => Joi.object({
+  limit: limit(max),
+  cursor,
+  ...keys
+})
+
+export const PARAM_SCHEMAS = {
+  // Actor
+  [ENDPOINTS.ACTOR.GET_PROFILE]: Joi.object({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.ACTOR.GET_PROFILES]: Joi.object({
+    actors: Joi.array().items(actor).min(1).max(25).required()
+  }),
+  [ENDPOINTS.ACTOR.SEARCH_ACTORS]: paginated({
+    q: Joi.string().min(1).required()
+  }),
+  [ENDPOINTS.ACTOR.SEARCH_ACTORS_TYPEAHEAD]: Joi.object({
+    q: Joi.string().min(1).required(),
+    limit: limit()
+  }),
+  [ENDPOINTS.ACTOR.GET_SUGGESTIONS]: paginated(),
+
+  // Feed
+  [ENDPOINTS.FEED.GET_AUTHOR_FEED]: paginated({
+    actor: actor.required(),
+    filter: Joi.string().valid(
+      'posts_with_replies',
+      'posts_no_replies',
+      'posts_with_media',
+      'posts_and_author_threads',
+      'posts_with_video'
+    ),
+    includePins: Joi.boolean()
+  }),
+  [ENDPOINTS.FEED.GET_POST_THREAD]: Joi.object({
+    uri: atUri.required(),
+    depth: Joi.number().integer().min(0).max(1000),
+    parentHeight: Joi.number().integer().min(0).max(1000)
+  }),
+  [ENDPOINTS.FEED.GET_POSTS]: Joi.object({
+    uris: Joi.array().items(atUri).min(1).max(25).required()
+  }),
+  [ENDPOINTS.FEED.GET_LIKES]: paginated({
+    uri: atUri.required(),
+    cid
+  }),
+  [ENDPOINTS.FEED.GET_REPOSTS]: paginated({
+    uri: atUri.required(),
+    cid
+  }),
+  [ENDPOINTS.FEED.GET_QUOTES]: paginated({
+    uri: atUri.required(),
+    cid
+  }),
+  [ENDPOINTS.FEED.SEARCH_POSTS]: paginated({
+    q: Joi.string().min(1).required(),
+    sort: Joi.string().valid('top', 'latest'),
+    since: datetime,
+    until: datetime,
+    mentions: actor,
+    author: actor,
+    lang: Joi.string().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]+)*$/, 'language code'),
+    domain: Joi.string(),
+    url: Joi.string().uri(),
+    tag: Joi.array().items(Joi.string().max(640))
+  }),
+  [ENDPOINTS.FEED.GET_TIMELINE]: paginated({
+    algorithm: Joi.string()
+  }),
+  [ENDPOINTS.FEED.GET_ACTOR_LIKES]: paginated({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.FEED.GET_FEED]: paginated({
+    feed: atUri.required()
+  }),
+  [ENDPOINTS.FEED.GET_FEED_GENERATOR]: Joi.object({
+    feed: atUri.required()
+  }),
+
+  // Graph
+  [ENDPOINTS.GRAPH.GET_FOLLOWERS]: paginated({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.GRAPH.GET_FOLLOWS]: paginated({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.GRAPH.GET_KNOWN_FOLLOWERS]: paginated({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.GRAPH.GET_RELATIONSHIPS]: Joi.object({
+    actor: actor.required(),
+    others: Joi.array().items(actor).max(30)
+  }),
+  [ENDPOINTS.GRAPH.GET_SUGGESTED_FOLLOWS]: Joi.object({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.GRAPH.GET_LIST]: paginated({
+    list: atUri.required()
+  }),
+  [ENDPOINTS.GRAPH.GET_LISTS]: paginated({
+    actor: actor.required()
+  }),
+  [ENDPOINTS.GRAPH.GET_STARTER_PACK]: Joi.object({
+    starterPack: atUri.required()
+  }),
+
+  // Identity
+  [ENDPOINTS.IDENTITY.RESOLVE_HANDLE]: Joi.object({
+    handle: handle.required()
+  }),
+
+  // Repository
+  [ENDPOINTS.REPO.DESCRIBE_REPO]: Joi.object({
+    repo: actor.required()
+  }),
+  [ENDPOINTS.REPO.LIST_RECORDS]: paginated({
+    repo: actor.required(),
+    collection: nsid.required(),
+    reverse: Joi.boolean()
+  }),
+  [ENDPOINTS.REPO.GET_RECORD]: Joi.object({
+    repo: actor.required(),
+    collection: nsid.required(),
+    rkey: Joi.string().pattern(/^[a-zA-Z0-9._:~-]{1,512}$/, 'record key').required(),
+    cid
+  }),
+
+  // Sync
+  [ENDPOINTS.SYNC.GET_REPO]: Joi.object({
+    did: did.required(),
+    since: Joi.string()
+  }),
+  [ENDPOINTS.SYNC.LIST_REPOS]: paginated({}, 1000)
+}
+
+/**
+ * Validate request parameters for an endpoint
+ * @param {string} endpoint - XRPC endpoint path
+ * @param {Object} params - Query parameters
+ * @returns {Object} { value, error } (endpoints without a schema pass through)
+ */
+export function validateParams(endpoint, params = {}) {
+  const schema = PARAM_SCHEMAS[endpoint]
+  if (!schema) {
+    return { value: params, error: null }
+  }
+
+  const { value, error } = schema.validate(params, { abortEarly: false })
+  return { value, error: error || null }
+}
+
+export default {
+  PARAM_SCHEMAS,
+  validateParams
+}
@@ -39,6 +39,15 @@ export const SETTINGS = {
     RETRY_DELAY: parseInteger(process.env.REDIS_RETRY_DELAY, 1000)
   },
 
+  // Authentication Configuration (app passwords)
+  AUTH: {
+    SERVICE_URL: process.env.BLUESKY_AUTH_SERVICE || 'https://bsky.social',
+    ACCOUNTS: parseList(process.env.BLUESKY_ACCOUNTS), // identifier:app-password
+    REFRESH_MARGIN_MS: parseInteger(process.env.AUTH_REFRESH_MARGIN_MS, 300000),
+    ACCOUNT_REQUESTS_PER_MINUTE: parseInteger(process.env.ACCOUNT_REQUESTS_PER_MINUTE, 300),
+    RATE_LIMIT_COOLDOWN_MS: parseInteger(process.env.ACCOUNT_RATE_LIMIT_COOLDOWN_MS, 60000)
+  },
+
   // Proxy Configuration
   PROXY: {
     LIST: parseList(process.env.PROXY_LIST),
@@ -54,12 +63,21 @@ export const SETTINGS = {
     BURST_LIMIT: parseInteger(process.env.BURST_LIMIT, 10),
     CONCURRENT_REQUESTS: parseInteger(process.env.CONCURRENT_REQUESTS, 5),
     REQUEST_DELAY_MS: parseInteger(process.env.REQUEST_DELAY_MS, 1000),
-    RANDOMIZE_DELAYS: parseBoolean(process.env.RANDOMIZE_DELAYS, true)
+    RANDOMIZE_DELAYS: parseBoolean(process.env.RANDOMIZE_DELAYS, true),
+    // Adaptive (AIMD) per-endpoint rates, learned rates are kept in Redis
+    ADAPTIVE_ENABLED: parseBoolean(process.env.ADAPTIVE_RATE_LIMITING, true),
+    ADAPTIVE_MIN_RPM: parseInteger(process.env.ADAPTIVE_MIN_RPM, 6),
+    ADAPTIVE_MAX_RPM: parseInteger(process.env.ADAPTIVE_MAX_RPM, 120),
+    ADAPTIVE_INCREASE_STEP: parseInteger(process.env.ADAPTIVE_INCREASE_STEP, 5),
+    ADAPTIVE_INCREASE_AFTER: parseInteger(process.env.ADAPTIVE_INCREASE_AFTER, 20),
+    ADAPTIVE_COOLDOWN_MS: parseInteger(process.env.ADAPTIVE_COOLDOWN_MS, 10000)
   },
 
   // API Configuration
   API: {
     BASE_URL: process.env.BLUESKY_API_BASE || 'https://public.api.bsky.app',
+    SYNC_BASE_URL: process.env.BLUESKY_SYNC_BASE || 'https://bsky.network',
+    REPO_DOWNLOAD_TIMEOUT: parseInteger(process.env.REPO_DOWNLOAD_TIMEOUT, 120000),
     USER_AGENT: process.env.USER_AGENT || 'BlueskyResearchBot/1.0',
     REQUEST_TIMEOUT: parseInteger(process.env.REQUEST_TIMEOUT, 30000),
     KEEP_ALIVE: parseBoolean(process.env.KEEP_ALIVE, true),
@@ -67,6 +85,42 @@ export const SETTINGS = {
     MAX_FREE_SOCKETS: parseInteger(process.env.MAX_FREE_SOCKETS, 10)
   },
 
+  // Firehose (com.atproto.sync.subscribeRepos) Configuration
+  FIREHOSE: {
+    RELAY_URL: process.env.FIREHOSE_RELAY_URL || 'wss://bsky.network',
+    COLLECTIONS: parseList(process.env.FIREHOSE_COLLECTIONS, [
+      'app.bsky.feed.post',
+      'app.bsky.graph.follow',
+      'app.bsky.feed.like',
+      'app.bsky.feed.repost',
+      'app.bsky.actor.profile'
+    ]),
+    RECONNECT_DELAY_MS: parseInteger(process.env.FIREHOSE_RECONNECT_DELAY_MS, 5000),
+    MAX_RECONNECT_ATTEMPTS: parseInteger(process.env.FIREHOSE_MAX_RECONNECT_ATTEMPTS, 10),
+    CHECKPOINT_EVERY_EVENTS: parseInteger(process.env.FIREHOSE_CHECKPOINT_EVERY_EVENTS, 5000)
+  },
+
+  // Jetstream Configuration (JSON firehose)
+  JETSTREAM: {
+    URL: process.env.JETSTREAM_URL || 'wss://jetstream2.us-east.bsky.network',
+    WANTED_COLLECTIONS: parseList(process.env.JETSTREAM_WANTED_COLLECTIONS, [
+      'app.bsky.feed.post',
+      'app.bsky.graph.follow',
+      'app.bsky.feed.like',
+      'app.bsky.feed.repost',
+      'app.bsky.actor.profile'
+    ]),
+    WANTED_DIDS: parseList(process.env.JETSTREAM_WANTED_DIDS)
+  },
+
+  // Identity Resolution Configuration
+  IDENTITY: {
+    PLC_DIRECTORY_URL: process.env.PLC_DIRECTORY_URL || 'https://plc.directory',
+    CACHE_TTL: parseInteger(process.env.IDENTITY_CACHE_TTL, 3600), // seconds
+    NEGATIVE_CACHE_TTL: parseInteger(process.env.IDENTITY_NEGATIVE_CACHE_TTL, 300), // seconds
+    REQUEST_TIMEOUT: parseInteger(process.env.IDENTITY_REQUEST_TIMEOUT, 10000)
+  },
+
   // Output Configuration
   OUTPUT: {
     DIR: process.env.OUTPUT_DIR || './data',
@@ -76,6 +130,12 @@ export const SETTINGS = {
     STREAM_OUTPUT: parseBoolean(process.env.STREAM_OUTPUT, false)
   },
 
+  // Structured Storage Configuration (JSON files are always written)
+  STORAGE: {
+    BACKEND: process.env.STORAGE_BACKEND || 'json', // json | sqlite
+    SQLITE_PATH: process.env.SQLITE_PATH || null // defaults to <OUTPUT_DIR>/bluesky.db
+  },
+
   // Logging Configuration
   LOGGING: {
     LEVEL: process.env.LOG_LEVEL || 'info',
@@ -135,7 +195,9 @@ export const SETTINGS = {
     DEBUG_MODE: parseBoolean(process.env.DEBUG_MODE, false),
     DRY_RUN: parseBoolean(process.env.DRY_RUN, false),
     SAMPLE_SIZE: parseInteger(process.env.SAMPLE_SIZE, 100),
-    ENABLE_PROFILING: parseBoolean(process.env.ENABLE_PROFILING, false)
+    ENABLE_PROFILING: parseBoolean(process.env.ENABLE_PROFILING, false),
+    CASSETTE_MODE: process.env.CASSETTE_MODE || 'off', // off, record or replay
+    CASSETTE_PATH: process.env.CASSETTE_PATH || './data/cassettes/session.jsonl'
   },
 
   // Monitoring Configuration
@@ -187,6 +249,10 @@ export const validateSettings = () => {
     errors.push('OUTPUT_DIR must be specified')
   }
 
+  if (!['json', 'sqlite'].includes(SETTINGS.STORAGE.BACKEND)) {
+    errors.push('STORAGE_BACKEND must be json or sqlite')
+  }
+
   // Check API base URL
   if (!SETTINGS.API.BASE_URL.startsWith('https://')) {
     errors.push('BLUESKY_API_BASE must be a valid HTTPS URL')
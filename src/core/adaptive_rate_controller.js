@@ -0,0 +1,186 @@
+/**
+ * Adaptive Rate Controller
+ *
+ * AIMD (additive increase, multiplicative decrease) control of the
+ * requests per minute allowed for each endpoint:
+ * - a run of healthy responses raises the rate by a fixed step
+ * - a 429 halves it
+ * - a p95 latency well above the endpoint's usual p95, or an error rate
+ *   above the threshold, cuts it by a quarter
+ * Decreases are spaced by a cooldown so one burst of failures (and its
+ * retries) counts once.
+ */
+
+import SETTINGS from '../config/settings.js'
+
+const RATE_LIMIT_FACTOR = 0.5
+const CONGESTION_FACTOR = 0.75
+const WINDOW_SIZE = 50 // Responses kept for p95 latency and error rate
+const MIN_SAMPLES = 20 // Responses needed before latency and error rate are judged
+const LATENCY_FACTOR = 2 // p95 this many times the reference p95 counts as congestion
+const ERROR_RATE_THRESHOLD = 0.1
+const REFERENCE_SMOOTHING = 0.1 // Weight of the newest healthy p95 in the reference
+
+/**
+ * 95th percentile of a list of numbers
+ */
+export function percentile95(values) {
+  if (values.length === 0) {
+    return null
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)]
+}
+
+class AdaptiveRateController {
+  /**
+   * @param {Object} options
+   * @param {number} options.minRate - Lowest requests per minute
+   * @param {number} options.maxRate - Highest requests per minute
+   * @param {number} options.increaseStep - Requests per minute added after a healthy run
+   * @param {number} options.increaseAfter - Healthy responses needed for an increase
+   * @param {number} options.cooldownMs - Minimum time between decreases
+   */
+  constructor(options = {}) {
+    this.minRate = options.minRate || SETTINGS.RATE_LIMITING.ADAPTIVE_MIN_RPM
+    this.maxRate = options.maxRate || SETTINGS.RATE_LIMITING.ADAPTIVE_MAX_RPM
+    this.increaseStep = options.increaseStep || SETTINGS.RATE_LIMITING.ADAPTIVE_INCREASE_STEP
+    this.increaseAfter = options.increaseAfter || SETTINGS.RATE_LIMITING.ADAPTIVE_INCREASE_AFTER
+    this.cooldownMs = options.cooldownMs ?? SETTINGS.RATE_LIMITING.ADAPTIVE_COOLDOWN_MS
+    this.endpoints = new Map()
+  }
+
+  clamp(rate) {
+    return Math.min(this.maxRate, Math.max(this.minRate, Math.round(rate)))
+  }
+
+  /**
+   * Start tracking an endpoint
+   * @param {string} endpoint - Endpoint path
+   * @param {number} configured - Requests per minute from RATE_LIMITS
+   * @param {number} learned - Rate learned by an earlier run, if any
+   * @returns {number} Starting requests per minute
+   */
+  register(endpoint, configured, learned = null) {
+    const state = {
+      configured,
+      rate: this.clamp(learned || configured),
+      streak: 0,
+      latencies: [],
+      outcomes: [], // true for errors
+      referenceP95: null,
+      lastDecreaseAt: 0,
+      increases: 0,
+      decreases: 0,
+      lastChange: null
+    }
+    this.endpoints.set(endpoint, state)
+    return state.rate
+  }
+
+  getRate(endpoint) {
+    return this.endpoints.get(endpoint)?.rate ?? null
+  }
+
+  /**
+   * Feed one response into the controller
+   * @param {string} endpoint - Endpoint path (must be registered)
+   * @param {Object} outcome - { status, latencyMs }; status null for network errors
+   * @returns {Object|null} { rate, previous, reason } when the rate changed
+   */
+  record(endpoint, { status, latencyMs }) {
+    const state = this.endpoints.get(endpoint)
+    if (!state) {
+      return null
+    }
+
+    if (status === 429) {
+      return this.decrease(endpoint, state, RATE_LIMIT_FACTOR, 'rate_limited')
+    }
+
+    const isError = status === null || status >= 500
+    this.push(state.outcomes, isError)
+
+    if (isError) {
+      state.streak = 0
+      const errors = state.outcomes.filter(Boolean).length
+      if (state.outcomes.length >= MIN_SAMPLES && errors / state.outcomes.length > ERROR_RATE_THRESHOLD) {
+        return this.decrease(endpoint, state, CONGESTION_FACTOR, 'error_rate')
+      }
+      return null
+    }
+
+    this.push(state.latencies, latencyMs)
+    if (state.latencies.length >= MIN_SAMPLES) {
+      const p95 = percentile95(state.latencies)
+      if (state.referenceP95 !== null && p95 > state.referenceP95 * LATENCY_FACTOR) {
+        return this.decrease(endpoint, state, CONGESTION_FACTOR, 'latency')
+      }
+      state.referenceP95 = state.referenceP95 === null
+        ? p95
+        : state.referenceP95 * (1 - REFERENCE_SMOOTHING) + p95 * REFERENCE_SMOOTHING
+    }
+
+    state.streak++
+    if (state.streak >= this.increaseAfter && state.rate < this.maxRate) {
+      state.streak = 0
+      state.increases++
+      return this.change(endpoint, state, state.rate + this.increaseStep, 'healthy')
+    }
+    return null
+  }
+
+  push(list, value) {
+    list.push(value)
+    if (list.length > WINDOW_SIZE) {
+      list.shift()
+    }
+  }
+
+  decrease(endpoint, state, factor, reason) {
+    state.streak = 0
+    if (Date.now() - state.lastDecreaseAt < this.cooldownMs) {
+      return null
+    }
+
+    state.lastDecreaseAt = Date.now()
+    state.decreases++
+    // Measure afresh at the new rate
+    state.latencies = []
+    state.outcomes = []
+    return this.change(endpoint, state, state.rate * factor, reason)
+  }
+
+  change(endpoint, state, rate, reason) {
+    const previous = state.rate
+    state.rate = this.clamp(rate)
+    if (state.rate === previous) {
+      return null
+    }
+
+    state.lastChange = { from: previous, to: state.rate, reason, at: new Date().toISOString() }
+    return { rate: state.rate, previous, reason }
+  }
+
+  getStats(endpoint) {
+    const state = this.endpoints.get(endpoint)
+    if (!state) {
+      return null
+    }
+
+    return {
+      configuredRequestsPerMinute: state.configured,
+      currentRequestsPerMinute: state.rate,
+      p95LatencyMs: percentile95(state.latencies),
+      referenceP95LatencyMs: state.referenceP95 === null ? null : Math.round(state.referenceP95),
+      errorRate: state.outcomes.length > 0
+        ? state.outcomes.filter(Boolean).length / state.outcomes.length
+        : 0,
+      increases: state.increases,
+      decreases: state.decreases,
+      lastChange: state.lastChange
+    }
+  }
+}
+
+export default AdaptiveRateController
@@ -3,27 +3,44 @@
  * 
  * Handles all HTTP requests to Bluesky endpoints with:
  * - Proxy rotation and management
+ * - Optional authenticated sessions (app-password account pool)
+ * - Parameter validation before requests go out
  * - Rate limiting and throttling
  * - Error handling and retries
+ * - Circuit breakers per endpoint and per proxy
+ * - Cursor pagination as async iterators
  * - Request/response logging
+ * - Record/replay of request/response pairs (HTTP cassettes)
  */
 
 import axios from 'axios'
 import { HttpsProxyAgent } from 'https-proxy-agent'
 import { SocksProxyAgent } from 'socks-proxy-agent'
 import UserAgent from 'user-agents'
-import pRetry from 'p-retry'
+import pRetry, { AbortError } from 'p-retry'
 import Bottleneck from 'bottleneck'
 import winston from 'winston'
 
-import { ENDPOINTS, RATE_LIMITS, REQUEST_CONFIG, ERROR_CODES } from '../config/endpoints.js'
+import { ENDPOINTS, AUTH_REQUIRED_ENDPOINTS, PAGINATION_ITEM_KEYS, RATE_LIMITS, REQUEST_CONFIG, ERROR_CODES } from '../config/endpoints.js'
+import { validateParams } from '../config/param_schemas.js'
+import { maskProxyCredentials } from '../config/proxies.js'
 import SETTINGS from '../config/settings.js'
 import ProxyManager from './proxy_manager.js'
-import RateLimiter from './rate_limiter.js'
+import RateLimiter, { parseRateLimitHeaders } from './rate_limiter.js'
+import SessionManager from './session_manager.js'
+import Cassette from './cassette.js'
+import CircuitBreaker from './circuit_breaker.js'
+
+// Random proxy draws made to find one whose circuit is not open
+const PROXY_DRAWS = 3
+
+// Pause after a 429 that does not say when the limit resets
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 60000
 
 class APIClient {
   constructor(options = {}) {
     this.baseURL = options.baseURL || SETTINGS.API.BASE_URL
+    this.syncBaseURL = options.syncBaseURL || SETTINGS.API.SYNC_BASE_URL
     this.timeout = options.timeout || SETTINGS.API.REQUEST_TIMEOUT
     this.userAgent = options.userAgent || SETTINGS.API.USER_AGENT
     this.isInitialized = false
@@ -31,7 +48,28 @@ class APIClient {
     // Initialize components
     this.proxyManager = new ProxyManager()
     this.rateLimiter = new RateLimiter()
+    this.sessionManager = options.sessionManager || new SessionManager({ accounts: options.accounts, serviceUrl: options.serviceUrl })
     this.userAgentGenerator = new UserAgent()
+    this.cassette = new Cassette({
+      mode: SETTINGS.DEVELOPMENT.CASSETTE_MODE,
+      path: SETTINGS.DEVELOPMENT.CASSETTE_PATH,
+      onWriteError: (error, interaction) => this.logger.error('Cassette write failed', {
+        key: interaction.key,
+        error: error.message
+      }),
+      ...options.cassette
+    })
+    this.circuitBreakers = {
+      endpoints: new CircuitBreaker({
+        ...options.circuitBreaker,
+        onStateChange: (endpoint, state, circuit) => this.logCircuitChange('endpoint', endpoint, state, circuit)
+      }),
+      proxies: new CircuitBreaker({
+        ...options.circuitBreaker,
+        describeKey: proxy => maskProxyCredentials({ url: proxy }).url,
+        onStateChange: (proxy, state, circuit) => this.logCircuitChange('proxy', proxy, state, circuit)
+      })
+    }
     
     // Request statistics
     this.stats = {
@@ -40,6 +78,8 @@ class APIClient {
       failedRequests: 0,
       rateLimitedRequests: 0,
       proxyFailures: 0,
+      authenticatedRequests: 0,
+      invalidRequests: 0,
       averageResponseTime: 0
     }
 
@@ -76,13 +116,28 @@ class APIClient {
     try {
       // Initialize proxy manager with Redis
       await this.proxyManager.initialize()
+
+      // Open the cassette (replay loads it, record starts it afresh)
+      await this.cassette.initialize()
+
+      // Load the rates learned by earlier runs
+      if (!this.cassette.isReplaying) {
+        await this.rateLimiter.initialize()
+      }
+
+      // Log in configured accounts (optional, never while replaying)
+      if (this.sessionManager.hasAccounts() && !this.cassette.isReplaying) {
+        await this.sessionManager.initialize()
+      }
       
       const proxyCount = await this.proxyManager.getProxyCount()
       
       this.logger.info('API Client initialized', {
         baseURL: this.baseURL,
         timeout: this.timeout,
-        proxyCount
+        proxyCount,
+        accounts: this.sessionManager.accounts.length,
+        cassette: this.cassette.mode === 'off' ? undefined : { mode: this.cassette.mode, path: this.cassette.path }
       })
 
       this.isInitialized = true
@@ -109,6 +164,7 @@ class APIClient {
         'Connection': 'keep-alive'
       },
       maxRedirects: SETTINGS.NETWORK.MAX_REDIRECTS,
+      paramsSerializer: { indexes: null }, // XRPC arrays repeat the key: ?uris=a&uris=b
       validateStatus: (status) => status < 500 // Don't throw on 4xx errors
     }
 
@@ -134,29 +190,53 @@ class APIClient {
       await this.initialize()
     }
 
+    // Reject malformed parameters before spending a rate limit slot
+    const validation = validateParams(endpoint, params)
+    if (validation.error) {
+      this.stats.invalidRequests++
+      this.logger.warn('Invalid request parameters', {
+        endpoint,
+        error: validation.error.message
+      })
+      const error = new Error(`Invalid parameters for ${endpoint}: ${validation.error.message}`)
+      error.isValidationError = true
+      error.details = validation.error.details.map(detail => detail.message)
+      throw this.normalizeError(error)
+    }
+
     const startTime = Date.now()
     this.stats.totalRequests++
 
     const requestConfig = {
       method: options.method || 'GET',
       endpoint,
-      params,
+      params: validation.value,
       retries: options.retries || SETTINGS.ERROR_HANDLING.MAX_RETRIES,
-      timeout: options.timeout || this.timeout
+      timeout: options.timeout || this.timeout,
+      baseURL: options.baseURL,
+      responseType: options.responseType,
+      headers: options.headers,
+      signal: options.signal,
+      auth: options.auth ?? (AUTH_REQUIRED_ENDPOINTS.includes(endpoint) ? 'required' : false)
     }
 
     try {
-      // Apply rate limiting
-      await this.rateLimiter.waitForSlot(endpoint)
-
-      // Execute request with retry logic
+      // Execute request with retry logic; every attempt waits for a rate
+      // limit slot, so pauses the server asked for delay the retries too
       const response = await pRetry(
-        () => this.executeRequest(requestConfig),
+        async () => {
+          // Replayed responses cost nothing
+          if (!this.cassette.isReplaying) {
+            await this.rateLimiter.waitForSlot(endpoint)
+          }
+          return this.executeRequest(requestConfig)
+        },
         {
           retries: requestConfig.retries,
           factor: SETTINGS.ERROR_HANDLING.EXPONENTIAL_BACKOFF ? 2 : 1,
           minTimeout: SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS,
           maxTimeout: 30000,
+          signal: requestConfig.signal,
           onFailedAttempt: (error) => {
             this.logger.warn('Request attempt failed', {
               endpoint,
@@ -177,7 +257,7 @@ class APIClient {
         endpoint,
         responseTime,
         statusCode: response.status,
-        dataSize: JSON.stringify(response.data).length
+        dataSize: response.data?.byteLength ?? JSON.stringify(response.data).length
       })
 
       return response.data
@@ -196,16 +276,110 @@ class APIClient {
 
   /**
    * Execute single request attempt
+   * Fails fast (without retries) while the endpoint's circuit is open
    */
   async executeRequest(config) {
-    const { endpoint, params, method } = config
+    const { endpoint } = config
+    const breaker = this.circuitBreakers.endpoints
+
+    if (!breaker.allowRequest(endpoint)) {
+      const error = new Error(`Circuit open for ${endpoint}; failing fast`)
+      error.isCircuitOpen = true
+      error.retryAfter = Math.ceil(breaker.getRetryAfter(endpoint) / 1000)
+      throw new AbortError(error)
+    }
+
+    try {
+      const response = this.cassette.isReplaying
+        ? await this.replayRequest(config)
+        : await this.sendRequest(config)
+      breaker.recordSuccess(endpoint)
+      return response
+    } catch (error) {
+      const cause = error.originalError || error
+      const status = cause.status || cause.response?.status
+
+      // Overloaded servers may say when to come back (503 + Retry-After)
+      if (status >= 500 && cause.response) {
+        const waitMs = this.applyRateLimitHeaders(endpoint, cause.response, {})
+        if (waitMs) {
+          this.rateLimiter.pauseEndpoint(endpoint, waitMs)
+          cause.retryAfter = Math.ceil(waitMs / 1000)
+        }
+      }
+
+      if (status >= 500 || (!status && !this.isNeutralFailure(cause))) {
+        breaker.recordFailure(endpoint, cause.message)
+      } else if (status) {
+        // The endpoint answered (429, 401, 4xx) - it is up
+        breaker.recordSuccess(endpoint)
+      } else {
+        breaker.release(endpoint)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Failures that say nothing about the endpoint: aborts, cassette misses,
+   * missing sessions and proxies that could not be reached
+   */
+  isNeutralFailure(error) {
+    return axios.isCancel(error) || error.isCassetteMiss || error.isAuthError || error.isProxyFailure
+  }
+
+  /**
+   * Draw a random healthy proxy, skipping proxies whose circuit is open
+   */
+  async pickProxy() {
+    for (let draw = 0; draw < PROXY_DRAWS; draw++) {
+      const proxy = await this.proxyManager.getRandomProxy()
+      if (!proxy || this.circuitBreakers.proxies.allowRequest(proxy)) {
+        return proxy
+      }
+    }
+
+    this.logger.warn('Drawn proxies all have open circuits')
+    return null
+  }
+
+  logCircuitChange(kind, key, state, circuit) {
+    this.logger.warn(`Circuit ${state} for ${kind}`, {
+      [kind]: key,
+      failures: circuit.failures,
+      lastFailure: circuit.lastFailure
+    })
+  }
+
+  /**
+   * Send a request attempt over the network
+   */
+  async sendRequest(config) {
+    const { endpoint, params, method, baseURL, responseType, signal } = config
+    let headers = config.headers
     let proxy = null
     let axiosInstance = null
+    let session = null
 
     try {
+      // Pick an authenticated session (rotated per attempt) when requested
+      if (config.auth) {
+        session = await this.sessionManager.getSession()
+
+        if (session) {
+          await this.rateLimiter.waitForAccountSlot(session.accountId)
+          headers = { ...headers, Authorization: `Bearer ${session.accessJwt}` }
+          this.stats.authenticatedRequests++
+        } else if (config.auth === 'required') {
+          const error = new Error(`No authenticated session available for ${endpoint}; configure BLUESKY_ACCOUNTS`)
+          error.isAuthError = true
+          throw new AbortError(error)
+        }
+      }
+
       // Get random proxy if rotation is enabled
       if (SETTINGS.PROXY.ROTATION_ENABLED && await this.proxyManager.hasProxies()) {
-        proxy = await this.proxyManager.getRandomProxy()
+        proxy = await this.pickProxy()
         
         if (!proxy) {
           this.logger.warn('No healthy proxies available, making request without proxy')
@@ -222,57 +396,69 @@ class APIClient {
       }
 
       // Make the request
-      const response = await axiosInstance({
-        url: endpoint,
+      const request = {
         method,
-        params: method === 'GET' ? params : undefined,
-        data: method !== 'GET' ? params : undefined
-      })
+        endpoint,
+        params,
+        headers,
+        baseURL: baseURL || (session ? session.serviceEndpoint : this.baseURL)
+      }
+      const startTime = Date.now()
+      let response
+      try {
+        response = await axiosInstance({
+          url: endpoint,
+          method,
+          params: method === 'GET' ? params : undefined,
+          data: method !== 'GET' ? params : undefined,
+          baseURL: request.baseURL,
+          responseType,
+          headers,
+          signal
+        })
+      } catch (error) {
+        // Aborted requests are ours, not the server's - keep them off the cassette
+        if (this.cassette.isRecording && !axios.isCancel(error)) {
+          await this.cassette.record(request, { response: error.response, error }, { proxy, durationMs: Date.now() - startTime })
+        }
 
-      // Handle response based on status code
-      if (response.status === 200) {
-        // Success - mark proxy as successful if used
         if (proxy) {
-          await this.proxyManager.markProxySuccess(proxy)
+          if (axios.isCancel(error)) {
+            this.circuitBreakers.proxies.release(proxy)
+          } else if (error.response) {
+            this.circuitBreakers.proxies.recordSuccess(proxy)
+          } else {
+            // No answer at all through the proxy - blame the proxy, not the endpoint
+            this.circuitBreakers.proxies.recordFailure(proxy, error.message)
+            error.isProxyFailure = true
+          }
         }
-        return response
 
-      } else if (response.status === 429) {
-        // Rate limited
-        this.stats.rateLimitedRequests++
-        
-        if (proxy) {
-          await this.proxyManager.markProxyRateLimited(proxy, 60000) // 1 minute
+        if (!axios.isCancel(error) && !error.isProxyFailure) {
+          await this.rateLimiter.recordOutcome(endpoint, {
+            status: error.response?.status ?? null,
+            latencyMs: Date.now() - startTime
+          })
         }
-        
-        const error = new Error(`Rate limited: ${response.status}`)
-        error.status = response.status
-        error.isRateLimit = true
         throw error
+      }
 
-      } else if (response.status >= 400 && response.status < 500) {
-        // Client error - don't retry, but don't mark proxy as failed
-        const error = new Error(`Client error: ${response.status} - ${response.statusText}`)
-        error.status = response.status
-        error.isClientError = true
-        throw error
+      if (proxy) {
+        this.circuitBreakers.proxies.recordSuccess(proxy)
+      }
 
-      } else {
-        // Server error or other - mark proxy as failed and retry
-        if (proxy) {
-          await this.proxyManager.markProxyFailure(proxy, `HTTP ${response.status}`)
-          this.stats.proxyFailures++
-        }
-        
-        const error = new Error(`Server error: ${response.status} - ${response.statusText}`)
-        error.status = response.status
-        error.isServerError = true
-        throw error
+      // Latency and status steer the endpoint's adaptive rate
+      await this.rateLimiter.recordOutcome(endpoint, { status: response.status, latencyMs: Date.now() - startTime })
+
+      if (this.cassette.isRecording) {
+        await this.cassette.record(request, { response }, { proxy, durationMs: Date.now() - startTime })
       }
 
+      return await this.handleResponse(response, { endpoint, proxy, session })
+
     } catch (error) {
       // Network or other errors
-      if (proxy && !error.isClientError) {
+      if (proxy && !error.isClientError && !error.isAuthError) {
         await this.proxyManager.markProxyFailure(proxy, error.message)
         this.stats.proxyFailures++
       }
@@ -282,6 +468,118 @@ class APIClient {
     }
   }
 
+  /**
+   * Serve a request attempt from the cassette
+   * Sessions, proxies and delays are skipped; recorded statuses go through
+   * the same handling as live ones, so retries and errors replay faithfully.
+   */
+  async replayRequest(config) {
+    let response
+    try {
+      response = this.cassette.replay(config)
+    } catch (error) {
+      throw error.isCassetteMiss ? new AbortError(error) : error
+    }
+
+    // Live 5xx responses make axios throw (validateStatus), so replayed ones do too
+    if (response.status >= 500) {
+      const error = new Error(`Request failed with status code ${response.status}`)
+      error.response = response
+      throw error
+    }
+
+    return this.handleResponse(response, { endpoint: config.endpoint })
+  }
+
+  /**
+   * Record the quota advertised by a response's RateLimit-* / Retry-After headers
+   * @returns {number|null} Milliseconds until the limit resets, when the headers say
+   */
+  applyRateLimitHeaders(endpoint, response, { proxy, session }) {
+    const quota = parseRateLimitHeaders(response.headers)
+    if (!quota) {
+      return null
+    }
+
+    const via = session ? 'account' : proxy ? 'proxy' : 'direct'
+    this.rateLimiter.recordQuota(endpoint, quota, via).catch(error => {
+      this.logger.warn('Failed to apply rate limit headers', { endpoint, error: error.message })
+    })
+
+    if (quota.retryAfterMs !== null) {
+      return quota.retryAfterMs
+    }
+    return quota.resetAt && quota.remaining === 0 ? Math.max(0, quota.resetAt - Date.now()) : null
+  }
+
+  /**
+   * Turn a non-throwing response into a result or a classified error
+   */
+  async handleResponse(response, { endpoint, proxy, session }) {
+    const waitMs = this.applyRateLimitHeaders(endpoint, response, { proxy, session })
+
+    // Handle response based on status code
+    if (response.status === 200) {
+      // Success - mark proxy as successful if used
+      if (proxy) {
+        await this.proxyManager.markProxySuccess(proxy)
+      }
+      return response
+
+    } else if (response.status === 429) {
+      // Rate limited - hold back whatever the limit applies to until it resets
+      this.stats.rateLimitedRequests++
+      const pauseMs = waitMs ?? DEFAULT_RATE_LIMIT_PAUSE_MS
+      
+      if (proxy) {
+        await this.proxyManager.markProxyRateLimited(proxy, pauseMs)
+      }
+
+      if (session) {
+        this.sessionManager.markRateLimited(session.accountId, pauseMs)
+        this.rateLimiter.recordAccountRateLimit(session.accountId, pauseMs)
+      }
+
+      if (!proxy && !session) {
+        this.rateLimiter.recordEndpointRateLimit(endpoint, pauseMs)
+      }
+      
+      const error = new Error(`Rate limited: ${response.status}`)
+      error.status = response.status
+      error.isRateLimit = true
+      error.retryAfter = Math.ceil(pauseMs / 1000)
+      throw error
+
+    } else if (session && response.status === 401) {
+      // Access token rejected - refresh before the next attempt
+      this.sessionManager.invalidateSession(session.accountId)
+
+      const error = new Error(`Authentication failed: ${response.status}`)
+      error.status = response.status
+      error.isAuthError = true
+      throw error
+
+    } else if (response.status >= 400 && response.status < 500) {
+      // Client error - don't retry, but don't mark proxy as failed
+      const error = new Error(`Client error: ${response.status} - ${response.statusText}`)
+      error.status = response.status
+      error.isClientError = true
+      throw error
+
+    } else {
+      // Server error or other - mark proxy as failed and retry
+      if (proxy) {
+        await this.proxyManager.markProxyFailure(proxy, `HTTP ${response.status}`)
+        this.stats.proxyFailures++
+      }
+      
+      const error = new Error(`Server error: ${response.status} - ${response.statusText}`)
+      error.status = response.status
+      error.isServerError = true
+      throw error
+    }
+  }
+
   /**
    * Normalize different types of errors
    */
@@ -295,6 +593,22 @@ class APIClient {
       }
     }
 
+    if (error.isValidationError) {
+      return {
+        type: 'VALIDATION_ERROR',
+        message: error.message,
+        details: error.details
+      }
+    }
+
+    if (error.isAuthError) {
+      return {
+        type: 'AUTH_ERROR',
+        message: error.message,
+        status: error.status
+      }
+    }
+
     if (error.isClientError) {
       return {
         type: 'CLIENT_ERROR',
@@ -311,6 +625,21 @@ class APIClient {
       }
     }
 
+    if (error.isCircuitOpen) {
+      return {
+        type: 'CIRCUIT_OPEN',
+        message: error.message,
+        retryAfter: error.retryAfter
+      }
+    }
+
+    if (error.isCassetteMiss) {
+      return {
+        type: 'CASSETTE_MISS',
+        message: error.message
+      }
+    }
+
     return {
       type: 'NETWORK_ERROR',
       message: error.message || 'Unknown network error',
@@ -318,6 +647,97 @@ class APIClient {
     }
   }
 
+  /**
+   * Iterate over every page of a cursor-paginated endpoint
+   * @param {string} method - XRPC endpoint path or NSID (e.g. 'app.bsky.graph.getFollowers')
+   * @param {Object} params - Query parameters (cursor is managed here)
+   * @param {Object} options - Pagination options
+   * @param {number} options.maxItems - Stop after this many items (last page is truncated)
+   * @param {number} options.maxPages - Stop after this many requests
+   * @param {string} options.itemKey - Response field holding the items (defaults per endpoint)
+   * @param {string} options.cursor - Cursor to resume from
+   * @param {AbortSignal} options.signal - Stops iteration (and the in-flight request) when aborted
+   * @param {Function} options.onCursor - Called with (cursor, page) once a page has been consumed
+   * @param {number} options.maxEmptyPages - Consecutive empty pages tolerated before giving up
+   * @yields {Object} { items, cursor, page, itemCount, response }
+   */
+  async * paginate(method, params = {}, options = {}) {
+    const endpoint = method.startsWith('/xrpc/') ? method : `/xrpc/${method}`
+    const itemKey = options.itemKey || PAGINATION_ITEM_KEYS[endpoint]
+    const maxItems = options.maxItems || Infinity
+    const maxPages = options.maxPages || Infinity
+    const maxEmptyPages = options.maxEmptyPages ?? 3
+
+    if (!itemKey) {
+      throw new Error(`No item key known for ${endpoint}; pass options.itemKey`)
+    }
+
+    const seenCursors = new Set()
+    let cursor = options.cursor || undefined
+    let page = 0
+    let itemCount = 0
+    let emptyPages = 0
+
+    while (page < maxPages && itemCount < maxItems) {
+      if (options.signal?.aborted) {
+        return
+      }
+
+      const remaining = maxItems - itemCount
+      const pageParams = { ...params, cursor }
+      if (params.limit && remaining < params.limit) {
+        pageParams.limit = remaining
+      }
+
+      let response
+      try {
+        response = await this.makeRequest(endpoint, pageParams, {
+          baseURL: options.baseURL,
+          signal: options.signal
+        })
+      } catch (error) {
+        if (options.signal?.aborted) {
+          return
+        }
+        throw error
+      }
+
+      page++
+      const items = (response[itemKey] || []).slice(0, remaining)
+      const nextCursor = response.cursor || null
+      itemCount += items.length
+
+      if (items.length > 0) {
+        emptyPages = 0
+        yield { items, cursor: nextCursor, page, itemCount, response }
+      } else {
+        emptyPages++
+      }
+
+      // Only persist a cursor once the consumer has handled the page it follows
+      if (options.onCursor) {
+        await options.onCursor(nextCursor, { page, itemCount })
+      }
+
+      if (!nextCursor) {
+        return
+      }
+
+      if (emptyPages >= maxEmptyPages) {
+        this.logger.warn('Stopping pagination after consecutive empty pages', { endpoint, page, emptyPages })
+        return
+      }
+
+      if (seenCursors.has(nextCursor) || nextCursor === cursor) {
+        this.logger.warn('Stopping pagination on repeated cursor', { endpoint, page, cursor: nextCursor })
+        return
+      }
+
+      seenCursors.add(nextCursor)
+      cursor = nextCursor
+    }
+  }
+
   /**
    * Update running average response time
    */
@@ -333,7 +753,7 @@ class APIClient {
    * Search for actors (users)
    */
   async searchActors(query, options = {}) {
-    return this.makeRequest(ENDPOINTS.SEARCH_ACTORS, {
+    return this.makeRequest(ENDPOINTS.ACTOR.SEARCH_ACTORS, {
       q: query,
       limit: options.limit || 25,
       cursor: options.cursor
@@ -344,21 +764,31 @@ class APIClient {
    * Get actor profile
    */
   async getProfile(actor) {
-    return this.makeRequest(ENDPOINTS.GET_PROFILE, { actor })
+    return this.makeRequest(ENDPOINTS.ACTOR.GET_PROFILE, { actor })
   }
 
   /**
    * Get multiple actor profiles
    */
   async getProfiles(actors) {
-    return this.makeRequest(ENDPOINTS.GET_PROFILES, { actors })
+    return this.makeRequest(ENDPOINTS.ACTOR.GET_PROFILES, { actors })
+  }
+
+  /**
+   * Search actors by handle/display name prefix (autocomplete)
+   */
+  async searchActorsTypeahead(query, options = {}) {
+    return this.makeRequest(ENDPOINTS.ACTOR.SEARCH_ACTORS_TYPEAHEAD, {
+      q: query,
+      limit: options.limit || 10
+    })
   }
 
   /**
    * Get suggested follows
    */
   async getSuggestions(options = {}) {
-    return this.makeRequest(ENDPOINTS.GET_SUGGESTIONS, {
+    return this.makeRequest(ENDPOINTS.ACTOR.GET_SUGGESTIONS, {
       limit: options.limit || 50,
       cursor: options.cursor
     })
@@ -368,7 +798,7 @@ class APIClient {
    * Get author's feed (posts)
    */
   async getAuthorFeed(actor, options = {}) {
-    return this.makeRequest(ENDPOINTS.GET_AUTHOR_FEED, {
+    return this.makeRequest(ENDPOINTS.FEED.GET_AUTHOR_FEED, {
       actor,
       limit: options.limit || 50,
       cursor: options.cursor,
@@ -380,18 +810,120 @@ class APIClient {
    * Get post thread
    */
   async getPostThread(uri, options = {}) {
-    return this.makeRequest(ENDPOINTS.GET_POST_THREAD, {
+    return this.makeRequest(ENDPOINTS.FEED.GET_POST_THREAD, {
+      uri,
+      depth: options.depth ?? 6,
+      parentHeight: options.parentHeight ?? 80
+    })
+  }
+
+  /**
+   * Get post views for up to 25 AT URIs
+   */
+  async getPosts(uris) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_POSTS, { uris })
+  }
+
+  /**
+   * Get likes on a post
+   */
+  async getLikes(uri, options = {}) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_LIKES, {
+      uri,
+      cid: options.cid,
+      limit: options.limit || 100,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get accounts that reposted a post
+   */
+  async getRepostedBy(uri, options = {}) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_REPOSTS, {
+      uri,
+      cid: options.cid,
+      limit: options.limit || 100,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get posts that quote a post
+   */
+  async getQuotes(uri, options = {}) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_QUOTES, {
       uri,
-      depth: options.depth || 6,
-      parentHeight: options.parentHeight || 80
+      cid: options.cid,
+      limit: options.limit || 50,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get posts liked by an actor (only the authenticated account's own likes)
+   */
+  async getActorLikes(actor, options = {}) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_ACTOR_LIKES, {
+      actor,
+      limit: options.limit || 50,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get a hydrated feed from a feed generator
+   */
+  async getFeed(feed, options = {}) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_FEED, {
+      feed,
+      limit: options.limit || 50,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get feed generator metadata
+   */
+  async getFeedGenerator(feed) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_FEED_GENERATOR, { feed })
+  }
+
+  /**
+   * Get the authenticated account's home timeline (requires a session)
+   */
+  async getTimeline(options = {}) {
+    return this.makeRequest(ENDPOINTS.FEED.GET_TIMELINE, {
+      algorithm: options.algorithm,
+      limit: options.limit || 50,
+      cursor: options.cursor
     })
   }
 
+  /**
+   * Get followers of an actor that the authenticated account also follows (requires a session)
+   */
+  async getKnownFollowers(actor, options = {}) {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_KNOWN_FOLLOWERS, {
+      actor,
+      limit: options.limit || 50,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Check whether authenticated requests are possible
+   */
+  hasSession() {
+    return this.sessionManager.hasAccounts() &&
+      this.sessionManager.accounts.some(account => !account.disabled)
+  }
+
   /**
    * Search posts
    */
   async searchPosts(query, options = {}) {
-    return this.makeRequest(ENDPOINTS.SEARCH_POSTS, {
+    return this.makeRequest(ENDPOINTS.FEED.SEARCH_POSTS, {
       q: query,
       limit: options.limit || 25,
       cursor: options.cursor,
@@ -409,7 +941,7 @@ class APIClient {
    * Get actor's followers
    */
   async getFollowers(actor, options = {}) {
-    return this.makeRequest(ENDPOINTS.GET_FOLLOWERS, {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_FOLLOWERS, {
       actor,
       limit: options.limit || 100,
       cursor: options.cursor
@@ -420,10 +952,144 @@ class APIClient {
    * Get who actor follows
    */
   async getFollows(actor, options = {}) {
-    return this.makeRequest(ENDPOINTS.GET_FOLLOWS, {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_FOLLOWS, {
+      actor,
+      limit: options.limit || 100,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get follow/block relationships between an actor and up to 30 others
+   */
+  async getRelationships(actor, others = []) {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_RELATIONSHIPS, {
       actor,
+      others
+    })
+  }
+
+  /**
+   * Get follow suggestions based on an actor
+   */
+  async getSuggestedFollowsByActor(actor) {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_SUGGESTED_FOLLOWS, { actor })
+  }
+
+  /**
+   * Get a list and its members
+   */
+  async getList(list, options = {}) {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_LIST, {
+      list,
+      limit: options.limit || 100,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get lists created by an actor
+   */
+  async getLists(actor, options = {}) {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_LISTS, {
+      actor,
+      limit: options.limit || 50,
+      cursor: options.cursor
+    })
+  }
+
+  /**
+   * Get a starter pack view
+   */
+  async getStarterPack(starterPack) {
+    return this.makeRequest(ENDPOINTS.GRAPH.GET_STARTER_PACK, { starterPack })
+  }
+
+  /**
+   * Resolve a handle to a DID through the AppView
+   */
+  async resolveHandle(handle) {
+    return this.makeRequest(ENDPOINTS.IDENTITY.RESOLVE_HANDLE, { handle })
+  }
+
+  /**
+   * Describe a repository (handle, DID document, collections)
+   * @param {string} repo - DID or handle
+   * @param {Object} options - { baseURL } (the repo's PDS; defaults to the AppView)
+   */
+  async describeRepo(repo, options = {}) {
+    return this.makeRequest(ENDPOINTS.REPO.DESCRIBE_REPO, { repo }, {
+      baseURL: options.baseURL
+    })
+  }
+
+  /**
+   * List records of one collection in a repository
+   * @param {string} repo - DID or handle
+   * @param {string} collection - Collection NSID
+   * @param {Object} options - { limit, cursor, reverse, baseURL }
+   */
+  async listRecords(repo, collection, options = {}) {
+    return this.makeRequest(ENDPOINTS.REPO.LIST_RECORDS, {
+      repo,
+      collection,
       limit: options.limit || 100,
+      cursor: options.cursor,
+      reverse: options.reverse
+    }, {
+      baseURL: options.baseURL
+    })
+  }
+
+  /**
+   * Get a single record
+   * @param {string} repo - DID or handle
+   * @param {string} collection - Collection NSID
+   * @param {string} rkey - Record key
+   * @param {Object} options - { cid, baseURL }
+   */
+  async getRecord(repo, collection, rkey, options = {}) {
+    return this.makeRequest(ENDPOINTS.REPO.GET_RECORD, {
+      repo,
+      collection,
+      rkey,
+      cid: options.cid
+    }, {
+      baseURL: options.baseURL
+    })
+  }
+
+  /**
+   * Download a full repository as a CAR file
+   * @param {string} did - Repository DID
+   * @param {Object} options - { since, baseURL } (baseURL should be the repo's PDS or a relay)
+   * @returns {Uint8Array} CAR file bytes
+   */
+  async getRepo(did, options = {}) {
+    const data = await this.makeRequest(ENDPOINTS.SYNC.GET_REPO, {
+      did,
+      since: options.since
+    }, {
+      baseURL: options.baseURL || this.syncBaseURL,
+      responseType: 'arraybuffer',
+      headers: { Accept: 'application/vnd.ipld.car' },
+      timeout: options.timeout || SETTINGS.API.REPO_DOWNLOAD_TIMEOUT
+    })
+
+    return new Uint8Array(data)
+  }
+
+  /**
+   * Enumerate repositories hosted on a PDS or relay
+   * @param {Object} options - { limit, cursor, baseURL }
+   * @returns {Object} { repos: [{ did, head, rev, active }], cursor }
+   */
+  async listRepos(options = {}) {
+    return this.makeRequest(ENDPOINTS.SYNC.LIST_REPOS, {
+      limit: options.limit || 1000,
       cursor: options.cursor
+    }, {
+      baseURL: options.baseURL || this.syncBaseURL
     })
   }
 
@@ -439,6 +1105,7 @@ class APIClient {
         successful: this.stats.successfulRequests,
         failed: this.stats.failedRequests,
         rateLimited: this.stats.rateLimitedRequests,
+        invalid: this.stats.invalidRequests,
         successRate: this.stats.totalRequests > 0 
           ? (this.stats.successfulRequests / this.stats.totalRequests * 100).toFixed(2) + '%'
           : '0%'
@@ -447,7 +1114,17 @@ class APIClient {
         averageResponseTime: Math.round(this.stats.averageResponseTime),
         proxyFailures: this.stats.proxyFailures
       },
-      proxies: proxyStats
+      proxies: proxyStats,
+      sessions: {
+        authenticatedRequests: this.stats.authenticatedRequests,
+        ...this.sessionManager.getStats()
+      },
+      circuitBreakers: {
+        endpoints: this.circuitBreakers.endpoints.getStats(),
+        proxies: this.circuitBreakers.proxies.getStats()
+      },
+      quotas: this.rateLimiter.getQuotas(),
+      cassette: this.cassette.getStats()
     }
   }
 
@@ -461,6 +1138,8 @@ class APIClient {
       failedRequests: 0,
       rateLimitedRequests: 0,
       proxyFailures: 0,
+      authenticatedRequests: 0,
+      invalidRequests: 0,
       averageResponseTime: 0
     }
     
@@ -471,7 +1150,10 @@ class APIClient {
    * Cleanup resources
    */
   async cleanup() {
+    await this.cassette.flush()
+    await this.rateLimiter.cleanup()
     await this.proxyManager.cleanup()
+    await this.sessionManager.cleanup()
     this.logger.info('API Client cleaned up')
   }
 }
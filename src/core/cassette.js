@@ -0,0 +1,263 @@
+/**
+ * HTTP Cassette
+ *
+ * Records APIClient request/response pairs to a JSON Lines file and serves
+ * them back without network access. Interactions are keyed by method,
+ * endpoint and parameters; repeated requests replay in recorded order, so
+ * retried 429s and 5xx responses come back exactly as they happened.
+ * Auth headers, secret parameters and proxy credentials are redacted before
+ * anything is written.
+ */
+
+import fs from 'fs-extra'
+import path from 'path'
+
+import { maskProxyCredentials } from '../config/proxies.js'
+
+export const CASSETTE_MODES = ['off', 'record', 'replay']
+
+const REDACTED = '[REDACTED]'
+const SECRET_HEADERS = ['authorization', 'cookie', 'proxy-authorization', 'x-api-key']
+const SECRET_PARAM_PATTERN = /password|secret|token|jwt/i
+const DROPPED_RESPONSE_HEADERS = ['set-cookie']
+
+/**
+ * JSON with sorted object keys, so equal parameters give equal keys
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort()
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Replace header values that carry credentials
+ * @param {Object} headers - Request or response headers
+ * @returns {Object} Redacted copy
+ */
+export function redactHeaders(headers = {}) {
+  const redacted = {}
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (value === undefined) continue
+    redacted[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : value
+  }
+  return redacted
+}
+
+/**
+ * Replace parameters that look like secrets (passwords, tokens)
+ * @param {Object} params - Query or body parameters
+ * @returns {Object} Redacted copy
+ */
+export function redactParams(params = {}) {
+  const redacted = {}
+  for (const [name, value] of Object.entries(params || {})) {
+    if (value === undefined) continue
+    redacted[name] = SECRET_PARAM_PATTERN.test(name) ? REDACTED : value
+  }
+  return redacted
+}
+
+class Cassette {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Cassette file (JSON Lines)
+   * @param {string} options.mode - 'record' (overwrite the file), 'replay' or 'off'
+   * @param {Function} options.onWriteError - Called with (error, interaction) when an append fails
+   */
+  constructor(options = {}) {
+    this.path = options.path || null
+    this.mode = options.mode || 'off'
+    this.onWriteError = options.onWriteError || (() => {})
+
+    if (!CASSETTE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown cassette mode: ${this.mode}`)
+    }
+    if (this.mode !== 'off' && !this.path) {
+      throw new Error(`Cassette mode ${this.mode} needs a cassette path`)
+    }
+
+    this.interactions = new Map() // key -> recorded interactions, in order
+    this.positions = new Map() // key -> next interaction to replay
+    this.writeQueue = Promise.resolve()
+    this.isInitialized = false
+    this.stats = {
+      recorded: 0,
+      replayed: 0,
+      misses: 0,
+      writeErrors: 0
+    }
+  }
+
+  get isRecording() {
+    return this.mode === 'record'
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay'
+  }
+
+  /**
+   * Truncate the file for recording, or load it for replay
+   */
+  async initialize() {
+    if (this.isInitialized || this.mode === 'off') {
+      return
+    }
+
+    if (this.isRecording) {
+      await fs.ensureDir(path.dirname(this.path))
+      await fs.writeFile(this.path, '')
+    } else {
+      const content = await fs.readFile(this.path, 'utf8')
+      for (const line of content.split('\n')) {
+        if (line.trim()) {
+          this.add(JSON.parse(line))
+        }
+      }
+    }
+
+    this.isInitialized = true
+  }
+
+  /**
+   * Key of a request: method, endpoint and redacted parameters
+   * @param {Object} request - { method, endpoint, params }
+   * @returns {string} Interaction key
+   */
+  keyFor(request) {
+    return `${request.method || 'GET'} ${request.endpoint} ${stableStringify(redactParams(request.params))}`
+  }
+
+  add(interaction) {
+    const list = this.interactions.get(interaction.key) || []
+    list.push(interaction)
+    this.interactions.set(interaction.key, list)
+  }
+
+  /**
+   * Append an interaction to the cassette
+   * @param {Object} request - { method, baseURL, endpoint, params, headers }
+   * @param {Object} outcome - { response } (axios response) or { error } (no response)
+   * @param {Object} context - { proxy, durationMs }
+   */
+  async record(request, outcome, context = {}) {
+    const interaction = {
+      key: this.keyFor(request),
+      recordedAt: new Date().toISOString(),
+      durationMs: context.durationMs,
+      proxy: context.proxy ? maskProxyCredentials({ url: context.proxy }).url : null,
+      request: {
+        method: request.method || 'GET',
+        baseURL: request.baseURL,
+        endpoint: request.endpoint,
+        params: redactParams(request.params),
+        headers: redactHeaders(request.headers)
+      }
+    }
+
+    if (outcome.response) {
+      interaction.response = this.serializeResponse(outcome.response)
+    } else {
+      interaction.error = { message: outcome.error.message, code: outcome.error.code }
+    }
+
+    this.add(interaction)
+    this.stats.recorded++
+
+    // Appends are serialized so concurrent requests never interleave lines.
+    // A failed append is counted and reported, not left in the queue where
+    // it would reject every later record()
+    const line = `${JSON.stringify(interaction)}\n`
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(this.path, line))
+      .catch(error => {
+        this.stats.writeErrors++
+        this.onWriteError(error, interaction)
+      })
+    return this.writeQueue
+  }
+
+  serializeResponse(response) {
+    const headers = {}
+    for (const [name, value] of Object.entries(response.headers || {})) {
+      if (!DROPPED_RESPONSE_HEADERS.includes(name.toLowerCase())) {
+        headers[name] = value
+      }
+    }
+
+    const binary = response.data instanceof ArrayBuffer || Buffer.isBuffer(response.data)
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      encoding: binary ? 'base64' : 'json',
+      data: binary ? Buffer.from(response.data).toString('base64') : response.data
+    }
+  }
+
+  /**
+   * Serve the next recorded interaction for a request
+   * Once a key's interactions are used up its last one keeps being served
+   * @param {Object} request - { method, endpoint, params }
+   * @returns {Object} Axios-shaped response ({ status, statusText, headers, data })
+   * @throws {Error} The recorded network error, or a cassette miss (error.isCassetteMiss)
+   */
+  replay(request) {
+    const key = this.keyFor(request)
+    const list = this.interactions.get(key)
+
+    if (!list) {
+      this.stats.misses++
+      const error = new Error(`No recorded interaction for ${key} in ${this.path}`)
+      error.isCassetteMiss = true
+      throw error
+    }
+
+    const position = this.positions.get(key) || 0
+    this.positions.set(key, position + 1)
+    const interaction = list[Math.min(position, list.length - 1)]
+    this.stats.replayed++
+
+    if (interaction.error) {
+      const error = new Error(interaction.error.message)
+      error.code = interaction.error.code
+      throw error
+    }
+
+    const { response } = interaction
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      data: response.encoding === 'base64'
+        ? new Uint8Array(Buffer.from(response.data, 'base64')).buffer
+        : response.data
+    }
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async flush() {
+    await this.writeQueue
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      path: this.path,
+      interactions: [...this.interactions.values()].reduce((sum, list) => sum + list.length, 0),
+      ...this.stats
+    }
+  }
+}
+
+export default Cassette
@@ -180,8 +180,10 @@ class CheckpointManager {
         return null
       }
 
-      // Sort by timestamp (most recent first)
-      checkpoints.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      // Sort by timestamp (most recent first), then by counter within the same millisecond
+      checkpoints.sort((a, b) =>
+        (new Date(b.timestamp) - new Date(a.timestamp)) || ((b.counter || 0) - (a.counter || 0))
+      )
       
       const latestCheckpoint = checkpoints[0]
       
@@ -360,7 +362,9 @@ class CheckpointManager {
       }
 
       // Sort by timestamp (oldest first)
-      checkpoints.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      checkpoints.sort((a, b) =>
+        (new Date(a.timestamp) - new Date(b.timestamp)) || ((a.counter || 0) - (b.counter || 0))
+      )
       
       // Delete oldest checkpoints
       const checkpointsToDelete = checkpoints.slice(0, checkpoints.length - maxCheckpoints)
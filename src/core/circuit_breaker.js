@@ -0,0 +1,160 @@
+/**
+ * Circuit Breaker
+ *
+ * Tracks consecutive failures per key (an endpoint, a proxy) and stops
+ * traffic to keys that keep failing:
+ * - closed: requests pass, failures are counted
+ * - open: requests fail fast until the timeout has passed
+ * - half-open: a single probe request is let through; its success closes
+ *   the circuit, its failure opens it for another timeout
+ */
+
+import SETTINGS from '../config/settings.js'
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.threshold - Consecutive failures that open a circuit
+   * @param {number} options.timeout - Milliseconds an open circuit waits before a probe
+   * @param {Function} options.onStateChange - Called with (key, state, circuit) on transitions
+   * @param {Function} options.describeKey - Maps keys for stats and callbacks (e.g. to mask credentials)
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold || SETTINGS.ERROR_HANDLING.CIRCUIT_BREAKER_THRESHOLD
+    this.timeout = options.timeout || SETTINGS.ERROR_HANDLING.CIRCUIT_BREAKER_TIMEOUT
+    this.onStateChange = options.onStateChange || (() => {})
+    this.describeKey = options.describeKey || (key => key)
+    this.circuits = new Map()
+    this.stats = {
+      rejected: 0,
+      opened: 0
+    }
+  }
+
+  getCircuit(key) {
+    let circuit = this.circuits.get(key)
+    if (!circuit) {
+      circuit = {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        probing: false,
+        lastFailure: null
+      }
+      this.circuits.set(key, circuit)
+    }
+    return circuit
+  }
+
+  transition(key, circuit, state) {
+    circuit.state = state
+    this.onStateChange(this.describeKey(key), state, circuit)
+  }
+
+  /**
+   * Whether a request for key may go out now
+   * An open circuit whose timeout has passed turns half-open and admits one probe
+   * @param {string} key - Endpoint or proxy
+   * @returns {boolean} False when the request should fail fast
+   */
+  allowRequest(key) {
+    const circuit = this.getCircuit(key)
+
+    if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() - circuit.openedAt >= this.timeout) {
+      this.transition(key, circuit, CIRCUIT_STATES.HALF_OPEN)
+    }
+
+    if (circuit.state === CIRCUIT_STATES.CLOSED) {
+      return true
+    }
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && !circuit.probing) {
+      circuit.probing = true
+      return true
+    }
+
+    this.stats.rejected++
+    return false
+  }
+
+  /**
+   * Milliseconds until an open circuit admits its probe (0 when not open)
+   */
+  getRetryAfter(key) {
+    const circuit = this.circuits.get(key)
+    if (!circuit || circuit.state !== CIRCUIT_STATES.OPEN) {
+      return 0
+    }
+    return Math.max(0, circuit.openedAt + this.timeout - Date.now())
+  }
+
+  recordSuccess(key) {
+    const circuit = this.getCircuit(key)
+    circuit.failures = 0
+    circuit.probing = false
+
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      this.transition(key, circuit, CIRCUIT_STATES.CLOSED)
+    }
+  }
+
+  recordFailure(key, reason = null) {
+    const circuit = this.getCircuit(key)
+    circuit.failures++
+    circuit.lastFailure = reason
+    circuit.probing = false
+
+    const shouldOpen = circuit.state === CIRCUIT_STATES.HALF_OPEN ||
+      (circuit.state === CIRCUIT_STATES.CLOSED && circuit.failures >= this.threshold)
+
+    if (shouldOpen) {
+      circuit.openedAt = Date.now()
+      this.stats.opened++
+      this.transition(key, circuit, CIRCUIT_STATES.OPEN)
+    }
+  }
+
+  /**
+   * End a probe that produced no verdict (e.g. the request was aborted)
+   */
+  release(key) {
+    const circuit = this.circuits.get(key)
+    if (circuit) {
+      circuit.probing = false
+    }
+  }
+
+  getState(key) {
+    return this.circuits.get(key)?.state || CIRCUIT_STATES.CLOSED
+  }
+
+  getStats() {
+    const circuits = {}
+    for (const [key, circuit] of this.circuits) {
+      circuits[this.describeKey(key)] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        lastFailure: circuit.lastFailure,
+        retryAfterMs: this.getRetryAfter(key)
+      }
+    }
+
+    const states = [...this.circuits.values()].map(circuit => circuit.state)
+    return {
+      threshold: this.threshold,
+      timeout: this.timeout,
+      open: states.filter(state => state === CIRCUIT_STATES.OPEN).length,
+      halfOpen: states.filter(state => state === CIRCUIT_STATES.HALF_OPEN).length,
+      ...this.stats,
+      circuits
+    }
+  }
+}
+
+export default CircuitBreaker
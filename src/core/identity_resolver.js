@@ -0,0 +1,453 @@
+/**
+ * Identity Resolver
+ *
+ * Resolves AT Protocol identities:
+ * - Handles to DIDs via DNS TXT (_atproto.<handle>) and /.well-known/atproto-did
+ * - did:plc documents via the PLC directory, did:web documents via HTTPS
+ * - PDS endpoint and signing key extraction from DID documents
+ * - Bidirectional handle verification (handle -> DID -> alsoKnownAs -> handle)
+ * Results are cached in Redis with TTLs, or in memory when Redis is unavailable.
+ */
+
+import axios from 'axios'
+import { promises as dns } from 'dns'
+import winston from 'winston'
+import redis from 'redis'
+
+import SETTINGS from '../config/settings.js'
+
+const INVALID_HANDLE = 'handle.invalid'
+
+class IdentityResolver {
+  constructor(options = {}) {
+    this.plcDirectoryUrl = (options.plcDirectoryUrl || SETTINGS.IDENTITY.PLC_DIRECTORY_URL).replace(/\/$/, '')
+    this.cacheTtl = options.cacheTtl || SETTINGS.IDENTITY.CACHE_TTL
+    this.negativeCacheTtl = options.negativeCacheTtl || SETTINGS.IDENTITY.NEGATIVE_CACHE_TTL
+    this.timeout = options.timeout || SETTINGS.IDENTITY.REQUEST_TIMEOUT
+    this.apiClient = options.apiClient || null // Optional fallback via com.atproto.identity.resolveHandle
+
+    this.httpClient = options.httpClient || axios.create({
+      timeout: this.timeout,
+      maxRedirects: SETTINGS.NETWORK.MAX_REDIRECTS,
+      headers: { 'User-Agent': SETTINGS.API.USER_AGENT }
+    })
+
+    this.dnsResolver = options.dnsResolver || new dns.Resolver({
+      timeout: SETTINGS.NETWORK.DNS_TIMEOUT,
+      tries: 2
+    })
+
+    this.redisClient = null
+    this.memoryCache = new Map()
+    this.isInitialized = false
+
+    this.REDIS_KEYS = {
+      HANDLE: 'bluesky:identity:handle:',
+      DID_DOC: 'bluesky:identity:did:'
+    }
+
+    this.stats = {
+      handlesResolved: 0,
+      didsResolved: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      failures: 0,
+      verificationFailures: 0
+    }
+
+    // Setup logger
+    this.logger = winston.createLogger({
+      level: SETTINGS.LOGGING.LEVEL,
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({
+          filename: SETTINGS.LOGGING.FILE.replace('scraper.log', 'identity_resolver.log')
+        })
+      ]
+    })
+
+    if (SETTINGS.LOGGING.CONSOLE_LOG) {
+      this.logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+      }))
+    }
+  }
+
+  /**
+   * Initialize Redis cache connection
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return
+    }
+
+    try {
+      this.redisClient = redis.createClient({
+        url: SETTINGS.REDIS.URL,
+        password: SETTINGS.REDIS.PASSWORD,
+        database: SETTINGS.REDIS.DB
+      })
+
+      await this.redisClient.connect()
+      this.logger.info('Connected to Redis for identity cache')
+
+    } catch (error) {
+      this.logger.error('Failed to connect identity cache to Redis', { error: error.message })
+      // Fall back to in-memory cache
+      this.redisClient = null
+      this.logger.warn('Running identity resolver with in-memory cache')
+    }
+
+    this.isInitialized = true
+  }
+
+  /**
+   * Resolve a handle to a DID
+   * @param {string} handle - Handle (e.g. 'user.bsky.social')
+   * @returns {string|null} DID or null if the handle does not resolve
+   */
+  async resolveHandle(handle) {
+    const normalized = this.normalizeHandle(handle)
+    if (!normalized) {
+      return null
+    }
+
+    const cached = await this.getCached(this.REDIS_KEYS.HANDLE + normalized)
+    if (cached !== undefined) {
+      return cached
+    }
+
+    let did = await this.resolveHandleDns(normalized)
+
+    if (!did) {
+      did = await this.resolveHandleHttp(normalized)
+    }
+
+    if (!did && this.apiClient) {
+      try {
+        const response = await this.apiClient.resolveHandle(normalized)
+        did = response?.did || null
+      } catch (error) {
+        this.logger.debug('resolveHandle fallback failed', { handle: normalized, error: error.message })
+      }
+    }
+
+    if (did) {
+      this.stats.handlesResolved++
+    } else {
+      this.stats.failures++
+    }
+
+    await this.setCached(this.REDIS_KEYS.HANDLE + normalized, did)
+    return did
+  }
+
+  /**
+   * Resolve a handle through the _atproto DNS TXT record
+   * @param {string} handle - Normalized handle
+   * @returns {string|null} DID or null
+   */
+  async resolveHandleDns(handle) {
+    try {
+      const records = await this.dnsResolver.resolveTxt(`_atproto.${handle}`)
+      const dids = records
+        .map(chunks => chunks.join(''))
+        .filter(record => record.startsWith('did='))
+        .map(record => record.slice(4).trim())
+
+      // Multiple conflicting records are treated as unresolvable
+      return dids.length === 1 && dids[0].startsWith('did:') ? dids[0] : null
+
+    } catch (error) {
+      this.logger.debug('DNS handle resolution failed', { handle, error: error.code || error.message })
+      return null
+    }
+  }
+
+  /**
+   * Resolve a handle through https://<handle>/.well-known/atproto-did
+   * @param {string} handle - Normalized handle
+   * @returns {string|null} DID or null
+   */
+  async resolveHandleHttp(handle) {
+    try {
+      const response = await this.httpClient.get(`https://${handle}/.well-known/atproto-did`, {
+        responseType: 'text'
+      })
+
+      const did = String(response.data).split('\n')[0].trim()
+      return did.startsWith('did:') ? did : null
+
+    } catch (error) {
+      this.logger.debug('HTTPS handle resolution failed', { handle, error: error.message })
+      return null
+    }
+  }
+
+  /**
+   * Fetch the DID document for a did:plc or did:web identifier
+   * @param {string} did - DID
+   * @returns {Object|null} DID document or null
+   */
+  async resolveDid(did) {
+    if (!did || typeof did !== 'string' || !did.startsWith('did:')) {
+      return null
+    }
+
+    const cached = await this.getCached(this.REDIS_KEYS.DID_DOC + did)
+    if (cached !== undefined) {
+      return cached
+    }
+
+    let document = null
+
+    try {
+      const response = await this.httpClient.get(this.getDidDocumentUrl(did))
+      document = response.data && response.data.id === did ? response.data : null
+
+      if (!document) {
+        this.logger.warn('DID document id does not match requested DID', { did })
+      }
+
+    } catch (error) {
+      this.logger.debug('DID resolution failed', { did, error: error.message })
+    }
+
+    if (document) {
+      this.stats.didsResolved++
+    } else {
+      this.stats.failures++
+    }
+
+    await this.setCached(this.REDIS_KEYS.DID_DOC + did, document)
+    return document
+  }
+
+  /**
+   * Build the DID document URL for a supported DID method
+   * @param {string} did - DID
+   * @returns {string} Document URL
+   */
+  getDidDocumentUrl(did) {
+    if (did.startsWith('did:plc:')) {
+      return `${this.plcDirectoryUrl}/${did}`
+    }
+
+    if (did.startsWith('did:web:')) {
+      // did:web:example.com -> https://example.com/.well-known/did.json
+      // did:web:example.com:user:alice -> https://example.com/user/alice/did.json
+      const [host, ...pathParts] = did.slice('did:web:'.length).split(':').map(decodeURIComponent)
+      return pathParts.length > 0
+        ? `https://${host}/${pathParts.join('/')}/did.json`
+        : `https://${host}/.well-known/did.json`
+    }
+
+    throw new Error(`Unsupported DID method: ${did}`)
+  }
+
+  /**
+   * Extract AT Protocol details from a DID document
+   * @param {Object} document - DID document
+   * @returns {Object} { did, handle, pdsEndpoint, signingKey }
+   */
+  parseDidDocument(document) {
+    if (!document) {
+      return null
+    }
+
+    const aka = (document.alsoKnownAs || []).find(uri => uri.startsWith('at://'))
+
+    const pds = (document.service || []).find(service =>
+      (service.id === '#atproto_pds' || service.id === `${document.id}#atproto_pds`) &&
+      service.type === 'AtprotoPersonalDataServer'
+    )
+
+    const key = (document.verificationMethod || []).find(method =>
+      method.id === '#atproto' || method.id === `${document.id}#atproto`
+    )
+
+    return {
+      did: document.id,
+      handle: aka ? aka.slice('at://'.length).toLowerCase() : null,
+      pdsEndpoint: pds ? pds.serviceEndpoint : null,
+      signingKey: key ? key.publicKeyMultibase : null
+    }
+  }
+
+  /**
+   * Fully resolve a handle or DID, verifying the handle in both directions
+   * @param {string} identifier - Handle or DID
+   * @returns {Object|null} { did, handle, handleVerified, pdsEndpoint, signingKey, didDocument }
+   */
+  async resolveIdentity(identifier) {
+    if (!identifier || typeof identifier !== 'string') {
+      return null
+    }
+
+    const isDid = identifier.startsWith('did:')
+    const did = isDid ? identifier : await this.resolveHandle(identifier)
+
+    if (!did) {
+      return null
+    }
+
+    const didDocument = await this.resolveDid(did)
+    if (!didDocument) {
+      return null
+    }
+
+    const details = this.parseDidDocument(didDocument)
+
+    // The handle is only trusted when the DID document claims it and the
+    // handle resolves back to the same DID
+    let handleVerified = false
+    if (details.handle) {
+      handleVerified = isDid
+        ? await this.resolveHandle(details.handle) === did
+        : details.handle === this.normalizeHandle(identifier)
+    }
+
+    if (details.handle && !handleVerified) {
+      this.stats.verificationFailures++
+      this.logger.warn('Handle verification failed', { did, handle: details.handle })
+    }
+
+    return {
+      did,
+      handle: handleVerified ? details.handle : INVALID_HANDLE,
+      claimedHandle: details.handle,
+      handleVerified,
+      pdsEndpoint: details.pdsEndpoint,
+      signingKey: details.signingKey,
+      didDocument
+    }
+  }
+
+  /**
+   * Check that a handle and DID point at each other
+   * @param {string} handle - Handle
+   * @param {string} did - DID
+   * @returns {boolean} True if verified in both directions
+   */
+  async verifyHandle(handle, did) {
+    const identity = await this.resolveIdentity(did)
+    return Boolean(identity && identity.handleVerified && identity.handle === this.normalizeHandle(handle))
+  }
+
+  /**
+   * Get the PDS endpoint hosting a DID's repository
+   * @param {string} did - DID
+   * @returns {string|null} PDS URL or null
+   */
+  async getPdsEndpoint(did) {
+    const document = await this.resolveDid(did)
+    return document ? this.parseDidDocument(document).pdsEndpoint : null
+  }
+
+  /**
+   * Lowercase a handle and strip a leading '@'
+   * @param {string} handle - Handle
+   * @returns {string|null} Normalized handle
+   */
+  normalizeHandle(handle) {
+    if (!handle || typeof handle !== 'string') {
+      return null
+    }
+
+    return handle.trim().replace(/^@/, '').toLowerCase()
+  }
+
+  /**
+   * Read a cached resolution result
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, null for a cached failure, undefined on miss
+   */
+  async getCached(key) {
+    let entry = null
+
+    if (this.redisClient) {
+      try {
+        const raw = await this.redisClient.get(key)
+        entry = raw ? JSON.parse(raw) : null
+      } catch (error) {
+        this.logger.warn('Identity cache read failed', { key, error: error.message })
+      }
+    } else {
+      const cached = this.memoryCache.get(key)
+      if (cached && cached.expiresAt > Date.now()) {
+        entry = cached
+      } else if (cached) {
+        this.memoryCache.delete(key)
+      }
+    }
+
+    if (!entry) {
+      this.stats.cacheMisses++
+      return undefined
+    }
+
+    this.stats.cacheHits++
+    return entry.value
+  }
+
+  /**
+   * Cache a resolution result; failures use the shorter negative TTL
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache (null for failures)
+   */
+  async setCached(key, value) {
+    const ttl = value ? this.cacheTtl : this.negativeCacheTtl
+    const entry = { value, cachedAt: Date.now() }
+
+    if (this.redisClient) {
+      try {
+        await this.redisClient.setEx(key, ttl, JSON.stringify(entry))
+      } catch (error) {
+        this.logger.warn('Identity cache write failed', { key, error: error.message })
+      }
+      return
+    }
+
+    this.memoryCache.set(key, { ...entry, expiresAt: Date.now() + ttl * 1000 })
+  }
+
+  /**
+   * Get resolver statistics
+   */
+  getStats() {
+    const lookups = this.stats.cacheHits + this.stats.cacheMisses
+
+    return {
+      ...this.stats,
+      cacheHitRate: lookups > 0
+        ? (this.stats.cacheHits / lookups * 100).toFixed(2) + '%'
+        : '0%',
+      cacheBackend: this.redisClient ? 'redis' : 'memory',
+      memoryCacheSize: this.memoryCache.size
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    if (this.redisClient) {
+      try {
+        await this.redisClient.quit()
+        this.logger.info('Disconnected from Redis')
+      } catch (error) {
+        this.logger.error('Error disconnecting from Redis', { error: error.message })
+      }
+      this.redisClient = null
+    }
+
+    this.memoryCache.clear()
+    this.isInitialized = false
+  }
+}
+
+export default IdentityResolver
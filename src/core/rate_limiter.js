@@ -2,23 +2,106 @@
  * Rate Limiter
  * 
  * Manages request throttling per endpoint to avoid hitting rate limits.
- * Implements token bucket algorithm with per-endpoint limits.
+ * Implements token bucket algorithm with per-endpoint limits, plus
+ * per-account limits for authenticated sessions. Quotas advertised by the
+ * server (RateLimit-* and Retry-After headers) pause and resize the limiters.
+ * Per-endpoint rates adapt to observed latency and errors (AIMD), and the
+ * learned rates are kept in Redis for the next run.
  */
 
 import Bottleneck from 'bottleneck'
 import winston from 'winston'
+import redis from 'redis'
 
 import { RATE_LIMITS } from '../config/endpoints.js'
 import SETTINGS from '../config/settings.js'
+import AdaptiveRateController from './adaptive_rate_controller.js'
+
+// RateLimit-Reset values above this are epoch seconds (Bluesky), below it delta seconds (IETF draft)
+const EPOCH_SECONDS_THRESHOLD = 1e9
+
+/**
+ * Parse Retry-After and RateLimit-* response headers
+ * @param {Object} headers - Response headers (any case)
+ * @param {number} now - Reference time in milliseconds
+ * @returns {Object|null} { limit, remaining, resetAt, windowMs, retryAfterMs, policy }, null when none are present
+ */
+export function parseRateLimitHeaders(headers = {}, now = Date.now()) {
+  const values = {}
+  for (const [name, value] of Object.entries(headers || {})) {
+    values[name.toLowerCase()] = value
+  }
+
+  const number = (name) => {
+    const value = parseFloat(values[name])
+    return Number.isFinite(value) ? value : null
+  }
+
+  const quota = {
+    limit: number('ratelimit-limit'),
+    remaining: number('ratelimit-remaining'),
+    resetAt: null,
+    windowMs: null,
+    retryAfterMs: null,
+    policy: values['ratelimit-policy'] || null
+  }
+
+  const reset = number('ratelimit-reset')
+  if (reset !== null) {
+    quota.resetAt = reset > EPOCH_SECONDS_THRESHOLD ? reset * 1000 : now + reset * 1000
+  }
+
+  const policyWindow = /;\s*w=(\d+)/.exec(quota.policy || '')
+  if (policyWindow) {
+    quota.windowMs = parseInt(policyWindow[1]) * 1000
+  }
+
+  // Retry-After is either delay seconds or an HTTP date
+  if (values['retry-after'] !== undefined) {
+    const seconds = Number(values['retry-after'])
+    const retryAt = Number.isFinite(seconds) ? now + seconds * 1000 : Date.parse(values['retry-after'])
+    if (Number.isFinite(retryAt)) {
+      quota.retryAfterMs = Math.max(0, retryAt - now)
+    }
+  }
+
+  return Object.values(quota).some(value => value !== null) ? quota : null
+}
 
 class RateLimiter {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adaptive - AdaptiveRateController options
+   */
+  constructor(options = {}) {
+    this.redisClient = null
+    this.isInitialized = false
+    this.adaptive = SETTINGS.RATE_LIMITING.ADAPTIVE_ENABLED
+      ? new AdaptiveRateController({
+        // Requests are never closer than MIN_REQUEST_INTERVAL, so higher rates could not be sent
+        maxRate: Math.min(
+          SETTINGS.RATE_LIMITING.ADAPTIVE_MAX_RPM,
+          Math.floor(60000 / SETTINGS.SECURITY.MIN_REQUEST_INTERVAL)
+        ),
+        ...options.adaptive
+      })
+      : null
+    this.learnedRates = new Map() // endpoint -> requests per minute kept in Redis
     this.limiters = new Map()
+    this.accountLimiters = new Map()
+    this.quotas = new Map() // endpoint -> last quota the server advertised
+    this.quotaEndpoints = new Set() // endpoints whose reservoir follows the server's quota
+    this.reservoirRefreshes = new Map() // limiter -> { amount, interval, timer }
     this.stats = {
       totalRequests: 0,
       throttledRequests: 0,
       averageWaitTime: 0,
-      endpointStats: new Map()
+      endpointStats: new Map(),
+      accountStats: new Map()
+    }
+
+    this.REDIS_KEYS = {
+      LEARNED_RATES: 'bluesky:rate_limits:learned'
     }
 
     // Setup logger
@@ -48,6 +131,50 @@ class RateLimiter {
     })
   }
 
+  /**
+   * Connect to Redis and load the rates learned by earlier runs
+   * Without Redis, adaptive rates are learned in memory for this run only
+   */
+  async initialize() {
+    if (this.isInitialized || !this.adaptive) {
+      return
+    }
+
+    try {
+      this.redisClient = redis.createClient({
+        url: SETTINGS.REDIS.URL,
+        password: SETTINGS.REDIS.PASSWORD,
+        database: SETTINGS.REDIS.DB
+      })
+
+      await this.redisClient.connect()
+      this.logger.info('Connected to Redis for learned rate limits')
+      await this.loadLearnedRates()
+
+    } catch (error) {
+      this.logger.error('Failed to connect rate limiter to Redis', { error: error.message })
+      this.redisClient = null
+      this.logger.warn('Learned rate limits will not persist across runs')
+    }
+
+    this.isInitialized = true
+  }
+
+  /**
+   * Load learned rates from Redis
+   */
+  async loadLearnedRates() {
+    const stored = await this.redisClient.hGetAll(this.REDIS_KEYS.LEARNED_RATES)
+    for (const [endpoint, value] of Object.entries(stored)) {
+      const rate = parseInt(value)
+      if (rate > 0) {
+        this.learnedRates.set(endpoint, rate)
+      }
+    }
+
+    this.logger.info('Loaded learned rate limits', { endpoints: this.learnedRates.size })
+  }
+
   /**
    * Get or create rate limiter for specific endpoint
    */
@@ -58,17 +185,26 @@ class RateLimiter {
 
     // Get rate limit configuration for this endpoint
     const config = RATE_LIMITS[endpoint] || RATE_LIMITS.DEFAULT
+    let requestsPerMinute = config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE
+
+    // Adaptive endpoints start from what an earlier run learned
+    if (this.adaptive) {
+      requestsPerMinute = this.adaptive.register(endpoint, requestsPerMinute, this.learnedRates.get(endpoint))
+    }
     
+    // Adaptive limiters allow their current rate per minute, so a learned rate
+    // is what gets sent; static ones keep the burst limit
+    const perMinute = this.adaptive ? requestsPerMinute : config.burstLimit || SETTINGS.RATE_LIMITING.BURST_LIMIT
+
     // Create bottleneck limiter with endpoint-specific settings
     const limiter = new Bottleneck({
-      reservoir: config.burstLimit || SETTINGS.RATE_LIMITING.BURST_LIMIT,
-      reservoirRefreshAmount: config.burstLimit || SETTINGS.RATE_LIMITING.BURST_LIMIT,
-      reservoirRefreshInterval: 60 * 1000, // 1 minute
+      reservoir: perMinute,
       maxConcurrent: SETTINGS.RATE_LIMITING.CONCURRENT_REQUESTS,
-      minTime: this.calculateMinTime(config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE),
+      minTime: this.calculateMinTime(requestsPerMinute),
       trackDoneStatus: true,
       id: `endpoint-${endpoint}`
     })
+    this.scheduleReservoirRefresh(limiter, perMinute, 60 * 1000)
 
     // Setup event handlers
     limiter.on('failed', (error, jobInfo) => {
@@ -105,15 +241,17 @@ class RateLimiter {
     this.stats.endpointStats.set(endpoint, {
       requests: 0,
       throttled: 0,
+      rateLimited: 0,
       averageWaitTime: 0,
+      pausedUntil: null,
       lastRequest: null
     })
 
     this.logger.debug('Created rate limiter for endpoint', {
       endpoint,
-      requestsPerMinute: config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE,
+      requestsPerMinute,
       burstLimit: config.burstLimit || SETTINGS.RATE_LIMITING.BURST_LIMIT,
-      minTime: this.calculateMinTime(config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE)
+      minTime: this.calculateMinTime(requestsPerMinute)
     })
 
     return limiter
@@ -147,6 +285,11 @@ class RateLimiter {
     endpointStats.lastRequest = Date.now()
 
     try {
+      // Sit out pauses the server asked for (Retry-After, exhausted quota)
+      while (endpointStats.pausedUntil > Date.now()) {
+        await new Promise(resolve => setTimeout(resolve, endpointStats.pausedUntil - Date.now()))
+      }
+
       // Schedule the request through the rate limiter
       await limiter.schedule({ id: `request-${Date.now()}-${Math.random()}` }, () => {
         // This function just resolves immediately - the rate limiting happens in the scheduling
@@ -179,6 +322,193 @@ class RateLimiter {
     }
   }
 
+  /**
+   * Get or create rate limiter for an authenticated account
+   */
+  getLimiterForAccount(accountId) {
+    if (this.accountLimiters.has(accountId)) {
+      return this.accountLimiters.get(accountId)
+    }
+
+    const requestsPerMinute = SETTINGS.AUTH.ACCOUNT_REQUESTS_PER_MINUTE
+
+    const limiter = new Bottleneck({
+      reservoir: requestsPerMinute,
+      maxConcurrent: SETTINGS.RATE_LIMITING.CONCURRENT_REQUESTS,
+      id: `account-${accountId}`
+    })
+    this.scheduleReservoirRefresh(limiter, requestsPerMinute, 60 * 1000)
+
+    this.accountLimiters.set(accountId, limiter)
+    this.stats.accountStats.set(accountId, {
+      requests: 0,
+      rateLimited: 0,
+      pausedUntil: null,
+      lastRequest: null
+    })
+
+    return limiter
+  }
+
+  /**
+   * Wait for available slot for the given account
+   */
+  async waitForAccountSlot(accountId) {
+    const limiter = this.getLimiterForAccount(accountId)
+    const accountStats = this.stats.accountStats.get(accountId)
+    accountStats.requests++
+    accountStats.lastRequest = Date.now()
+
+    await limiter.schedule(() => Promise.resolve())
+  }
+
+  /**
+   * Record a 429 for an account and drain its reservoir until the limit resets
+   */
+  recordAccountRateLimit(accountId, duration = SETTINGS.AUTH.RATE_LIMIT_COOLDOWN_MS) {
+    const limiter = this.getLimiterForAccount(accountId)
+    const accountStats = this.stats.accountStats.get(accountId)
+    accountStats.rateLimited++
+    accountStats.pausedUntil = Date.now() + duration
+
+    limiter.updateSettings({ reservoir: 0 })
+    this.scheduleReservoirRefresh(limiter, SETTINGS.AUTH.ACCOUNT_REQUESTS_PER_MINUTE, 60 * 1000, duration)
+
+    this.logger.warn('Account rate limited', { accountId, duration })
+  }
+
+  /**
+   * Hold back requests to an endpoint until the server's limit resets
+   */
+  pauseEndpoint(endpoint, duration) {
+    this.getLimiterForEndpoint(endpoint)
+    const endpointStats = this.stats.endpointStats.get(endpoint)
+    endpointStats.pausedUntil = Math.max(endpointStats.pausedUntil || 0, Date.now() + duration)
+
+    this.logger.warn('Endpoint paused by server rate limit', { endpoint, duration })
+  }
+
+  /**
+   * Record a 429 for an endpoint and pause it
+   */
+  recordEndpointRateLimit(endpoint, duration) {
+    this.getLimiterForEndpoint(endpoint)
+    this.stats.endpointStats.get(endpoint).rateLimited++
+    this.pauseEndpoint(endpoint, duration)
+  }
+
+  /**
+   * Record the quota a response advertised for an endpoint
+   * Only direct requests resize the endpoint's reservoir (and pause it once
+   * the quota is used up); behind a proxy or account the quota is theirs.
+   * The reservoir then follows the server's window: it is refilled to the
+   * limit at the reset and every window after that (every minute when the
+   * policy names no window).
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} quota - Output of parseRateLimitHeaders
+   * @param {string} via - 'direct', 'proxy' or 'account'
+   */
+  async recordQuota(endpoint, quota, via = 'direct') {
+    const limiter = this.getLimiterForEndpoint(endpoint)
+    this.quotas.set(endpoint, { ...quota, via, observedAt: Date.now() })
+
+    const refillIn = quota.resetAt ? quota.resetAt - Date.now() : quota.windowMs
+    if (via !== 'direct' || quota.limit === null || quota.remaining === null || refillIn === null) {
+      return
+    }
+
+    if (quota.remaining <= 0 && quota.resetAt) {
+      this.pauseEndpoint(endpoint, Math.max(0, quota.resetAt - Date.now()))
+    }
+
+    this.quotaEndpoints.add(endpoint)
+    this.scheduleReservoirRefresh(limiter, quota.limit, quota.windowMs || 60 * 1000, refillIn)
+    await limiter.updateSettings({ reservoir: Math.max(0, quota.remaining) })
+  }
+
+  /**
+   * Refill a limiter's reservoir to amount every interval
+   * Bottleneck's reservoirRefresh* options are not used: its refresh timer
+   * does not survive updateSettings(), and limiters here change settings as
+   * they follow the server and adapt their rate.
+   * @param {Bottleneck} limiter - Endpoint or account limiter
+   * @param {number} amount - Reservoir after each refresh; recordOutcome moves it with the rate
+   * @param {number} interval - Milliseconds between refreshes
+   * @param {number} delay - Milliseconds until the first refresh (default: interval)
+   */
+  scheduleReservoirRefresh(limiter, amount, interval, delay = interval) {
+    clearTimeout(this.reservoirRefreshes.get(limiter)?.timer)
+
+    const refresh = { amount, interval, timer: null }
+    const schedule = (wait) => {
+      refresh.timer = setTimeout(() => {
+        limiter.updateSettings({ reservoir: refresh.amount })
+        schedule(interval)
+      }, Math.max(0, wait)).unref()
+    }
+
+    schedule(delay)
+    this.reservoirRefreshes.set(limiter, refresh)
+  }
+
+  /**
+   * Feed a response into the adaptive controller and apply a changed rate
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} outcome - { status, latencyMs }; status null for network errors
+   */
+  async recordOutcome(endpoint, outcome) {
+    if (!this.adaptive) {
+      return
+    }
+
+    const limiter = this.getLimiterForEndpoint(endpoint)
+    const change = this.adaptive.record(endpoint, outcome)
+    if (!change) {
+      return
+    }
+
+    // The per-minute reservoir follows the rate too, keeping its refresh
+    // schedule, unless the server's quota sets it
+    const settings = { minTime: this.calculateMinTime(change.rate) }
+    if (!this.quotaEndpoints.has(endpoint)) {
+      settings.reservoir = Math.min(await limiter.currentReservoir(), change.rate)
+      this.reservoirRefreshes.get(limiter).amount = change.rate
+    }
+
+    await limiter.updateSettings(settings)
+    this.logger.info('Adapted endpoint rate', {
+      endpoint,
+      from: change.previous,
+      to: change.rate,
+      reason: change.reason
+    })
+
+    await this.saveLearnedRate(endpoint, change.rate)
+  }
+
+  /**
+   * Persist an endpoint's learned rate for the next run
+   */
+  async saveLearnedRate(endpoint, rate) {
+    this.learnedRates.set(endpoint, rate)
+    if (!this.redisClient) {
+      return
+    }
+
+    try {
+      await this.redisClient.hSet(this.REDIS_KEYS.LEARNED_RATES, endpoint, String(rate))
+    } catch (error) {
+      this.logger.error('Failed to save learned rate limit', { endpoint, error: error.message })
+    }
+  }
+
+  /**
+   * Quotas observed per endpoint
+   */
+  getQuotas() {
+    return Object.fromEntries(this.quotas)
+  }
+
   /**
    * Update global average wait time
    */
@@ -206,15 +536,15 @@ class RateLimiter {
   /**
    * Get current queue status for all endpoints
    */
-  getQueueStatus() {
+  async getQueueStatus() {
     const status = {}
     
     for (const [endpoint, limiter] of this.limiters.entries()) {
       status[endpoint] = {
         queued: limiter.queued(),
-        running: limiter.running(),
-        done: limiter.done(),
-        reservoir: limiter.reservoir()
+        running: await limiter.running(),
+        done: await limiter.done(),
+        reservoir: await limiter.currentReservoir()
       }
     }
     
@@ -224,7 +554,7 @@ class RateLimiter {
   /**
    * Get rate limiter statistics
    */
-  getStats() {
+  async getStats() {
     const endpointStatsArray = []
     
     for (const [endpoint, stats] of this.stats.endpointStats.entries()) {
@@ -233,8 +563,10 @@ class RateLimiter {
         endpoint,
         ...stats,
         currentQueue: limiter ? limiter.queued() : 0,
-        currentRunning: limiter ? limiter.running() : 0,
-        reservoir: limiter ? limiter.reservoir() : 0,
+        currentRunning: limiter ? await limiter.running() : 0,
+        reservoir: limiter ? await limiter.currentReservoir() : 0,
+        quota: this.quotas.get(endpoint) || null,
+        adaptive: this.getAdaptiveStats(endpoint),
         throttleRate: stats.requests > 0 
           ? (stats.throttled / stats.requests * 100).toFixed(2) + '%'
           : '0%'
@@ -251,7 +583,30 @@ class RateLimiter {
           : '0%'
       },
       endpoints: endpointStatsArray,
-      queueStatus: this.getQueueStatus()
+      accounts: Array.from(this.stats.accountStats.entries()).map(([accountId, stats]) => ({
+        accountId,
+        ...stats,
+        currentQueue: this.accountLimiters.get(accountId).queued()
+      })),
+      adaptive: {
+        enabled: Boolean(this.adaptive),
+        persistence: this.redisClient ? 'redis' : 'memory'
+      },
+      queueStatus: await this.getQueueStatus()
+    }
+  }
+
+  /**
+   * Current and learned rate of an endpoint
+   */
+  getAdaptiveStats(endpoint) {
+    if (!this.adaptive) {
+      return null
+    }
+
+    return {
+      ...this.adaptive.getStats(endpoint),
+      learnedRequestsPerMinute: this.learnedRates.get(endpoint) ?? null
     }
   }
 
@@ -263,7 +618,17 @@ class RateLimiter {
       totalRequests: 0,
       throttledRequests: 0,
       averageWaitTime: 0,
-      endpointStats: new Map()
+      endpointStats: new Map(),
+      accountStats: new Map()
+    }
+
+    for (const accountId of this.accountLimiters.keys()) {
+      this.stats.accountStats.set(accountId, {
+        requests: 0,
+        rateLimited: 0,
+        pausedUntil: null,
+        lastRequest: null
+      })
     }
 
     // Reset endpoint stats for existing limiters
@@ -271,7 +636,9 @@ class RateLimiter {
       this.stats.endpointStats.set(endpoint, {
         requests: 0,
         throttled: 0,
+        rateLimited: 0,
         averageWaitTime: 0,
+        pausedUntil: null,
         lastRequest: null
       })
     }
@@ -309,7 +676,7 @@ class RateLimiter {
   /**
    * Get detailed information about a specific endpoint's rate limiter
    */
-  getEndpointInfo(endpoint) {
+  async getEndpointInfo(endpoint) {
     const limiter = this.limiters.get(endpoint)
     const stats = this.stats.endpointStats.get(endpoint)
     const config = RATE_LIMITS[endpoint] || RATE_LIMITS.DEFAULT
@@ -321,16 +688,17 @@ class RateLimiter {
     return {
       endpoint,
       configuration: {
-        requestsPerMinute: config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE,
+        requestsPerMinute: this.adaptive?.getRate(endpoint) ?? (config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE),
         burstLimit: config.burstLimit || SETTINGS.RATE_LIMITING.BURST_LIMIT,
-        minTime: this.calculateMinTime(config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE)
+        minTime: this.calculateMinTime(this.adaptive?.getRate(endpoint) ?? (config.requestsPerMinute || SETTINGS.RATE_LIMITING.REQUESTS_PER_MINUTE))
       },
       currentState: {
         queued: limiter.queued(),
-        running: limiter.running(),
-        done: limiter.done(),
-        reservoir: limiter.reservoir()
+        running: await limiter.running(),
+        done: await limiter.done(),
+        reservoir: await limiter.currentReservoir()
       },
+      adaptive: this.getAdaptiveStats(endpoint),
       statistics: stats
     }
   }
@@ -345,9 +713,28 @@ class RateLimiter {
     for (const [endpoint, limiter] of this.limiters.entries()) {
       stopPromises.push(limiter.stop({ dropWaitingJobs: true }))
     }
+    for (const limiter of this.accountLimiters.values()) {
+      stopPromises.push(limiter.stop({ dropWaitingJobs: true }))
+    }
     
+    for (const { timer } of this.reservoirRefreshes.values()) {
+      clearTimeout(timer)
+    }
+    this.reservoirRefreshes.clear()
+
     await Promise.all(stopPromises)
     this.limiters.clear()
+    this.accountLimiters.clear()
+    this.quotaEndpoints.clear()
+
+    if (this.redisClient) {
+      try {
+        await this.redisClient.quit()
+      } catch (error) {
+        this.logger.error('Error disconnecting from Redis', { error: error.message })
+      }
+      this.redisClient = null
+    }
     
     this.logger.info('Rate limiter cleanup completed')
   }
@@ -0,0 +1,385 @@
+/**
+ * Session Manager
+ *
+ * Manages authenticated AT Protocol sessions for a pool of accounts:
+ * - App-password login via com.atproto.server.createSession
+ * - Automatic access-JWT refresh (refreshSession) before expiry
+ * - Round-robin account rotation, skipping rate-limited or failed accounts
+ * - Per-account request and rate-limit tracking
+ */
+
+import axios from 'axios'
+import winston from 'winston'
+
+import { ENDPOINTS } from '../config/endpoints.js'
+import SETTINGS from '../config/settings.js'
+
+const APP_PASSWORD_PATTERN = /^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/
+
+/**
+ * Parse an "identifier:app-password" account string
+ * @param {string} accountString - Account definition
+ * @returns {Object|null} { identifier, password } or null if malformed
+ */
+export function parseAccountString(accountString) {
+  if (!accountString || typeof accountString !== 'string') {
+    return null
+  }
+
+  // Identifiers may be DIDs (which contain ':'), app passwords never do
+  const separator = accountString.lastIndexOf(':')
+  if (separator <= 0 || separator === accountString.length - 1) {
+    return null
+  }
+
+  return {
+    identifier: accountString.slice(0, separator).trim(),
+    password: accountString.slice(separator + 1).trim()
+  }
+}
+
+/**
+ * Read the expiry (ms since epoch) from a JWT without verifying it
+ * @param {string} jwt - JSON Web Token
+ * @returns {number|null} Expiry timestamp or null
+ */
+export function getJwtExpiry(jwt) {
+  try {
+    const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'))
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null
+  } catch (error) {
+    return null
+  }
+}
+
+class SessionManager {
+  constructor(options = {}) {
+    this.serviceUrl = options.serviceUrl || SETTINGS.AUTH.SERVICE_URL
+    this.refreshMargin = options.refreshMargin ?? SETTINGS.AUTH.REFRESH_MARGIN_MS
+    this.rateLimitCooldown = options.rateLimitCooldown || SETTINGS.AUTH.RATE_LIMIT_COOLDOWN_MS
+    this.httpClient = options.httpClient || axios.create({
+      timeout: SETTINGS.API.REQUEST_TIMEOUT,
+      headers: { 'User-Agent': SETTINGS.API.USER_AGENT }
+    })
+
+    const accountStrings = options.accounts || SETTINGS.AUTH.ACCOUNTS
+    this.accounts = accountStrings
+      .map(account => typeof account === 'string' ? parseAccountString(account) : account)
+      .filter(Boolean)
+      .map((account, index) => ({
+        id: `account-${index}`,
+        identifier: account.identifier,
+        password: account.password,
+        session: null,
+        refreshing: null,
+        disabled: false,
+        rateLimitedUntil: 0,
+        stats: {
+          requests: 0,
+          rateLimited: 0,
+          failures: 0,
+          refreshes: 0,
+          logins: 0
+        }
+      }))
+
+    this.currentIndex = 0
+    this.isInitialized = false
+
+    // Setup logger
+    this.logger = winston.createLogger({
+      level: SETTINGS.LOGGING.LEVEL,
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json()
+      ),
+      transports: [
+        new winston.transports.File({
+          filename: SETTINGS.LOGGING.FILE.replace('scraper.log', 'session_manager.log')
+        })
+      ]
+    })
+
+    if (SETTINGS.LOGGING.CONSOLE_LOG) {
+      this.logger.add(new winston.transports.Console({
+        format: winston.format.simple()
+      }))
+    }
+  }
+
+  /**
+   * Check whether any accounts are configured
+   */
+  hasAccounts() {
+    return this.accounts.length > 0
+  }
+
+  /**
+   * Log in every configured account
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return
+    }
+
+    for (const account of this.accounts) {
+      if (!APP_PASSWORD_PATTERN.test(account.password)) {
+        this.logger.warn('Account password does not look like an app password; use app passwords instead of the main password', {
+          account: account.identifier
+        })
+      }
+
+      try {
+        await this.createSession(account)
+      } catch (error) {
+        this.logger.error('Account login failed', { account: account.identifier, error: error.message })
+      }
+    }
+
+    const active = this.accounts.filter(account => account.session).length
+    this.logger.info('Session Manager initialized', {
+      accounts: this.accounts.length,
+      active
+    })
+
+    this.isInitialized = true
+  }
+
+  /**
+   * Log in with the account's app password
+   * @param {Object} account - Pool account
+   * @returns {Object} Session
+   */
+  async createSession(account) {
+    try {
+      const response = await this.httpClient.post(
+        `${this.serviceUrl}${ENDPOINTS.SERVER.CREATE_SESSION}`,
+        { identifier: account.identifier, password: account.password }
+      )
+
+      account.session = this.buildSession(response.data)
+      account.disabled = false
+      account.stats.logins++
+
+      this.logger.info('Session created', { account: account.identifier, did: account.session.did })
+      return account.session
+
+    } catch (error) {
+      account.session = null
+      account.stats.failures++
+
+      // Bad credentials will not fix themselves
+      if (error.response && error.response.status === 401) {
+        account.disabled = true
+      }
+
+      throw new Error(`createSession failed for ${account.identifier}: ${this.describeError(error)}`)
+    }
+  }
+
+  /**
+   * Exchange the refresh JWT for a new session, logging in again if it has expired
+   * @param {Object} account - Pool account
+   * @returns {Object} Session
+   */
+  async refreshSession(account) {
+    // Share one in-flight refresh between concurrent callers
+    if (account.refreshing) {
+      return account.refreshing
+    }
+
+    account.refreshing = (async () => {
+      try {
+        const response = await this.httpClient.post(
+          `${this.serviceUrl}${ENDPOINTS.SERVER.REFRESH_SESSION}`,
+          null,
+          { headers: { Authorization: `Bearer ${account.session.refreshJwt}` } }
+        )
+
+        account.session = this.buildSession(response.data, account.session)
+        account.stats.refreshes++
+        this.logger.debug('Session refreshed', { account: account.identifier })
+        return account.session
+
+      } catch (error) {
+        this.logger.warn('Session refresh failed, logging in again', {
+          account: account.identifier,
+          error: this.describeError(error)
+        })
+        return this.createSession(account)
+
+      } finally {
+        account.refreshing = null
+      }
+    })()
+
+    return account.refreshing
+  }
+
+  /**
+   * Build a session record from a createSession / refreshSession response
+   * @param {Object} data - Response body
+   * @param {Object} previous - Previous session, if refreshing
+   * @returns {Object} Session
+   */
+  buildSession(data, previous = null) {
+    return {
+      did: data.did,
+      handle: data.handle,
+      accessJwt: data.accessJwt,
+      refreshJwt: data.refreshJwt,
+      accessExpiresAt: getJwtExpiry(data.accessJwt),
+      serviceEndpoint: this.getPdsEndpoint(data.didDoc) || previous?.serviceEndpoint || this.serviceUrl
+    }
+  }
+
+  /**
+   * Extract the PDS endpoint from a DID document
+   * @param {Object} didDoc - DID document returned with the session
+   * @returns {string|null} PDS URL
+   */
+  getPdsEndpoint(didDoc) {
+    const service = (didDoc?.service || []).find(entry =>
+      entry.id && entry.id.endsWith('#atproto_pds') && entry.type === 'AtprotoPersonalDataServer'
+    )
+    return service ? service.serviceEndpoint : null
+  }
+
+  /**
+   * Get a fresh session from the next available account
+   * @returns {Object|null} { accountId, did, accessJwt, serviceEndpoint } or null if none available
+   */
+  async getSession() {
+    const now = Date.now()
+
+    for (let i = 0; i < this.accounts.length; i++) {
+      const account = this.accounts[(this.currentIndex + i) % this.accounts.length]
+
+      if (account.disabled || account.rateLimitedUntil > now) {
+        continue
+      }
+
+      try {
+        if (!account.session) {
+          await this.createSession(account)
+        } else if (this.needsRefresh(account.session)) {
+          await this.refreshSession(account)
+        }
+      } catch (error) {
+        this.logger.warn('Skipping account without a usable session', {
+          account: account.identifier,
+          error: error.message
+        })
+        continue
+      }
+
+      this.currentIndex = (this.accounts.indexOf(account) + 1) % this.accounts.length
+      account.stats.requests++
+
+      return {
+        accountId: account.id,
+        did: account.session.did,
+        accessJwt: account.session.accessJwt,
+        serviceEndpoint: account.session.serviceEndpoint
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Check whether the access JWT expires within the refresh margin
+   * @param {Object} session - Session
+   * @returns {boolean} True if it should be refreshed
+   */
+  needsRefresh(session) {
+    if (!session.accessExpiresAt) {
+      return false
+    }
+    return session.accessExpiresAt - Date.now() <= this.refreshMargin
+  }
+
+  /**
+   * Take an account out of rotation until its rate limit resets
+   * @param {string} accountId - Account ID
+   * @param {number} duration - Cooldown in milliseconds
+   */
+  markRateLimited(accountId, duration = this.rateLimitCooldown) {
+    const account = this.getAccount(accountId)
+    if (!account) {
+      return
+    }
+
+    account.rateLimitedUntil = Date.now() + duration
+    account.stats.rateLimited++
+    this.logger.warn('Account rate limited', { account: account.identifier, duration })
+  }
+
+  /**
+   * Force the account's session to be refreshed before its next use
+   * (the server rejected the access token)
+   * @param {string} accountId - Account ID
+   */
+  invalidateSession(accountId) {
+    const account = this.getAccount(accountId)
+    if (account && account.session) {
+      account.session.accessExpiresAt = 0
+      account.stats.failures++
+    }
+  }
+
+  /**
+   * Find an account by ID
+   */
+  getAccount(accountId) {
+    return this.accounts.find(account => account.id === accountId) || null
+  }
+
+  /**
+   * Summarize an axios error without leaking credentials
+   */
+  describeError(error) {
+    if (error.response) {
+      const body = error.response.data || {}
+      return `${error.response.status} ${body.error || ''} ${body.message || ''}`.trim()
+    }
+    return error.message
+  }
+
+  /**
+   * Get session pool statistics (never includes credentials or tokens)
+   */
+  getStats() {
+    const now = Date.now()
+
+    return {
+      totalAccounts: this.accounts.length,
+      activeAccounts: this.accounts.filter(account => account.session && !account.disabled).length,
+      rateLimitedAccounts: this.accounts.filter(account => account.rateLimitedUntil > now).length,
+      disabledAccounts: this.accounts.filter(account => account.disabled).length,
+      accounts: this.accounts.map(account => ({
+        id: account.id,
+        identifier: account.identifier,
+        did: account.session ? account.session.did : null,
+        disabled: account.disabled,
+        rateLimitedUntil: account.rateLimitedUntil > now ? new Date(account.rateLimitedUntil).toISOString() : null,
+        accessExpiresAt: account.session?.accessExpiresAt ? new Date(account.session.accessExpiresAt).toISOString() : null,
+        ...account.stats
+      }))
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  async cleanup() {
+    for (const account of this.accounts) {
+      account.session = null
+    }
+    this.isInitialized = false
+    this.logger.info('Session Manager cleaned up')
+  }
+}
+
+export default SessionManager
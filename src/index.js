@@ -8,6 +8,8 @@ import APIClient from './core/api_client.js'
 import ProxyManager from './core/proxy_manager.js'
 import RateLimiter from './core/rate_limiter.js'
 import CheckpointManager from './core/checkpoint_manager.js'
+import IdentityResolver from './core/identity_resolver.js'
+import SessionManager from './core/session_manager.js'
 
 // Scrapers
 import UsersScraper from './scrapers/users_scraper.js'
@@ -15,12 +17,22 @@ import PostsScraper from './scrapers/posts_scraper.js'
 import RelationshipsScraper from './scrapers/relationships_scraper.js'
 import UserInfoScraper from './scrapers/user_info_scraper.js'
 import PostInfoScraper from './scrapers/post_info_scraper.js'
+import FirehoseScraper from './scrapers/firehose_scraper.js'
+import JetstreamScraper from './scrapers/jetstream_scraper.js'
+import RepoScraper from './scrapers/repo_scraper.js'
+import SearchScraper from './scrapers/search_scraper.js'
 
 // Utilities
 import DataValidator from './utils/data_validator.js'
 import Deduplicator from './utils/deduplicator.js'
 import FileManager from './utils/file_manager.js'
 
+// Analysis
+import { analyzeGraph, computeGraphMetrics } from './analysis/graph_metrics.js'
+
+// Storage
+import { StorageBackend, SQLiteStorage, createStorage } from './storage/index.js'
+
 // Configuration
 import { ENDPOINTS, RATE_LIMITS, REQUEST_CONFIG } from './config/endpoints.js'
 import SETTINGS from './config/settings.js'
@@ -208,6 +220,8 @@ export {
   ProxyManager,
   RateLimiter,
   CheckpointManager,
+  IdentityResolver,
+  SessionManager,
 
   // Scrapers
   UsersScraper,
@@ -215,12 +229,25 @@ export {
   RelationshipsScraper,
   UserInfoScraper,
   PostInfoScraper,
+  FirehoseScraper,
+  JetstreamScraper,
+  RepoScraper,
+  SearchScraper,
 
   // Utilities
   DataValidator,
   Deduplicator,
   FileManager,
 
+  // Analysis
+  analyzeGraph,
+  computeGraphMetrics,
+
+  // Storage
+  StorageBackend,
+  SQLiteStorage,
+  createStorage,
+
   // Configuration
   ENDPOINTS,
   RATE_LIMITS,
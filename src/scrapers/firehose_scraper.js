@@ -0,0 +1,655 @@
+import WebSocket from 'ws'
+import DataValidator from '../utils/data_validator.js'
+import Deduplicator from '../utils/deduplicator.js'
+import FileManager from '../utils/file_manager.js'
+import CheckpointManager from '../core/checkpoint_manager.js'
+import { decodeFrame, readCarBlocks, getBlock } from '../utils/car_parser.js'
+import { normalizeRecord } from '../utils/record_normalizer.js'
+import { ENDPOINTS } from '../config/endpoints.js'
+import logger from '../core/logger.js'
+import settings from '../config/settings.js'
+
+/**
+ * Firehose Scraper for real-time ingestion from a relay
+ * Consumes com.atproto.sync.subscribeRepos, decodes commit frames and feeds
+ * posts, follows, likes, reposts and profiles into the storage pipeline
+ */
+class FirehoseScraper {
+    /**
+     * @param {Object} options - Scraper options
+     * @param {string} source - Stream name used for checkpoints and record metadata
+     */
+    constructor(options = {}, source = 'firehose') {
+        this.source = source;
+        this.scraperName = `${source}_scraper`;
+        this.validator = new DataValidator();
+        this.deduplicator = new Deduplicator();
+        this.fileManager = new FileManager();
+        this.checkpointManager = new CheckpointManager(this.scraperName);
+
+        this.options = {
+            relayUrl: options.relayUrl || settings.FIREHOSE.RELAY_URL,
+            collections: options.collections || settings.FIREHOSE.COLLECTIONS,
+            maxEvents: options.maxEvents || 0, // 0 = run until stopped
+            saveInterval: options.saveInterval || 1000,
+            checkpointInterval: options.checkpointInterval || settings.FIREHOSE.CHECKPOINT_EVERY_EVENTS,
+            reconnectDelay: options.reconnectDelay || settings.FIREHOSE.RECONNECT_DELAY_MS,
+            maxReconnectAttempts: options.maxReconnectAttempts ?? settings.FIREHOSE.MAX_RECONNECT_ATTEMPTS,
+            maxPendingFrames: options.maxPendingFrames || 500,
+            ...options
+        };
+
+        this.stats = {
+            eventsReceived: 0,
+            commitsProcessed: 0,
+            postsProcessed: 0,
+            followsProcessed: 0,
+            likesProcessed: 0,
+            repostsProcessed: 0,
+            profilesProcessed: 0,
+            recordsSaved: 0,
+            duplicatesSkipped: 0,
+            tooBigCommits: 0,
+            reconnects: 0,
+            errors: 0,
+            startTime: null,
+            lastSaveTime: null
+        };
+
+        this.isRunning = false;
+        this.shouldStop = false;
+        this.socket = null;
+        this.cursor = null;
+        this.reconnectAttempts = 0;
+        this.pendingFrames = 0;
+        this.processing = Promise.resolve();
+        this.sessionEvents = 0;
+        this.eventsSinceCheckpoint = 0;
+        this.handles = new Map(); // did -> handle, learned from #identity events
+        this.wantedCollections = new Set(this.options.collections);
+        this.batches = {
+            posts: [],
+            relationships: [],
+            profiles: []
+        };
+        this.pendingKeys = new Set(); // Dedup keys of buffered records, not yet marked in the deduplicator
+    }
+
+    /**
+     * Initialize the scraper
+     */
+    async initialize() {
+        try {
+            await this.deduplicator.initialize();
+            await this.fileManager.initialize();
+
+            logger.info(`${this.scraperName} initialized successfully`);
+        } catch (error) {
+            logger.error(`Failed to initialize ${this.source} scraper:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start consuming the firehose
+     * Resolves once the scraper is stopped or maxEvents is reached
+     * @param {Object} resumeOptions - Options for resuming from checkpoint
+     */
+    async start(resumeOptions = {}) {
+        if (this.isRunning) {
+            throw new Error('Scraper is already running');
+        }
+
+        this.isRunning = true;
+        this.shouldStop = false;
+        this.stats.startTime = new Date();
+
+        logger.info(`Starting ${this.source} scraper`, {
+            relayUrl: this.options.relayUrl,
+            collections: this.options.collections,
+            maxEvents: this.options.maxEvents
+        });
+
+        try {
+            if (resumeOptions.resume) {
+                const checkpoint = await this.checkpointManager.loadLatestCheckpoint();
+                if (checkpoint && checkpoint.state) {
+                    this.cursor = checkpoint.state.cursor ?? null;
+                    this.stats = { ...this.stats, ...checkpoint.state.stats, startTime: this.stats.startTime };
+                    logger.info(`Resuming ${this.source} from checkpoint`, { cursor: this.cursor });
+                }
+            }
+
+            try {
+                await new Promise((resolve, reject) => {
+                    this.onFinished = resolve;
+                    this.onFailed = reject;
+                    this.connect();
+                });
+            } finally {
+                // Drain in-flight frames, then persist everything with the final cursor,
+                // also when reconnecting gave up - the cursor has already moved past them
+                await this.processing;
+                await this.saveBatch(true);
+            }
+
+            logger.info(`${this.source} scraping completed`, this.getStats());
+
+        } catch (error) {
+            logger.error(`${this.source} scraping failed:`, error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Stop the scraper gracefully
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        logger.info(`Stopping ${this.source} scraper...`);
+        this.finish();
+
+        // Wait for current operation to complete
+        while (this.isRunning) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        logger.info(`${this.scraperName} stopped`);
+    }
+
+    /**
+     * Close the connection and resolve the running start() call
+     */
+    finish() {
+        this.shouldStop = true;
+
+        if (this.socket) {
+            this.socket.removeAllListeners('close');
+            this.socket.close();
+            this.socket = null;
+        }
+
+        if (this.onFinished) {
+            this.onFinished();
+            this.onFinished = null;
+        }
+    }
+
+    /**
+     * Build the subscribeRepos URL, including the resume cursor
+     * @returns {string} WebSocket URL
+     */
+    buildSubscribeUrl() {
+        const url = new URL(ENDPOINTS.SYNC.SUBSCRIBE_REPOS, this.options.relayUrl);
+
+        if (this.cursor !== null && this.cursor !== undefined) {
+            url.searchParams.set('cursor', String(this.cursor));
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Open the WebSocket connection and wire up handlers
+     */
+    connect() {
+        const url = this.buildSubscribeUrl();
+        logger.info(`Connecting to ${this.source}: ${url}`);
+
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        socket.on('open', () => {
+            this.reconnectAttempts = 0;
+            logger.info(`${this.source} connection established`);
+        });
+
+        socket.on('message', (data) => {
+            this.enqueueFrame(data);
+        });
+
+        socket.on('error', (error) => {
+            logger.error(`${this.source} socket error:`, error.message);
+            this.stats.errors++;
+        });
+
+        socket.on('close', (code) => {
+            this.socket = null;
+
+            if (this.shouldStop) {
+                return;
+            }
+
+            this.scheduleReconnect(code);
+        });
+    }
+
+    /**
+     * Reconnect after an unexpected close, resuming from the last cursor
+     * @param {number} code - WebSocket close code
+     */
+    scheduleReconnect(code) {
+        if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+            const error = new Error(`${this.source} connection lost (code ${code}) after ${this.reconnectAttempts} reconnect attempts`);
+            if (this.onFailed) {
+                this.onFailed(error);
+                this.onFailed = null;
+            }
+            return;
+        }
+
+        this.reconnectAttempts++;
+        this.stats.reconnects++;
+        const delay = this.options.reconnectDelay * this.reconnectAttempts;
+
+        logger.warn(`${this.source} connection closed (code ${code}), reconnecting in ${delay}ms`, {
+            attempt: this.reconnectAttempts,
+            cursor: this.cursor
+        });
+
+        setTimeout(() => {
+            if (!this.shouldStop) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Queue a frame for in-order processing, pausing the socket under backpressure
+     * @param {Buffer} data - Raw frame
+     */
+    enqueueFrame(data) {
+        this.pendingFrames++;
+
+        if (this.socket && this.pendingFrames >= this.options.maxPendingFrames) {
+            this.socket.pause();
+        }
+
+        this.processing = this.processing
+            .then(() => this.handleFrame(data))
+            .catch((error) => {
+                logger.error(`Error processing ${this.source} frame:`, error);
+                this.stats.errors++;
+            })
+            .finally(() => {
+                this.pendingFrames--;
+                if (this.socket && this.pendingFrames < this.options.maxPendingFrames / 2) {
+                    this.socket.resume();
+                }
+            });
+    }
+
+    /**
+     * Process a single frame and flush / stop when due
+     * @param {Buffer} data - Raw frame
+     */
+    async handleFrame(data) {
+        if (this.shouldStop) {
+            // Frames queued after stop are left for the next run to replay
+            return;
+        }
+
+        this.stats.eventsReceived++;
+        this.sessionEvents++;
+
+        await this.processEvent(data);
+
+        this.eventsSinceCheckpoint++;
+        await this.saveBatch();
+
+        if (this.options.maxEvents && this.sessionEvents >= this.options.maxEvents) {
+            logger.info('Reached maximum events limit');
+            this.finish();
+        }
+    }
+
+    /**
+     * Decode a subscribeRepos frame, process it and advance the cursor
+     * @param {Buffer} data - Raw frame
+     */
+    async processEvent(data) {
+        const frame = decodeFrame(data);
+
+        if (frame.isError) {
+            logger.error('Firehose error frame', frame.body);
+            this.stats.errors++;
+            return;
+        }
+
+        switch (frame.type) {
+            case '#commit':
+                await this.processCommit(frame.body);
+                break;
+            case '#identity':
+                if (frame.body.handle) {
+                    this.handles.set(frame.body.did, frame.body.handle);
+                }
+                break;
+            case '#info':
+                logger.warn('Firehose info message', frame.body);
+                break;
+            default:
+                // #account, #sync and unknown types carry no records
+                break;
+        }
+
+        if (frame.body && typeof frame.body.seq === 'number') {
+            this.cursor = frame.body.seq;
+        }
+    }
+
+    /**
+     * Extract records from a #commit event
+     * @param {Object} commit - Commit message body
+     */
+    async processCommit(commit) {
+        this.stats.commitsProcessed++;
+
+        if (commit.tooBig) {
+            // Blocks were omitted by the relay; the repo must be fetched separately
+            this.stats.tooBigCommits++;
+            return;
+        }
+
+        const ops = (commit.ops || []).filter(op =>
+            (op.action === 'create' || op.action === 'update') &&
+            this.wantedCollections.has(op.path.split('/')[0])
+        );
+
+        if (ops.length === 0) {
+            return;
+        }
+
+        const { blocks } = await readCarBlocks(commit.blocks);
+
+        for (const op of ops) {
+            const [collection, rkey] = op.path.split('/');
+            const record = getBlock(blocks, op.cid);
+
+            const normalized = normalizeRecord(collection, {
+                did: commit.repo,
+                handle: this.handles.get(commit.repo),
+                rkey,
+                cid: op.cid,
+                record,
+                indexedAt: commit.time,
+                subjectHandle: record && typeof record.subject === 'string'
+                    ? this.handles.get(record.subject)
+                    : undefined
+            });
+
+            if (!normalized) {
+                continue;
+            }
+
+            try {
+                await this.processRecord(normalized, commit);
+            } catch (error) {
+                logger.warn(`Skipping invalid ${normalized.kind} record ${op.path}:`, error.message);
+                this.stats.errors++;
+            }
+        }
+    }
+
+    /**
+     * Validate, deduplicate and buffer a normalized record
+     * @param {Object} normalized - { kind, item } from normalizeRecord
+     * @param {Object} commit - Source event ({ seq, rev })
+     */
+    async processRecord({ kind, item }, commit) {
+        const metadata = {
+            source: this.source,
+            seq: commit.seq,
+            rev: commit.rev,
+            scrapedAt: new Date().toISOString(),
+            scraper: this.scraperName,
+            version: '1.0.0'
+        };
+
+        switch (kind) {
+            case 'post': {
+                const post = this.validator.validatePost(item);
+
+                const key = `post:${post.uri}`;
+
+                if (this.pendingKeys.has(key) || await this.deduplicator.isPostDuplicate(post.uri)) {
+                    this.stats.duplicatesSkipped++;
+                    return;
+                }
+
+                this.pendingKeys.add(key);
+                this.batches.posts.push({ ...post, _metadata: metadata });
+                this.stats.postsProcessed++;
+                break;
+            }
+            case 'follow': {
+                const follow = this.validator.validateFollow(item);
+
+                const key = `follow:${item.actor.did}:${follow.subject.did}`;
+
+                if (this.pendingKeys.has(key) ||
+                    await this.deduplicator.isFollowDuplicate(item.actor.did, follow.subject.did)) {
+                    this.stats.duplicatesSkipped++;
+                    return;
+                }
+
+                this.pendingKeys.add(key);
+                this.batches.relationships.push({
+                    source: item.actor,
+                    target: {
+                        did: follow.subject.did,
+                        handle: follow.subject.handle
+                    },
+                    type: 'following',
+                    createdAt: follow.createdAt,
+                    indexedAt: follow.indexedAt,
+                    uri: follow.uri,
+                    _metadata: metadata
+                });
+                this.stats.followsProcessed++;
+                break;
+            }
+            case 'like':
+            case 'repost': {
+                if (!item.target.uri) {
+                    throw new Error(`Missing ${kind} subject`);
+                }
+
+                const key = `${kind}:${item.source.did}:${item.target.uri}`;
+
+                if (this.pendingKeys.has(key) ||
+                    await this.deduplicator.isEngagementDuplicate(kind, item.source.did, item.target.uri)) {
+                    this.stats.duplicatesSkipped++;
+                    return;
+                }
+
+                this.pendingKeys.add(key);
+                this.batches.relationships.push({ ...item, _metadata: metadata });
+                this.stats[kind === 'like' ? 'likesProcessed' : 'repostsProcessed']++;
+                break;
+            }
+            case 'profile':
+                this.batches.profiles.push({ ...item, _metadata: metadata });
+                this.stats.profilesProcessed++;
+                break;
+        }
+    }
+
+    /**
+     * Number of buffered records across all batches
+     * @returns {number} Buffered record count
+     */
+    getBufferedCount() {
+        return this.batches.posts.length +
+            this.batches.relationships.length +
+            this.batches.profiles.length;
+    }
+
+    /**
+     * Save buffered records and checkpoint the cursor
+     * The checkpoint is only written after the data it covers is on disk, so
+     * resuming from it never skips events. Records are marked in the
+     * deduplicator once saved, so a replay after a crash buffers them again
+     * @param {boolean} force - Force save even if batches are small
+     */
+    async saveBatch(force = false) {
+        const buffered = this.getBufferedCount();
+        const checkpointDue = this.eventsSinceCheckpoint >= this.options.checkpointInterval;
+
+        if (!force && buffered < this.options.saveInterval && !checkpointDue) {
+            return;
+        }
+
+        try {
+            const metadata = {
+                scraper: this.scraperName,
+                cursor: this.cursor,
+                relayUrl: this.options.relayUrl
+            };
+
+            if (this.batches.posts.length > 0) {
+                await this.fileManager.savePosts(this.batches.posts, metadata);
+            }
+
+            if (this.batches.relationships.length > 0) {
+                await this.fileManager.saveRelationships(this.batches.relationships, metadata);
+            }
+
+            if (this.batches.profiles.length > 0) {
+                await this.fileManager.saveUsers(this.batches.profiles, metadata);
+            }
+
+            await this.markSaved();
+
+            this.stats.recordsSaved += buffered;
+            this.stats.lastSaveTime = new Date();
+            this.batches = { posts: [], relationships: [], profiles: [] };
+            this.pendingKeys.clear();
+
+            if (buffered > 0) {
+                logger.info(`Saved ${buffered} ${this.source} records (cursor ${this.cursor})`);
+            }
+
+            await this.saveCheckpoint();
+
+        } catch (error) {
+            logger.error(`Error saving ${this.source} batch:`, error);
+            this.stats.errors++;
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the buffered posts, follows and engagements in the deduplicator
+     */
+    async markSaved() {
+        for (const post of this.batches.posts) {
+            await this.deduplicator.markPostProcessed(post.uri, {
+                authorDid: post.author.did,
+                source: this.source,
+                scrapedAt: post._metadata.scrapedAt
+            });
+        }
+
+        for (const record of this.batches.relationships) {
+            if (record.type === 'following') {
+                await this.deduplicator.markFollowProcessed(record.source.did, record.target.did, {
+                    type: 'following',
+                    source: this.source,
+                    scrapedAt: record._metadata.scrapedAt
+                });
+            } else {
+                await this.deduplicator.markEngagementProcessed(record.type, record.source.did, record.target.uri, {
+                    source: this.source,
+                    scrapedAt: record._metadata.scrapedAt
+                });
+            }
+        }
+    }
+
+    /**
+     * Save checkpoint with the current sequence number
+     */
+    async saveCheckpoint() {
+        if (this.cursor === null) {
+            return;
+        }
+
+        try {
+            await this.checkpointManager.createCheckpoint({
+                cursor: this.cursor,
+                relayUrl: this.options.relayUrl,
+                stats: this.stats
+            }, {
+                scraper: this.scraperName
+            });
+
+            this.eventsSinceCheckpoint = 0;
+            logger.debug('Checkpoint saved', { cursor: this.cursor });
+
+        } catch (error) {
+            logger.error('Error saving checkpoint:', error);
+        }
+    }
+
+    /**
+     * Get scraper statistics
+     * @returns {Object} Current statistics
+     */
+    getStats() {
+        const now = new Date();
+        const runtime = this.stats.startTime ? now - this.stats.startTime : 0;
+        const runtimeSeconds = runtime / 1000;
+
+        return {
+            ...this.stats,
+            runtime: runtime,
+            runtimeFormatted: this.formatDuration(runtime),
+            eventsPerSecond: runtimeSeconds > 0 ? Math.round(this.stats.eventsReceived / runtimeSeconds) : 0,
+            cursor: this.cursor,
+            bufferedRecords: this.getBufferedCount(),
+            pendingFrames: this.pendingFrames,
+            deduplicationStats: this.deduplicator.getStats(),
+            isRunning: this.isRunning
+        };
+    }
+
+    /**
+     * Format duration in human readable format
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) {
+            return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+        } else if (minutes > 0) {
+            return `${minutes}m ${seconds % 60}s`;
+        } else {
+            return `${seconds}s`;
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    async cleanup() {
+        try {
+            await this.saveBatch(true);
+            await this.deduplicator.close();
+            logger.info(`${this.scraperName} cleanup completed`);
+        } catch (error) {
+            logger.error('Error during cleanup:', error);
+        }
+    }
+}
+
+export default FirehoseScraper;
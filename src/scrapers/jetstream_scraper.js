@@ -0,0 +1,118 @@
+import FirehoseScraper from './firehose_scraper.js';
+import { normalizeRecord } from '../utils/record_normalizer.js';
+import logger from '../core/logger.js';
+import settings from '../config/settings.js';
+
+/**
+ * Jetstream Scraper for lightweight real-time ingestion
+ * Consumes the Jetstream JSON firehose, which filters by collection and DID
+ * server-side, and feeds records into the same pipeline as FirehoseScraper
+ */
+class JetstreamScraper extends FirehoseScraper {
+    constructor(options = {}) {
+        super({
+            relayUrl: options.url || settings.JETSTREAM.URL,
+            collections: options.wantedCollections || settings.JETSTREAM.WANTED_COLLECTIONS,
+            wantedDids: options.wantedDids || settings.JETSTREAM.WANTED_DIDS,
+            ...options
+        }, 'jetstream');
+
+        this.wantedDids = new Set(this.options.wantedDids);
+    }
+
+    /**
+     * Build the Jetstream subscribe URL with filters and the time_us cursor
+     * @returns {string} WebSocket URL
+     */
+    buildSubscribeUrl() {
+        const url = new URL('/subscribe', this.options.relayUrl);
+
+        for (const collection of this.options.collections) {
+            url.searchParams.append('wantedCollections', collection);
+        }
+
+        for (const did of this.options.wantedDids) {
+            url.searchParams.append('wantedDids', did);
+        }
+
+        if (this.cursor !== null && this.cursor !== undefined) {
+            url.searchParams.set('cursor', String(this.cursor));
+        }
+
+        return url.toString();
+    }
+
+    /**
+     * Parse a Jetstream JSON event, process it and advance the cursor
+     * @param {Buffer|string} data - Raw message
+     */
+    async processEvent(data) {
+        const event = JSON.parse(data.toString());
+
+        switch (event.kind) {
+            case 'commit':
+                await this.processJetstreamCommit(event);
+                break;
+            case 'identity':
+                if (event.identity && event.identity.handle) {
+                    this.handles.set(event.did, event.identity.handle);
+                }
+                break;
+            default:
+                // account events carry no records
+                break;
+        }
+
+        if (typeof event.time_us === 'number') {
+            this.cursor = event.time_us;
+        }
+    }
+
+    /**
+     * Normalize and process the record carried by a commit event
+     * @param {Object} event - Jetstream commit event
+     */
+    async processJetstreamCommit(event) {
+        const { commit } = event;
+        this.stats.commitsProcessed++;
+
+        if (!commit || (commit.operation !== 'create' && commit.operation !== 'update')) {
+            return;
+        }
+
+        // Jetstream filters server-side; re-check in case the server ignored a filter
+        if (!this.wantedCollections.has(commit.collection)) {
+            return;
+        }
+
+        if (this.wantedDids.size > 0 && !this.wantedDids.has(event.did)) {
+            return;
+        }
+
+        const record = commit.record;
+        const normalized = normalizeRecord(commit.collection, {
+            did: event.did,
+            handle: this.handles.get(event.did),
+            rkey: commit.rkey,
+            cid: commit.cid,
+            record,
+            indexedAt: new Date(Math.floor(event.time_us / 1000)).toISOString(),
+            subjectHandle: record && typeof record.subject === 'string'
+                ? this.handles.get(record.subject)
+                : undefined
+        });
+
+        if (!normalized) {
+            return;
+        }
+
+        try {
+            await this.processRecord(normalized, { seq: event.time_us, rev: commit.rev });
+        } catch (error) {
+            logger.warn(`Skipping invalid ${normalized.kind} record ${commit.collection}/${commit.rkey}:`, error.message);
+            this.stats.errors++;
+        }
+    }
+}
+
+export default JetstreamScraper;
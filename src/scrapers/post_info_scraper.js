@@ -1,7 +1,27 @@
+import path from 'path'
+
 import ApiClient from '../core/api_client.js'
 import DataValidator from '../utils/data_validator.js'
+import Deduplicator from '../utils/deduplicator.js'
 import FileManager from '../utils/file_manager.js'
 import logger from '../core/logger.js'
+import { ENDPOINTS } from '../config/endpoints.js'
+
+// app.bsky.feed.getPostThread node types
+const THREAD_NODE = {
+    POST: 'app.bsky.feed.defs#threadViewPost',
+    NOT_FOUND: 'app.bsky.feed.defs#notFoundPost',
+    BLOCKED: 'app.bsky.feed.defs#blockedPost'
+};
+
+// Embed $type (record or #view) -> embed type
+const EMBED_TYPES = {
+    'app.bsky.embed.images': 'images',
+    'app.bsky.embed.video': 'video',
+    'app.bsky.embed.external': 'external',
+    'app.bsky.embed.record': 'record',
+    'app.bsky.embed.recordWithMedia': 'recordWithMedia'
+};
 
 /**
  * Post Info Scraper for extracting detailed information about individual posts
@@ -12,21 +32,35 @@ class PostInfoScraper {
         this.apiClient = new ApiClient();
         this.validator = new DataValidator();
         this.fileManager = new FileManager();
+        this.deduplicator = new Deduplicator();
         
         this.options = {
             includeThread: options.includeThread || false,
             includeReplies: options.includeReplies || false,
-            includeLikes: options.includeLikes || false,
-            includeReposts: options.includeReposts || false,
-            maxReplies: options.maxReplies || 50,
-            maxLikes: options.maxLikes || 100,
-            maxReposts: options.maxReposts || 100,
+            maxReplies: options.maxReplies || 50, // Replies kept per reconstructed thread
+            maxThreadDepth: options.maxThreadDepth || 10,
+            threadFetchDepth: options.threadFetchDepth || 6, // Reply levels requested per getPostThread call
+            maxLikes: options.maxLikes ?? 100, // 0 = every like
+            maxReposts: options.maxReposts ?? 100, // 0 = every repost
+            includeQuotes: options.includeQuotes || false,
+            maxQuotes: options.maxQuotes || 100, // Quotes fetched per post
+            maxQuoteDepth: options.maxQuoteDepth || 1, // Levels of quotes of quotes
+            maxCascadeSize: options.maxCascadeSize || 1000,
             saveToFile: options.saveToFile || true,
-            ...options
+            ...options,
+            // includeEngagement turns on both likes and reposts
+            includeLikes: options.includeLikes || options.includeEngagement || false,
+            includeReposts: options.includeReposts || options.includeEngagement || false
         };
         
         this.stats = {
             postsScraped: 0,
+            threadRequests: 0,
+            quoteRequests: 0,
+            likesCollected: 0,
+            repostsCollected: 0,
+            engagementsSaved: 0,
+            engagementDuplicates: 0,
             errors: 0,
             startTime: null
         };
@@ -41,6 +75,10 @@ class PostInfoScraper {
             if (this.options.saveToFile) {
                 await this.fileManager.initialize();
             }
+            // Only engagement edges are deduplicated, so Redis is not needed otherwise
+            if (this.options.saveToFile && this.collectsEngagement()) {
+                await this.deduplicator.initialize();
+            }
             
             logger.info('Post info scraper initialized successfully');
         } catch (error) {
@@ -82,12 +120,21 @@ class PostInfoScraper {
             logger.info(`Scraping post info for AT URI: ${atUri}`);
             
             // Get post thread (includes the post and context)
-            const threadResponse = await this.apiClient.getPostThread(atUri);
+            const wantsReplies = this.options.includeThread || this.options.includeReplies;
+            const threadResponse = await this.apiClient.getPostThread(atUri, wantsReplies
+                ? { depth: Math.min(this.options.maxThreadDepth, this.options.threadFetchDepth) }
+                : {});
+            this.stats.threadRequests++;
             
             if (!threadResponse || !threadResponse.thread) {
                 throw new Error(`Post not found: ${atUri}`);
             }
             
+            const status = this.getThreadNodeStatus(threadResponse.thread);
+            if (status !== 'post') {
+                throw new Error(`Post ${status === 'blocked' ? 'is blocked' : 'not found'}: ${atUri}`);
+            }
+            
             const post = threadResponse.thread.post;
             if (!post) {
                 throw new Error(`Invalid post data for: ${atUri}`);
@@ -113,6 +160,12 @@ class PostInfoScraper {
             // Save to file if enabled
             if (this.options.saveToFile) {
                 await this.savePostData(enrichedPost);
+                if (enrichedPost.quoteCascade) {
+                    await this.saveQuoteCascade(enrichedPost.quoteCascade);
+                }
+                if (enrichedPost.likes || enrichedPost.reposts) {
+                    await this.saveEngagementEdges(enrichedPost);
+                }
             }
             
             logger.info(`Successfully scraped post: ${enrichedPost.uri}`);
@@ -248,14 +301,22 @@ class PostInfoScraper {
         const enrichedPost = { ...post };
         
         try {
+            // Reconstruct the reply tree once for both the thread and the replies
+            const reconstructed = (this.options.includeThread || this.options.includeReplies)
+                ? await this.reconstructThread(post.uri, thread)
+                : null;
+            
             // Add thread context if requested
             if (this.options.includeThread && thread) {
-                enrichedPost.thread = this.extractThreadContext(thread);
+                enrichedPost.thread = {
+                    ...this.extractThreadContext(thread),
+                    ...reconstructed
+                };
             }
             
             // Add replies if requested
             if (this.options.includeReplies) {
-                enrichedPost.replies = await this.getPostReplies(post.uri);
+                enrichedPost.replies = reconstructed.posts.filter(item => item.depth > 0);
             }
             
             // Add likes if requested
@@ -268,6 +329,13 @@ class PostInfoScraper {
                 enrichedPost.reposts = await this.getPostReposts(post.uri);
             }
             
+            // Add quotes and the quote cascade if requested
+            if (this.options.includeQuotes) {
+                const { posts, ...cascade } = await this.buildQuoteCascade(post.uri, post);
+                enrichedPost.quotes = posts.filter(item => item.depth === 1);
+                enrichedPost.quoteCascade = cascade;
+            }
+            
             // Add computed metrics
             enrichedPost.metrics = this.computePostMetrics(enrichedPost);
             
@@ -303,10 +371,21 @@ class PostInfoScraper {
             };
         }
         
+        // Ancestors from the thread root down to the immediate parent
+        const ancestors = [];
+        for (let node = thread.parent; node; node = node.parent) {
+            ancestors.unshift(node);
+        }
+        context.ancestors = ancestors.map((node, index) => ({
+            ...this.summarizeThreadNode(node),
+            depth: index - ancestors.length
+        }));
+        
         // Add immediate replies info
         if (thread.replies && thread.replies.length > 0) {
             context.immediateReplies = thread.replies.map(reply => ({
-                uri: reply.post?.uri,
+                uri: this.getThreadNodeUri(reply),
+                status: this.getThreadNodeStatus(reply),
                 author: reply.post?.author,
                 text: reply.post?.record?.text,
                 createdAt: reply.post?.record?.createdAt,
@@ -321,14 +400,13 @@ class PostInfoScraper {
     /**
      * Get post replies
      * @param {string} postUri - Post AT URI
-     * @returns {Array} Array of reply objects
+     * @param {Object} thread - Thread view already fetched for the post (optional)
+     * @returns {Array} Flat list of replies with depth, rootUri and parentUri
      */
-    async getPostReplies(postUri) {
+    async getPostReplies(postUri, thread = null) {
         try {
-            // Note: This would require implementing a method to get replies
-            // For now, return empty array as AT Protocol doesn't have a direct replies endpoint
-            logger.debug(`Getting replies for ${postUri} - not implemented yet`);
-            return [];
+            const { posts } = await this.reconstructThread(postUri, thread);
+            return posts.filter(item => item.depth > 0);
             
         } catch (error) {
             logger.warn(`Error getting replies for ${postUri}:`, error.message);
@@ -337,43 +415,489 @@ class PostInfoScraper {
     }
 
     /**
-     * Get post likes
+     * Rebuild the reply tree below a post from getPostThread
+     * Replies are collected breadth-first up to maxThreadDepth levels and
+     * maxReplies nodes. Branches cut off by the depth of a response (a post
+     * with a replyCount but no replies array) are fetched with follow-up
+     * getPostThread calls. Deleted and blocked replies are kept as
+     * 'notFound' / 'blocked' leaves.
      * @param {string} postUri - Post AT URI
-     * @returns {Array} Array of like objects
+     * @param {Object} thread - Thread view already fetched for the post (optional)
+     * @returns {Object} { rootUri, tree, posts, stats: { replies, followUpRequests, truncated } }
+     */
+    async reconstructThread(postUri, thread = null) {
+        const view = thread || await this.fetchThreadView(postUri, this.options.maxThreadDepth);
+        if (!view || this.getThreadNodeStatus(view) !== 'post') {
+            throw new Error(`Post not found or blocked: ${postUri}`);
+        }
+        
+        const rootUri = view.post.record?.reply?.root?.uri || view.post.uri;
+        const tree = this.createThreadNode(view, 0, view.post.record?.reply?.parent?.uri || null, rootUri);
+        const stats = { replies: 0, followUpRequests: 0, truncated: false };
+        const queue = [{ node: tree, view }];
+        
+        while (queue.length > 0) {
+            const { node, view: nodeView } = queue.shift();
+            if (node.status !== 'post' || node.depth >= this.options.maxThreadDepth) {
+                continue;
+            }
+            
+            let replies = nodeView.replies;
+            if (!Array.isArray(replies) && (nodeView.post.replyCount || 0) > 0 &&
+                stats.replies < this.options.maxReplies) {
+                // The response ran out of depth here; fetch the branch on its own
+                const branch = await this.fetchThreadView(node.uri, this.options.maxThreadDepth - node.depth);
+                stats.followUpRequests++;
+                replies = branch && this.getThreadNodeStatus(branch) === 'post' ? branch.replies : [];
+            }
+            
+            for (const reply of replies || []) {
+                if (stats.replies >= this.options.maxReplies) {
+                    stats.truncated = true;
+                    break;
+                }
+                
+                const child = this.createThreadNode(reply, node.depth + 1, node.uri, rootUri);
+                node.replies.push(child);
+                stats.replies++;
+                queue.push({ node: child, view: reply });
+            }
+        }
+        
+        return { rootUri, tree, posts: this.flattenThread(tree), stats };
+    }
+
+    /**
+     * Fetch a post and up to `depth` levels of replies, without parents
+     * @param {string} postUri - Post AT URI
+     * @param {number} depth - Reply levels wanted
+     * @returns {Object|null} Thread view
+     */
+    async fetchThreadView(postUri, depth) {
+        const response = await this.apiClient.getPostThread(postUri, {
+            depth: Math.min(depth, this.options.threadFetchDepth),
+            parentHeight: 0
+        });
+        this.stats.threadRequests++;
+        
+        return response?.thread || null;
+    }
+
+    /**
+     * Create a tree node for a thread view
+     * @param {Object} view - threadViewPost, notFoundPost or blockedPost
+     * @param {number} depth - Levels below the requested post
+     * @param {string} parentUri - URI of the parent post
+     * @param {string} rootUri - URI of the thread root
+     * @returns {Object} { uri, status, depth, rootUri, parentUri, post?, author?, replies }
+     */
+    createThreadNode(view, depth, parentUri, rootUri) {
+        const status = this.getThreadNodeStatus(view);
+        const node = {
+            uri: this.getThreadNodeUri(view),
+            status,
+            depth,
+            rootUri,
+            parentUri
+        };
+        
+        if (status === 'post') {
+            node.post = view.post;
+        } else if (status === 'blocked' && view.author) {
+            node.author = { did: view.author.did };
+        }
+        node.replies = [];
+        
+        return node;
+    }
+
+    /**
+     * Flatten a reconstructed tree in thread order (depth-first)
+     * @param {Object} tree - Root node from reconstructThread
+     * @returns {Array} Summaries with depth, rootUri and parentUri
+     */
+    flattenThread(tree) {
+        const posts = [];
+        const stack = [tree];
+        
+        while (stack.length > 0) {
+            const node = stack.pop();
+            posts.push({
+                ...this.summarizeThreadNode(node),
+                depth: node.depth,
+                rootUri: node.rootUri,
+                parentUri: node.parentUri
+            });
+            
+            for (let i = node.replies.length - 1; i >= 0; i--) {
+                stack.push(node.replies[i]);
+            }
+        }
+        
+        return posts;
+    }
+
+    /**
+     * Summarize a thread view or tree node
+     * @param {Object} node - Thread view or tree node
+     * @returns {Object} { uri, status, author, text, createdAt, counts }
+     */
+    summarizeThreadNode(node) {
+        const status = node.status || this.getThreadNodeStatus(node);
+        if (status !== 'post') {
+            return {
+                uri: this.getThreadNodeUri(node),
+                status,
+                author: node.author ? { did: node.author.did } : null
+            };
+        }
+        
+        return {
+            uri: node.post.uri,
+            cid: node.post.cid,
+            status,
+            author: {
+                did: node.post.author?.did,
+                handle: node.post.author?.handle,
+                displayName: node.post.author?.displayName
+            },
+            text: node.post.record?.text,
+            createdAt: node.post.record?.createdAt,
+            likeCount: node.post.likeCount || 0,
+            repostCount: node.post.repostCount || 0,
+            replyCount: node.post.replyCount || 0,
+            quoteCount: node.post.quoteCount || 0
+        };
+    }
+
+    /**
+     * Classify a getPostThread node
+     * @param {Object} node - Thread view
+     * @returns {string} 'post', 'notFound' or 'blocked'
+     */
+    getThreadNodeStatus(node) {
+        if (node.$type === THREAD_NODE.BLOCKED || node.blocked) {
+            return 'blocked';
+        }
+        if (node.$type === THREAD_NODE.NOT_FOUND || node.notFound || !node.post) {
+            return 'notFound';
+        }
+        return 'post';
+    }
+
+    /**
+     * @param {Object} node - Thread view
+     * @returns {string|null} AT URI of the node's post
+     */
+    getThreadNodeUri(node) {
+        return node.post?.uri || node.uri || null;
+    }
+
+    /**
+     * Get every like of a post, following getLikes cursors
+     * @param {string} postUri - Post AT URI
+     * @returns {Array} Likes ({ actor, createdAt, indexedAt }), at most maxLikes
      */
     async getPostLikes(postUri) {
+        const likes = [];
+        
         try {
-            const response = await this.apiClient.getLikes(postUri, {
-                limit: this.options.maxLikes
+            const pages = this.apiClient.paginate(ENDPOINTS.FEED.GET_LIKES, { uri: postUri, limit: 100 }, {
+                maxItems: this.options.maxLikes
             });
-            
-            return response.likes || [];
+            for await (const { items } of pages) {
+                likes.push(...items);
+            }
             
         } catch (error) {
             logger.warn(`Error getting likes for ${postUri}:`, error.message);
-            return [];
         }
+        
+        this.stats.likesCollected += likes.length;
+        return likes;
     }
 
     /**
-     * Get post reposts
+     * Get every account that reposted a post, following getRepostedBy cursors
      * @param {string} postUri - Post AT URI
-     * @returns {Array} Array of repost objects
+     * @returns {Array} Reposting profiles, at most maxReposts
      */
     async getPostReposts(postUri) {
+        const reposts = [];
+        
         try {
-            const response = await this.apiClient.getRepostedBy(postUri, {
-                limit: this.options.maxReposts
+            const pages = this.apiClient.paginate(ENDPOINTS.FEED.GET_REPOSTS, { uri: postUri, limit: 100 }, {
+                maxItems: this.options.maxReposts
             });
-            
-            return response.repostedBy || [];
+            for await (const { items } of pages) {
+                reposts.push(...items);
+            }
             
         } catch (error) {
             logger.warn(`Error getting reposts for ${postUri}:`, error.message);
-            return [];
+        }
+        
+        this.stats.repostsCollected += reposts.length;
+        return reposts;
+    }
+
+    /**
+     * Build like and repost relationship records (account -> post) for a
+     * scraped post. getRepostedBy has no repost timestamps, so reposts only
+     * carry the time they were collected.
+     * @param {Object} post - Enriched post with likes and/or reposts
+     * @returns {Array} Relationship records of type 'like' and 'repost'
+     */
+    buildEngagementEdges(post) {
+        const collectedAt = new Date().toISOString();
+        const target = {
+            uri: post.uri,
+            cid: post.cid,
+            did: post.author?.did,
+            handle: post.author?.handle
+        };
+        const actorOf = profile => ({
+            did: profile.did,
+            handle: profile.handle,
+            displayName: profile.displayName
+        });
+        
+        const likes = (post.likes || []).filter(like => like.actor?.did).map(like => ({
+            source: actorOf(like.actor),
+            target,
+            type: 'like',
+            createdAt: like.createdAt || null,
+            indexedAt: like.indexedAt || collectedAt
+        }));
+        const reposts = (post.reposts || []).filter(profile => profile?.did).map(profile => ({
+            source: actorOf(profile),
+            target,
+            type: 'repost',
+            createdAt: null,
+            indexedAt: collectedAt
+        }));
+        
+        return [...likes, ...reposts];
+    }
+
+    /**
+     * Store a post's likes and reposts as edges in the relationships store,
+     * skipping edges already saved by an earlier run
+     * @param {Object} post - Enriched post with likes and/or reposts
+     * @returns {number} Number of new edges saved
+     */
+    async saveEngagementEdges(post) {
+        try {
+            const edges = [];
+            for (const edge of this.buildEngagementEdges(post)) {
+                if (await this.deduplicator.isEngagementDuplicate(edge.type, edge.source.did, edge.target.uri)) {
+                    this.stats.engagementDuplicates++;
+                    continue;
+                }
+                edges.push(edge);
+            }
+            
+            if (edges.length === 0) {
+                return 0;
+            }
+            
+            await this.fileManager.saveRelationships(edges, {
+                scraper: 'post_info_scraper',
+                type: 'engagements',
+                postUri: post.uri
+            });
+            for (const edge of edges) {
+                await this.deduplicator.markEngagementProcessed(edge.type, edge.source.did, edge.target.uri);
+            }
+            
+            this.stats.engagementsSaved += edges.length;
+            return edges.length;
+            
+        } catch (error) {
+            logger.error(`Error saving engagement edges for ${post.uri}:`, error);
+            return 0;
         }
     }
 
+    /**
+     * Get every post quoting a post, following getQuotes cursors
+     * @param {string} postUri - Post AT URI
+     * @param {Object} options - { maxItems } (defaults to maxQuotes)
+     * @returns {Array} Quoting post views
+     */
+    async getPostQuotes(postUri, options = {}) {
+        const quotes = [];
+        
+        try {
+            const pages = this.apiClient.paginate(ENDPOINTS.FEED.GET_QUOTES, { uri: postUri, limit: 100 }, {
+                maxItems: options.maxItems || this.options.maxQuotes
+            });
+            for await (const { items } of pages) {
+                quotes.push(...items);
+                this.stats.quoteRequests++;
+            }
+            
+        } catch (error) {
+            logger.warn(`Error getting quotes for ${postUri}:`, error.message);
+        }
+        
+        return quotes;
+    }
+
+    /**
+     * Build the quote cascade of a post: its quotes, their quotes and so on
+     * Levels are walked breadth-first up to maxQuoteDepth, with at most
+     * maxQuotes quotes per post and maxCascadeSize quotes overall. Posts with
+     * a quoteCount of 0 are not queried.
+     * @param {string} postUri - Post AT URI
+     * @param {Object} post - Post view already fetched (optional)
+     * @returns {Object} { rootUri, tree, posts, stats }
+     */
+    async buildQuoteCascade(postUri, post = null) {
+        const rootPost = post || (await this.fetchThreadView(postUri, 0))?.post;
+        if (!rootPost) {
+            throw new Error(`Post not found or blocked: ${postUri}`);
+        }
+        
+        const tree = this.createQuoteNode(rootPost, 0, null, rootPost.uri);
+        const stats = { quotes: 0, maxDepth: 0, maxBreadth: 0, structuralVirality: 0, truncated: false };
+        const visited = new Set([rootPost.uri]);
+        const breadth = new Map();
+        const queue = [tree];
+        
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (node.depth >= this.options.maxQuoteDepth || node.quoteCount === 0) {
+                continue;
+            }
+            if (stats.quotes >= this.options.maxCascadeSize) {
+                stats.truncated = true;
+                break;
+            }
+            
+            const quotes = await this.getPostQuotes(node.uri);
+            if (quotes.length < node.quoteCount && quotes.length === this.options.maxQuotes) {
+                stats.truncated = true;
+            }
+            
+            for (const quote of quotes) {
+                if (visited.has(quote.uri)) {
+                    continue;
+                }
+                if (stats.quotes >= this.options.maxCascadeSize) {
+                    stats.truncated = true;
+                    break;
+                }
+                
+                visited.add(quote.uri);
+                const child = this.createQuoteNode(quote, node.depth + 1, node.uri, tree.uri);
+                node.quotes.push(child);
+                queue.push(child);
+                
+                stats.quotes++;
+                stats.maxDepth = Math.max(stats.maxDepth, child.depth);
+                breadth.set(child.depth, (breadth.get(child.depth) || 0) + 1);
+            }
+        }
+        
+        stats.maxBreadth = Math.max(0, ...breadth.values());
+        stats.structuralVirality = this.computeStructuralVirality(tree);
+        
+        const posts = [];
+        const stack = [tree];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const { quotes, ...summary } = node;
+            posts.push(summary);
+            for (let i = quotes.length - 1; i >= 0; i--) {
+                stack.push(quotes[i]);
+            }
+        }
+        
+        return { rootUri: tree.uri, tree, posts, stats };
+    }
+
+    /**
+     * Create a cascade node for a post view
+     * @param {Object} post - Post view
+     * @param {number} depth - Quote levels below the cascade root
+     * @param {string} parentUri - URI of the quoted post
+     * @param {string} rootUri - URI of the cascade root
+     * @returns {Object} Post summary with embedType, depth, rootUri, parentUri and quotes
+     */
+    createQuoteNode(post, depth, parentUri, rootUri) {
+        return {
+            ...this.summarizeThreadNode({ status: 'post', post }),
+            embedType: this.classifyEmbed(post.record?.embed).type,
+            depth,
+            rootUri,
+            parentUri,
+            quotes: []
+        };
+    }
+
+    /**
+     * Structural virality (Goel et al.): the mean distance between all pairs
+     * of posts in the cascade. 0 for a lone post, close to 2 for a broadcast
+     * and growing with long person-to-person chains.
+     * @param {Object} tree - Root node from buildQuoteCascade
+     * @returns {number} Mean pairwise distance
+     */
+    computeStructuralVirality(tree) {
+        // Post-order subtree sizes; each edge lies on size * (n - size) paths
+        const order = [];
+        const stack = [tree];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            order.push(node);
+            stack.push(...node.quotes);
+        }
+        
+        const n = order.length;
+        if (n < 2) {
+            return 0;
+        }
+        
+        const sizes = new Map();
+        let pathLengths = 0;
+        for (let i = order.length - 1; i >= 0; i--) {
+            const node = order[i];
+            const size = 1 + node.quotes.reduce((sum, child) => sum + sizes.get(child), 0);
+            sizes.set(node, size);
+            if (node !== tree) {
+                pathLengths += size * (n - size);
+            }
+        }
+        
+        return pathLengths / (n * (n - 1) / 2);
+    }
+
+    /**
+     * Save a quote cascade as a tree for virality analysis
+     * @param {Object} cascade - Result of buildQuoteCascade
+     * @returns {string} File path
+     */
+    async saveQuoteCascade(cascade) {
+        const timestamp = new Date().toISOString();
+        const postId = cascade.rootUri.split('/').pop();
+        const filePath = path.join(this.fileManager.baseDir, 'analysis',
+            `quote_cascade_${postId}_${timestamp.replace(/[:.]/g, '-')}.json`);
+        
+        await this.fileManager.writeJsonFile(filePath, {
+            metadata: {
+                type: 'quote_cascade',
+                rootUri: cascade.rootUri,
+                maxQuoteDepth: this.options.maxQuoteDepth,
+                stats: cascade.stats,
+                timestamp
+            },
+            tree: cascade.tree
+        });
+        
+        logger.info(`Saved quote cascade of ${cascade.stats.quotes} quotes to ${filePath}`);
+        return filePath;
+    }
+
     /**
      * Compute post metrics
      * @param {Object} post - Post object
@@ -435,6 +959,10 @@ class PostInfoScraper {
             hasMentions: false,
             hasEmojis: false,
             hasMedia: false,
+            embedType: 'none',
+            mediaType: null,
+            isQuote: false,
+            quotedUri: null,
             language: 'unknown',
             sentiment: 'neutral',
             topics: []
@@ -454,6 +982,13 @@ class PostInfoScraper {
             // Check for media
             analysis.hasMedia = !!(post.record?.embed);
             
+            // Classify the embed; record and recordWithMedia embeds quote another record
+            const embed = this.classifyEmbed(post.record?.embed || post.embed);
+            analysis.embedType = embed.type;
+            analysis.mediaType = embed.mediaType;
+            analysis.isQuote = embed.isQuote;
+            analysis.quotedUri = embed.quotedUri;
+            
             // Language detection (basic)
             analysis.language = post.record?.langs?.[0] || 'unknown';
             
@@ -484,6 +1019,34 @@ class PostInfoScraper {
         return analysis;
     }
 
+    /**
+     * Classify a post embed, from the record or its #view
+     * @param {Object} embed - Embed object
+     * @returns {Object} { type, mediaType, isQuote, quotedUri }
+     */
+    classifyEmbed(embed) {
+        if (!embed) {
+            return { type: 'none', mediaType: null, isQuote: false, quotedUri: null };
+        }
+        
+        const type = EMBED_TYPES[embed.$type?.replace(/#view$/, '')] || 'unknown';
+        const result = { type, mediaType: null, isQuote: false, quotedUri: null };
+        
+        if (type === 'record' || type === 'recordWithMedia') {
+            // recordWithMedia nests an app.bsky.embed.record next to its media
+            const quoted = type === 'record' ? embed.record : embed.record?.record;
+            result.quotedUri = quoted?.uri || null;
+            result.isQuote = !!result.quotedUri?.includes('/app.bsky.feed.post/');
+        }
+        if (type === 'recordWithMedia') {
+            result.mediaType = this.classifyEmbed(embed.media).type;
+        } else if (['images', 'video', 'external'].includes(type)) {
+            result.mediaType = type;
+        }
+        
+        return result;
+    }
+
     /**
      * Extract AT URI from Bluesky post URL
      * @param {string} url - Bluesky post URL
@@ -595,6 +1158,27 @@ class PostInfoScraper {
         };
     }
 
+    /**
+     * @returns {boolean} True when likes or reposts are collected
+     */
+    collectsEngagement() {
+        return !!(this.options.includeLikes || this.options.includeReposts);
+    }
+
+    /**
+     * Close the deduplicator and storage
+     */
+    async cleanup() {
+        try {
+            await this.deduplicator.close();
+            await this.fileManager.close();
+            await this.apiClient.cleanup();
+            logger.info('Post info scraper cleanup completed');
+        } catch (error) {
+            logger.error('Error during cleanup:', error);
+        }
+    }
+
     /**
      * Get scraper statistics
      * @returns {Object} Current statistics
@@ -5,6 +5,53 @@ import FileManager from '../utils/file_manager.js'
 import CheckpointManager from '../core/checkpoint_manager.js'
 import logger from '../core/logger.js'
 import settings from '../config/settings.js'
+import { ENDPOINTS } from '../config/endpoints.js'
+
+// getAuthorFeed filter values
+const FEED_FILTERS = [
+    'posts_with_replies',
+    'posts_no_replies',
+    'posts_with_media',
+    'posts_with_video',
+    'posts_and_author_threads'
+];
+
+const REASON_REPOST = 'app.bsky.feed.defs#reasonRepost';
+const QUOTE_EMBEDS = ['app.bsky.embed.record', 'app.bsky.embed.recordWithMedia'];
+const MEDIA_EMBEDS = {
+    'app.bsky.embed.images': 'images',
+    'app.bsky.embed.video': 'video'
+};
+
+/**
+ * Pick the author feed filter from the legacy includeMedia / includeReplies flags
+ * @param {Object} options - Scraper options
+ * @returns {string} getAuthorFeed filter
+ */
+function resolveFeedFilter(options) {
+    if (options.feedFilter) {
+        return options.feedFilter;
+    }
+    if (options.includeMedia) {
+        return 'posts_with_media';
+    }
+    return options.includeReplies ? 'posts_and_author_threads' : 'posts_no_replies';
+}
+
+/**
+ * Map post URIs to the feed reason they came with (reposts)
+ * @param {Array} items - Feed view items ({ post, reply, reason })
+ * @returns {Map} URI -> reason
+ */
+function collectFeedReasons(items) {
+    const reasons = new Map();
+    for (const item of items) {
+        if (item.post && item.reason && !reasons.has(item.post.uri)) {
+            reasons.set(item.post.uri, item.reason);
+        }
+    }
+    return reasons;
+}
 
 /**
  * Posts Scraper for extracting posts from discovered users
@@ -25,11 +72,21 @@ class PostsScraper {
             saveInterval: options.saveInterval || 500,
             checkpointInterval: options.checkpointInterval || 2500,
             includeReplies: options.includeReplies || false,
-            includeReposts: options.includeReposts || true,
+            includeReposts: options.includeReposts ?? true,
+            includeQuotes: options.includeQuotes ?? true,
+            filterLanguages: null, // Language codes matched against record.langs
             minPostLength: options.minPostLength || 1,
             maxPostAge: options.maxPostAge || 30, // days
+            minFollowerCount: options.minFollowerCount || 1, // Storage queue; stub actors have no count
             ...options
         };
+        this.options.feedFilter = resolveFeedFilter(this.options);
+        if (!FEED_FILTERS.includes(this.options.feedFilter)) {
+            throw new Error(`Unknown author feed filter: ${this.options.feedFilter}`);
+        }
+        this.languages = this.options.filterLanguages?.length
+            ? new Set(this.options.filterLanguages.map(lang => lang.trim().toLowerCase()))
+            : null;
         
         this.stats = {
             usersProcessed: 0,
@@ -37,6 +94,10 @@ class PostsScraper {
             postsProcessed: 0,
             postsSaved: 0,
             duplicatesSkipped: 0,
+            repostsSkipped: 0,
+            quotesSkipped: 0,
+            languageSkipped: 0,
+            included: { post: 0, reply: 0, quote: 0, repost: 0 },
             errors: 0,
             startTime: null,
             lastSaveTime: null
@@ -45,8 +106,12 @@ class PostsScraper {
         this.isRunning = false;
         this.shouldStop = false;
         this.currentBatch = [];
+        this.pendingUris = new Set(); // URIs in currentBatch, not yet marked in the deduplicator
         this.userQueue = [];
         this.processedUsers = new Set();
+        this.inFlight = null; // { did, handle, cursor, postsScraped, exhausted } of the user being paged
+        this.lastCheckpointPosts = 0;
+        this.checkpointDue = false; // A save happened mid-page; checkpoint again at the next cursor
     }
 
     /**
@@ -81,18 +146,18 @@ class PostsScraper {
         logger.info('Starting posts scraper', {
             maxPosts: this.options.maxPosts,
             batchSize: this.options.batchSize,
-            maxPostsPerUser: this.options.maxPostsPerUser
+            maxPostsPerUser: this.options.maxPostsPerUser,
+            feedFilter: this.options.feedFilter
         });
 
         try {
             // Try to resume from checkpoint
             let checkpoint = null;
             if (resumeOptions.resume) {
-                checkpoint = await this.checkpointManager.loadCheckpoint('posts_scraper');
+                checkpoint = await this.checkpointManager.loadLatestCheckpoint();
                 if (checkpoint) {
                     logger.info('Resuming from checkpoint', checkpoint.metadata);
-                    this.stats = { ...this.stats, ...checkpoint.data.stats };
-                    this.processedUsers = new Set(checkpoint.data.processedUsers || []);
+                    await this.restoreCheckpoint(checkpoint.state);
                 }
             }
 
@@ -100,7 +165,7 @@ class PostsScraper {
             await this.loadUserQueue(checkpoint);
             
             // Start scraping process
-            await this.scrapePosts(checkpoint);
+            await this.scrapePosts();
             
             // Final save
             await this.saveBatch(true);
@@ -140,6 +205,33 @@ class PostsScraper {
      */
     async loadUserQueue(checkpoint = null) {
         try {
+            // Query the storage backend when one is configured and populated
+            if (this.fileManager.storage) {
+                // Capped like the relationships seeds; later runs pick up the rest
+                const users = await this.fileManager.storage.getUncrawledActors({
+                    crawl: 'posts',
+                    minFollowers: this.options.minFollowerCount,
+                    limit: 1000
+                });
+                
+                if (users.length > 0) {
+                    for (const user of users) {
+                        if (!this.processedUsers.has(user.did)) {
+                            this.userQueue.push({
+                                did: user.did,
+                                handle: user.handle,
+                                displayName: user.displayName,
+                                followersCount: user.followersCount,
+                                postsCount: user.postsCount
+                            });
+                        }
+                    }
+                    
+                    logger.info(`Loaded ${this.userQueue.length} uncrawled users from storage for post scraping`);
+                    return;
+                }
+            }
+            
             // Load users from file manager
             const userFiles = await this.fileManager.listFiles('users');
             
@@ -149,26 +241,17 @@ class PostsScraper {
 
             logger.info(`Loading users from ${userFiles.length} files`);
             
-            for (const file of userFiles) {
+            for await (const user of this.fileManager.streamData('users')) {
                 if (this.shouldStop) break;
                 
-                try {
-                    const fileData = await this.fileManager.loadData(file);
-                    const users = fileData.data || [];
-                    
-                    for (const user of users) {
-                        if (user.did && !this.processedUsers.has(user.did)) {
-                            this.userQueue.push({
-                                did: user.did,
-                                handle: user.handle,
-                                displayName: user.displayName,
-                                followersCount: user.followersCount || 0,
-                                postsCount: user.postsCount || 0
-                            });
-                        }
-                    }
-                } catch (error) {
-                    logger.error(`Error loading user file ${file}:`, error);
+                if (user.did && !this.processedUsers.has(user.did)) {
+                    this.userQueue.push({
+                        did: user.did,
+                        handle: user.handle,
+                        displayName: user.displayName,
+                        followersCount: user.followersCount || 0,
+                        postsCount: user.postsCount || 0
+                    });
                 }
             }
             
@@ -184,27 +267,54 @@ class PostsScraper {
     }
 
     /**
-     * Main scraping logic
-     * @param {Object} checkpoint - Checkpoint data for resuming
+     * Restore scraper state from a checkpoint
+     * @param {Object} state - Checkpoint state
      */
-    async scrapePosts(checkpoint = null) {
-        let startIndex = 0;
+    async restoreCheckpoint(state) {
+        this.stats = { ...this.stats, ...state.stats };
+        this.processedUsers = new Set(state.processedUsers || []);
+        this.inFlight = state.inFlight || null;
+        this.lastCheckpointPosts = this.stats.postsProcessed;
         
-        if (checkpoint && checkpoint.data.currentUserIndex) {
-            startIndex = checkpoint.data.currentUserIndex;
+        // Drop batch items that were saved after this checkpoint was taken
+        this.currentBatch = [];
+        this.pendingUris = new Set();
+        for (const post of state.currentBatch || []) {
+            if (!await this.deduplicator.isPostDuplicate(post.uri)) {
+                this.currentBatch.push(post);
+                this.pendingUris.add(post.uri);
+            }
+        }
+        
+        if (this.inFlight) {
+            logger.info(`Resuming ${this.inFlight.handle} at cursor ${this.inFlight.cursor} with ${this.currentBatch.length} unsaved posts`);
         }
+    }
 
-        for (let i = startIndex; i < this.userQueue.length && !this.shouldStop; i++) {
+    /**
+     * Main scraping logic
+     * The queue excludes processed users, so a resumed run starts at its head
+     */
+    async scrapePosts() {
+        for (let i = 0; i < this.userQueue.length && !this.shouldStop; i++) {
             const user = this.userQueue[i];
             
             try {
                 await this.scrapeUserPosts(user);
+                if (this.shouldStop) {
+                    break; // Leave the user in flight so a resume continues it
+                }
+                
                 this.processedUsers.add(user.did);
+                this.inFlight = null;
                 this.stats.usersProcessed++;
+                if (this.fileManager.storage) {
+                    await this.fileManager.storage.markActorCrawled(user.did, 'posts');
+                }
                 
                 // Save checkpoint periodically
                 if (this.stats.usersProcessed % 100 === 0) {
-                    await this.saveCheckpoint(i);
+                    await this.saveCheckpoint();
                 }
                 
             } catch (error) {
@@ -226,54 +336,72 @@ class PostsScraper {
     async scrapeUserPosts(user) {
         logger.debug(`Scraping posts for ${user.handle} (${user.did})`);
         
-        let cursor = null;
-        let postsScraped = 0;
+        // Pick up mid-feed if this user was being paged when the checkpoint was taken
+        const resume = this.inFlight && this.inFlight.did === user.did ? this.inFlight : null;
+        this.inFlight = {
+            did: user.did,
+            handle: user.handle,
+            cursor: resume ? resume.cursor : null,
+            postsScraped: resume ? resume.postsScraped : 0,
+            exhausted: resume ? resume.exhausted : false
+        };
+        
+        let postsScraped = this.inFlight.postsScraped;
         const maxPostsForUser = Math.min(
             this.options.maxPostsPerUser,
             user.postsCount || this.options.maxPostsPerUser
         );
         
-        do {
-            try {
-                const response = await this.apiClient.getAuthorFeed(user.did, {
-                    limit: this.options.batchSize,
-                    cursor: cursor,
-                    filter: this.options.includeReplies ? 'posts_and_author_threads' : 'posts_no_replies'
-                });
+        if (this.inFlight.exhausted || postsScraped >= maxPostsForUser) {
+            return; // Finished before the checkpoint, only the bookkeeping was lost
+        }
+        
+        const pages = this.apiClient.paginate(ENDPOINTS.FEED.GET_AUTHOR_FEED, {
+            actor: user.did,
+            limit: this.options.batchSize,
+            filter: this.options.feedFilter
+        }, {
+            maxItems: maxPostsForUser - postsScraped,
+            cursor: this.inFlight.cursor,
+            onCursor: async (cursor) => {
+                this.inFlight.cursor = cursor;
+                this.inFlight.postsScraped = postsScraped;
+                this.inFlight.exhausted = !cursor;
                 
-                if (response.feed && response.feed.length > 0) {
-                    const posts = response.feed.map(item => item.post).filter(Boolean);
-                    
-                    if (posts.length > 0) {
-                        await this.processPosts(posts, {
-                            source: 'user_feed',
-                            authorDid: user.did,
-                            authorHandle: user.handle
-                        });
-                        
-                        postsScraped += posts.length;
-                    }
+                if (this.checkpointDue ||
+                    this.stats.postsProcessed - this.lastCheckpointPosts >= this.options.checkpointInterval) {
+                    await this.saveCheckpoint();
                 }
+            }
+        });
+        
+        try {
+            for await (const page of pages) {
+                const posts = page.items.map(item => item.post).filter(Boolean);
+                postsScraped += page.items.length;
                 
-                cursor = response.cursor;
-                
-                // Check limits
-                if (postsScraped >= maxPostsForUser) {
-                    logger.debug(`Reached max posts limit for ${user.handle}: ${postsScraped}`);
-                    break;
+                if (posts.length > 0) {
+                    await this.processPosts(posts, {
+                        source: 'user_feed',
+                        authorDid: user.did,
+                        authorHandle: user.handle,
+                        feedFilter: this.options.feedFilter
+                    }, collectFeedReasons(page.items));
                 }
                 
-                if (this.stats.postsProcessed >= this.options.maxPosts) {
+                if (this.stats.postsProcessed >= this.options.maxPosts || this.shouldStop) {
                     break;
                 }
-                
-            } catch (error) {
-                logger.error(`Error getting feed for ${user.handle}:`, error);
-                this.stats.errors++;
-                break;
             }
             
-        } while (cursor && !this.shouldStop);
+            if (postsScraped >= maxPostsForUser) {
+                logger.debug(`Reached max posts limit for ${user.handle}: ${postsScraped}`);
+            }
+            
+        } catch (error) {
+            logger.error(`Error getting feed for ${user.handle}:`, error);
+            this.stats.errors++;
+        }
         
         if (postsScraped > 0) {
             logger.debug(`Scraped ${postsScraped} posts from ${user.handle}`);
@@ -284,8 +412,9 @@ class PostsScraper {
      * Process a batch of posts
      * @param {Array} posts - Array of post objects
      * @param {Object} metadata - Metadata about the source
+     * @param {Map} feedReasons - Feed reasons by post URI, for posts taken from a feed
      */
-    async processPosts(posts, metadata = {}) {
+    async processPosts(posts, metadata = {}, feedReasons = new Map()) {
         if (!Array.isArray(posts) || posts.length === 0) {
             return;
         }
@@ -314,20 +443,26 @@ class PostsScraper {
                     continue;
                 }
                 
-                // Skip reposts if not wanted
-                if (!this.options.includeReposts && post.record?.repost) {
+                const inclusion = this.classifyInclusion(post, feedReasons.get(post.uri));
+                if (inclusion.reason === 'repost' && !this.options.includeReposts) {
+                    this.stats.repostsSkipped++;
+                    continue;
+                }
+                if (inclusion.reason === 'quote' && !this.options.includeQuotes) {
+                    this.stats.quotesSkipped++;
+                    continue;
+                }
+                if (this.languages && !inclusion.language) {
+                    this.stats.languageSkipped++;
                     continue;
                 }
                 
-                const isDuplicate = await this.deduplicator.isPostDuplicate(post.uri);
+                // Posts are marked in the deduplicator once saved (see saveBatch)
+                const isDuplicate = this.pendingUris.has(post.uri) ||
+                    await this.deduplicator.isPostDuplicate(post.uri);
                 if (!isDuplicate) {
-                    newPosts.push(post);
-                    await this.deduplicator.markPostProcessed(post.uri, {
-                        authorDid: post.author?.did,
-                        authorHandle: post.author?.handle,
-                        source: metadata.source,
-                        scrapedAt: new Date().toISOString()
-                    });
+                    newPosts.push({ post, inclusion });
+                    this.pendingUris.add(post.uri);
                 } else {
                     this.stats.duplicatesSkipped++;
                 }
@@ -339,10 +474,11 @@ class PostsScraper {
 
         if (newPosts.length > 0) {
             // Add metadata to posts
-            const enrichedPosts = newPosts.map(post => ({
+            const enrichedPosts = newPosts.map(({ post, inclusion }) => ({
                 ...post,
                 _metadata: {
                     ...metadata,
+                    inclusion,
                     scrapedAt: new Date().toISOString(),
                     scraper: 'posts_scraper',
                     version: '1.0.0'
@@ -351,6 +487,9 @@ class PostsScraper {
 
             this.currentBatch.push(...enrichedPosts);
             this.stats.postsProcessed += newPosts.length;
+            for (const { inclusion } of newPosts) {
+                this.stats.included[inclusion.reason]++;
+            }
             
             logger.debug(`Processed ${newPosts.length} new posts (${this.stats.duplicatesSkipped} duplicates skipped)`);
         }
@@ -361,6 +500,53 @@ class PostsScraper {
         }
     }
 
+    /**
+     * Work out why a post is being kept: a repost (from the feed reason), a
+     * quote, a reply or a plain post, plus its media and matched language
+     * @param {Object} post - Validated post
+     * @param {Object} reason - Feed reason the post came with, if any
+     * @returns {Object} { reason, media, language, repostedBy?, repostedAt? }
+     */
+    classifyInclusion(post, reason = null) {
+        const embed = post.record?.embed;
+        const embedType = embed?.$type;
+        const mediaType = embedType === 'app.bsky.embed.recordWithMedia' ? embed.media?.$type : embedType;
+        
+        const inclusion = {
+            reason: 'post',
+            media: MEDIA_EMBEDS[mediaType] || null,
+            language: this.matchLanguage(post.record?.langs)
+        };
+        
+        if (reason?.$type === REASON_REPOST) {
+            inclusion.reason = 'repost';
+            inclusion.repostedBy = reason.by?.did || null;
+            inclusion.repostedAt = reason.indexedAt || null;
+        } else if (QUOTE_EMBEDS.includes(embedType)) {
+            inclusion.reason = 'quote';
+        } else if (post.record?.reply) {
+            inclusion.reason = 'reply';
+        }
+        
+        return inclusion;
+    }
+
+    /**
+     * Match record.langs against the language filter. Tags like en-US match
+     * en; without a filter the first declared language is returned
+     * @param {Array} langs - record.langs
+     * @returns {string|null} Matching language
+     */
+    matchLanguage(langs = []) {
+        if (!this.languages) {
+            return langs[0] || null;
+        }
+        return langs.find(lang => {
+            const code = lang.toLowerCase();
+            return this.languages.has(code) || this.languages.has(code.split('-')[0]);
+        }) || null;
+    }
+
     /**
      * Filter posts by age
      * @param {Array} posts - Array of posts
@@ -405,6 +591,15 @@ class PostsScraper {
                 stats: this.getStats()
             });
 
+            for (const post of this.currentBatch) {
+                await this.deduplicator.markPostProcessed(post.uri, {
+                    authorDid: post.author?.did,
+                    authorHandle: post.author?.handle,
+                    source: post._metadata?.source,
+                    scrapedAt: post._metadata?.scrapedAt
+                });
+            }
+
             this.stats.postsSaved += this.currentBatch.length;
             this.stats.lastSaveTime = new Date();
             
@@ -412,6 +607,11 @@ class PostsScraper {
             
             // Clear batch
             this.currentBatch = [];
+            this.pendingUris.clear();
+            
+            // Saved posts must never be restored from an older checkpoint
+            await this.saveCheckpoint();
+            this.checkpointDue = true;
             
         } catch (error) {
             logger.error('Error saving posts batch:', error);
@@ -422,12 +622,13 @@ class PostsScraper {
 
     /**
      * Save checkpoint for resuming
-     * @param {number} currentUserIndex - Current user index in queue
+     * Captures the user being paged, its cursor and the unsaved batch
      */
-    async saveCheckpoint(currentUserIndex) {
+    async saveCheckpoint() {
         try {
-            await this.checkpointManager.saveCheckpoint('posts_scraper', {
-                currentUserIndex,
+            await this.checkpointManager.createCheckpoint({
+                inFlight: this.inFlight,
+                currentBatch: this.currentBatch,
                 processedUsers: Array.from(this.processedUsers),
                 stats: this.stats,
                 options: this.options
@@ -436,6 +637,8 @@ class PostsScraper {
                 timestamp: new Date().toISOString()
             });
             
+            this.lastCheckpointPosts = this.stats.postsProcessed;
+            this.checkpointDue = false;
             logger.debug('Checkpoint saved');
             
         } catch (error) {
@@ -447,12 +650,18 @@ class PostsScraper {
      * Scrape trending/popular posts
      */
     async scrapeTrendingPosts() {
+        // getTimeline is the account's home feed and needs an authenticated session
+        if (!this.apiClient.hasSession()) {
+            logger.warn('Skipping trending posts: getTimeline requires an authenticated session (BLUESKY_ACCOUNTS)');
+            return;
+        }
+
         logger.info('Scraping trending posts');
         
         try {
             // Get timeline (popular posts)
             const response = await this.apiClient.getTimeline({
-                limit: this.options.batchSize * 2
+                limit: Math.min(this.options.batchSize * 2, 100)
             });
             
             if (response.feed && response.feed.length > 0) {
@@ -461,7 +670,7 @@ class PostsScraper {
                 await this.processPosts(posts, {
                     source: 'trending',
                     type: 'timeline'
-                });
+                }, collectFeedReasons(response.feed));
             }
             
         } catch (error) {
@@ -472,9 +681,12 @@ class PostsScraper {
 
     /**
      * Scrape posts by hashtags or keywords
+     * Pages each search up to the searchPosts result cap; use SearchScraper to
+     * harvest a date range completely
      * @param {Array} keywords - Keywords to search for
+     * @param {Object} options - searchPosts filters (since, until, lang, author, mentions, domain, url)
      */
-    async scrapePostsByKeywords(keywords = []) {
+    async scrapePostsByKeywords(keywords = [], options = {}) {
         if (!Array.isArray(keywords) || keywords.length === 0) {
             return;
         }
@@ -485,15 +697,23 @@ class PostsScraper {
             if (this.shouldStop) break;
             
             try {
-                const response = await this.apiClient.searchPosts(keyword, {
-                    limit: this.options.batchSize
+                const pages = this.apiClient.paginate(ENDPOINTS.FEED.SEARCH_POSTS, {
+                    q: keyword,
+                    limit: Math.min(this.options.batchSize, 100),
+                    ...options
+                }, {
+                    maxItems: settings.DISCOVERY?.MAX_SEARCH_RESULTS || 1000
                 });
                 
-                if (response.posts && response.posts.length > 0) {
-                    await this.processPosts(response.posts, {
+                for await (const page of pages) {
+                    await this.processPosts(page.items, {
                         source: 'keyword_search',
                         keyword: keyword
                     });
+                    
+                    if (this.stats.postsProcessed >= this.options.maxPosts || this.shouldStop) {
+                        break;
+                    }
                 }
                 
             } catch (error) {
@@ -590,6 +810,8 @@ class PostsScraper {
         try {
             await this.saveBatch(true);
             await this.deduplicator.close();
+            await this.fileManager.close();
+            await this.apiClient.cleanup();
             logger.info('Posts scraper cleanup completed');
         } catch (error) {
             logger.error('Error during cleanup:', error);
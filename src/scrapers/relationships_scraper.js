@@ -5,6 +5,7 @@ import FileManager from '../utils/file_manager.js'
 import CheckpointManager from '../core/checkpoint_manager.js'
 import logger from '../core/logger.js'
 import settings from '../config/settings.js'
+import { ENDPOINTS } from '../config/endpoints.js'
 
 /**
  * Relationships Scraper for mapping follower/following networks
@@ -16,7 +17,7 @@ class RelationshipsScraper {
         this.validator = new DataValidator();
         this.deduplicator = new Deduplicator();
         this.fileManager = new FileManager();
-        this.checkpointManager = new CheckpointManager();
+        this.checkpointManager = new CheckpointManager('relationships_scraper');
         
         this.options = {
             batchSize: options.batchSize || 100,
@@ -37,6 +38,7 @@ class RelationshipsScraper {
             relationshipsProcessed: 0,
             relationshipsSaved: 0,
             duplicatesSkipped: 0,
+            mutualFollows: 0,
             errors: 0,
             currentDepth: 0,
             startTime: null,
@@ -46,9 +48,14 @@ class RelationshipsScraper {
         this.isRunning = false;
         this.shouldStop = false;
         this.currentBatch = [];
+        this.pendingFollows = new Map(); // follower:followee keys of currentBatch records, not yet marked in the deduplicator
+        this.mutualCounts = new Map(); // did -> mutual follows found while crawling (bidirectional)
         this.userQueue = [];
         this.processedUsers = new Set();
         this.depthQueues = new Map(); // Map of depth -> user queue
+        this.inFlight = null; // { user, depth, type, cursor, scraped, exhausted } of the list being paged
+        this.lastCheckpointRelationships = 0;
+        this.checkpointDue = false; // A save happened mid-page; checkpoint again at the next cursor
     }
 
     /**
@@ -95,12 +102,10 @@ class RelationshipsScraper {
             // Try to resume from checkpoint
             let checkpoint = null;
             if (resumeOptions.resume) {
-                checkpoint = await this.checkpointManager.loadCheckpoint('relationships_scraper');
+                checkpoint = await this.checkpointManager.loadLatestCheckpoint();
                 if (checkpoint) {
                     logger.info('Resuming from checkpoint', checkpoint.metadata);
-                    this.stats = { ...this.stats, ...checkpoint.data.stats };
-                    this.processedUsers = new Set(checkpoint.data.processedUsers || []);
-                    this.loadDepthQueues(checkpoint.data.depthQueues || {});
+                    await this.restoreCheckpoint(checkpoint.state);
                 }
             }
 
@@ -110,7 +115,7 @@ class RelationshipsScraper {
             }
             
             // Start scraping process
-            await this.scrapeRelationships(checkpoint);
+            await this.scrapeRelationships(checkpoint ? checkpoint.state.currentDepth : 0);
             
             // Final save
             await this.saveBatch(true);
@@ -149,6 +154,29 @@ class RelationshipsScraper {
      */
     async loadInitialUserQueue() {
         try {
+            // Query the storage backend when one is configured and populated
+            if (this.fileManager.storage) {
+                const users = await this.fileManager.storage.getUncrawledActors({
+                    crawl: 'relationships',
+                    minFollowers: this.options.minFollowerCount,
+                    limit: 1000 // Limit initial seeds
+                });
+                
+                if (users.length > 0) {
+                    this.depthQueues.get(0).push(...users.map(user => ({
+                        did: user.did,
+                        handle: user.handle,
+                        displayName: user.displayName,
+                        followersCount: user.followersCount,
+                        followsCount: user.followsCount,
+                        depth: 0
+                    })));
+                    
+                    logger.info(`Loaded ${users.length} uncrawled seed users from storage for relationship scraping`);
+                    return;
+                }
+            }
+            
             const userFiles = await this.fileManager.listFiles('users');
             
             if (userFiles.length === 0) {
@@ -157,39 +185,36 @@ class RelationshipsScraper {
 
             logger.info(`Loading seed users from ${userFiles.length} files`);
             
+            const seedLimit = 1000; // Limit initial seeds
             const seedUsers = [];
             
-            for (const file of userFiles) {
+            // Stream user files so only the best seeds so far are kept in memory
+            for await (const user of this.fileManager.streamData('users')) {
                 if (this.shouldStop) break;
                 
-                try {
-                    const fileData = await this.fileManager.loadData(file);
-                    const users = fileData.data || [];
+                if (user.did && user.followersCount >= this.options.minFollowerCount) {
+                    seedUsers.push({
+                        did: user.did,
+                        handle: user.handle,
+                        displayName: user.displayName,
+                        followersCount: user.followersCount || 0,
+                        followsCount: user.followsCount || 0,
+                        depth: 0
+                    });
                     
-                    for (const user of users) {
-                        if (user.did && user.followersCount >= this.options.minFollowerCount) {
-                            seedUsers.push({
-                                did: user.did,
-                                handle: user.handle,
-                                displayName: user.displayName,
-                                followersCount: user.followersCount || 0,
-                                followsCount: user.followsCount || 0,
-                                depth: 0
-                            });
-                        }
+                    if (!this.options.prioritizePopularUsers && seedUsers.length >= seedLimit) {
+                        break;
+                    }
+                    if (seedUsers.length >= seedLimit * 2) {
+                        this.trimSeedUsers(seedUsers, seedLimit);
                     }
-                } catch (error) {
-                    logger.error(`Error loading user file ${file}:`, error);
                 }
             }
             
-            // Sort by follower count if prioritizing popular users
-            if (this.options.prioritizePopularUsers) {
-                seedUsers.sort((a, b) => (b.followersCount || 0) - (a.followersCount || 0));
-            }
+            this.trimSeedUsers(seedUsers, seedLimit);
             
             // Add to depth 0 queue
-            this.depthQueues.get(0).push(...seedUsers.slice(0, 1000)); // Limit initial seeds
+            this.depthQueues.get(0).push(...seedUsers);
             
             logger.info(`Loaded ${this.depthQueues.get(0).length} seed users for relationship scraping`);
             
@@ -199,6 +224,18 @@ class RelationshipsScraper {
         }
     }
 
+    /**
+     * Keep the first seed users, sorted by follower count if prioritizing popular users
+     * @param {Array} seedUsers - Seed users (trimmed in place)
+     * @param {number} limit - Number of seeds to keep
+     */
+    trimSeedUsers(seedUsers, limit) {
+        if (this.options.prioritizePopularUsers) {
+            seedUsers.sort((a, b) => (b.followersCount || 0) - (a.followersCount || 0));
+        }
+        seedUsers.length = Math.min(seedUsers.length, limit);
+    }
+
     /**
      * Load depth queues from checkpoint
      * @param {Object} depthQueuesData - Saved depth queues data
@@ -213,16 +250,40 @@ class RelationshipsScraper {
     }
 
     /**
-     * Main scraping logic
-     * @param {Object} checkpoint - Checkpoint data for resuming
+     * Restore scraper state from a checkpoint
+     * @param {Object} state - Checkpoint state
      */
-    async scrapeRelationships(checkpoint = null) {
-        let startDepth = 0;
+    async restoreCheckpoint(state) {
+        this.stats = { ...this.stats, ...state.stats };
+        this.processedUsers = new Set(state.processedUsers || []);
+        this.loadDepthQueues(state.depthQueues || {});
+        this.inFlight = state.inFlight || null;
+        this.mutualCounts = new Map(Object.entries(state.mutualCounts || {}));
+        this.lastCheckpointRelationships = this.stats.relationshipsProcessed;
+        
+        // Drop batch items that were saved after this checkpoint was taken
+        this.currentBatch = [];
+        this.pendingFollows = new Map();
+        for (const relationship of state.currentBatch || []) {
+            const [followerDid, followeeDid] = this.followDirection(relationship);
+            if (!await this.deduplicator.isFollowDuplicate(followerDid, followeeDid)) {
+                this.currentBatch.push(relationship);
+                this.pendingFollows.set(`${followerDid}:${followeeDid}`, relationship);
+            }
+        }
         
-        if (checkpoint && checkpoint.data.currentDepth !== undefined) {
-            startDepth = checkpoint.data.currentDepth;
+        // The in-flight user was already shifted off its queue; put it back in front
+        if (this.inFlight && !this.processedUsers.has(this.inFlight.user.did)) {
+            this.depthQueues.get(this.inFlight.depth).unshift(this.inFlight.user);
+            logger.info(`Resuming ${this.inFlight.type}s of ${this.inFlight.user.handle} at cursor ${this.inFlight.cursor}`);
         }
+    }
 
+    /**
+     * Main scraping logic
+     * @param {number} startDepth - Depth to start from (when resuming)
+     */
+    async scrapeRelationships(startDepth = 0) {
         for (let depth = startDepth; depth <= this.options.maxDepth && !this.shouldStop; depth++) {
             this.stats.currentDepth = depth;
             const queue = this.depthQueues.get(depth);
@@ -243,8 +304,16 @@ class RelationshipsScraper {
                 
                 try {
                     await this.scrapeUserRelationships(user, depth);
+                    if (this.shouldStop) {
+                        break; // Leave the user in flight so a resume continues it
+                    }
+                    
                     this.processedUsers.add(user.did);
+                    this.inFlight = null;
                     this.stats.usersProcessed++;
+                    if (this.fileManager.storage) {
+                        await this.fileManager.storage.markActorCrawled(user.did, 'relationships');
+                    }
                     
                     // Save checkpoint periodically
                     if (this.stats.usersProcessed % 50 === 0) {
@@ -272,11 +341,20 @@ class RelationshipsScraper {
     async scrapeUserRelationships(user, currentDepth) {
         logger.debug(`Scraping relationships for ${user.handle} at depth ${currentDepth}`);
         
+        // A resume inside the following list has already finished the followers
+        const resumingFollowing = this.inFlight &&
+            this.inFlight.user.did === user.did &&
+            this.inFlight.type === 'following';
+        
         // Scrape followers
-        await this.scrapeUserFollowers(user, currentDepth);
+        if (!resumingFollowing) {
+            await this.scrapeUserFollowers(user, currentDepth);
+        }
         
         // Scrape following
-        await this.scrapeUserFollowing(user, currentDepth);
+        if (!this.shouldStop) {
+            await this.scrapeUserFollowing(user, currentDepth);
+        }
     }
 
     /**
@@ -285,49 +363,12 @@ class RelationshipsScraper {
      * @param {number} currentDepth - Current depth
      */
     async scrapeUserFollowers(user, currentDepth) {
-        let cursor = null;
-        let followersScraped = 0;
         const maxFollowers = Math.min(
             this.options.maxFollowersPerUser,
             user.followersCount || this.options.maxFollowersPerUser
         );
         
-        do {
-            try {
-                const response = await this.apiClient.getFollowers(user.did, {
-                    limit: this.options.batchSize,
-                    cursor: cursor
-                });
-                
-                if (response.followers && response.followers.length > 0) {
-                    await this.processRelationships(
-                        response.followers,
-                        user,
-                        'follower',
-                        currentDepth
-                    );
-                    
-                    followersScraped += response.followers.length;
-                }
-                
-                cursor = response.cursor;
-                
-                // Check limits
-                if (followersScraped >= maxFollowers) {
-                    break;
-                }
-                
-                if (this.stats.relationshipsProcessed >= this.options.maxRelationships) {
-                    break;
-                }
-                
-            } catch (error) {
-                logger.error(`Error getting followers for ${user.handle}:`, error);
-                this.stats.errors++;
-                break;
-            }
-            
-        } while (cursor && !this.shouldStop);
+        await this.scrapeRelationshipList(user, currentDepth, 'follower', ENDPOINTS.GRAPH.GET_FOLLOWERS, maxFollowers);
     }
 
     /**
@@ -336,49 +377,82 @@ class RelationshipsScraper {
      * @param {number} currentDepth - Current depth
      */
     async scrapeUserFollowing(user, currentDepth) {
-        let cursor = null;
-        let followingScraped = 0;
         const maxFollowing = Math.min(
             this.options.maxFollowingPerUser,
             user.followsCount || this.options.maxFollowingPerUser
         );
         
-        do {
-            try {
-                const response = await this.apiClient.getFollows(user.did, {
-                    limit: this.options.batchSize,
-                    cursor: cursor
-                });
+        await this.scrapeRelationshipList(user, currentDepth, 'following', ENDPOINTS.GRAPH.GET_FOLLOWS, maxFollowing);
+    }
+
+    /**
+     * Page through one follower/following list, tracking the cursor for checkpoints
+     * @param {Object} user - User object
+     * @param {number} currentDepth - Current depth
+     * @param {string} relationshipType - 'follower' or 'following'
+     * @param {string} endpoint - XRPC endpoint
+     * @param {number} maxItems - Maximum relationships to fetch
+     */
+    async scrapeRelationshipList(user, currentDepth, relationshipType, endpoint, maxItems) {
+        const resume = this.inFlight &&
+            this.inFlight.user.did === user.did &&
+            this.inFlight.type === relationshipType ? this.inFlight : null;
+        
+        this.inFlight = {
+            user,
+            depth: currentDepth,
+            type: relationshipType,
+            cursor: resume ? resume.cursor : null,
+            scraped: resume ? resume.scraped : 0,
+            exhausted: resume ? resume.exhausted : false
+        };
+        
+        let scraped = this.inFlight.scraped;
+        if (this.inFlight.exhausted || scraped >= maxItems) {
+            return;
+        }
+        
+        const pages = this.apiClient.paginate(endpoint, {
+            actor: user.did,
+            limit: this.options.batchSize
+        }, {
+            maxItems: maxItems - scraped,
+            cursor: this.inFlight.cursor,
+            onCursor: async (cursor) => {
+                this.inFlight.cursor = cursor;
+                this.inFlight.scraped = scraped;
+                this.inFlight.exhausted = !cursor;
                 
-                if (response.follows && response.follows.length > 0) {
-                    await this.processRelationships(
-                        response.follows,
-                        user,
-                        'following',
-                        currentDepth
-                    );
-                    
-                    followingScraped += response.follows.length;
+                if (this.checkpointDue ||
+                    this.stats.relationshipsProcessed - this.lastCheckpointRelationships >= this.options.checkpointInterval) {
+                    await this.saveCheckpoint(currentDepth);
                 }
+            }
+        });
+        
+        try {
+            for await (const page of pages) {
+                scraped += page.items.length;
                 
-                cursor = response.cursor;
+                // getFollowers/getFollows return profile views of the other accounts
+                await this.processRelationships(
+                    page.items.map(profile => ({ subject: profile })),
+                    user,
+                    relationshipType,
+                    currentDepth
+                );
                 
                 // Check limits
-                if (followingScraped >= maxFollowing) {
-                    break;
-                }
-                
-                if (this.stats.relationshipsProcessed >= this.options.maxRelationships) {
+                if (this.stats.relationshipsProcessed >= this.options.maxRelationships || this.shouldStop) {
                     break;
                 }
-                
-            } catch (error) {
-                logger.error(`Error getting following for ${user.handle}:`, error);
-                this.stats.errors++;
-                break;
             }
             
-        } while (cursor && !this.shouldStop);
+        } catch (error) {
+            const label = relationshipType === 'follower' ? 'followers' : 'following';
+            logger.error(`Error getting ${label} for ${user.handle}:`, error);
+            this.stats.errors++;
+        }
     }
 
     /**
@@ -433,24 +507,21 @@ class RelationshipsScraper {
                     uri: relationship.uri
                 };
                 
-                // Check for duplicates
-                const relationshipId = `${sourceUser.did}:${targetUser.did}`;
-                const isDuplicate = await this.deduplicator.isFollowDuplicate(
-                    sourceUser.did,
-                    targetUser.did
-                );
+                // Check for duplicates by follow direction, so the same account can be
+                // in both a user's followers and following (marked in the deduplicator
+                // once saved, see saveBatch)
+                const [followerDid, followeeDid] = this.followDirection(relationshipRecord);
+                const relationshipId = `${followerDid}:${followeeDid}`;
+                const isDuplicate = this.pendingFollows.has(relationshipId) ||
+                    await this.deduplicator.isFollowDuplicate(followerDid, followeeDid);
                 
                 if (!isDuplicate) {
+                    if (this.options.bidirectional) {
+                        relationshipRecord.mutual = await this.detectMutual(followerDid, followeeDid);
+                    }
+                    
                     newRelationships.push(relationshipRecord);
-                    await this.deduplicator.markFollowProcessed(
-                        sourceUser.did,
-                        targetUser.did,
-                        {
-                            type: relationshipType,
-                            depth: currentDepth,
-                            scrapedAt: new Date().toISOString()
-                        }
-                    );
+                    this.pendingFollows.set(relationshipId, relationshipRecord);
                     
                     // Add target user to next depth queue if within limits
                     if (currentDepth < this.options.maxDepth && 
@@ -477,9 +548,8 @@ class RelationshipsScraper {
         }
 
         if (newRelationships.length > 0) {
-            // Add metadata to relationships
-            const enrichedRelationships = newRelationships.map(rel => ({
-                ...rel,
+            // Add metadata to relationships (in place, as pendingFollows holds the records)
+            const enrichedRelationships = newRelationships.map(rel => Object.assign(rel, {
                 _metadata: {
                     scrapedAt: new Date().toISOString(),
                     scraper: 'relationships_scraper',
@@ -515,6 +585,94 @@ class RelationshipsScraper {
         }
     }
 
+    /**
+     * Direction of the follow a relationship record describes
+     * A 'follower' record means the target follows the source
+     * @param {Object} relationship - Relationship record
+     * @returns {Array<string>} [followerDid, followeeDid]
+     */
+    followDirection(relationship) {
+        return relationship.type === 'follower'
+            ? [relationship.target.did, relationship.source.did]
+            : [relationship.source.did, relationship.target.did];
+    }
+
+    /**
+     * Check whether the reverse of a new follow is already known, either in the
+     * unsaved batch or in the deduplicator's follow store (Bloom filter confirmed
+     * by Redis), and count the mutual pair for both users
+     * @param {string} followerDid - Follower DID
+     * @param {string} followeeDid - Followee DID
+     * @returns {boolean} True if the followee follows back
+     */
+    async detectMutual(followerDid, followeeDid) {
+        const pendingReverse = this.pendingFollows.get(`${followeeDid}:${followerDid}`);
+        const mutual = pendingReverse
+            ? true
+            : await this.deduplicator.hasFollow(followeeDid, followerDid);
+        
+        if (!mutual) {
+            return false;
+        }
+        
+        // A reverse record that was already saved keeps its flag on disk;
+        // exportMutuals works the pair out again from the follow store
+        if (pendingReverse) {
+            pendingReverse.mutual = true;
+        }
+        
+        this.stats.mutualFollows++;
+        for (const did of [followerDid, followeeDid]) {
+            this.mutualCounts.set(did, (this.mutualCounts.get(did) || 0) + 1);
+        }
+        return true;
+    }
+
+    /**
+     * Get the number of mutual follows found per user, most first
+     * @param {number} limit - Maximum users to return (default: all)
+     * @returns {Array} [{ did, mutualCount }]
+     */
+    getMutualCounts(limit = Infinity) {
+        return Array.from(this.mutualCounts, ([did, mutualCount]) => ({ did, mutualCount }))
+            .sort((a, b) => b.mutualCount - a.mutualCount)
+            .slice(0, limit);
+    }
+
+    /**
+     * Check whether the followee of a relationship record follows back, in the
+     * unsaved batch or in the follow store
+     * @param {Object} relationship - Relationship record
+     * @returns {boolean} True for a mutual follow
+     */
+    async isMutualFollow(relationship) {
+        if (relationship.type !== 'follower' && relationship.type !== 'following') {
+            return false;
+        }
+
+        const [followerDid, followeeDid] = this.followDirection(relationship);
+        return this.pendingFollows.has(`${followeeDid}:${followerDid}`) ||
+            await this.deduplicator.hasFollow(followeeDid, followerDid);
+    }
+
+    /**
+     * Export only mutual follows, both directions of each pair
+     * The mutual flag is worked out again for every saved record, as a
+     * record saved before its reverse edge was crawled is stored as one-way
+     * @param {string} format - Export format (see FileManager.exportData)
+     * @param {Object} options - Further exportData options
+     * @returns {string} Export file path
+     */
+    async exportMutuals(format = 'json', options = {}) {
+        return await this.fileManager.exportData('relationships', format, {
+            edgeLists: false,
+            ...options,
+            name: 'relationships_mutuals',
+            transform: async relationship => ({ ...relationship, mutual: await this.isMutualFollow(relationship) }),
+            filter: relationship => relationship.mutual
+        });
+    }
+
     /**
      * Save current batch to file
      * @param {boolean} force - Force save even if batch is small
@@ -537,6 +695,19 @@ class RelationshipsScraper {
                 stats: this.getStats()
             });
 
+            for (const relationship of this.currentBatch) {
+                const [followerDid, followeeDid] = this.followDirection(relationship);
+                await this.deduplicator.markFollowProcessed(
+                    followerDid,
+                    followeeDid,
+                    {
+                        type: relationship.type,
+                        depth: relationship.depth,
+                        scrapedAt: relationship._metadata.scrapedAt
+                    }
+                );
+            }
+
             this.stats.relationshipsSaved += this.currentBatch.length;
             this.stats.lastSaveTime = new Date();
             
@@ -544,6 +715,11 @@ class RelationshipsScraper {
             
             // Clear batch
             this.currentBatch = [];
+            this.pendingFollows.clear();
+            
+            // Saved relationships must never be restored from an older checkpoint
+            await this.saveCheckpoint(this.stats.currentDepth);
+            this.checkpointDue = true;
             
         } catch (error) {
             logger.error('Error saving relationships batch:', error);
@@ -554,6 +730,7 @@ class RelationshipsScraper {
 
     /**
      * Save checkpoint for resuming
+     * Captures the list being paged, its cursor and the unsaved batch
      * @param {number} currentDepth - Current crawling depth
      */
     async saveCheckpoint(currentDepth) {
@@ -564,10 +741,13 @@ class RelationshipsScraper {
                 depthQueuesData[depth] = queue;
             }
             
-            await this.checkpointManager.saveCheckpoint('relationships_scraper', {
+            await this.checkpointManager.createCheckpoint({
                 currentDepth,
+                inFlight: this.inFlight,
+                currentBatch: this.currentBatch,
                 processedUsers: Array.from(this.processedUsers),
                 depthQueues: depthQueuesData,
+                mutualCounts: Object.fromEntries(this.mutualCounts),
                 stats: this.stats,
                 options: this.options
             }, {
@@ -575,6 +755,8 @@ class RelationshipsScraper {
                 timestamp: new Date().toISOString()
             });
             
+            this.lastCheckpointRelationships = this.stats.relationshipsProcessed;
+            this.checkpointDue = false;
             logger.debug('Checkpoint saved');
             
         } catch (error) {
@@ -587,8 +769,8 @@ class RelationshipsScraper {
      * @returns {Object} Relationship analysis
      */
     analyzeRelationships() {
-        // This would analyze the scraped relationships for patterns
-        // For now, return basic stats
+        // Crawl counters only; network metrics over the saved graph come from
+        // analyzeGraph in src/analysis/graph_metrics.js
         return {
             totalRelationships: this.stats.relationshipsProcessed,
             averageRelationshipsPerUser: this.stats.usersProcessed > 0 
@@ -620,6 +802,8 @@ class RelationshipsScraper {
             processedUsersCount: this.processedUsers.size,
             currentDepth: this.stats.currentDepth,
             maxDepth: this.options.maxDepth,
+            mutualFollows: this.stats.mutualFollows,
+            usersWithMutuals: this.mutualCounts.size,
             relationshipDensity: this.stats.usersProcessed > 0 
                 ? (this.stats.relationshipsProcessed / this.stats.usersProcessed).toFixed(2)
                 : 0
@@ -674,6 +858,8 @@ class RelationshipsScraper {
         try {
             await this.saveBatch(true);
             await this.deduplicator.close();
+            await this.fileManager.close();
+            await this.apiClient.cleanup();
             logger.info('Relationships scraper cleanup completed');
         } catch (error) {
             logger.error('Error during cleanup:', error);
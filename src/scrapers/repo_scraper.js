@@ -0,0 +1,591 @@
+import ApiClient from '../core/api_client.js';
+import DataValidator from '../utils/data_validator.js';
+import Deduplicator from '../utils/deduplicator.js';
+import FileManager from '../utils/file_manager.js';
+import CheckpointManager from '../core/checkpoint_manager.js';
+import IdentityResolver from '../core/identity_resolver.js';
+import { readRepo } from '../utils/car_parser.js';
+import { normalizeRecord } from '../utils/record_normalizer.js';
+import logger from '../core/logger.js';
+import settings from '../config/settings.js';
+
+/**
+ * Repo Scraper for complete account history
+ * Downloads whole repositories with com.atproto.sync.getRepo, walks the MST
+ * and extracts every record instead of paging the AppView feeds
+ */
+class RepoScraper {
+    constructor(options = {}) {
+        this.apiClient = new ApiClient();
+        this.validator = new DataValidator();
+        this.deduplicator = new Deduplicator();
+        this.fileManager = new FileManager();
+        this.checkpointManager = new CheckpointManager('repo_scraper');
+        this.identityResolver = new IdentityResolver({ apiClient: this.apiClient });
+
+        this.options = {
+            dids: options.dids || [],
+            listRepos: options.listRepos || false,
+            baseURL: options.baseURL || null, // null = each repo's own PDS, resolved from its DID document
+            storeRawCar: options.storeRawCar || false,
+            collections: options.collections || null, // null = every supported collection
+            maxRepos: options.maxRepos || 0, // 0 = no limit
+            listReposPageSize: options.listReposPageSize || 1000,
+            saveInterval: options.saveInterval || 1000,
+            checkpointInterval: options.checkpointInterval || 10,
+            ...options
+        };
+
+        this.stats = {
+            reposDiscovered: 0,
+            reposProcessed: 0,
+            reposFailed: 0,
+            recordsExtracted: 0,
+            postsExtracted: 0,
+            followsExtracted: 0,
+            likesExtracted: 0,
+            repostsExtracted: 0,
+            blocksExtracted: 0,
+            listsExtracted: 0,
+            profilesExtracted: 0,
+            carBytesDownloaded: 0,
+            recordsSaved: 0,
+            duplicatesSkipped: 0,
+            errors: 0,
+            startTime: null,
+            lastSaveTime: null
+        };
+
+        this.isRunning = false;
+        this.shouldStop = false;
+        this.position = {
+            didIndex: 0,
+            listCursor: null,
+            pageOffset: 0
+        };
+        this.reposSinceCheckpoint = 0;
+        this.batches = {
+            posts: [],
+            relationships: [],
+            lists: [],
+            profiles: []
+        };
+    }
+
+    /**
+     * Initialize the scraper
+     */
+    async initialize() {
+        try {
+            await this.apiClient.initialize();
+            await this.identityResolver.initialize();
+            await this.deduplicator.initialize();
+            await this.fileManager.initialize();
+
+            logger.info('Repo scraper initialized successfully');
+        } catch (error) {
+            logger.error('Failed to initialize repo scraper:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start exporting repositories
+     * Targets are options.dids, or every repo on options.baseURL when listRepos is set
+     * @param {Object} resumeOptions - Options for resuming from checkpoint
+     */
+    async start(resumeOptions = {}) {
+        if (this.isRunning) {
+            throw new Error('Scraper is already running');
+        }
+
+        if (!this.options.listRepos && this.options.dids.length === 0) {
+            throw new Error('No repositories to scrape: pass dids or enable listRepos');
+        }
+
+        this.isRunning = true;
+        this.shouldStop = false;
+        this.stats.startTime = new Date();
+
+        logger.info('Starting repo scraper', {
+            baseURL: this.options.baseURL || 'per-repo PDS',
+            dids: this.options.dids.length,
+            listRepos: this.options.listRepos,
+            maxRepos: this.options.maxRepos
+        });
+
+        try {
+            if (resumeOptions.resume) {
+                const checkpoint = await this.checkpointManager.loadLatestCheckpoint();
+                if (checkpoint && checkpoint.state) {
+                    this.position = { ...this.position, ...checkpoint.state.position };
+                    this.stats = { ...this.stats, ...checkpoint.state.stats, startTime: this.stats.startTime };
+                    logger.info('Resuming repo scraper from checkpoint', this.position);
+                }
+            }
+
+            if (this.options.listRepos) {
+                await this.scrapeListedRepos();
+            } else {
+                await this.scrapeDidList();
+            }
+
+            await this.saveBatch(true);
+            await this.saveCheckpoint();
+
+            logger.info('Repo scraping completed', this.getStats());
+
+        } catch (error) {
+            logger.error('Repo scraping failed:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Stop the scraper gracefully
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        logger.info('Stopping repo scraper...');
+        this.shouldStop = true;
+
+        // Wait for current operation to complete
+        while (this.isRunning) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        logger.info('Repo scraper stopped');
+    }
+
+    /**
+     * Export each DID from options.dids
+     */
+    async scrapeDidList() {
+        const { dids } = this.options;
+        this.stats.reposDiscovered = dids.length;
+
+        while (this.position.didIndex < dids.length && !this.shouldStop && !this.reachedLimit()) {
+            await this.scrapeRepoSafely(dids[this.position.didIndex]);
+            this.position.didIndex++;
+            await this.afterRepo();
+        }
+    }
+
+    /**
+     * Enumerate repositories with com.atproto.sync.listRepos and export each one
+     */
+    async scrapeListedRepos() {
+        for await (const repo of this.enumerateRepos()) {
+            if (this.shouldStop || this.reachedLimit()) {
+                break;
+            }
+
+            await this.scrapeRepoSafely(repo.did);
+            this.position.pageOffset++;
+            await this.afterRepo();
+        }
+    }
+
+    /**
+     * Page through listRepos, starting at the checkpointed page and offset
+     * @yields {Object} Repo entry ({ did, head, rev, active })
+     */
+    async * enumerateRepos() {
+        do {
+            const response = await this.apiClient.listRepos({
+                cursor: this.position.listCursor || undefined,
+                limit: this.options.listReposPageSize,
+                baseURL: this.options.baseURL || settings.API.SYNC_BASE_URL
+            });
+
+            const repos = response.repos || [];
+            this.stats.reposDiscovered += repos.length;
+
+            for (const repo of repos.slice(this.position.pageOffset)) {
+                if (repo.active === false) {
+                    this.position.pageOffset++;
+                    continue; // Deactivated / taken down repos cannot be exported
+                }
+
+                yield repo;
+
+                if (this.shouldStop || this.reachedLimit()) {
+                    return;
+                }
+            }
+
+            if (!response.cursor || repos.length === 0 || response.cursor === this.position.listCursor) {
+                break;
+            }
+
+            this.position.listCursor = response.cursor;
+            this.position.pageOffset = 0;
+        } while (!this.shouldStop);
+    }
+
+    /**
+     * Check whether the maxRepos limit has been reached
+     * @returns {boolean} True if no more repos should be exported
+     */
+    reachedLimit() {
+        return this.options.maxRepos > 0 &&
+            this.stats.reposProcessed + this.stats.reposFailed >= this.options.maxRepos;
+    }
+
+    /**
+     * Export a repository, recording failures instead of aborting the run
+     * @param {string} did - Repository DID
+     */
+    async scrapeRepoSafely(did) {
+        try {
+            await this.scrapeRepo(did);
+        } catch (error) {
+            logger.error(`Failed to export repository ${did}:`, error.message || error);
+            this.stats.reposFailed++;
+            this.stats.errors++;
+        }
+    }
+
+    /**
+     * Flush and checkpoint on the configured intervals
+     */
+    async afterRepo() {
+        this.reposSinceCheckpoint++;
+        await this.saveBatch();
+
+        if (this.reposSinceCheckpoint >= this.options.checkpointInterval) {
+            await this.saveBatch(true);
+            await this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Resolve a repository's verified handle and PDS endpoint
+     * @param {string} did - Repository DID
+     * @returns {Object|null} Resolved identity or null
+     */
+    async resolveIdentity(did) {
+        try {
+            return await this.identityResolver.resolveIdentity(did);
+        } catch (error) {
+            logger.warn(`Identity resolution failed for ${did}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Download and extract a single repository
+     * Downloads from options.baseURL when set, otherwise from the PDS named
+     * in the DID document (falling back to the relay)
+     * @param {string} did - Repository DID
+     * @param {Object} options - { since }
+     * @returns {Object} Summary with rev, record counts and optional CAR path
+     */
+    async scrapeRepo(did, options = {}) {
+        logger.info(`Exporting repository: ${did}`);
+
+        const identity = await this.resolveIdentity(did);
+        const handle = identity && identity.handleVerified ? identity.handle : undefined;
+        const baseURL = this.options.baseURL ||
+            (identity && identity.pdsEndpoint) ||
+            settings.API.SYNC_BASE_URL;
+
+        const bytes = await this.apiClient.getRepo(did, {
+            since: options.since,
+            baseURL
+        });
+        this.stats.carBytesDownloaded += bytes.length;
+
+        const repo = await readRepo(bytes);
+
+        if (repo.did && repo.did !== did) {
+            throw new Error(`Repository commit is for ${repo.did}, expected ${did}`);
+        }
+
+        let carPath = null;
+        if (this.options.storeRawCar) {
+            carPath = await this.fileManager.saveRepoCar(did, bytes, repo.rev);
+        }
+
+        const counts = {};
+        const scrapedAt = new Date().toISOString();
+
+        for (const entry of repo.records) {
+            if (this.options.collections && !this.options.collections.includes(entry.collection)) {
+                continue;
+            }
+
+            const normalized = normalizeRecord(entry.collection, {
+                did,
+                handle,
+                rkey: entry.rkey,
+                cid: entry.cid,
+                record: entry.record,
+                indexedAt: scrapedAt
+            });
+
+            if (!normalized) {
+                continue;
+            }
+
+            try {
+                const added = await this.processRecord(normalized, { did, rev: repo.rev, scrapedAt });
+                if (added) {
+                    counts[normalized.kind] = (counts[normalized.kind] || 0) + 1;
+                }
+            } catch (error) {
+                logger.warn(`Skipping invalid ${normalized.kind} record ${entry.collection}/${entry.rkey}:`, error.message);
+                this.stats.errors++;
+            }
+        }
+
+        this.stats.reposProcessed++;
+
+        logger.info(`Exported repository ${did}`, { rev: repo.rev, records: repo.records.length, counts });
+
+        return {
+            did,
+            handle: handle || null,
+            pdsEndpoint: baseURL,
+            rev: repo.rev,
+            recordCount: repo.records.length,
+            counts,
+            carPath
+        };
+    }
+
+    /**
+     * Validate, deduplicate and buffer a normalized record
+     * @param {Object} normalized - { kind, item } from normalizeRecord
+     * @param {Object} context - { did, rev, scrapedAt }
+     * @returns {boolean} True if the record was buffered
+     */
+    async processRecord({ kind, item }, context) {
+        const metadata = {
+            source: 'repo',
+            rev: context.rev,
+            scrapedAt: context.scrapedAt,
+            scraper: 'repo_scraper',
+            version: '1.0.0'
+        };
+
+        switch (kind) {
+            case 'post': {
+                const post = this.validator.validatePost(item);
+
+                if (await this.deduplicator.isPostDuplicate(post.uri)) {
+                    this.stats.duplicatesSkipped++;
+                    return false;
+                }
+
+                await this.deduplicator.markPostProcessed(post.uri, {
+                    authorDid: post.author.did,
+                    source: 'repo',
+                    scrapedAt: context.scrapedAt
+                });
+
+                this.batches.posts.push({ ...post, _metadata: metadata });
+                this.stats.postsExtracted++;
+                break;
+            }
+            case 'follow': {
+                const follow = this.validator.validateFollow(item);
+
+                if (await this.deduplicator.isFollowDuplicate(item.actor.did, follow.subject.did)) {
+                    this.stats.duplicatesSkipped++;
+                    return false;
+                }
+
+                await this.deduplicator.markFollowProcessed(item.actor.did, follow.subject.did, {
+                    type: 'following',
+                    source: 'repo',
+                    scrapedAt: context.scrapedAt
+                });
+
+                this.batches.relationships.push({
+                    source: item.actor,
+                    target: {
+                        did: follow.subject.did,
+                        handle: follow.subject.handle
+                    },
+                    type: 'following',
+                    createdAt: follow.createdAt,
+                    indexedAt: follow.indexedAt,
+                    uri: follow.uri,
+                    _metadata: metadata
+                });
+                this.stats.followsExtracted++;
+                break;
+            }
+            case 'like':
+            case 'repost':
+                if (!item.target.uri) {
+                    throw new Error(`Missing ${kind} subject`);
+                }
+
+                this.batches.relationships.push({ ...item, _metadata: metadata });
+                this.stats[kind === 'like' ? 'likesExtracted' : 'repostsExtracted']++;
+                break;
+            case 'block':
+                if (!item.target.did) {
+                    throw new Error('Missing block subject');
+                }
+
+                this.batches.relationships.push({ ...item, _metadata: metadata });
+                this.stats.blocksExtracted++;
+                break;
+            case 'list':
+                this.batches.lists.push({ ...item, _metadata: metadata });
+                this.stats.listsExtracted++;
+                break;
+            case 'profile':
+                this.batches.profiles.push({ ...item, _metadata: metadata });
+                this.stats.profilesExtracted++;
+                break;
+            default:
+                return false;
+        }
+
+        this.stats.recordsExtracted++;
+        return true;
+    }
+
+    /**
+     * Number of buffered records across all batches
+     * @returns {number} Buffered record count
+     */
+    getBufferedCount() {
+        return this.batches.posts.length +
+            this.batches.relationships.length +
+            this.batches.lists.length +
+            this.batches.profiles.length;
+    }
+
+    /**
+     * Save buffered records
+     * @param {boolean} force - Force save even if batches are small
+     */
+    async saveBatch(force = false) {
+        const buffered = this.getBufferedCount();
+
+        if (buffered === 0 || (!force && buffered < this.options.saveInterval)) {
+            return;
+        }
+
+        try {
+            const metadata = {
+                scraper: 'repo_scraper',
+                baseURL: this.options.baseURL
+            };
+
+            if (this.batches.posts.length > 0) {
+                await this.fileManager.savePosts(this.batches.posts, metadata);
+            }
+
+            if (this.batches.relationships.length > 0) {
+                await this.fileManager.saveRelationships(this.batches.relationships, metadata);
+            }
+
+            if (this.batches.lists.length > 0) {
+                await this.fileManager.saveLists(this.batches.lists, metadata);
+            }
+
+            if (this.batches.profiles.length > 0) {
+                await this.fileManager.saveUsers(this.batches.profiles, metadata);
+            }
+
+            this.stats.recordsSaved += buffered;
+            this.stats.lastSaveTime = new Date();
+            this.batches = { posts: [], relationships: [], lists: [], profiles: [] };
+
+            logger.info(`Saved ${buffered} repository records`);
+
+        } catch (error) {
+            logger.error('Error saving repo batch:', error);
+            this.stats.errors++;
+            throw error;
+        }
+    }
+
+    /**
+     * Save checkpoint with the current enumeration position
+     */
+    async saveCheckpoint() {
+        try {
+            await this.checkpointManager.createCheckpoint({
+                position: this.position,
+                stats: this.stats
+            }, {
+                scraper: 'repo_scraper',
+                baseURL: this.options.baseURL
+            });
+
+            this.reposSinceCheckpoint = 0;
+            logger.debug('Checkpoint saved', this.position);
+
+        } catch (error) {
+            logger.error('Error saving checkpoint:', error);
+        }
+    }
+
+    /**
+     * Get scraper statistics
+     * @returns {Object} Current statistics
+     */
+    getStats() {
+        const now = new Date();
+        const runtime = this.stats.startTime ? now - this.stats.startTime : 0;
+        const runtimeHours = runtime / (1000 * 60 * 60);
+
+        return {
+            ...this.stats,
+            runtime: runtime,
+            runtimeFormatted: this.formatDuration(runtime),
+            reposPerHour: runtimeHours > 0 ? Math.round(this.stats.reposProcessed / runtimeHours) : 0,
+            position: this.position,
+            deduplicationStats: this.deduplicator.getStats(),
+            isRunning: this.isRunning
+        };
+    }
+
+    /**
+     * Format duration in human readable format
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) {
+            return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+        } else if (minutes > 0) {
+            return `${minutes}m ${seconds % 60}s`;
+        } else {
+            return `${seconds}s`;
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    async cleanup() {
+        try {
+            await this.saveBatch(true);
+            await this.deduplicator.close();
+            await this.identityResolver.cleanup();
+            await this.apiClient.cleanup();
+            logger.info('Repo scraper cleanup completed');
+        } catch (error) {
+            logger.error('Error during cleanup:', error);
+        }
+    }
+}
+
+export default RepoScraper;
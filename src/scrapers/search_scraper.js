@@ -0,0 +1,507 @@
+import ApiClient from '../core/api_client.js';
+import DataValidator from '../utils/data_validator.js';
+import Deduplicator from '../utils/deduplicator.js';
+import FileManager from '../utils/file_manager.js';
+import CheckpointManager from '../core/checkpoint_manager.js';
+import logger from '../core/logger.js';
+import settings from '../config/settings.js';
+import { ENDPOINTS } from '../config/endpoints.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// searchPosts filters passed through from the options
+const SEARCH_FILTERS = ['lang', 'author', 'mentions', 'domain', 'url'];
+
+/**
+ * Search Scraper for complete keyword and hashtag datasets
+ * searchPosts stops returning results after a cap, so the date range is cut
+ * into windows that are paged to the end one by one. A window that reaches
+ * the cap is split in half until every window fits under it.
+ */
+class SearchScraper {
+    constructor(options = {}) {
+        this.apiClient = new ApiClient();
+        this.validator = new DataValidator();
+        this.deduplicator = new Deduplicator();
+        this.fileManager = new FileManager();
+        this.checkpointManager = new CheckpointManager('search_scraper');
+
+        this.options = {
+            queries: options.queries || [],
+            since: options.since || null, // null = 7 days before until
+            until: options.until || null, // null = now
+            windowHours: options.windowHours || 24, // Width of the initial windows
+            minWindowMinutes: options.minWindowMinutes || 1, // Capped windows this narrow are kept as they are
+            resultCap: options.resultCap || settings.DISCOVERY?.MAX_SEARCH_RESULTS || 1000,
+            batchSize: options.batchSize || 100,
+            maxPosts: options.maxPosts || 0, // 0 = no limit
+            saveInterval: options.saveInterval || 500,
+            checkpointInterval: options.checkpointInterval || 1000,
+            lang: options.lang || null,
+            author: options.author || null,
+            mentions: options.mentions || null,
+            domain: options.domain || null,
+            url: options.url || null,
+            ...options
+        };
+
+        this.stats = {
+            windowsPlanned: 0,
+            windowsCompleted: 0,
+            windowsSplit: 0,
+            windowsTruncated: 0,
+            pages: 0,
+            postsDiscovered: 0,
+            postsProcessed: 0,
+            postsSaved: 0,
+            duplicatesSkipped: 0,
+            errors: 0,
+            startTime: null,
+            lastSaveTime: null
+        };
+
+        this.isRunning = false;
+        this.shouldStop = false;
+        this.windows = []; // Pending windows, the head is the one being paged
+        this.currentBatch = [];
+        this.pendingUris = new Set(); // URIs in currentBatch, not yet marked in the deduplicator
+        this.lastCheckpointPosts = 0;
+        this.checkpointDue = false; // A save happened mid-page; checkpoint again at the next cursor
+    }
+
+    /**
+     * Initialize the scraper
+     */
+    async initialize() {
+        try {
+            await this.apiClient.initialize();
+            await this.deduplicator.initialize();
+            await this.fileManager.initialize();
+
+            logger.info('Search scraper initialized successfully');
+        } catch (error) {
+            logger.error('Failed to initialize search scraper:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start harvesting every query over the date range
+     * @param {Object} resumeOptions - Options for resuming from checkpoint
+     */
+    async start(resumeOptions = {}) {
+        if (this.isRunning) {
+            throw new Error('Scraper is already running');
+        }
+
+        this.isRunning = true;
+        this.shouldStop = false;
+        this.stats.startTime = new Date();
+
+        try {
+            let checkpoint = null;
+            if (resumeOptions.resume) {
+                checkpoint = await this.checkpointManager.loadLatestCheckpoint();
+                if (checkpoint && checkpoint.state) {
+                    logger.info('Resuming search scraper from checkpoint', checkpoint.metadata);
+                    await this.restoreCheckpoint(checkpoint.state);
+                }
+            }
+
+            if (!checkpoint) {
+                this.windows = this.planWindows();
+                this.stats.windowsPlanned = this.windows.length;
+            }
+
+            logger.info('Starting search scraper', {
+                queries: this.options.queries,
+                windows: this.windows.length,
+                resultCap: this.options.resultCap
+            });
+
+            await this.harvest();
+
+            await this.saveBatch(true);
+            await this.saveCheckpoint();
+
+            logger.info('Search scraping completed', this.getStats());
+
+        } catch (error) {
+            logger.error('Search scraping failed:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Stop the scraper gracefully
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        logger.info('Stopping search scraper...');
+        this.shouldStop = true;
+
+        // Wait for current operation to complete
+        while (this.isRunning) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        logger.info('Search scraper stopped');
+    }
+
+    /**
+     * Cut the date range into windowHours windows, oldest first, for every query
+     * @returns {Array} Windows { query, since, until, cursor, collected }
+     */
+    planWindows() {
+        if (this.options.queries.length === 0) {
+            throw new Error('No search queries given');
+        }
+
+        const until = this.options.until ? new Date(this.options.until) : new Date();
+        const since = this.options.since
+            ? new Date(this.options.since)
+            : new Date(until.getTime() - 7 * DAY);
+
+        if (isNaN(since) || isNaN(until) || since >= until) {
+            throw new Error(`Invalid search date range: ${this.options.since} - ${this.options.until}`);
+        }
+
+        const width = this.options.windowHours * HOUR;
+        const windows = [];
+        for (const query of this.options.queries) {
+            for (let start = since.getTime(); start < until.getTime(); start += width) {
+                windows.push(this.createWindow(query, start, Math.min(start + width, until.getTime())));
+            }
+        }
+
+        return windows;
+    }
+
+    /**
+     * @param {string} query - Search query
+     * @param {number} since - Window start (ms, inclusive)
+     * @param {number} until - Window end (ms, exclusive)
+     * @returns {Object} Window { query, since, until, cursor, collected }
+     */
+    createWindow(query, since, until) {
+        return {
+            query,
+            since: new Date(since).toISOString(),
+            until: new Date(until).toISOString(),
+            cursor: null,
+            collected: 0
+        };
+    }
+
+    /**
+     * Page through the pending windows until they are all done
+     */
+    async harvest() {
+        while (this.windows.length > 0 && !this.shouldStop && !this.reachedLimit()) {
+            const window = this.windows[0];
+            const capped = await this.harvestWindow(window);
+            if (this.shouldStop || this.reachedLimit()) {
+                break; // Leave the window pending so a resume continues it
+            }
+
+            const since = Date.parse(window.since);
+            const until = Date.parse(window.until);
+            if (capped && until - since > this.options.minWindowMinutes * MINUTE) {
+                // Results already seen are deduplicated when the halves are paged
+                const middle = since + Math.floor((until - since) / 2);
+                this.windows.splice(0, 1,
+                    this.createWindow(window.query, since, middle),
+                    this.createWindow(window.query, middle, until));
+                this.stats.windowsSplit++;
+                logger.debug(`Window ${window.since} - ${window.until} hit the result cap, splitting`, { query: window.query });
+            } else {
+                if (capped) {
+                    this.stats.windowsTruncated++;
+                    logger.warn(`Window ${window.since} - ${window.until} is at the minimum width and still capped`, { query: window.query });
+                }
+                this.windows.shift();
+                this.stats.windowsCompleted++;
+            }
+
+            await this.saveCheckpoint();
+        }
+    }
+
+    /**
+     * Page one window to the end, or until it reaches the result cap
+     * @param {Object} window - Window to page (cursor and collected are updated in place)
+     * @returns {boolean} True if the window reached the result cap
+     */
+    async harvestWindow(window) {
+        if (window.collected >= this.options.resultCap) {
+            return true; // Capped just before the checkpoint was taken
+        }
+
+        // collected moves with the cursor, so a resumed window re-reads no more than it counts
+        const resumedAt = window.collected;
+        let collected = resumedAt;
+        const pages = this.apiClient.paginate(ENDPOINTS.FEED.SEARCH_POSTS, this.buildSearchParams(window), {
+            maxItems: this.options.resultCap - resumedAt,
+            cursor: window.cursor,
+            onCursor: async (cursor, { itemCount }) => {
+                window.cursor = cursor;
+                window.collected = resumedAt + itemCount;
+                if (this.checkpointDue ||
+                    this.stats.postsProcessed - this.lastCheckpointPosts >= this.options.checkpointInterval) {
+                    await this.saveCheckpoint();
+                }
+            }
+        });
+
+        // Errors are not skipped over: the window stays pending in the checkpoint for a resume
+        for await (const page of pages) {
+            this.stats.pages++;
+            collected += page.items.length;
+
+            await this.processPosts(page.items, {
+                source: 'search',
+                query: window.query,
+                window: { since: window.since, until: window.until }
+            });
+
+            if (this.shouldStop || this.reachedLimit()) {
+                break;
+            }
+        }
+
+        return collected >= this.options.resultCap;
+    }
+
+    /**
+     * searchPosts parameters for a window
+     * @param {Object} window - Window
+     * @returns {Object} Query parameters
+     */
+    buildSearchParams(window) {
+        const params = {
+            q: window.query,
+            sort: 'latest',
+            since: window.since,
+            until: window.until,
+            limit: Math.min(this.options.batchSize, 100)
+        };
+
+        for (const filter of SEARCH_FILTERS) {
+            if (this.options[filter]) {
+                params[filter] = this.options[filter];
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * @returns {boolean} True once maxPosts have been processed
+     */
+    reachedLimit() {
+        return this.options.maxPosts > 0 && this.stats.postsProcessed >= this.options.maxPosts;
+    }
+
+    /**
+     * Validate, deduplicate and buffer a page of search results
+     * @param {Array} posts - Post views
+     * @param {Object} metadata - Metadata about the source
+     */
+    async processPosts(posts, metadata = {}) {
+        if (!Array.isArray(posts) || posts.length === 0) {
+            return;
+        }
+
+        this.stats.postsDiscovered += posts.length;
+
+        const validation = this.validator.validateBatch(posts, 'post');
+        if (validation.errors.length > 0) {
+            logger.warn(`Post validation errors: ${validation.errors.length}/${posts.length}`);
+            this.stats.errors += validation.errors.length;
+        }
+
+        const scrapedAt = new Date().toISOString();
+        for (const post of validation.validItems) {
+            if (this.reachedLimit()) {
+                break;
+            }
+
+            // Posts are marked in the deduplicator once saved (see saveBatch)
+            if (this.pendingUris.has(post.uri) || await this.deduplicator.isPostDuplicate(post.uri)) {
+                this.stats.duplicatesSkipped++;
+                continue;
+            }
+
+            this.currentBatch.push({
+                ...post,
+                _metadata: {
+                    ...metadata,
+                    scrapedAt,
+                    scraper: 'search_scraper',
+                    version: '1.0.0'
+                }
+            });
+            this.pendingUris.add(post.uri);
+            this.stats.postsProcessed++;
+        }
+
+        if (this.currentBatch.length >= this.options.saveInterval) {
+            await this.saveBatch();
+        }
+    }
+
+    /**
+     * Save current batch to file
+     * @param {boolean} force - Force save even if batch is small
+     */
+    async saveBatch(force = false) {
+        if (this.currentBatch.length === 0 || (!force && this.currentBatch.length < this.options.saveInterval)) {
+            return;
+        }
+
+        try {
+            const filePath = await this.fileManager.savePosts(this.currentBatch, {
+                scraper: 'search_scraper',
+                queries: this.options.queries,
+                batchSize: this.currentBatch.length
+            });
+
+            for (const post of this.currentBatch) {
+                await this.deduplicator.markPostProcessed(post.uri, {
+                    authorDid: post.author?.did,
+                    source: 'search',
+                    query: post._metadata?.query,
+                    scrapedAt: post._metadata?.scrapedAt
+                });
+            }
+
+            this.stats.postsSaved += this.currentBatch.length;
+            this.stats.lastSaveTime = new Date();
+
+            logger.info(`Saved batch of ${this.currentBatch.length} posts to ${filePath}`);
+
+            this.currentBatch = [];
+            this.pendingUris.clear();
+
+            // Saved posts must never be restored from an older checkpoint
+            await this.saveCheckpoint();
+            this.checkpointDue = true;
+
+        } catch (error) {
+            logger.error('Error saving search batch:', error);
+            this.stats.errors++;
+            throw error;
+        }
+    }
+
+    /**
+     * Save checkpoint with the pending windows (the head with its cursor)
+     * and the unsaved batch
+     */
+    async saveCheckpoint() {
+        try {
+            await this.checkpointManager.createCheckpoint({
+                windows: this.windows,
+                currentBatch: this.currentBatch,
+                stats: this.stats
+            }, {
+                scraper: 'search_scraper',
+                queries: this.options.queries,
+                pendingWindows: this.windows.length
+            });
+
+            this.lastCheckpointPosts = this.stats.postsProcessed;
+            this.checkpointDue = false;
+            logger.debug('Checkpoint saved', { pendingWindows: this.windows.length });
+
+        } catch (error) {
+            logger.error('Error saving checkpoint:', error);
+        }
+    }
+
+    /**
+     * Restore scraper state from a checkpoint
+     * @param {Object} state - Checkpoint state
+     */
+    async restoreCheckpoint(state) {
+        this.windows = state.windows || [];
+        this.stats = { ...this.stats, ...state.stats, startTime: this.stats.startTime };
+        this.lastCheckpointPosts = this.stats.postsProcessed;
+
+        // Drop batch items that were saved after this checkpoint was taken
+        this.currentBatch = [];
+        this.pendingUris = new Set();
+        for (const post of state.currentBatch || []) {
+            if (!await this.deduplicator.isPostDuplicate(post.uri)) {
+                this.currentBatch.push(post);
+                this.pendingUris.add(post.uri);
+            }
+        }
+
+        if (this.windows.length > 0) {
+            const [head] = this.windows;
+            logger.info(`Resuming "${head.query}" ${head.since} - ${head.until} at cursor ${head.cursor} with ${this.windows.length} windows left`);
+        }
+    }
+
+    /**
+     * Get scraper statistics
+     * @returns {Object} Current statistics
+     */
+    getStats() {
+        const now = new Date();
+        const runtime = this.stats.startTime ? now - this.stats.startTime : 0;
+
+        return {
+            ...this.stats,
+            runtime: runtime,
+            runtimeFormatted: this.formatDuration(runtime),
+            pendingWindows: this.windows.length,
+            deduplicationStats: this.deduplicator.getStats(),
+            isRunning: this.isRunning
+        };
+    }
+
+    /**
+     * Format duration in human readable format
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) {
+            return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+        } else if (minutes > 0) {
+            return `${minutes}m ${seconds % 60}s`;
+        } else {
+            return `${seconds}s`;
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    async cleanup() {
+        try {
+            await this.saveBatch(true);
+            await this.deduplicator.close();
+            await this.fileManager.close();
+            await this.apiClient.cleanup();
+            logger.info('Search scraper cleanup completed');
+        } catch (error) {
+            logger.error('Error during cleanup:', error);
+        }
+    }
+}
+
+export default SearchScraper;
@@ -1,4 +1,5 @@
 import ApiClient from '../core/api_client.js'
+import IdentityResolver from '../core/identity_resolver.js'
 import DataValidator from '../utils/data_validator.js'
 import FileManager from '../utils/file_manager.js'
 import logger from '../core/logger.js'
@@ -10,6 +11,7 @@ import logger from '../core/logger.js'
 class UserInfoScraper {
     constructor(options = {}) {
         this.apiClient = new ApiClient();
+        this.identityResolver = new IdentityResolver({ apiClient: this.apiClient });
         this.validator = new DataValidator();
         this.fileManager = new FileManager();
         
@@ -37,6 +39,7 @@ class UserInfoScraper {
     async initialize() {
         try {
             await this.apiClient.initialize();
+            await this.identityResolver.initialize();
             if (this.options.saveToFile) {
                 await this.fileManager.initialize();
             }
@@ -80,8 +83,12 @@ class UserInfoScraper {
             
             logger.info(`Scraping user info for handle: ${handle}`);
             
+            // Resolve the handle ourselves so the profile is fetched by DID
+            // and the handle is verified in both directions
+            const identity = await this.resolveIdentity(handle);
+            
             // Get user profile
-            const profile = await this.apiClient.getProfile(handle);
+            const profile = await this.apiClient.getProfile(identity ? identity.did : handle);
             
             if (!profile) {
                 throw new Error(`User not found: ${handle}`);
@@ -92,6 +99,7 @@ class UserInfoScraper {
             
             // Enrich with additional data if requested
             const enrichedUser = await this.enrichUserData(validatedUser);
+            enrichedUser.identity = this.summarizeIdentity(identity);
             
             // Add metadata
             enrichedUser._metadata = {
@@ -133,6 +141,7 @@ class UserInfoScraper {
             
             // Get user profile by DID
             const profile = await this.apiClient.getProfile(did);
+            const identity = await this.resolveIdentity(did);
             
             if (!profile) {
                 throw new Error(`User not found: ${did}`);
@@ -143,6 +152,7 @@ class UserInfoScraper {
             
             // Enrich with additional data if requested
             const enrichedUser = await this.enrichUserData(validatedUser);
+            enrichedUser.identity = this.summarizeIdentity(identity);
             
             // Add metadata
             enrichedUser._metadata = {
@@ -283,6 +293,39 @@ class UserInfoScraper {
         };
     }
 
+    /**
+     * Resolve a handle or DID, falling back to the AppView on failure
+     * @param {string} identifier - Handle or DID
+     * @returns {Object|null} Resolved identity or null
+     */
+    async resolveIdentity(identifier) {
+        try {
+            return await this.identityResolver.resolveIdentity(identifier);
+        } catch (error) {
+            logger.warn(`Identity resolution failed for ${identifier}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Reduce a resolved identity to the fields stored with the user
+     * @param {Object|null} identity - Result of IdentityResolver.resolveIdentity
+     * @returns {Object|null} Identity summary
+     */
+    summarizeIdentity(identity) {
+        if (!identity) {
+            return null;
+        }
+
+        return {
+            did: identity.did,
+            handle: identity.handle,
+            handleVerified: identity.handleVerified,
+            pdsEndpoint: identity.pdsEndpoint,
+            signingKey: identity.signingKey
+        };
+    }
+
     /**
      * Enrich user data with additional information
      * @param {Object} user - Base user object
@@ -550,7 +593,8 @@ class UserInfoScraper {
             runtimeFormatted: this.formatDuration(runtime),
             averageTimePerUser: this.stats.usersScraped > 0 
                 ? Math.round(runtime / this.stats.usersScraped)
-                : 0
+                : 0,
+            identityStats: this.identityResolver.getStats()
         };
     }
 
@@ -580,6 +624,19 @@ class UserInfoScraper {
     async delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
+
+    /**
+     * Clean up resources
+     */
+    async cleanup() {
+        try {
+            await this.identityResolver.cleanup();
+            await this.apiClient.cleanup();
+            logger.info('User info scraper cleanup completed');
+        } catch (error) {
+            logger.error('Error during cleanup:', error);
+        }
+    }
 }
 
 export default UserInfoScraper; 
\ No newline at end of file
@@ -5,6 +5,7 @@ import FileManager from '../utils/file_manager.js'
 import CheckpointManager from '../core/checkpoint_manager.js'
 import logger from '../core/logger.js'
 import settings from '../config/settings.js'
+import { ENDPOINTS } from '../config/endpoints.js'
 
 /**
  * Users Scraper for bulk user discovery and scraping
@@ -175,50 +176,39 @@ class UsersScraper {
             const term = searchTerms[i];
             logger.info(`Searching for users with term: "${term}"`);
             
-            let cursor = null;
-            let pageCount = 0;
             const maxPages = 50; // Limit pages per search term
+            const pages = this.apiClient.paginate(ENDPOINTS.ACTOR.SEARCH_ACTORS, {
+                q: term,
+                limit: this.options.batchSize
+            }, { maxPages });
             
-            do {
-                try {
-                    const response = await this.apiClient.searchActors(term, {
-                        limit: this.options.batchSize,
-                        cursor: cursor
+            try {
+                for await (const page of pages) {
+                    await this.processUsers(page.items, {
+                        source: 'search',
+                        searchTerm: term,
+                        page: page.page - 1
                     });
                     
-                    if (response.actors && response.actors.length > 0) {
-                        await this.processUsers(response.actors, {
-                            source: 'search',
-                            searchTerm: term,
-                            page: pageCount
-                        });
+                    // Save checkpoint periodically
+                    if (this.stats.usersProcessed % this.options.checkpointInterval === 0) {
+                        await this.saveCheckpoint(0, i);
                     }
                     
-                    cursor = response.cursor;
-                    pageCount++;
-                    
                     // Check limits
-                    if (this.stats.usersProcessed >= this.options.maxUsers) {
+                    if (this.stats.usersProcessed >= this.options.maxUsers || this.shouldStop) {
                         break;
                     }
                     
-                    if (pageCount >= maxPages) {
+                    if (page.page >= maxPages) {
                         logger.info(`Reached max pages (${maxPages}) for search term: ${term}`);
-                        break;
                     }
-                    
-                } catch (error) {
-                    logger.error(`Error searching for "${term}":`, error);
-                    this.stats.errors++;
-                    break;
-                }
-                
-                // Save checkpoint periodically
-                if (this.stats.usersProcessed % this.options.checkpointInterval === 0) {
-                    await this.saveCheckpoint(0, i);
                 }
                 
-            } while (cursor && !this.shouldStop);
+            } catch (error) {
+                logger.error(`Error searching for "${term}":`, error);
+                this.stats.errors++;
+            }
         }
     }
 
@@ -297,47 +287,33 @@ class UsersScraper {
      * @param {string} type - 'followers' or 'following'
      */
     async crawlUserNetwork(userDid, type) {
-        let cursor = null;
-        let pageCount = 0;
         const maxPages = 10; // Limit network crawling depth
+        const endpoint = type === 'followers'
+            ? ENDPOINTS.GRAPH.GET_FOLLOWERS
+            : ENDPOINTS.GRAPH.GET_FOLLOWS;
         
-        do {
-            try {
-                let response;
-                if (type === 'followers') {
-                    response = await this.apiClient.getFollowers(userDid, {
-                        limit: this.options.batchSize,
-                        cursor: cursor
-                    });
-                } else {
-                    response = await this.apiClient.getFollows(userDid, {
-                        limit: this.options.batchSize,
-                        cursor: cursor
-                    });
-                }
+        const pages = this.apiClient.paginate(endpoint, {
+            actor: userDid,
+            limit: this.options.batchSize
+        }, { maxPages });
+        
+        try {
+            for await (const page of pages) {
+                // Followers/follows are profile views of the other accounts
+                await this.processUsers(page.items, {
+                    source: 'network',
+                    networkType: type,
+                    seedUser: userDid
+                });
                 
-                if (response.followers || response.follows) {
-                    const users = response.followers || response.follows;
-                    const subjects = users.map(item => item.subject).filter(Boolean);
-                    
-                    if (subjects.length > 0) {
-                        await this.processUsers(subjects, {
-                            source: 'network',
-                            networkType: type,
-                            seedUser: userDid
-                        });
-                    }
+                if (this.shouldStop) {
+                    break;
                 }
-                
-                cursor = response.cursor;
-                pageCount++;
-                
-            } catch (error) {
-                logger.error(`Error crawling ${type} for ${userDid}:`, error);
-                break;
             }
             
-        } while (cursor && pageCount < maxPages && !this.shouldStop);
+        } catch (error) {
+            logger.error(`Error crawling ${type} for ${userDid}:`, error);
+        }
     }
 
     /**
@@ -558,6 +534,7 @@ class UsersScraper {
         try {
             await this.saveBatch(true);
             await this.deduplicator.close();
+            await this.apiClient.cleanup();
             logger.info('Users scraper cleanup completed');
         } catch (error) {
             logger.error('Error during cleanup:', error);
@@ -0,0 +1,39 @@
+/**
+ * Storage backends
+ *
+ * JSON files are always written by FileManager; a backend selected here
+ * receives the same records as structured, queryable rows.
+ */
+
+import SQLiteStorage from './sqlite_storage.js'
+import StorageBackend from './storage_backend.js'
+
+export const STORAGE_BACKENDS = {
+  sqlite: SQLiteStorage
+}
+
+/**
+ * Create a storage backend
+ * @param {string} type - Backend name ('json' for files only)
+ * @param {Object} options - Backend options
+ * @returns {StorageBackend|null} Backend, or null when only JSON files are written
+ */
+export function createStorage(type, options = {}) {
+  if (!type || type === 'json') {
+    return null
+  }
+
+  const Backend = STORAGE_BACKENDS[type]
+  if (!Backend) {
+    throw new Error(`Unknown storage backend: ${type}`)
+  }
+
+  return new Backend(options)
+}
+
+export { StorageBackend, SQLiteStorage }
+
+export default {
+  STORAGE_BACKENDS,
+  createStorage
+}
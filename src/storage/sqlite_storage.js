@@ -0,0 +1,475 @@
+/**
+ * SQLite Storage
+ *
+ * StorageBackend on better-sqlite3. Records are normalized into actors,
+ * posts, follows, likes and reposts tables; every write is an upsert keyed
+ * on DID or AT URI, so replaying a batch (e.g. after a checkpoint resume)
+ * never duplicates rows. The full record is kept in a `data` JSON column.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import Database from 'better-sqlite3'
+
+import logger from '../core/logger.js'
+import StorageBackend from './storage_backend.js'
+import { INVALID_HANDLE } from '../utils/record_normalizer.js'
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS actors (
+    did TEXT PRIMARY KEY,
+    handle TEXT,
+    display_name TEXT,
+    description TEXT,
+    avatar TEXT,
+    followers_count INTEGER,
+    follows_count INTEGER,
+    posts_count INTEGER,
+    created_at TEXT,
+    indexed_at TEXT,
+    updated_at TEXT NOT NULL,
+    posts_crawled_at TEXT,
+    relationships_crawled_at TEXT,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_actors_handle ON actors (handle);
+  CREATE INDEX IF NOT EXISTS idx_actors_followers ON actors (followers_count);
+
+  CREATE TABLE IF NOT EXISTS posts (
+    uri TEXT PRIMARY KEY,
+    cid TEXT,
+    author_did TEXT NOT NULL,
+    text TEXT,
+    created_at TEXT,
+    indexed_at TEXT,
+    reply_parent TEXT,
+    reply_root TEXT,
+    like_count INTEGER,
+    repost_count INTEGER,
+    reply_count INTEGER,
+    quote_count INTEGER,
+    langs TEXT,
+    updated_at TEXT NOT NULL,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_posts_author ON posts (author_did, created_at);
+  CREATE INDEX IF NOT EXISTS idx_posts_created_at ON posts (created_at);
+
+  CREATE TABLE IF NOT EXISTS follows (
+    actor_did TEXT NOT NULL,
+    subject_did TEXT NOT NULL,
+    uri TEXT,
+    created_at TEXT,
+    indexed_at TEXT,
+    PRIMARY KEY (actor_did, subject_did)
+  );
+  CREATE INDEX IF NOT EXISTS idx_follows_subject ON follows (subject_did);
+
+  CREATE TABLE IF NOT EXISTS likes (
+    actor_did TEXT NOT NULL,
+    subject_uri TEXT NOT NULL,
+    subject_did TEXT,
+    uri TEXT,
+    created_at TEXT,
+    indexed_at TEXT,
+    PRIMARY KEY (actor_did, subject_uri)
+  );
+  CREATE INDEX IF NOT EXISTS idx_likes_subject ON likes (subject_uri);
+  CREATE INDEX IF NOT EXISTS idx_likes_created_at ON likes (created_at);
+
+  CREATE TABLE IF NOT EXISTS reposts (
+    actor_did TEXT NOT NULL,
+    subject_uri TEXT NOT NULL,
+    subject_did TEXT,
+    uri TEXT,
+    created_at TEXT,
+    indexed_at TEXT,
+    PRIMARY KEY (actor_did, subject_uri)
+  );
+  CREATE INDEX IF NOT EXISTS idx_reposts_subject ON reposts (subject_uri);
+  CREATE INDEX IF NOT EXISTS idx_reposts_created_at ON reposts (created_at);
+
+  CREATE TABLE IF NOT EXISTS actor_metrics (
+    did TEXT PRIMARY KEY,
+    in_degree INTEGER,
+    out_degree INTEGER,
+    mutual_count INTEGER,
+    reciprocity REAL,
+    pagerank REAL,
+    component INTEGER,
+    component_size INTEGER,
+    core_number INTEGER,
+    community INTEGER,
+    computed_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_actor_metrics_pagerank ON actor_metrics (pagerank);
+  CREATE INDEX IF NOT EXISTS idx_actor_metrics_community ON actor_metrics (community);
+`
+
+// Crawl type -> actors column holding the completion timestamp
+const CRAWL_COLUMNS = {
+  posts: 'posts_crawled_at',
+  relationships: 'relationships_crawled_at'
+}
+
+class SQLiteStorage extends StorageBackend {
+  /**
+   * @param {Object} options - { path } (':memory:' for an in-memory database)
+   */
+  constructor(options = {}) {
+    super()
+    this.path = options.path || './data/bluesky.db'
+    this.db = null
+    this.statements = null
+  }
+
+  async initialize() {
+    if (this.db) {
+      return
+    }
+
+    if (this.path !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    }
+
+    this.db = new Database(this.path)
+    this.db.pragma('journal_mode = WAL')
+    this.db.pragma('synchronous = NORMAL')
+    this.db.exec(SCHEMA)
+    this.prepareStatements()
+
+    logger.info(`SQLite storage opened at ${this.path}`)
+  }
+
+  prepareStatements() {
+    // Existing values win over nulls, so a sparse record (e.g. a follow
+    // target with only a DID and handle) never erases a full profile
+    const upsertActor = this.db.prepare(`
+      INSERT INTO actors (did, handle, display_name, description, avatar, followers_count,
+        follows_count, posts_count, created_at, indexed_at, updated_at, data)
+      VALUES (@did, @handle, @displayName, @description, @avatar, @followersCount,
+        @followsCount, @postsCount, @createdAt, @indexedAt, @updatedAt, @data)
+      ON CONFLICT (did) DO UPDATE SET
+        handle = COALESCE(excluded.handle, actors.handle),
+        display_name = COALESCE(excluded.display_name, actors.display_name),
+        description = COALESCE(excluded.description, actors.description),
+        avatar = COALESCE(excluded.avatar, actors.avatar),
+        followers_count = COALESCE(excluded.followers_count, actors.followers_count),
+        follows_count = COALESCE(excluded.follows_count, actors.follows_count),
+        posts_count = COALESCE(excluded.posts_count, actors.posts_count),
+        created_at = COALESCE(excluded.created_at, actors.created_at),
+        indexed_at = COALESCE(excluded.indexed_at, actors.indexed_at),
+        updated_at = excluded.updated_at,
+        data = COALESCE(excluded.data, actors.data)
+    `)
+
+    const upsertPost = this.db.prepare(`
+      INSERT INTO posts (uri, cid, author_did, text, created_at, indexed_at, reply_parent,
+        reply_root, like_count, repost_count, reply_count, quote_count, langs, updated_at, data)
+      VALUES (@uri, @cid, @authorDid, @text, @createdAt, @indexedAt, @replyParent,
+        @replyRoot, @likeCount, @repostCount, @replyCount, @quoteCount, @langs, @updatedAt, @data)
+      ON CONFLICT (uri) DO UPDATE SET
+        cid = excluded.cid,
+        text = excluded.text,
+        indexed_at = excluded.indexed_at,
+        like_count = COALESCE(excluded.like_count, posts.like_count),
+        repost_count = COALESCE(excluded.repost_count, posts.repost_count),
+        reply_count = COALESCE(excluded.reply_count, posts.reply_count),
+        quote_count = COALESCE(excluded.quote_count, posts.quote_count),
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `)
+
+    const edge = (table, subject) => this.db.prepare(`
+      INSERT INTO ${table} (actor_did, ${subject}, uri, created_at, indexed_at)
+      VALUES (@actorDid, @subject, @uri, @createdAt, @indexedAt)
+      ON CONFLICT (actor_did, ${subject}) DO UPDATE SET
+        uri = COALESCE(excluded.uri, ${table}.uri),
+        created_at = COALESCE(excluded.created_at, ${table}.created_at),
+        indexed_at = COALESCE(excluded.indexed_at, ${table}.indexed_at)
+    `)
+
+    const engagement = (table) => this.db.prepare(`
+      INSERT INTO ${table} (actor_did, subject_uri, subject_did, uri, created_at, indexed_at)
+      VALUES (@actorDid, @subject, @subjectDid, @uri, @createdAt, @indexedAt)
+      ON CONFLICT (actor_did, subject_uri) DO UPDATE SET
+        uri = COALESCE(excluded.uri, ${table}.uri),
+        created_at = COALESCE(excluded.created_at, ${table}.created_at),
+        indexed_at = COALESCE(excluded.indexed_at, ${table}.indexed_at)
+    `)
+
+    this.statements = {
+      upsertActor,
+      upsertPost,
+      upsertFollow: edge('follows', 'subject_did'),
+      upsertLike: engagement('likes'),
+      upsertRepost: engagement('reposts'),
+      insertMetrics: this.db.prepare(`
+        INSERT INTO actor_metrics (did, in_degree, out_degree, mutual_count, reciprocity, pagerank,
+          component, component_size, core_number, community, computed_at)
+        VALUES (@did, @inDegree, @outDegree, @mutualCount, @reciprocity, @pageRank,
+          @component, @componentSize, @coreNumber, @community, @computedAt)
+      `),
+      getActor: this.db.prepare(`
+        SELECT actors.*, actor_metrics.in_degree, actor_metrics.out_degree, actor_metrics.mutual_count,
+          actor_metrics.reciprocity, actor_metrics.pagerank, actor_metrics.component,
+          actor_metrics.component_size, actor_metrics.core_number, actor_metrics.community,
+          actor_metrics.computed_at AS metrics_computed_at
+        FROM actors LEFT JOIN actor_metrics ON actor_metrics.did = actors.did
+        WHERE actors.did = ?
+      `)
+    }
+
+    this.upsertActorRows = this.db.transaction((rows) => {
+      for (const row of rows) {
+        this.statements.upsertActor.run(row)
+      }
+    })
+    this.upsertPostRows = this.db.transaction((rows, authors) => {
+      for (const row of authors) {
+        this.statements.upsertActor.run(row)
+      }
+      for (const row of rows) {
+        this.statements.upsertPost.run(row)
+      }
+    })
+    // Metrics are a snapshot of one run, so the previous run is dropped
+    this.replaceMetricRows = this.db.transaction((rows) => {
+      this.db.prepare('DELETE FROM actor_metrics').run()
+      for (const row of rows) {
+        this.statements.insertMetrics.run(row)
+      }
+    })
+    this.upsertEdgeRows = this.db.transaction((edges, actors) => {
+      for (const row of actors) {
+        this.statements.upsertActor.run(row)
+      }
+      for (const { statement, row } of edges) {
+        statement.run(row)
+      }
+    })
+  }
+
+  async upsertActors(actors) {
+    const rows = actors.filter(actor => actor?.did).map(actor => this.actorRow(actor, true))
+    this.upsertActorRows(rows)
+    return rows.length
+  }
+
+  async upsertPosts(posts) {
+    const updatedAt = new Date().toISOString()
+    const rows = []
+    const authors = []
+
+    for (const post of posts) {
+      const authorDid = post?.author?.did || post?.uri?.replace(/^at:\/\//, '').split('/')[0]
+      if (!post?.uri || !authorDid) {
+        continue
+      }
+
+      const record = post.record || {}
+      rows.push({
+        uri: post.uri,
+        cid: post.cid || null,
+        authorDid,
+        text: record.text ?? null,
+        createdAt: record.createdAt || null,
+        indexedAt: post.indexedAt || null,
+        replyParent: record.reply?.parent?.uri || null,
+        replyRoot: record.reply?.root?.uri || null,
+        likeCount: post.likeCount ?? null,
+        repostCount: post.repostCount ?? null,
+        replyCount: post.replyCount ?? null,
+        quoteCount: post.quoteCount ?? null,
+        langs: Array.isArray(record.langs) ? record.langs.join(',') : null,
+        updatedAt,
+        data: JSON.stringify(post)
+      })
+      if (post.author?.did) {
+        authors.push(this.actorRow(post.author, false))
+      }
+    }
+
+    this.upsertPostRows(rows, authors)
+    return rows.length
+  }
+
+  async upsertRelationships(relationships) {
+    const written = { follows: 0, likes: 0, reposts: 0 }
+    const edges = []
+    const actors = []
+
+    for (const relationship of relationships) {
+      const { source, target, type } = relationship || {}
+      if (!source?.did) {
+        continue
+      }
+
+      const times = {
+        uri: relationship.uri || null,
+        createdAt: relationship.createdAt || null,
+        indexedAt: relationship.indexedAt || null
+      }
+
+      if ((type === 'follower' || type === 'following') && target?.did) {
+        // A 'follower' record means target follows source
+        const [follower, followed] = type === 'follower' ? [target, source] : [source, target]
+        edges.push({
+          statement: this.statements.upsertFollow,
+          row: { actorDid: follower.did, subject: followed.did, ...times }
+        })
+        actors.push(this.actorRow(source, false), this.actorRow(target, false))
+        written.follows++
+      } else if ((type === 'like' || type === 'repost') && target?.uri) {
+        edges.push({
+          statement: type === 'like' ? this.statements.upsertLike : this.statements.upsertRepost,
+          row: { actorDid: source.did, subject: target.uri, subjectDid: target.did || null, ...times }
+        })
+        actors.push(this.actorRow(source, false))
+        written[type === 'like' ? 'likes' : 'reposts']++
+      }
+    }
+
+    this.upsertEdgeRows(edges, actors)
+    return written
+  }
+
+  async markActorCrawled(did, crawl) {
+    const column = this.crawlColumn(crawl)
+    const now = new Date().toISOString()
+
+    // The actor may only be known from a seed file, so create the row if needed
+    this.db.prepare(`
+      INSERT INTO actors (did, updated_at, ${column}) VALUES (?, ?, ?)
+      ON CONFLICT (did) DO UPDATE SET ${column} = excluded.${column}
+    `).run(did, now, now)
+  }
+
+  async getUncrawledActors(options = {}) {
+    const column = this.crawlColumn(options.crawl || 'relationships')
+    const limit = options.limit || -1
+
+    const rows = this.db.prepare(`
+      SELECT * FROM actors
+      WHERE ${column} IS NULL AND COALESCE(followers_count, 0) >= ?
+      ORDER BY followers_count DESC, did
+      LIMIT ?
+    `).all(options.minFollowers || 0, limit)
+
+    return rows.map(row => this.actorFromRow(row))
+  }
+
+  async getActor(did) {
+    const row = this.statements.getActor.get(did)
+    return row ? this.actorFromRow(row) : null
+  }
+
+  async getPostsByAuthor(did, options = {}) {
+    const rows = this.db.prepare(`
+      SELECT data FROM posts
+      WHERE author_did = ? AND (? IS NULL OR created_at >= ?)
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(did, options.since || null, options.since || null, options.limit || -1)
+
+    return rows.map(row => JSON.parse(row.data))
+  }
+
+  async saveActorMetrics(records, computedAt) {
+    const rows = records.filter(record => record?.did).map(record => ({
+      did: record.did,
+      inDegree: record.inDegree ?? null,
+      outDegree: record.outDegree ?? null,
+      mutualCount: record.mutualCount ?? null,
+      reciprocity: record.reciprocity ?? null,
+      pageRank: record.pageRank ?? null,
+      component: record.component ?? null,
+      componentSize: record.componentSize ?? null,
+      coreNumber: record.coreNumber ?? null,
+      community: record.community ?? null,
+      computedAt: computedAt || new Date().toISOString()
+    }))
+    this.replaceMetricRows(rows)
+    return rows.length
+  }
+
+  async getStats() {
+    const stats = { backend: 'sqlite', path: this.path }
+    for (const table of ['actors', 'posts', 'follows', 'likes', 'reposts', 'actor_metrics']) {
+      stats[table] = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count
+    }
+    return stats
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+      this.statements = null
+    }
+  }
+
+  /**
+   * Map a profile (full view or the { did, handle } stub carried by posts and
+   * relationships) to an actors row; stubs leave the stored JSON untouched
+   * @param {Object} actor - Profile
+   * @param {boolean} full - Whether this is a full profile record
+   * @returns {Object} Statement parameters
+   */
+  actorRow(actor, full) {
+    return {
+      did: actor.did,
+      handle: actor.handle && actor.handle !== INVALID_HANDLE ? actor.handle : null,
+      displayName: actor.displayName ?? null,
+      description: actor.description ?? null,
+      avatar: actor.avatar ?? null,
+      followersCount: actor.followersCount ?? null,
+      followsCount: actor.followsCount ?? null,
+      postsCount: actor.postsCount ?? null,
+      createdAt: actor.createdAt || null,
+      indexedAt: actor.indexedAt || null,
+      updatedAt: new Date().toISOString(),
+      data: full ? JSON.stringify(actor) : null
+    }
+  }
+
+  actorFromRow(row) {
+    const stored = row.data ? JSON.parse(row.data) : {}
+    return {
+      ...stored,
+      did: row.did,
+      handle: row.handle,
+      displayName: row.display_name,
+      followersCount: row.followers_count || 0,
+      followsCount: row.follows_count || 0,
+      postsCount: row.posts_count || 0,
+      postsCrawledAt: row.posts_crawled_at,
+      relationshipsCrawledAt: row.relationships_crawled_at,
+      // Only set when the row was read together with actor_metrics (getActor)
+      ...(row.metrics_computed_at && {
+        graphMetrics: {
+          inDegree: row.in_degree,
+          outDegree: row.out_degree,
+          mutualCount: row.mutual_count,
+          reciprocity: row.reciprocity,
+          pageRank: row.pagerank,
+          component: row.component,
+          componentSize: row.component_size,
+          coreNumber: row.core_number,
+          community: row.community,
+          computedAt: row.metrics_computed_at
+        }
+      })
+    }
+  }
+
+  crawlColumn(crawl) {
+    const column = CRAWL_COLUMNS[crawl]
+    if (!column) {
+      throw new Error(`Unknown crawl type: ${crawl}`)
+    }
+    return column
+  }
+}
+
+export default SQLiteStorage
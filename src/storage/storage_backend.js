@@ -0,0 +1,112 @@
+/**
+ * Storage Backend
+ *
+ * Interface for structured storage of scraped records. FileManager writes
+ * every batch to its JSON files and, when a backend is configured, upserts
+ * the same records here so scrapers can query them instead of rescanning
+ * files.
+ *
+ * Records use the shapes the scrapers already produce:
+ * - actors: profile views ({ did, handle, followersCount, ... })
+ * - posts: post views ({ uri, cid, author, record, ... })
+ * - relationships: { source, target, type, createdAt, uri } where type is
+ *   'follower' / 'following' (stored as follows), 'like' or 'repost'
+ */
+
+class StorageBackend {
+  /**
+   * Open the store and create the schema if needed
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name} does not implement initialize()`)
+  }
+
+  /**
+   * Insert or update actors keyed on DID
+   * @param {Array} actors - Profile records
+   * @returns {number} Rows written
+   */
+  async upsertActors(actors) {
+    throw new Error(`${this.constructor.name} does not implement upsertActors()`)
+  }
+
+  /**
+   * Insert or update posts keyed on AT URI
+   * @param {Array} posts - Post records
+   * @returns {number} Rows written
+   */
+  async upsertPosts(posts) {
+    throw new Error(`${this.constructor.name} does not implement upsertPosts()`)
+  }
+
+  /**
+   * Insert follow, like and repost edges
+   * @param {Array} relationships - Relationship records
+   * @returns {Object} Rows written per table
+   */
+  async upsertRelationships(relationships) {
+    throw new Error(`${this.constructor.name} does not implement upsertRelationships()`)
+  }
+
+  /**
+   * Record that a crawl finished for an actor
+   * @param {string} did - Actor DID
+   * @param {string} crawl - 'posts' or 'relationships'
+   */
+  async markActorCrawled(did, crawl) {
+    throw new Error(`${this.constructor.name} does not implement markActorCrawled()`)
+  }
+
+  /**
+   * Find actors that have not been crawled yet
+   * @param {Object} options - { crawl, minFollowers, limit }
+   * @returns {Array} Actors, most followed first
+   */
+  async getUncrawledActors(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getUncrawledActors()`)
+  }
+
+  /**
+   * Get a single actor by DID
+   * @param {string} did - Actor DID
+   * @returns {Object|null} Actor
+   */
+  async getActor(did) {
+    throw new Error(`${this.constructor.name} does not implement getActor()`)
+  }
+
+  /**
+   * Get posts by an author, newest first
+   * @param {string} did - Author DID
+   * @param {Object} options - { since, limit }
+   * @returns {Array} Posts
+   */
+  async getPostsByAuthor(did, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement getPostsByAuthor()`)
+  }
+
+  /**
+   * Replace the stored graph metrics with the results of a new analysis run
+   * @param {Array} records - { did, inDegree, outDegree, pageRank, ... } (see analysis/graph_metrics.js)
+   * @param {string} computedAt - ISO timestamp of the run
+   */
+  async saveActorMetrics(records, computedAt) {
+    throw new Error(`${this.constructor.name} does not implement saveActorMetrics()`)
+  }
+
+  /**
+   * Get row counts per table
+   */
+  async getStats() {
+    throw new Error(`${this.constructor.name} does not implement getStats()`)
+  }
+
+  /**
+   * Close the store
+   */
+  async close() {
+    throw new Error(`${this.constructor.name} does not implement close()`)
+  }
+}
+
+export default StorageBackend
@@ -0,0 +1,182 @@
+/**
+ * CAR / DAG-CBOR Parser
+ *
+ * Utilities for decoding AT Protocol sync payloads: firehose event frames,
+ * repository exports and the CAR (Content Addressable aRchive) block
+ * bundles they carry.
+ */
+
+import { decodeFirst } from 'cborg'
+import * as dagCbor from '@ipld/dag-cbor'
+import { CarReader } from '@ipld/car'
+
+/**
+ * Decode a subscribeRepos event stream frame
+ *
+ * Each WebSocket message is two concatenated DAG-CBOR objects: a header
+ * ({ op, t }) followed by the message body.
+ * @param {Uint8Array} bytes - Raw WebSocket message
+ * @returns {Object} Decoded frame with header and body
+ */
+export function decodeFrame(bytes) {
+  if (!bytes || bytes.length === 0) {
+    throw new Error('Empty frame')
+  }
+
+  const [header, remainder] = decodeFirst(toUint8Array(bytes), dagCbor.decodeOptions)
+  const body = remainder.length > 0 ? dagCbor.decode(remainder) : null
+
+  return {
+    header,
+    body,
+    isError: header.op === -1,
+    type: header.t || null
+  }
+}
+
+/**
+ * Read every block of a CAR file and decode it as DAG-CBOR
+ * @param {Uint8Array} bytes - CAR file bytes
+ * @returns {Object} Roots and a Map of CID string -> decoded block
+ */
+export async function readCarBlocks(bytes) {
+  const reader = await CarReader.fromBytes(toUint8Array(bytes))
+  const roots = await reader.getRoots()
+  const blocks = new Map()
+
+  for await (const { cid, bytes: blockBytes } of reader.blocks()) {
+    if (cid.code !== dagCbor.code) {
+      continue // Only DAG-CBOR blocks hold records / MST nodes
+    }
+
+    try {
+      blocks.set(cid.toString(), dagCbor.decode(blockBytes))
+    } catch (error) {
+      // Skip undecodable blocks rather than failing the whole archive
+    }
+  }
+
+  return { roots, blocks }
+}
+
+/**
+ * Look up a decoded block by CID
+ * @param {Map} blocks - Map returned by readCarBlocks
+ * @param {Object|string} cid - CID instance or string
+ * @returns {Object|null} Decoded block or null
+ */
+export function getBlock(blocks, cid) {
+  if (!cid) {
+    return null
+  }
+
+  return blocks.get(cid.toString()) || null
+}
+
+/**
+ * Walk a Merkle Search Tree in key order
+ *
+ * Nodes are { l, e: [{ p, k, v, t }] } where each entry key is the first
+ * `p` bytes of the previous key followed by `k`, `v` is the record CID and
+ * `l` / `t` are the left and right subtrees.
+ * @param {Map} blocks - Map returned by readCarBlocks
+ * @param {Object|string} rootCid - MST root node CID
+ * @returns {Array} Leaves as { key, cid } in key order
+ */
+export function walkMst(blocks, rootCid) {
+  const leaves = []
+  const decoder = new TextDecoder()
+
+  const visit = (cid) => {
+    const node = getBlock(blocks, cid)
+    if (!node) {
+      return // Partial archives (e.g. getRepo with `since`) may omit subtrees
+    }
+
+    if (node.l) {
+      visit(node.l)
+    }
+
+    let previousKey = new Uint8Array(0)
+    for (const entry of node.e || []) {
+      const key = new Uint8Array(entry.p + entry.k.length)
+      key.set(previousKey.subarray(0, entry.p))
+      key.set(entry.k, entry.p)
+      previousKey = key
+
+      leaves.push({ key: decoder.decode(key), cid: entry.v })
+
+      if (entry.t) {
+        visit(entry.t)
+      }
+    }
+  }
+
+  visit(rootCid)
+  return leaves
+}
+
+/**
+ * Decode a repository CAR export into its commit and records
+ * @param {Uint8Array} bytes - CAR file bytes (com.atproto.sync.getRepo)
+ * @returns {Object} { did, rev, commit, records: [{ collection, rkey, cid, record }] }
+ */
+export async function readRepo(bytes) {
+  const { roots, blocks } = await readCarBlocks(bytes)
+
+  if (roots.length === 0) {
+    throw new Error('Repository CAR has no root')
+  }
+
+  const commit = getBlock(blocks, roots[0])
+  if (!commit || !commit.data) {
+    throw new Error('Repository CAR root is not a commit')
+  }
+
+  const records = walkMst(blocks, commit.data).map(({ key, cid }) => {
+    const [collection, rkey] = key.split('/')
+    return {
+      collection,
+      rkey,
+      cid: cid.toString(),
+      record: getBlock(blocks, cid)
+    }
+  })
+
+  return {
+    did: commit.did,
+    rev: commit.rev,
+    commit,
+    records
+  }
+}
+
+/**
+ * Normalize Buffer / ArrayBuffer input to Uint8Array
+ * @param {Buffer|ArrayBuffer|Uint8Array} data - Input bytes
+ * @returns {Uint8Array} Byte view
+ */
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data
+  }
+
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data)
+  }
+
+  if (Array.isArray(data)) {
+    // ws delivers fragmented messages as an array of Buffers
+    return new Uint8Array(Buffer.concat(data))
+  }
+
+  throw new Error('Unsupported byte input')
+}
+
+export default {
+  decodeFrame,
+  readCarBlocks,
+  getBlock,
+  walkMst,
+  readRepo
+}
@@ -0,0 +1,370 @@
+/**
+ * Columnar Export
+ *
+ * Parquet and Arrow IPC writers for FileManager.exportData. Every data type
+ * has an explicit column schema; nested view fields (author, reply, embed,
+ * facets, ...) are flattened into scalar or list columns so the files load
+ * straight into DuckDB, pandas or polars. Records are consumed as a stream
+ * and written in row groups / record batches, so only one chunk is held in
+ * memory at a time.
+ */
+
+import fs from 'fs'
+import { once } from 'events'
+import { ParquetWriter, fileWriter } from 'hyparquet-writer'
+import {
+  Schema,
+  Field,
+  Struct,
+  Utf8,
+  Int32,
+  Bool,
+  List,
+  TimestampMillisecond,
+  RecordBatch,
+  RecordBatchFileWriter,
+  makeData,
+  vectorFromArray
+} from 'apache-arrow'
+
+/**
+ * Default number of rows per Parquet row group / Arrow record batch
+ */
+export const DEFAULT_ROW_GROUP_SIZE = 10000
+
+/**
+ * Column types understood by both writers
+ */
+const COLUMN_TYPES = {
+  string: {
+    parquet: name => [{ name, type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'OPTIONAL' }],
+    arrow: () => new Utf8()
+  },
+  int: {
+    parquet: name => [{ name, type: 'INT32', repetition_type: 'OPTIONAL' }],
+    arrow: () => new Int32()
+  },
+  bool: {
+    parquet: name => [{ name, type: 'BOOLEAN', repetition_type: 'OPTIONAL' }],
+    arrow: () => new Bool()
+  },
+  timestamp: {
+    parquet: name => [{ name, type: 'INT64', converted_type: 'TIMESTAMP_MILLIS', repetition_type: 'OPTIONAL' }],
+    arrow: () => new TimestampMillisecond()
+  },
+  // Standard three-level LIST of strings
+  list: {
+    parquet: name => [
+      { name, repetition_type: 'OPTIONAL', converted_type: 'LIST', num_children: 1 },
+      { name: 'list', repetition_type: 'REPEATED', num_children: 1 },
+      { name: 'element', type: 'BYTE_ARRAY', converted_type: 'UTF8', repetition_type: 'OPTIONAL' }
+    ],
+    arrow: () => new List(new Field('item', new Utf8(), true))
+  }
+}
+
+// Embed $type -> short kind
+const EMBED_KINDS = {
+  'app.bsky.embed.images': 'images',
+  'app.bsky.embed.video': 'video',
+  'app.bsky.embed.external': 'external',
+  'app.bsky.embed.record': 'record',
+  'app.bsky.embed.recordWithMedia': 'recordWithMedia'
+}
+
+// Facet feature $type -> value
+const FACET_FEATURES = {
+  mention: feature => feature.did,
+  link: feature => feature.uri,
+  tag: feature => feature.tag
+}
+
+/**
+ * Column schemas per data type: [name, type, value(item)]
+ */
+export const EXPORT_SCHEMAS = {
+  users: [
+    ['did', 'string', user => user.did],
+    ['handle', 'string', user => user.handle],
+    ['display_name', 'string', user => user.displayName],
+    ['description', 'string', user => user.description],
+    ['avatar', 'string', user => user.avatar],
+    ['banner', 'string', user => user.banner],
+    ['followers_count', 'int', user => user.followersCount],
+    ['follows_count', 'int', user => user.followsCount],
+    ['posts_count', 'int', user => user.postsCount],
+    ['lists_count', 'int', user => user.associated?.lists],
+    ['feedgens_count', 'int', user => user.associated?.feedgens],
+    ['starter_packs_count', 'int', user => user.associated?.starterPacks],
+    ['labels', 'list', user => labelValues(user.labels)],
+    ['pinned_post_uri', 'string', user => user.pinnedPost?.uri],
+    ['created_at', 'timestamp', user => user.createdAt],
+    ['indexed_at', 'timestamp', user => user.indexedAt],
+    ['scraped_at', 'timestamp', user => user._metadata?.scrapedAt]
+  ],
+
+  posts: [
+    ['uri', 'string', post => post.uri],
+    ['cid', 'string', post => post.cid],
+    ['author_did', 'string', post => post.author?.did],
+    ['author_handle', 'string', post => post.author?.handle],
+    ['author_display_name', 'string', post => post.author?.displayName],
+    ['text', 'string', post => post.record?.text],
+    ['langs', 'list', post => post.record?.langs],
+    ['tags', 'list', post => post.record?.tags],
+    ['reply_parent_uri', 'string', post => post.record?.reply?.parent?.uri],
+    ['reply_root_uri', 'string', post => post.record?.reply?.root?.uri],
+    ['embed_type', 'string', post => embedKind(post.record?.embed)],
+    ['embed_record_uri', 'string', post => embedRecord(post.record?.embed)?.uri],
+    ['embed_external_uri', 'string', post => embedMedia(post.record?.embed)?.external?.uri],
+    ['embed_external_title', 'string', post => embedMedia(post.record?.embed)?.external?.title],
+    ['embed_image_count', 'int', post => embedMedia(post.record?.embed)?.images?.length],
+    ['embed_image_alts', 'list', post => embedMedia(post.record?.embed)?.images?.map(image => image.alt || '')],
+    ['has_video', 'bool', post => embedKind(embedMedia(post.record?.embed)) === 'video'],
+    ['mentions', 'list', post => facetValues(post.record?.facets, 'mention')],
+    ['links', 'list', post => facetValues(post.record?.facets, 'link')],
+    ['hashtags', 'list', post => facetValues(post.record?.facets, 'tag')],
+    ['reply_count', 'int', post => post.replyCount],
+    ['repost_count', 'int', post => post.repostCount],
+    ['like_count', 'int', post => post.likeCount],
+    ['quote_count', 'int', post => post.quoteCount],
+    ['labels', 'list', post => labelValues(post.labels)],
+    ['created_at', 'timestamp', post => post.record?.createdAt],
+    ['indexed_at', 'timestamp', post => post.indexedAt],
+    ['scraped_at', 'timestamp', post => post._metadata?.scrapedAt]
+  ],
+
+  relationships: [
+    ['type', 'string', rel => rel.type],
+    ['source_did', 'string', rel => rel.source?.did],
+    ['source_handle', 'string', rel => rel.source?.handle],
+    ['target_did', 'string', rel => rel.target?.did],
+    ['target_handle', 'string', rel => rel.target?.handle],
+    ['target_uri', 'string', rel => rel.target?.uri],
+    ['depth', 'int', rel => rel.depth],
+    ['uri', 'string', rel => rel.uri],
+    ['created_at', 'timestamp', rel => rel.createdAt],
+    ['indexed_at', 'timestamp', rel => rel.indexedAt]
+  ]
+}
+
+/**
+ * Flatten a saved record into a row matching its export schema
+ * @param {string} type - Data type ('users', 'posts', 'relationships')
+ * @param {Object} item - Saved record
+ * @returns {Object} Row keyed by column name (missing values are null)
+ */
+export function flattenRecord(type, item) {
+  const row = {}
+  for (const [name, columnType, value] of getColumns(type)) {
+    row[name] = coerce(columnType, value(item))
+  }
+  return row
+}
+
+/**
+ * Build the Parquet schema for a data type (every column is optional)
+ * @param {string} type - Data type
+ * @returns {Array} Flattened Parquet SchemaElement list, root first
+ */
+export function toParquetSchema(type) {
+  const columns = getColumns(type)
+  return [
+    { name: 'root', num_children: columns.length },
+    ...columns.flatMap(([name, columnType]) => COLUMN_TYPES[columnType].parquet(name))
+  ]
+}
+
+/**
+ * Build the Arrow schema for a data type (every column is nullable)
+ * @param {string} type - Data type
+ * @returns {Schema} Schema
+ */
+export function toArrowSchema(type) {
+  return new Schema(getColumns(type).map(([name, columnType]) =>
+    new Field(name, COLUMN_TYPES[columnType].arrow(), true)
+  ))
+}
+
+/**
+ * Write records to a Parquet file, one row group at a time
+ * @param {string} filePath - Output path
+ * @param {string} type - Data type
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Saved records
+ * @param {Object} options - { rowGroupSize }
+ * @returns {number} Rows written
+ */
+export async function writeParquet(filePath, type, records, options = {}) {
+  const rowGroupSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE
+  const columns = getColumns(type)
+  const writer = new ParquetWriter({ writer: fileWriter(filePath), schema: toParquetSchema(type) })
+
+  let pending = []
+  let rows = 0
+  const flush = () => {
+    if (pending.length > 0) {
+      writer.write({
+        columnData: columns.map(([name]) => ({ name, data: pending.map(row => row[name]) })),
+        rowGroupSize
+      })
+      rows += pending.length
+      pending = []
+    }
+  }
+
+  try {
+    for await (const item of records) {
+      pending.push(flattenRecord(type, item))
+      if (pending.length >= rowGroupSize) {
+        flush()
+      }
+    }
+    flush()
+  } finally {
+    writer.finish()
+  }
+
+  return rows
+}
+
+/**
+ * Write records to an Arrow IPC file, one record batch at a time
+ * @param {string} filePath - Output path
+ * @param {string} type - Data type
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Saved records
+ * @param {Object} options - { rowGroupSize }
+ * @returns {number} Rows written
+ */
+export async function writeArrow(filePath, type, records, options = {}) {
+  const batchSize = options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE
+  const schema = toArrowSchema(type)
+  const writer = new RecordBatchFileWriter()
+  const output = fs.createWriteStream(filePath)
+  const finished = once(output, 'finish')
+  writer.toNodeStream().pipe(output)
+
+  let pending = []
+  let rows = 0
+  const flush = () => {
+    if (pending.length > 0) {
+      writer.write(toRecordBatch(schema, pending))
+      rows += pending.length
+      pending = []
+    }
+  }
+
+  try {
+    for await (const item of records) {
+      pending.push(flattenRecord(type, item))
+      if (pending.length >= batchSize) {
+        flush()
+      }
+    }
+    flush()
+  } finally {
+    writer.finish()
+    await finished
+  }
+
+  return rows
+}
+
+function toRecordBatch(schema, rows) {
+  const children = schema.fields.map(field =>
+    vectorFromArray(rows.map(row => row[field.name]), field.type).data[0]
+  )
+
+  return new RecordBatch(schema, makeData({
+    type: new Struct(schema.fields),
+    length: rows.length,
+    nullCount: 0,
+    children
+  }))
+}
+
+function getColumns(type) {
+  const columns = EXPORT_SCHEMAS[type]
+  if (!columns) {
+    throw new Error(`No export schema for data type: ${type}`)
+  }
+  return columns
+}
+
+function coerce(columnType, value) {
+  if (value === undefined || value === null) {
+    return null
+  }
+
+  switch (columnType) {
+    case 'string':
+      return String(value)
+    case 'int': {
+      const number = Number(value)
+      return Number.isInteger(number) ? number : null
+    }
+    case 'bool':
+      return Boolean(value)
+    case 'timestamp': {
+      const date = value instanceof Date ? value : new Date(value)
+      return isNaN(date.getTime()) ? null : date
+    }
+    case 'list':
+      return Array.isArray(value) ? value.filter(entry => entry !== undefined && entry !== null).map(String) : null
+    default:
+      return value
+  }
+}
+
+function embedKind(embed) {
+  if (!embed?.$type) {
+    return null
+  }
+  return EMBED_KINDS[embed.$type.replace(/#view$/, '')] || embed.$type
+}
+
+// Quoted record of a record or recordWithMedia embed
+function embedRecord(embed) {
+  switch (embedKind(embed)) {
+    case 'record':
+      return embed.record
+    case 'recordWithMedia':
+      return embed.record?.record
+    default:
+      return null
+  }
+}
+
+// Media part of an embed (the embed itself, or the media of a recordWithMedia)
+function embedMedia(embed) {
+  return embedKind(embed) === 'recordWithMedia' ? embed.media : embed
+}
+
+function facetValues(facets, kind) {
+  if (!Array.isArray(facets)) {
+    return null
+  }
+
+  const values = []
+  for (const facet of facets) {
+    for (const feature of facet.features || []) {
+      if (feature.$type === `app.bsky.richtext.facet#${kind}`) {
+        values.push(FACET_FEATURES[kind](feature))
+      }
+    }
+  }
+  return values
+}
+
+function labelValues(labels) {
+  return Array.isArray(labels) ? labels.map(label => label.val) : null
+}
+
+export default {
+  DEFAULT_ROW_GROUP_SIZE,
+  EXPORT_SCHEMAS,
+  flattenRecord,
+  toParquetSchema,
+  toArrowSchema,
+  writeParquet,
+  writeArrow
+}
@@ -0,0 +1,163 @@
+/**
+ * CSV Export
+ *
+ * Row shaping for FileManager's CSV exports. Nested records are flattened
+ * into dotted columns (`author.handle`, `record.text`,
+ * `metrics.viralityScore`), arrays are kept whole as JSON, and cells are
+ * written by csv-writer with RFC 4180 quoting and CRLF record separators.
+ */
+
+import { createObjectCsvStringifier } from 'csv-writer'
+
+/**
+ * Record separator required by RFC 4180
+ */
+export const CSV_RECORD_DELIMITER = '\r\n'
+
+/**
+ * Flatten a record into dotted paths
+ * @param {Object} item - Record
+ * @param {string} prefix - Path of `item` inside the root record
+ * @param {Object} row - Row being built
+ * @returns {Object} Row keyed by dotted path (scalars, arrays and dates only)
+ */
+export function flattenObject(item, prefix = '', row = {}) {
+  for (const [key, value] of Object.entries(item || {})) {
+    const column = prefix ? `${prefix}.${key}` : key
+
+    if (isPlainObject(value)) {
+      flattenObject(value, column, row)
+    } else if (value !== undefined) {
+      row[column] = value
+    }
+  }
+  return row
+}
+
+/**
+ * Collect the union of flattened columns across records, in first-seen order
+ * @param {AsyncIterable<Object>|Iterable<Object>} records - Records
+ * @returns {Array<string>} Column paths
+ */
+export async function collectCsvColumns(records) {
+  const columns = new Set()
+  for await (const item of records) {
+    for (const column of Object.keys(flattenObject(item))) {
+      columns.add(column)
+    }
+  }
+  return [...columns]
+}
+
+/**
+ * Create a CSV stringifier for a set of columns
+ * @param {Array<string>} columns - Column paths
+ * @param {Object} rename - Map of column path -> header title
+ * @returns {Object} { header, format(item) } producing CSV text
+ */
+export function createCsvFormatter(columns, rename = {}) {
+  const stringifier = createObjectCsvStringifier({
+    header: columns.map(column => ({ id: column, title: rename[column] || column })),
+    recordDelimiter: CSV_RECORD_DELIMITER
+  })
+
+  return {
+    header: columns.length > 0 ? stringifier.getHeaderString() : '',
+    format: item => stringifier.stringifyRecords([toCsvRow(item, columns)])
+  }
+}
+
+/**
+ * Build the cells of a CSV row
+ * @param {Object} item - Record
+ * @param {Array<string>} columns - Column paths
+ * @returns {Object} Cell strings keyed by column path
+ */
+export function toCsvRow(item, columns) {
+  const flat = flattenObject(item)
+  const row = {}
+
+  for (const column of columns) {
+    // Selected columns may also name an object or array inside the record
+    const value = column in flat ? flat[column] : getPath(item, column)
+    row[column] = toCell(value)
+  }
+  return row
+}
+
+/**
+ * Map a relationship record to a directed edge
+ * Follows always point from the follower to the followed account, whichever
+ * side of the crawl produced them
+ * @param {Object} relationship - Relationship record
+ * @returns {Object|null} { kind, source, target, source_handle, target_handle, created_at, uri }
+ */
+export function toEdge(relationship) {
+  const { source, target, type } = relationship || {}
+  if (!source?.did || !target) {
+    return null
+  }
+
+  const edge = (kind, from, to, toId) => ({
+    kind,
+    source: from.did,
+    target: toId,
+    source_handle: from.handle || '',
+    target_handle: to.handle || '',
+    created_at: relationship.createdAt || '',
+    uri: relationship.uri || ''
+  })
+
+  switch (type) {
+    case 'follower':
+      return target.did ? edge('follows', target, source, source.did) : null
+    case 'following':
+      return target.did ? edge('follows', source, target, target.did) : null
+    case 'block':
+      return target.did ? edge('blocks', source, target, target.did) : null
+    case 'like':
+    case 'repost':
+      return target.uri ? edge(`${type}s`, source, target, target.uri) : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Columns of an edge-list CSV
+ */
+export const EDGE_COLUMNS = ['source', 'target', 'source_handle', 'target_handle', 'created_at', 'uri']
+
+function toCell(value) {
+  if (value === undefined || value === null) {
+    return ''
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+
+  // A bare CR is a record break to RFC 4180 readers but csv-writer only quotes
+  // on LF, so normalize it to CRLF to get the field quoted
+  return String(value).replace(/\r(?!\n)/g, '\r\n')
+}
+
+function getPath(item, column) {
+  return column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item)
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+}
+
+export default {
+  CSV_RECORD_DELIMITER,
+  EDGE_COLUMNS,
+  flattenObject,
+  collectCsvColumns,
+  createCsvFormatter,
+  toCsvRow,
+  toEdge
+}
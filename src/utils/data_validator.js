@@ -96,6 +96,7 @@ class DataValidator {
             replyCount: this.sanitizeNumber(post.replyCount),
             repostCount: this.sanitizeNumber(post.repostCount),
             likeCount: this.sanitizeNumber(post.likeCount),
+            quoteCount: this.sanitizeNumber(post.quoteCount),
             indexedAt: this.sanitizeDate(post.indexedAt),
             viewer: post.viewer || {},
             labels: Array.isArray(post.labels) ? post.labels : [],
@@ -172,7 +173,7 @@ class DataValidator {
      */
     isValidATUri(uri) {
         if (typeof uri !== 'string') return false;
-        return /^at:\/\/[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/.test(uri);
+        return /^at:\/\/[a-zA-Z0-9._:%-]+\/[a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+$/.test(uri);
     }
 
     /**
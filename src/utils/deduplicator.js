@@ -14,7 +14,8 @@ class Deduplicator {
         this.bloomFilters = {
             users: null,
             posts: null,
-            follows: null
+            follows: null,
+            engagements: null
         };
         
         this.redisClient = null;
@@ -33,13 +34,18 @@ class Deduplicator {
             follows: {
                 expectedElements: (settings.DATA_VALIDATION?.BLOOM_FILTER_SIZE || 1000000) * 10,
                 falsePositiveRate: settings.DATA_VALIDATION?.BLOOM_FILTER_ERROR_RATE || 0.01
+            },
+            engagements: {
+                expectedElements: (settings.DATA_VALIDATION?.BLOOM_FILTER_SIZE || 1000000) * 10,
+                falsePositiveRate: settings.DATA_VALIDATION?.BLOOM_FILTER_ERROR_RATE || 0.01
             }
         };
         
         this.stats = {
             users: { checked: 0, duplicates: 0, added: 0 },
             posts: { checked: 0, duplicates: 0, added: 0 },
-            follows: { checked: 0, duplicates: 0, added: 0 }
+            follows: { checked: 0, duplicates: 0, added: 0 },
+            engagements: { checked: 0, duplicates: 0, added: 0 }
         };
     }
 
@@ -206,6 +212,26 @@ class Deduplicator {
 
         this.stats.follows.checked++;
         
+        if (await this.hasFollow(followerDid, followeeDid)) {
+            this.stats.follows.duplicates++;
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Check whether a follow edge has been recorded, without counting it as a
+     * duplicate check (e.g. to look up the reverse edge of a new follow)
+     * @param {string} followerDid - Follower DID
+     * @param {string} followeeDid - Followee DID
+     * @returns {boolean} True if the edge is in the Bloom filter and confirmed in Redis
+     */
+    async hasFollow(followerDid, followeeDid) {
+        if (!this.isInitialized) {
+            throw new Error('Deduplicator not initialized');
+        }
+
         const relationshipId = `${followerDid}:${followeeDid}`;
         const hash = this.hashIdentifier(relationshipId);
         
@@ -215,10 +241,35 @@ class Deduplicator {
         }
         
         // Check Redis for confirmation
-        const exists = await this.redisClient.exists(`follow:${hash}`);
+        return await this.redisClient.exists(`follow:${hash}`) > 0;
+    }
+
+    /**
+     * Check if a like or repost has been processed
+     * @param {string} type - 'like' or 'repost'
+     * @param {string} actorDid - DID of the liking or reposting account
+     * @param {string} subjectUri - AT URI of the post
+     * @returns {boolean} True if the engagement is duplicate
+     */
+    async isEngagementDuplicate(type, actorDid, subjectUri) {
+        if (!this.isInitialized) {
+            throw new Error('Deduplicator not initialized');
+        }
+
+        this.stats.engagements.checked++;
+        
+        const hash = this.hashIdentifier(`${type}:${actorDid}:${subjectUri}`);
+        
+        // Check Bloom filter first
+        if (!this.bloomFilters.engagements.has(hash)) {
+            return false;
+        }
+        
+        // Check Redis for confirmation
+        const exists = await this.redisClient.exists(`engagement:${hash}`);
         
         if (exists) {
-            this.stats.follows.duplicates++;
+            this.stats.engagements.duplicates++;
             return true;
         }
         
@@ -321,10 +372,45 @@ class Deduplicator {
         this.stats.follows.added++;
     }
 
+    /**
+     * Mark a like or repost as processed
+     * @param {string} type - 'like' or 'repost'
+     * @param {string} actorDid - DID of the liking or reposting account
+     * @param {string} subjectUri - AT URI of the post
+     * @param {Object} metadata - Optional metadata to store
+     */
+    async markEngagementProcessed(type, actorDid, subjectUri, metadata = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Deduplicator not initialized');
+        }
+
+        const hash = this.hashIdentifier(`${type}:${actorDid}:${subjectUri}`);
+        
+        // Add to Bloom filter
+        this.bloomFilters.engagements.add(hash);
+        
+        // Store in Redis with metadata
+        const data = {
+            type,
+            actor: actorDid,
+            subject: subjectUri,
+            processedAt: new Date().toISOString(),
+            ...metadata
+        };
+        
+        await this.redisClient.setEx(
+            `engagement:${hash}`, 
+            86400 * 7, // 7 days default
+            JSON.stringify(data)
+        );
+        
+        this.stats.engagements.added++;
+    }
+
     /**
      * Batch check for duplicates
      * @param {Array} items - Array of items to check
-     * @param {string} type - Type of items ('users', 'posts', 'follows')
+     * @param {string} type - Type of items ('users', 'posts', 'follows', 'engagements')
      * @returns {Object} Results with duplicates and new items
      */
     async batchCheckDuplicates(items, type) {
@@ -355,6 +441,9 @@ class Deduplicator {
                 case 'follows':
                     isDuplicate = await this.isFollowDuplicate(item.follower, item.followee);
                     break;
+                case 'engagements':
+                    isDuplicate = await this.isEngagementDuplicate(item.type, item.actor, item.subject);
+                    break;
                 default:
                     throw new Error(`Unknown type: ${type}`);
             }
@@ -412,6 +501,10 @@ class Deduplicator {
                 follows: this.bloomFilters.follows ? {
                     size: this.bloomFilters.follows.size,
                     nbHashes: this.bloomFilters.follows.nbHashes
+                } : null,
+                engagements: this.bloomFilters.engagements ? {
+                    size: this.bloomFilters.engagements.size,
+                    nbHashes: this.bloomFilters.engagements.nbHashes
                 } : null
             }
         };
@@ -419,14 +512,14 @@ class Deduplicator {
 
     /**
      * Clear all deduplication data
-     * @param {string} type - Type to clear ('users', 'posts', 'follows', 'all')
+     * @param {string} type - Type to clear ('users', 'posts', 'follows', 'engagements', 'all')
      */
     async clear(type = 'all') {
         if (!this.isInitialized) {
             throw new Error('Deduplicator not initialized');
         }
 
-        const types = type === 'all' ? ['users', 'posts', 'follows'] : [type];
+        const types = type === 'all' ? ['users', 'posts', 'follows', 'engagements'] : [type];
         
         for (const t of types) {
             // Clear Bloom filter
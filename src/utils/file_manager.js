@@ -1,13 +1,41 @@
 import fs from 'fs/promises'
+import { createReadStream, createWriteStream } from 'fs'
 import path from 'path'
 import zlib from 'zlib'
+import crypto from 'crypto'
+import readline from 'readline'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
 import { promisify } from 'util'
+import chain from 'stream-chain'
+import { parser } from 'stream-json'
+import { pick } from 'stream-json/filters/pick.js'
+import { streamArray } from 'stream-json/streamers/stream-array.js'
 import logger from '../core/logger.js'
 import settings from '../config/settings.js'
+import { createStorage } from '../storage/index.js'
+import { writeParquet, writeArrow } from './columnar_export.js'
+import { collectCsvColumns, createCsvFormatter, toEdge, EDGE_COLUMNS } from './csv_export.js'
 
 const gzip = promisify(zlib.gzip)
 const gunzip = promisify(zlib.gunzip)
 
+// Export formats written by serializeRecords
+const TEXT_FORMATS = ['json', 'ndjson', 'csv']
+
+// Edge lists are deduplicated one partition file at a time, so memory holds
+// about 1/EDGE_PARTITIONS of an edge kind's keys
+const EDGE_PARTITIONS = 64
+
+/**
+ * Partition index of an edge, stable for the same source and target
+ * @param {Object} edge - Edge from toEdge
+ * @returns {number} Index below EDGE_PARTITIONS
+ */
+function getEdgePartition(edge) {
+    return crypto.createHash('md5').update(`${edge.source} ${edge.target}`).digest().readUInt32BE(0) % EDGE_PARTITIONS
+}
+
 /**
  * File manager for organized data storage
  * Handles JSON files with metadata, compression, and rotation
@@ -18,6 +46,7 @@ class FileManager {
         this.compression = settings.OUTPUT?.COMPRESS_OUTPUT || false
         this.maxFileSize = (settings.OUTPUT?.MAX_FILE_SIZE_MB || 50) * 1024 * 1024 // Convert MB to bytes
         this.maxFilesPerDir = 1000 // Default value
+        this.storage = null // Structured backend mirroring saved batches (see STORAGE settings)
         
         this.stats = {
             filesCreated: 0,
@@ -32,6 +61,7 @@ class FileManager {
     async initialize() {
         try {
             await this.ensureDirectories()
+            await this.initializeStorage()
             logger.info('File manager initialized successfully')
         } catch (error) {
             logger.error('Failed to initialize file manager:', error)
@@ -39,6 +69,31 @@ class FileManager {
         }
     }
 
+    /**
+     * Open the configured storage backend, if any
+     */
+    async initializeStorage() {
+        if (!this.storage) {
+            this.storage = createStorage(settings.STORAGE?.BACKEND, {
+                path: settings.STORAGE?.SQLITE_PATH || path.join(this.baseDir, 'bluesky.db')
+            })
+        }
+
+        if (this.storage) {
+            await this.storage.initialize()
+        }
+    }
+
+    /**
+     * Close the storage backend
+     */
+    async close() {
+        if (this.storage) {
+            await this.storage.close()
+            this.storage = null
+        }
+    }
+
     /**
      * Ensure all required directories exist
      */
@@ -47,6 +102,9 @@ class FileManager {
             'users',
             'posts', 
             'relationships',
+            'lists',
+            'repos',
+            'analysis',
             'checkpoints',
             'logs',
             'metadata'
@@ -83,6 +141,10 @@ class FileManager {
 
         await this.writeJsonFile(filePath, data)
         logger.info(`Saved ${users.length} users to ${filePath}`)
+
+        if (this.storage) {
+            await this.storage.upsertActors(users)
+        }
         
         return filePath
     }
@@ -112,6 +174,10 @@ class FileManager {
 
         await this.writeJsonFile(filePath, data)
         logger.info(`Saved ${posts.length} posts to ${filePath}`)
+
+        if (this.storage) {
+            await this.storage.upsertPosts(posts)
+        }
         
         return filePath
     }
@@ -141,10 +207,65 @@ class FileManager {
 
         await this.writeJsonFile(filePath, data)
         logger.info(`Saved ${relationships.length} relationships to ${filePath}`)
+
+        if (this.storage) {
+            await this.storage.upsertRelationships(relationships)
+        }
+        
+        return filePath
+    }
+
+    /**
+     * Save lists data to file
+     * @param {Array} lists - Array of list objects
+     * @param {Object} metadata - Metadata about the scraping session
+     * @returns {string} File path where data was saved
+     */
+    async saveLists(lists, metadata = {}) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+        const filename = `lists_${timestamp}.json`
+        const filePath = await this.getFilePath('lists', filename)
+        
+        const data = {
+            metadata: {
+                type: 'lists',
+                count: lists.length,
+                timestamp: new Date().toISOString(),
+                scraper: metadata.scraper || 'unknown',
+                version: metadata.version || '1.0.0',
+                ...metadata
+            },
+            data: lists
+        }
+
+        await this.writeJsonFile(filePath, data)
+        logger.info(`Saved ${lists.length} lists to ${filePath}`)
         
         return filePath
     }
 
+    /**
+     * Save a raw repository CAR export
+     * @param {string} did - Repository DID
+     * @param {Uint8Array} bytes - CAR file bytes
+     * @param {string} rev - Repository revision
+     * @returns {string} File path where the CAR was saved
+     */
+    async saveRepoCar(did, bytes, rev = null) {
+        const suffix = rev || new Date().toISOString().replace(/[:.]/g, '-')
+        const filename = `${did.replace(/[^a-zA-Z0-9.-]/g, '_')}_${suffix}.car`
+        const filePath = path.join(this.baseDir, 'repos', filename)
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true })
+        await fs.writeFile(filePath, bytes)
+
+        this.stats.bytesWritten += bytes.length
+        this.stats.filesCreated++
+        logger.info(`Saved repository CAR for ${did} to ${filePath}`)
+
+        return filePath
+    }
+
     /**
      * Append data to existing file or create new one
      * @param {string} type - Data type ('users', 'posts', 'relationships')
@@ -166,6 +287,8 @@ class FileManager {
                     return await this.savePosts(data, metadata)
                 case 'relationships':
                     return await this.saveRelationships(data, metadata)
+                case 'lists':
+                    return await this.saveLists(data, metadata)
                 default:
                     throw new Error(`Unknown data type: ${type}`)
             }
@@ -408,59 +531,308 @@ class FileManager {
                 totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2)
             }
         }
+
+        if (this.storage) {
+            stats.storage = await this.storage.getStats()
+        }
         
         return stats
     }
 
+    /**
+     * Stream the records of one data file without parsing it whole
+     * @param {string} filePath - Path to a .json or .json.gz data file
+     * @returns {AsyncGenerator<Object>} Items of the file's data array
+     */
+    async * readRecords(filePath) {
+        const records = chain([
+            createReadStream(filePath),
+            ...(filePath.endsWith('.gz') ? [zlib.createGunzip()] : []),
+            parser(),
+            pick({ filter: 'data' }),
+            streamArray()
+        ])
+
+        try {
+            for await (const { value } of records) {
+                yield value
+            }
+        } finally {
+            records.destroy()
+        }
+    }
+
+    /**
+     * Stream every record of a data type, one file at a time
+     * Unreadable files are logged and skipped, like the loadData loops they replace
+     * @param {string} type - Data type
+     * @param {Object} options - { transform(record) to rewrite records (may be async),
+     *   filter(record) to keep only matching (transformed) records,
+     *   onFile(file, { index, totalFiles, records }) called after each file }
+     * @returns {AsyncGenerator<Object>} Records
+     */
+    async * streamData(type, options = {}) {
+        const files = await this.listFiles(type)
+        let records = 0
+
+        for (const [index, file] of files.entries()) {
+            try {
+                for await (const item of this.readRecords(file)) {
+                    const record = options.transform ? await options.transform(item) : item
+                    if (options.filter && !options.filter(record)) {
+                        continue
+                    }
+                    records++
+                    yield record
+                }
+            } catch (error) {
+                logger.error(`Failed to stream data from ${file}:`, error)
+            }
+
+            if (options.onFile) {
+                options.onFile(file, { index, totalFiles: files.length, records })
+            }
+        }
+    }
+
     /**
      * Export data in different formats
+     * Records are streamed from one source file at a time and written with
+     * backpressure, so exports never hold a whole data type in memory
      * @param {string} type - Data type
-     * @param {string} format - Export format ('json', 'csv', 'ndjson')
+     * @param {string} format - Export format ('json', 'csv', 'ndjson', 'parquet', 'arrow')
      * @param {Object} options - Export options
+     * @param {boolean} options.gzip - Gzip the output (json, ndjson and csv)
+     * @param {Array<string>} options.columns - CSV columns as dotted paths (default: union of all fields)
+     * @param {Object} options.rename - CSV header titles keyed by column path
+     * @param {boolean} options.edgeLists - Also write edge-list CSVs for relationships (default true)
+     * @param {Function} options.transform - Rewrite each record before filtering and export (may be async)
+     * @param {Function} options.filter - Export only records for which filter(record) is true
+     * @param {string} options.name - File name prefix (default `<type>_export`)
+     * @param {number} options.rowGroupSize - Rows per row group / record batch (parquet and arrow)
+     * @param {Function} options.onProgress - Called after each source file with
+     *   { file, filesProcessed, totalFiles, records }
      * @returns {string} Export file path
      */
     async exportData(type, format = 'json', options = {}) {
-        const files = await this.listFiles(type)
+        const columnar = format === 'parquet' || format === 'arrow'
+        if (!columnar && !TEXT_FORMATS.includes(format)) {
+            throw new Error(`Unsupported export format: ${format}`)
+        }
+        if (columnar && options.gzip) {
+            throw new Error(`gzip output is not supported for ${format} exports`)
+        }
+
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
-        const exportPath = path.join(this.baseDir, 'exports', `${type}_export_${timestamp}.${format}`)
+        const extension = options.gzip ? `${format}.gz` : format
+        const name = options.name || `${type}_export`
+        const exportPath = path.join(this.baseDir, 'exports', `${name}_${timestamp}.${extension}`)
         
         await fs.mkdir(path.dirname(exportPath), { recursive: true })
+
+        // CSV headers are the union of all fields, so read the records once to collect them
+        const columns = format === 'csv'
+            ? options.columns || await collectCsvColumns(this.streamData(type, { transform: options.transform, filter: options.filter }))
+            : null
+
+        let count = 0
+        const records = this.streamData(type, {
+            transform: options.transform,
+            filter: options.filter,
+            onFile: (file, { index, totalFiles, records }) => {
+                count = records
+                logger.debug(`Exported ${file} (${index + 1}/${totalFiles}, ${records} ${type} items)`)
+                if (options.onProgress) {
+                    options.onProgress({ file, filesProcessed: index + 1, totalFiles, records })
+                }
+            }
+        })
         
-        let allData = []
-        
-        // Load all data
-        for (const file of files) {
-            const fileData = await this.loadData(file)
-            allData = allData.concat(fileData.data)
+        if (columnar) {
+            const write = format === 'parquet' ? writeParquet : writeArrow
+            count = await write(exportPath, type, records, { rowGroupSize: options.rowGroupSize })
+        } else {
+            await pipeline(
+                Readable.from(this.serializeRecords(records, format, { columns, rename: options.rename })),
+                ...(options.gzip ? [zlib.createGzip()] : []),
+                createWriteStream(exportPath)
+            )
         }
         
-        // Export in requested format
-        switch (format) {
-            case 'json':
-                await fs.writeFile(exportPath, JSON.stringify(allData, null, 2))
-                break
-            case 'ndjson':
-                const ndjsonContent = allData.map(item => JSON.stringify(item)).join('\n')
-                await fs.writeFile(exportPath, ndjsonContent)
-                break
-            case 'csv':
-                // Basic CSV export (would need proper CSV library for complex data)
-                if (allData.length > 0) {
-                    const headers = Object.keys(allData[0])
-                    const csvContent = [
-                        headers.join(','),
-                        ...allData.map(item => headers.map(h => JSON.stringify(item[h] || '')).join(','))
-                    ].join('\n')
-                    await fs.writeFile(exportPath, csvContent)
-                }
-                break
-            default:
-                throw new Error(`Unsupported export format: ${format}`)
+        logger.info(`Exported ${count} ${type} items to ${exportPath}`)
+
+        if (type === 'relationships' && format === 'csv' && options.edgeLists !== false) {
+            await this.exportEdgeLists({ gzip: options.gzip })
         }
-        
-        logger.info(`Exported ${allData.length} ${type} items to ${exportPath}`)
+
         return exportPath
     }
+
+    /**
+     * Export relationships as one edge-list CSV per kind (follows, likes, reposts, blocks)
+     * Follower and following records are merged into follower -> followed edges
+     * and each edge is written once. Edges are first spread over partition
+     * files by source and target, then each partition is deduplicated on its
+     * own, so only one partition's edges are held in memory at a time.
+     * @param {Object} options - { gzip }
+     * @returns {Object} Export file path keyed by edge kind
+     */
+    async exportEdgeLists(options = {}) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+        const extension = options.gzip ? 'csv.gz' : 'csv'
+        const exportDir = path.join(this.baseDir, 'exports')
+        const formatter = createCsvFormatter(EDGE_COLUMNS)
+        const partitions = new Map() // kind -> Map(partition index -> output)
+        const paths = {}
+
+        await fs.mkdir(exportDir, { recursive: true })
+        const partitionDir = await fs.mkdtemp(path.join(exportDir, '.edges-'))
+
+        try {
+            try {
+                for await (const relationship of this.streamData('relationships')) {
+                    const edge = toEdge(relationship)
+                    if (!edge) {
+                        continue
+                    }
+
+                    if (!partitions.has(edge.kind)) {
+                        partitions.set(edge.kind, new Map())
+                    }
+                    const kindPartitions = partitions.get(edge.kind)
+                    const index = getEdgePartition(edge)
+                    if (!kindPartitions.has(index)) {
+                        kindPartitions.set(index, this.openOutputStream(path.join(partitionDir, `${edge.kind}_${index}.ndjson`)))
+                    }
+                    await kindPartitions.get(index).write(JSON.stringify(edge) + '\n')
+                }
+            } finally {
+                for (const kindPartitions of partitions.values()) {
+                    for (const partition of kindPartitions.values()) {
+                        await partition.close()
+                    }
+                }
+            }
+
+            for (const [kind, kindPartitions] of partitions) {
+                const output = this.openOutputStream(
+                    path.join(exportDir, `relationships_edges_${kind}_${timestamp}.${extension}`),
+                    options.gzip
+                )
+                let count = 0
+
+                try {
+                    await output.write(formatter.header)
+
+                    for (const index of [...kindPartitions.keys()].sort((a, b) => a - b)) {
+                        const seen = new Set()
+                        const lines = readline.createInterface({
+                            input: createReadStream(kindPartitions.get(index).path),
+                            crlfDelay: Infinity
+                        })
+
+                        for await (const line of lines) {
+                            const edge = JSON.parse(line)
+                            const key = `${edge.source} ${edge.target}`
+                            if (!seen.has(key)) {
+                                seen.add(key)
+                                count++
+                                await output.write(formatter.format(edge))
+                            }
+                        }
+                    }
+                } finally {
+                    await output.close()
+                }
+
+                paths[kind] = output.path
+                logger.info(`Exported ${count} ${kind} edges to ${output.path}`)
+            }
+        } finally {
+            await fs.rm(partitionDir, { recursive: true, force: true })
+        }
+
+        return paths
+    }
+
+    /**
+     * Open a file for sequential writes that wait for drain
+     * A stream error is kept and thrown by the next write() or close()
+     * @param {string} filePath - File path
+     * @param {boolean} compress - Gzip the output
+     * @returns {Object} { path, write(chunk), close() }
+     */
+    openOutputStream(filePath, compress = false) {
+        const file = createWriteStream(filePath)
+        const stream = compress ? zlib.createGzip() : file
+        let failure = null
+        const finished = new Promise((resolve, reject) => {
+            file.on('finish', resolve)
+            file.on('error', reject)
+            stream.on('error', reject)
+        })
+        finished.catch((error) => {
+            failure = error
+        })
+
+        if (compress) {
+            stream.pipe(file)
+        }
+
+        return {
+            path: filePath,
+            write: async (chunk) => {
+                if (failure) {
+                    throw failure
+                }
+                if (!stream.write(chunk)) {
+                    // finished rejects on an error, which would otherwise leave drain pending
+                    await Promise.race([new Promise(resolve => stream.once('drain', resolve)), finished])
+                }
+            },
+            close: async () => {
+                if (!failure) {
+                    stream.end()
+                }
+                await finished
+            }
+        }
+    }
+
+    /**
+     * Serialize streamed records as text chunks
+     * @param {AsyncIterable<Object>} records - Records
+     * @param {string} format - 'json', 'ndjson' or 'csv'
+     * @param {Object} options - { columns, rename } for csv
+     * @returns {AsyncGenerator<string>} Output chunks
+     */
+    async * serializeRecords(records, format, options = {}) {
+        const csv = format === 'csv' ? createCsvFormatter(options.columns || [], options.rename) : null
+        let first = true
+
+        if (csv) {
+            yield csv.header
+        }
+
+        for await (const item of records) {
+            switch (format) {
+                case 'json':
+                    yield (first ? '[\n' : ',\n') + JSON.stringify(item, null, 2)
+                    break
+                case 'ndjson':
+                    yield JSON.stringify(item) + '\n'
+                    break
+                case 'csv':
+                    yield csv.format(item)
+                    break
+            }
+            first = false
+        }
+
+        if (format === 'json') {
+            yield first ? '[]' : '\n]'
+        }
+    }
 }
 
 export default FileManager 
\ No newline at end of file
@@ -0,0 +1,313 @@
+/**
+ * Graph Export
+ *
+ * Builds a directed account graph from saved relationships (edges) and users
+ * (node attributes) and writes it as GEXF (Gephi), GraphML (NetworkX, Gephi,
+ * Cytoscape), Pajek or a weighted edge list.
+ *
+ * Edges are account -> account: follows point from follower to followed,
+ * likes and reposts from the engaging account to the post author. Repeated
+ * likes or reposts between the same accounts raise the edge weight.
+ */
+
+import path from 'path'
+import fs from 'fs/promises'
+
+import logger from '../core/logger.js'
+import { toEdge } from './csv_export.js'
+
+/**
+ * Output formats and their file extensions
+ */
+export const GRAPH_FORMATS = {
+  gexf: 'gexf',
+  graphml: 'graphml',
+  pajek: 'net',
+  edgelist: 'edgelist'
+}
+
+/**
+ * Edge types (see toEdge in csv_export.js)
+ */
+export const EDGE_TYPES = ['follows', 'likes', 'reposts', 'blocks']
+
+/**
+ * Node attributes: [name, GEXF type, GraphML type]
+ */
+export const NODE_ATTRIBUTES = [
+  ['handle', 'string', 'string'],
+  ['displayName', 'string', 'string'],
+  ['followersCount', 'integer', 'int'],
+  ['followsCount', 'integer', 'int'],
+  ['postsCount', 'integer', 'int'],
+  ['depth', 'integer', 'int']
+]
+
+/**
+ * Build the graph from saved relationships and users
+ * @param {FileManager} fileManager - Initialized file manager
+ * @param {Object} options - Filters
+ * @param {Array<string>} options.types - Edge types to include (default: follows)
+ * @param {number} options.maxDepth - Skip relationships crawled deeper than this
+ * @param {number} options.minDegree - Drop nodes with fewer edges (in + out)
+ * @returns {Object} { nodes: Map<did, attributes>, edges: Map<key, { source, target, type, weight }> }
+ */
+export async function buildGraph(fileManager, options = {}) {
+  const types = new Set(options.types || ['follows'])
+  const maxDepth = options.maxDepth ?? Infinity
+  const nodes = new Map()
+  const edges = new Map()
+
+  for (const type of types) {
+    if (!EDGE_TYPES.includes(type)) {
+      throw new Error(`Unknown edge type: ${type} (expected ${EDGE_TYPES.join(', ')})`)
+    }
+  }
+
+  for await (const relationship of fileManager.streamData('relationships')) {
+    if (typeof relationship.depth === 'number' && relationship.depth > maxDepth) {
+      continue
+    }
+
+    const edge = toEdge(relationship)
+    if (!edge || !types.has(edge.kind)) {
+      continue
+    }
+
+    // Engagement edges point at a post; the graph links to its author
+    const target = edge.kind === 'likes' || edge.kind === 'reposts'
+      ? relationship.target.did || authorOf(edge.target)
+      : edge.target
+    if (!target || target === edge.source) {
+      continue
+    }
+
+    // The crawled account sits at the record's depth, the account it led to one deeper
+    const crawled = relationship.type === 'follower' ? target : edge.source
+    const depth = typeof relationship.depth === 'number' ? relationship.depth : null
+    addNode(nodes, edge.source, edge.source_handle, depth === null ? null : depth + (crawled === edge.source ? 0 : 1))
+    addNode(nodes, target, edge.target_handle, depth === null ? null : depth + (crawled === target ? 0 : 1))
+
+    const key = `${edge.kind} ${edge.source} ${target}`
+    const existing = edges.get(key)
+    if (!existing) {
+      edges.set(key, { source: edge.source, target, type: edge.kind, weight: 1 })
+    } else if (edge.kind === 'likes' || edge.kind === 'reposts') {
+      existing.weight++
+    }
+  }
+
+  // Attach profile attributes to the accounts in the graph
+  for await (const user of fileManager.streamData('users')) {
+    const node = nodes.get(user.did)
+    if (node) {
+      node.handle = user.handle || node.handle
+      node.displayName = user.displayName ?? node.displayName
+      node.followersCount = user.followersCount ?? node.followersCount
+      node.followsCount = user.followsCount ?? node.followsCount
+      node.postsCount = user.postsCount ?? node.postsCount
+    }
+  }
+
+  if (options.minDegree > 0) {
+    filterByDegree(nodes, edges, options.minDegree)
+  }
+
+  return { nodes, edges }
+}
+
+/**
+ * Build the graph and write it to a file
+ * @param {FileManager} fileManager - Initialized file manager
+ * @param {string} format - 'gexf', 'graphml', 'pajek' or 'edgelist'
+ * @param {Object} options - buildGraph filters plus { output } (file path)
+ * @returns {Object} { path, nodes, edges } (counts)
+ */
+export async function exportGraph(fileManager, format = 'gexf', options = {}) {
+  const writer = WRITERS[format]
+  if (!writer) {
+    throw new Error(`Unsupported graph format: ${format} (expected ${Object.keys(GRAPH_FORMATS).join(', ')})`)
+  }
+
+  const graph = await buildGraph(fileManager, options)
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+  const filePath = options.output ||
+    path.join(fileManager.baseDir, 'exports', `graph_${timestamp}.${GRAPH_FORMATS[format]}`)
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+
+  const output = fileManager.openOutputStream(filePath)
+  try {
+    await writer(graph, output.write)
+  } finally {
+    await output.close()
+  }
+
+  logger.info(`Exported graph with ${graph.nodes.size} nodes and ${graph.edges.size} edges to ${filePath}`)
+  return { path: filePath, nodes: graph.nodes.size, edges: graph.edges.size }
+}
+
+async function writeGexf({ nodes, edges }, write) {
+  await write('<?xml version="1.0" encoding="UTF-8"?>\n')
+  await write('<gexf xmlns="http://gexf.net/1.3" version="1.3">\n')
+  await write(`  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}"><creator>bluesky-scraper</creator></meta>\n`)
+  await write('  <graph mode="static" defaultedgetype="directed">\n')
+
+  await write('    <attributes class="node">\n')
+  for (const [name, type] of NODE_ATTRIBUTES) {
+    await write(`      <attribute id="${name}" title="${name}" type="${type}"/>\n`)
+  }
+  await write('    </attributes>\n')
+  await write('    <attributes class="edge">\n      <attribute id="type" title="type" type="string"/>\n    </attributes>\n')
+
+  await write('    <nodes>\n')
+  for (const [did, node] of nodes) {
+    const values = NODE_ATTRIBUTES
+      .filter(([name]) => node[name] !== null && node[name] !== undefined)
+      .map(([name]) => `<attvalue for="${name}" value="${escapeXml(node[name])}"/>`)
+      .join('')
+    await write(`      <node id="${escapeXml(did)}" label="${escapeXml(node.handle || did)}"><attvalues>${values}</attvalues></node>\n`)
+  }
+  await write('    </nodes>\n')
+
+  await write('    <edges>\n')
+  let id = 0
+  for (const edge of edges.values()) {
+    await write(`      <edge id="${id++}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.weight}">` +
+      `<attvalues><attvalue for="type" value="${edge.type}"/></attvalues></edge>\n`)
+  }
+  await write('    </edges>\n')
+
+  await write('  </graph>\n</gexf>\n')
+}
+
+async function writeGraphml({ nodes, edges }, write) {
+  await write('<?xml version="1.0" encoding="UTF-8"?>\n')
+  await write('<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n')
+  for (const [name, , type] of NODE_ATTRIBUTES) {
+    await write(`  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>\n`)
+  }
+  await write('  <key id="type" for="edge" attr.name="type" attr.type="string"/>\n')
+  await write('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>\n')
+  await write('  <graph id="bluesky" edgedefault="directed">\n')
+
+  for (const [did, node] of nodes) {
+    const values = NODE_ATTRIBUTES
+      .filter(([name]) => node[name] !== null && node[name] !== undefined)
+      .map(([name]) => `<data key="${name}">${escapeXml(node[name])}</data>`)
+      .join('')
+    await write(`    <node id="${escapeXml(did)}">${values}</node>\n`)
+  }
+
+  for (const edge of edges.values()) {
+    await write(`    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">` +
+      `<data key="type">${edge.type}</data><data key="weight">${edge.weight}</data></edge>\n`)
+  }
+
+  await write('  </graph>\n</graphml>\n')
+}
+
+async function writePajek({ nodes, edges }, write) {
+  // Pajek numbers vertices from 1 and has no escaping for quotes in labels
+  const index = new Map()
+  await write(`*Vertices ${nodes.size}\r\n`)
+  for (const [did, node] of nodes) {
+    index.set(did, index.size + 1)
+    await write(`${index.size} "${String(node.handle || did).replace(/"/g, "'")}"\r\n`)
+  }
+
+  await write('*Arcs\r\n')
+  for (const { source, target, weight } of aggregateWeights(edges)) {
+    await write(`${index.get(source)} ${index.get(target)} ${weight}\r\n`)
+  }
+}
+
+async function writeEdgeList({ edges }, write) {
+  // "source target weight", as read by networkx.read_weighted_edgelist
+  for (const { source, target, weight } of aggregateWeights(edges)) {
+    await write(`${source} ${target} ${weight}\n`)
+  }
+}
+
+const WRITERS = {
+  gexf: writeGexf,
+  graphml: writeGraphml,
+  pajek: writePajek,
+  edgelist: writeEdgeList
+}
+
+// Formats without edge types get one edge per account pair, summing the weights
+function aggregateWeights(edges) {
+  const pairs = new Map()
+  for (const { source, target, weight } of edges.values()) {
+    const key = `${source} ${target}`
+    const pair = pairs.get(key)
+    if (pair) {
+      pair.weight += weight
+    } else {
+      pairs.set(key, { source, target, weight })
+    }
+  }
+  return pairs.values()
+}
+
+function addNode(nodes, did, handle, depth) {
+  const node = nodes.get(did)
+  if (!node) {
+    nodes.set(did, { handle: handle || null, depth })
+    return
+  }
+
+  if (!node.handle && handle) {
+    node.handle = handle
+  }
+  if (depth !== null && (node.depth === null || depth < node.depth)) {
+    node.depth = depth
+  }
+}
+
+// Degree filter (a single pass, not a k-core)
+function filterByDegree(nodes, edges, minDegree) {
+  const degree = new Map()
+  for (const { source, target } of edges.values()) {
+    degree.set(source, (degree.get(source) || 0) + 1)
+    degree.set(target, (degree.get(target) || 0) + 1)
+  }
+
+  for (const did of nodes.keys()) {
+    if ((degree.get(did) || 0) < minDegree) {
+      nodes.delete(did)
+    }
+  }
+  for (const [key, { source, target }] of edges) {
+    if (!nodes.has(source) || !nodes.has(target)) {
+      edges.delete(key)
+    }
+  }
+}
+
+function authorOf(uri) {
+  const match = /^at:\/\/([^/]+)/.exec(uri || '')
+  return match ? match[1] : null
+}
+
+// Control characters other than tab, LF and CR are not allowed in XML 1.0
+function stripControlCharacters(value) {
+  return [...value].filter(char => char >= ' ' || '\t\n\r'.includes(char)).join('')
+}
+
+function escapeXml(value) {
+  return stripControlCharacters(String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+export default {
+  GRAPH_FORMATS,
+  EDGE_TYPES,
+  NODE_ATTRIBUTES,
+  buildGraph,
+  exportGraph
+}
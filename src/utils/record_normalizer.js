@@ -0,0 +1,226 @@
+/**
+ * Record Normalizer
+ *
+ * Converts raw repository records (as delivered by the firehose, Jetstream
+ * or a repo export) into the view shapes returned by the XRPC API, so the
+ * validation, deduplication and storage pipeline does not care where a
+ * record came from.
+ */
+
+import { buildAtUri } from './url_parser.js'
+
+/**
+ * Record collections (NSIDs) understood by the normalizer
+ */
+export const COLLECTIONS = {
+  POST: 'app.bsky.feed.post',
+  LIKE: 'app.bsky.feed.like',
+  REPOST: 'app.bsky.feed.repost',
+  FOLLOW: 'app.bsky.graph.follow',
+  BLOCK: 'app.bsky.graph.block',
+  LIST: 'app.bsky.graph.list',
+  PROFILE: 'app.bsky.actor.profile'
+}
+
+/**
+ * Handle placeholder used by the AT Protocol when a DID's handle is unknown
+ * or fails verification
+ */
+export const INVALID_HANDLE = 'handle.invalid'
+
+/**
+ * Normalize a post record into a post view
+ * @param {Object} source - { did, handle, rkey, cid, record, indexedAt }
+ * @returns {Object} Post view accepted by DataValidator.validatePost
+ */
+export function normalizePost({ did, handle, rkey, cid, record, indexedAt }) {
+  return {
+    uri: buildAtUri(did, COLLECTIONS.POST, rkey),
+    cid: cidToString(cid),
+    author: {
+      did,
+      handle: handle || INVALID_HANDLE
+    },
+    record: {
+      text: record.text,
+      createdAt: record.createdAt,
+      langs: record.langs,
+      reply: record.reply || null,
+      embed: record.embed || null,
+      facets: record.facets,
+      tags: record.tags
+    },
+    replyCount: 0,
+    repostCount: 0,
+    likeCount: 0,
+    indexedAt: indexedAt || new Date().toISOString()
+  }
+}
+
+/**
+ * Normalize a follow record into a follow view
+ * @param {Object} source - { did, handle, rkey, cid, record, indexedAt, subjectHandle }
+ * @returns {Object} Follow view accepted by DataValidator.validateFollow,
+ *   plus the following actor
+ */
+export function normalizeFollow({ did, handle, rkey, cid, record, indexedAt, subjectHandle }) {
+  return {
+    actor: {
+      did,
+      handle: handle || INVALID_HANDLE
+    },
+    subject: {
+      did: record.subject,
+      handle: subjectHandle || INVALID_HANDLE
+    },
+    createdAt: record.createdAt,
+    indexedAt: indexedAt || new Date().toISOString(),
+    uri: buildAtUri(did, COLLECTIONS.FOLLOW, rkey),
+    cid: cidToString(cid)
+  }
+}
+
+/**
+ * Normalize a like or repost record into a relationship record
+ * @param {string} type - 'like' or 'repost'
+ * @param {Object} source - { did, handle, rkey, cid, record, indexedAt }
+ * @returns {Object} Relationship record (actor -> subject post)
+ */
+export function normalizeEngagement(type, { did, handle, rkey, cid, record, indexedAt }) {
+  const collection = type === 'like' ? COLLECTIONS.LIKE : COLLECTIONS.REPOST
+  const subjectUri = record.subject?.uri || null
+
+  return {
+    source: {
+      did,
+      handle: handle || INVALID_HANDLE
+    },
+    target: {
+      uri: subjectUri,
+      cid: cidToString(record.subject?.cid),
+      did: subjectUri ? subjectUri.replace(/^at:\/\//, '').split('/')[0] : null
+    },
+    type,
+    createdAt: record.createdAt,
+    indexedAt: indexedAt || new Date().toISOString(),
+    uri: buildAtUri(did, collection, rkey),
+    cid: cidToString(cid)
+  }
+}
+
+/**
+ * Normalize a block record into a relationship record
+ * @param {Object} source - { did, handle, rkey, cid, record, indexedAt, subjectHandle }
+ * @returns {Object} Relationship record (actor -> blocked account)
+ */
+export function normalizeBlock({ did, handle, rkey, cid, record, indexedAt, subjectHandle }) {
+  return {
+    source: {
+      did,
+      handle: handle || INVALID_HANDLE
+    },
+    target: {
+      did: record.subject,
+      handle: subjectHandle || INVALID_HANDLE
+    },
+    type: 'block',
+    createdAt: record.createdAt,
+    indexedAt: indexedAt || new Date().toISOString(),
+    uri: buildAtUri(did, COLLECTIONS.BLOCK, rkey),
+    cid: cidToString(cid)
+  }
+}
+
+/**
+ * Normalize a list record into a list view
+ * @param {Object} source - { did, handle, rkey, cid, record, indexedAt }
+ * @returns {Object} List view
+ */
+export function normalizeList({ did, handle, rkey, cid, record, indexedAt }) {
+  return {
+    uri: buildAtUri(did, COLLECTIONS.LIST, rkey),
+    cid: cidToString(cid),
+    creator: {
+      did,
+      handle: handle || INVALID_HANDLE
+    },
+    name: record.name,
+    purpose: record.purpose,
+    description: record.description,
+    createdAt: record.createdAt,
+    indexedAt: indexedAt || new Date().toISOString()
+  }
+}
+
+/**
+ * Normalize a profile record into a profile view
+ * @param {Object} source - { did, handle, record, indexedAt }
+ * @returns {Object} Profile view
+ */
+export function normalizeProfile({ did, handle, record, indexedAt }) {
+  return {
+    did,
+    handle: handle || INVALID_HANDLE,
+    displayName: record.displayName,
+    description: record.description,
+    createdAt: record.createdAt,
+    indexedAt: indexedAt || new Date().toISOString(),
+    labels: []
+  }
+}
+
+/**
+ * Normalize any supported record
+ * @param {string} collection - Record collection NSID
+ * @param {Object} source - Record source (see individual normalizers)
+ * @returns {Object|null} { kind, item } or null for unsupported collections
+ */
+export function normalizeRecord(collection, source) {
+  if (!source || !source.record) {
+    return null
+  }
+
+  switch (collection) {
+    case COLLECTIONS.POST:
+      return { kind: 'post', item: normalizePost(source) }
+    case COLLECTIONS.FOLLOW:
+      return { kind: 'follow', item: normalizeFollow(source) }
+    case COLLECTIONS.LIKE:
+      return { kind: 'like', item: normalizeEngagement('like', source) }
+    case COLLECTIONS.REPOST:
+      return { kind: 'repost', item: normalizeEngagement('repost', source) }
+    case COLLECTIONS.BLOCK:
+      return { kind: 'block', item: normalizeBlock(source) }
+    case COLLECTIONS.LIST:
+      return { kind: 'list', item: normalizeList(source) }
+    case COLLECTIONS.PROFILE:
+      return { kind: 'profile', item: normalizeProfile(source) }
+    default:
+      return null
+  }
+}
+
+/**
+ * Convert a CID instance (or string) to its string form
+ * @param {Object|string} cid - CID
+ * @returns {string|null} CID string
+ */
+function cidToString(cid) {
+  if (!cid) {
+    return null
+  }
+
+  return typeof cid === 'string' ? cid : cid.toString()
+}
+
+export default {
+  COLLECTIONS,
+  INVALID_HANDLE,
+  normalizePost,
+  normalizeFollow,
+  normalizeEngagement,
+  normalizeBlock,
+  normalizeList,
+  normalizeProfile,
+  normalizeRecord
+}
@@ -4,6 +4,8 @@
  * Utilities for parsing Bluesky URLs and AT Protocol URIs
  */
 
+import IdentityResolver from '../core/identity_resolver.js'
+
 /**
  * Parse Bluesky profile URL
  * @param {string} url - Bluesky profile URL
@@ -106,35 +108,48 @@ export function parseAtUri(atUri) {
 }
 
 /**
- * Convert handle to DID format (placeholder - would need actual resolution)
- * @param {string} handle - Handle to convert
- * @returns {string|null} DID or null if invalid
+ * Shared resolver used by handleToDid / didToHandle
  */
-export function handleToDid(handle) {
+let sharedResolver = null
+
+function getSharedResolver() {
+  if (!sharedResolver) {
+    sharedResolver = new IdentityResolver()
+  }
+  return sharedResolver
+}
+
+/**
+ * Resolve a handle to its DID (DNS TXT, then /.well-known/atproto-did)
+ * @param {string} handle - Handle to resolve
+ * @param {IdentityResolver} resolver - Resolver to use (defaults to a shared instance)
+ * @returns {Promise<string|null>} DID or null if the handle does not resolve
+ */
+export async function handleToDid(handle, resolver = getSharedResolver()) {
   if (!handle || typeof handle !== 'string') {
     return null
   }
 
-  // This is a placeholder - in a real implementation, you would
-  // need to resolve the handle using the AT Protocol identity resolution
-  // For now, we'll return null to indicate resolution is needed
-  return null
+  if (handle.startsWith('did:')) {
+    return handle
+  }
+
+  return resolver.resolveHandle(handle)
 }
 
 /**
- * Convert DID to handle format (placeholder - would need actual resolution)
- * @param {string} did - DID to convert
- * @returns {string|null} Handle or null if invalid
+ * Resolve a DID to its verified handle
+ * @param {string} did - DID to resolve
+ * @param {IdentityResolver} resolver - Resolver to use (defaults to a shared instance)
+ * @returns {Promise<string|null>} Handle, or null if unresolved or not bidirectionally verified
  */
-export function didToHandle(did) {
+export async function didToHandle(did, resolver = getSharedResolver()) {
   if (!did || typeof did !== 'string' || !did.startsWith('did:')) {
     return null
   }
 
-  // This is a placeholder - in a real implementation, you would
-  // need to resolve the DID using the AT Protocol identity resolution
-  // For now, we'll return null to indicate resolution is needed
-  return null
+  const identity = await resolver.resolveIdentity(did)
+  return identity && identity.handleVerified ? identity.handle : null
 }
 
 /**
@@ -0,0 +1,255 @@
+import { jest } from '@jest/globals'
+
+import APIClient from '../src/core/api_client.js'
+import AdaptiveRateController, { percentile95 } from '../src/core/adaptive_rate_controller.js'
+import RateLimiter from '../src/core/rate_limiter.js'
+import SETTINGS from '../src/config/settings.js'
+import MockPds from './fixtures/mock_pds/index.js'
+
+/**
+ * Adaptive rate limiting tests
+ * The AIMD controller is driven with synthetic outcomes; persistence uses an
+ * in-memory stand-in for the Redis hash, and the APIClient wiring runs
+ * against the mock PDS.
+ */
+
+const PROFILE = '/xrpc/app.bsky.actor.getProfile';
+
+function createController(options = {}) {
+    return new AdaptiveRateController({ minRate: 6, maxRate: 200, increaseStep: 5, increaseAfter: 20, cooldownMs: 1000, ...options });
+}
+
+function feed(controller, count, outcome) {
+    const changes = [];
+    for (let i = 0; i < count; i++) {
+        const change = controller.record(PROFILE, typeof outcome === 'function' ? outcome(i) : outcome);
+        if (change) changes.push(change);
+    }
+    return changes;
+}
+
+function createMemoryRedis(initial = {}) {
+    const hashes = { 'bluesky:rate_limits:learned': { ...initial } };
+    return {
+        hashes,
+        hGetAll: async (key) => ({ ...hashes[key] }),
+        hSet: async (key, field, value) => { hashes[key] = { ...hashes[key], [field]: value }; },
+        quit: async () => {}
+    };
+}
+
+describe('Adaptive rate limiting', () => {
+    describe('AdaptiveRateController', () => {
+        test('should raise the rate additively while responses stay healthy', () => {
+            const controller = createController();
+            expect(controller.register(PROFILE, 60)).toBe(60);
+
+            const changes = feed(controller, 60, { status: 200, latencyMs: 100 });
+
+            expect(changes.map(change => change.rate)).toEqual([65, 70, 75]);
+            expect(changes.every(change => change.reason === 'healthy')).toBe(true);
+            expect(controller.getStats(PROFILE)).toMatchObject({ configuredRequestsPerMinute: 60, currentRequestsPerMinute: 75, increases: 3, p95LatencyMs: 100 });
+        });
+
+        test('should halve the rate on a 429 once per cooldown', () => {
+            const controller = createController();
+            controller.register(PROFILE, 60);
+
+            expect(controller.record(PROFILE, { status: 429, latencyMs: 50 })).toEqual({ rate: 30, previous: 60, reason: 'rate_limited' });
+            expect(controller.record(PROFILE, { status: 429, latencyMs: 50 })).toBeNull();
+            expect(controller.getRate(PROFILE)).toBe(30);
+        });
+
+        test('should cut the rate when p95 latency rises', () => {
+            const controller = createController({ cooldownMs: 0, increaseAfter: 1000 });
+            controller.register(PROFILE, 100);
+
+            feed(controller, 40, { status: 200, latencyMs: 100 });
+            const slow = feed(controller, 3, { status: 200, latencyMs: 400 });
+
+            expect(slow).toEqual([{ rate: 75, previous: 100, reason: 'latency' }]);
+            expect(controller.getStats(PROFILE)).toMatchObject({ referenceP95LatencyMs: 100, p95LatencyMs: null });
+        });
+
+        test('should cut the rate when the error rate climbs', () => {
+            const controller = createController({ cooldownMs: 0, increaseAfter: 1000 });
+            controller.register(PROFILE, 100);
+
+            const occasional = feed(controller, 20, i => i === 0 ? { status: 503, latencyMs: 100 } : { status: 200, latencyMs: 100 });
+            expect(occasional).toEqual([]);
+
+            const errors = feed(controller, 20, i => i % 2 === 0 ? { status: null, latencyMs: 100 } : { status: 200, latencyMs: 100 });
+            expect(errors).toEqual([{ rate: 75, previous: 100, reason: 'error_rate' }]);
+            expect(controller.getStats(PROFILE)).toMatchObject({ decreases: 1, lastChange: { from: 100, to: 75, reason: 'error_rate' } });
+        });
+
+        test('should start from a learned rate within bounds', () => {
+            const controller = createController();
+            expect(controller.register(PROFILE, 60, 90)).toBe(90);
+            expect(controller.register('/xrpc/other', 60, 5000)).toBe(200);
+            expect(controller.register('/xrpc/floor', 2)).toBe(6);
+            expect(percentile95([5, 1, 4, 2, 3])).toBe(5);
+            expect(percentile95([])).toBeNull();
+        });
+    });
+
+    describe('RateLimiter', () => {
+        let limiter;
+
+        afterEach(async () => {
+            await limiter.cleanup();
+        });
+
+        test('should start from learned rates and persist adapted ones', async () => {
+            const redis = createMemoryRedis({ [PROFILE]: '40' });
+            limiter = new RateLimiter({ adaptive: { cooldownMs: 0 } });
+            limiter.redisClient = redis;
+            await limiter.loadLearnedRates();
+
+            expect((await limiter.getEndpointInfo(PROFILE))).toBeNull();
+            limiter.getLimiterForEndpoint(PROFILE);
+            expect((await limiter.getEndpointInfo(PROFILE)).configuration.requestsPerMinute).toBe(40);
+
+            await limiter.recordOutcome(PROFILE, { status: 429, latencyMs: 20 });
+
+            expect(redis.hashes['bluesky:rate_limits:learned'][PROFILE]).toBe('20');
+            const info = await limiter.getEndpointInfo(PROFILE);
+            expect(info.configuration.requestsPerMinute).toBe(20);
+            expect(info.configuration.minTime).toBeGreaterThanOrEqual(3000);
+
+            const stats = await limiter.getStats();
+            expect(stats.adaptive).toEqual({ enabled: true, persistence: 'redis' });
+            expect(stats.endpoints.find(entry => entry.endpoint === PROFILE).adaptive).toMatchObject({
+                currentRequestsPerMinute: 20,
+                learnedRequestsPerMinute: 20,
+                decreases: 1,
+                lastChange: { from: 40, to: 20, reason: 'rate_limited' }
+            });
+        });
+
+        test('should keep refilling the reservoir after the rate changes', async () => {
+            limiter = new RateLimiter({ adaptive: { cooldownMs: 0 } });
+            const endpointLimiter = limiter.getLimiterForEndpoint(PROFILE);
+            limiter.scheduleReservoirRefresh(endpointLimiter, 5, 50);
+            await endpointLimiter.updateSettings({ reservoir: 0 });
+
+            await limiter.recordOutcome(PROFILE, { status: 429, latencyMs: 20 });
+            await new Promise(resolve => setTimeout(resolve, 120));
+
+            // Refilled on the same schedule, to the halved rate
+            expect(await endpointLimiter.currentReservoir()).toBe(50);
+        });
+
+        test('should send the adapted rate per minute, not the burst limit', async () => {
+            const randomize = SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS;
+            SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = false;
+            jest.useFakeTimers({ now: 0 });
+
+            // Bottleneck yields to timers before settling its promises
+            const settle = async (promise) => {
+                await jest.advanceTimersByTimeAsync(1);
+                return await promise;
+            };
+
+            try {
+                limiter = new RateLimiter({ adaptive: { cooldownMs: 0 } });
+                const endpointLimiter = limiter.getLimiterForEndpoint(PROFILE);
+                let sent = 0;
+                for (let i = 0; i < 300; i++) {
+                    endpointLimiter.schedule(() => { sent++; }).catch(() => {});
+                }
+
+                // getProfile is configured for 100 per minute with a burst limit of 10
+                await jest.advanceTimersByTimeAsync(59500);
+                expect(sent).toBe(100);
+
+                await settle(limiter.recordOutcome(PROFILE, { status: 429, latencyMs: 20 }));
+                await jest.advanceTimersByTimeAsync(60000);
+                expect(sent).toBe(150);
+            } finally {
+                await limiter.cleanup();
+                jest.useRealTimers();
+                SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = randomize;
+            }
+        });
+
+        test('should not adapt above what MIN_REQUEST_INTERVAL allows', async () => {
+            limiter = new RateLimiter();
+            expect(limiter.adaptive.maxRate).toBe(Math.floor(60000 / SETTINGS.SECURITY.MIN_REQUEST_INTERVAL));
+            expect(limiter.adaptive.register(PROFILE, 100, 5000)).toBe(limiter.adaptive.maxRate);
+        });
+
+        test('should leave limiters static when adaptive limiting is off', async () => {
+            const enabled = SETTINGS.RATE_LIMITING.ADAPTIVE_ENABLED;
+            SETTINGS.RATE_LIMITING.ADAPTIVE_ENABLED = false;
+            try {
+                limiter = new RateLimiter();
+            } finally {
+                SETTINGS.RATE_LIMITING.ADAPTIVE_ENABLED = enabled;
+            }
+
+            limiter.getLimiterForEndpoint(PROFILE);
+            await limiter.recordOutcome(PROFILE, { status: 429, latencyMs: 20 });
+
+            const stats = await limiter.getStats();
+            expect(stats.adaptive.enabled).toBe(false);
+            expect(stats.endpoints[0].adaptive).toBeNull();
+        });
+    });
+
+    describe('APIClient', () => {
+        let pds;
+        const settings = {
+            randomizeDelays: SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS,
+            retryDelay: SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS
+        };
+
+        beforeAll(async () => {
+            SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = false;
+            SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS = 10;
+            pds = new MockPds();
+            await pds.start();
+        });
+
+        afterAll(async () => {
+            await pds.stop();
+            SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = settings.randomizeDelays;
+            SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS = settings.retryDelay;
+        });
+
+        test('should close the rate limiter with the client', async () => {
+            const client = new APIClient({ baseURL: pds.url, serviceUrl: pds.url, accounts: [] });
+            const redis = createMemoryRedis();
+            let quits = 0;
+            redis.quit = async () => { quits++; };
+            client.rateLimiter.redisClient = redis;
+            client.rateLimiter.getLimiterForEndpoint(PROFILE);
+
+            await client.cleanup();
+
+            expect(quits).toBe(1);
+            expect(client.rateLimiter.redisClient).toBeNull();
+            expect(client.rateLimiter.limiters.size).toBe(0);
+        });
+
+        test('should slow an endpoint down after a 429', async () => {
+            const client = new APIClient({ baseURL: pds.url, serviceUrl: pds.url, accounts: [] });
+            client.rateLimiter.waitForSlot = async () => {};
+            pds.addFault({ endpoint: PROFILE, status: 429 });
+
+            try {
+                await client.getProfile(pds.dataset.actors[1].did);
+
+                const entry = (await client.rateLimiter.getStats()).endpoints.find(stats => stats.endpoint === PROFILE);
+                const configured = entry.adaptive.configuredRequestsPerMinute;
+                expect(entry.adaptive).toMatchObject({
+                    currentRequestsPerMinute: Math.round(configured / 2),
+                    learnedRequestsPerMinute: Math.round(configured / 2),
+                    lastChange: { reason: 'rate_limited' }
+                });
+            } finally {
+                await client.cleanup();
+            }
+        });
+    });
+});
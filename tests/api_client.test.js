@@ -0,0 +1,179 @@
+import http from 'http'
+
+import APIClient from '../src/core/api_client.js'
+import { validateParams } from '../src/config/param_schemas.js'
+import { ENDPOINTS } from '../src/config/endpoints.js'
+import SETTINGS from '../src/config/settings.js'
+
+/**
+ * API client method surface tests
+ * A local HTTP server echoes the XRPC path and query string back, and serves
+ * a paginated getFollowers (25 followers for alice.test, a looping cursor for
+ * loop.test, empty pages for empty.test)
+ */
+
+const POST_URI = 'at://did:plc:alice000000000000000000/app.bsky.feed.post/3kpost';
+
+function followersPage(query) {
+    const actor = query.get('actor');
+    const offset = parseInt(query.get('cursor') || '0');
+    const limit = parseInt(query.get('limit') || '50');
+
+    if (actor === 'loop.test') {
+        return { followers: [{ did: `did:plc:loop${offset}` }], cursor: '1' };
+    }
+    if (actor === 'empty.test') {
+        return { followers: [], cursor: String(offset + 1) };
+    }
+
+    const followers = [];
+    for (let i = offset; i < Math.min(offset + limit, 25); i++) {
+        followers.push({ did: `did:plc:follower${i}` });
+    }
+    const next = offset + limit;
+    return { followers, cursor: next < 25 ? String(next) : undefined };
+}
+
+describe('API Client', () => {
+    let server;
+    let client;
+    let requests;
+    const randomizeDelays = SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS;
+
+    beforeAll(async () => {
+        SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = false;
+
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            const url = new URL(req.url, 'http://localhost');
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            if (url.pathname === '/xrpc/app.bsky.graph.getFollowers') {
+                return res.end(JSON.stringify(followersPage(url.searchParams)));
+            }
+            res.end(JSON.stringify({
+                path: url.pathname,
+                query: Object.fromEntries([...url.searchParams.keys()].map(key => [key, url.searchParams.getAll(key)]))
+            }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        client = new APIClient({
+            baseURL: `http://127.0.0.1:${server.address().port}`,
+            accounts: []
+        });
+        await client.initialize();
+        client.rateLimiter.waitForSlot = async () => {}; // Pacing is covered by the rate limiter itself
+    });
+
+    afterAll(async () => {
+        await client.cleanup();
+        await new Promise(resolve => server.close(resolve));
+        SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = randomizeDelays;
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    test('should call the declared endpoints with their parameters', async () => {
+        const likes = await client.getLikes(POST_URI, { limit: 25, cursor: 'abc' });
+        expect(likes.path).toBe('/xrpc/app.bsky.feed.getLikes');
+        expect(likes.query).toEqual({ uri: [POST_URI], limit: ['25'], cursor: ['abc'] });
+
+        const record = await client.getRecord('alice.test', 'app.bsky.feed.post', '3kpost');
+        expect(record.path).toBe('/xrpc/com.atproto.repo.getRecord');
+        expect(record.query.rkey).toEqual(['3kpost']);
+
+        const starterPack = await client.getStarterPack('at://did:plc:alice000000000000000000/app.bsky.graph.starterpack/3kpack');
+        expect(starterPack.path).toBe('/xrpc/app.bsky.graph.getStarterPack');
+    });
+
+    test('should repeat the key for array parameters', async () => {
+        const posts = await client.getPosts([POST_URI, POST_URI.replace('3kpost', '3kother')]);
+        expect(posts.query.uris).toHaveLength(2);
+        expect(requests[0]).toContain('uris=at');
+        expect(requests[0]).not.toContain('uris%5B%5D');
+    });
+
+    test('should reject invalid parameters before sending the request', async () => {
+        await expect(client.getLikes('https://bsky.app/profile/alice.test/post/3kpost'))
+            .rejects.toMatchObject({ type: 'VALIDATION_ERROR' });
+        await expect(client.getFollowers('alice.test', { limit: 500 }))
+            .rejects.toMatchObject({ type: 'VALIDATION_ERROR' });
+        await expect(client.getPosts(new Array(26).fill(POST_URI)))
+            .rejects.toMatchObject({ type: 'VALIDATION_ERROR' });
+        await expect(client.listRecords('alice.test', 'not-an-nsid'))
+            .rejects.toMatchObject({ type: 'VALIDATION_ERROR' });
+
+        expect(requests).toHaveLength(0);
+        expect((await client.getStats()).requests.invalid).toBe(4);
+
+        client.resetStats();
+        await expect(client.getLikes('not-a-uri')).rejects.toMatchObject({ type: 'VALIDATION_ERROR' });
+        expect((await client.getStats()).requests.invalid).toBe(1);
+    });
+
+    test('should accept both DIDs and handles as actors', () => {
+        expect(validateParams(ENDPOINTS.ACTOR.GET_PROFILE, { actor: 'did:plc:alice000000000000000000' }).error).toBeNull();
+        expect(validateParams(ENDPOINTS.ACTOR.GET_PROFILE, { actor: 'alice.bsky.social' }).error).toBeNull();
+        expect(validateParams(ENDPOINTS.ACTOR.GET_PROFILE, { actor: '@alice' }).error).not.toBeNull();
+        expect(validateParams(ENDPOINTS.ACTOR.GET_PROFILE, {}).error).not.toBeNull();
+    });
+
+    async function collect(pages) {
+        const items = [];
+        for await (const page of pages) {
+            items.push(...page.items.map(item => item.did));
+        }
+        return items;
+    }
+
+    test('should paginate until the cursor runs out', async () => {
+        const followers = await collect(client.paginate('app.bsky.graph.getFollowers', { actor: 'alice.test', limit: 10 }));
+
+        expect(followers).toHaveLength(25);
+        expect(new Set(followers).size).toBe(25);
+        expect(requests).toHaveLength(3);
+    });
+
+    test('should honour maxItems and maxPages', async () => {
+        const limited = await collect(client.paginate(ENDPOINTS.GRAPH.GET_FOLLOWERS, { actor: 'alice.test', limit: 10 }, { maxItems: 12 }));
+        expect(limited).toHaveLength(12);
+        expect(requests[1]).toContain('limit=2');
+
+        const paged = await collect(client.paginate(ENDPOINTS.GRAPH.GET_FOLLOWERS, { actor: 'alice.test', limit: 10 }, { maxPages: 1 }));
+        expect(paged).toHaveLength(10);
+    });
+
+    test('should stop on repeated cursors and runs of empty pages', async () => {
+        const looped = await collect(client.paginate(ENDPOINTS.GRAPH.GET_FOLLOWERS, { actor: 'loop.test' }));
+        expect(looped).toEqual(['did:plc:loop0', 'did:plc:loop1']);
+
+        requests = [];
+        const empty = await collect(client.paginate(ENDPOINTS.GRAPH.GET_FOLLOWERS, { actor: 'empty.test' }, { maxEmptyPages: 2 }));
+        expect(empty).toEqual([]);
+        expect(requests).toHaveLength(2);
+    });
+
+    test('should resume from a persisted cursor and stop when aborted', async () => {
+        const cursors = [];
+        const controller = new AbortController();
+        const firstRun = [];
+
+        for await (const page of client.paginate(ENDPOINTS.GRAPH.GET_FOLLOWERS, { actor: 'alice.test', limit: 10 }, {
+            signal: controller.signal,
+            onCursor: (cursor) => { cursors.push(cursor); }
+        })) {
+            firstRun.push(...page.items.map(item => item.did));
+            controller.abort();
+        }
+
+        expect(firstRun).toHaveLength(10);
+        expect(cursors).toEqual(['10']);
+
+        const resumed = await collect(client.paginate(ENDPOINTS.GRAPH.GET_FOLLOWERS, { actor: 'alice.test', limit: 10 }, {
+            cursor: cursors[cursors.length - 1]
+        }));
+        expect([...firstRun, ...resumed]).toEqual(Array.from({ length: 25 }, (_, i) => `did:plc:follower${i}`));
+    });
+});
@@ -0,0 +1,148 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import PostsScraper from '../src/scrapers/posts_scraper.js'
+import RelationshipsScraper from '../src/scrapers/relationships_scraper.js'
+import { createFakeApiClient, createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * Mid-pagination resume tests
+ * A run is killed while paging a user (the next request never returns and the
+ * scraper is abandoned without a final save), then a fresh scraper resumes from
+ * the latest checkpoint. The output must match an uninterrupted run exactly.
+ */
+
+const USERS = ['alice', 'bob', 'carol'].map((name, index) => ({
+    did: `did:plc:${name}`,
+    handle: `${name}.test`,
+    followersCount: 25 + index,
+    followsCount: 25,
+    postsCount: 25
+}));
+
+function profile(name, followersCount = 0) {
+    return { did: `did:plc:${name}`, handle: `${name}.test`, followersCount };
+}
+
+// Deterministic fake network: every user has 25 posts, 25 followers and 25 follows
+function respond(endpoint, params) {
+    const offset = parseInt(params.cursor || '0');
+    const limit = params.limit || 50;
+    const owner = params.actor.replace('did:plc:', '');
+    const end = Math.min(offset + limit, 25);
+    const cursor = end < 25 ? String(end) : undefined;
+    const indexes = Array.from({ length: end - offset }, (_, i) => offset + i);
+
+    if (endpoint.endsWith('getAuthorFeed')) {
+        return {
+            feed: indexes.map(i => ({
+                post: {
+                    uri: `at://${params.actor}/app.bsky.feed.post/p${i}`,
+                    cid: `bafy${owner}${i}`,
+                    author: { did: params.actor, handle: `${owner}.test` },
+                    record: { text: `post ${i} by ${owner}`, createdAt: new Date().toISOString() },
+                    indexedAt: new Date().toISOString()
+                }
+            })),
+            cursor
+        };
+    }
+
+    if (endpoint.endsWith('getFollowers')) {
+        // A couple of popular followers feed the next depth
+        return { followers: indexes.map(i => profile(`${owner}-fan${i}`, i < 2 ? 50 : 0)), cursor };
+    }
+
+    return { follows: indexes.map(i => profile(`shared${i}`)), cursor };
+}
+
+describe('Checkpoint resume', () => {
+    let tempDirs;
+
+    beforeEach(() => {
+        tempDirs = [];
+    });
+
+    afterEach(async () => {
+        for (const dir of tempDirs) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    async function createWorkspace() {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-test-'));
+        tempDirs.push(dir);
+        await fs.mkdir(path.join(dir, 'users'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'users', 'users_seed.json'), JSON.stringify({ data: USERS }));
+        return { dir, deduplicator: createMemoryDeduplicator() };
+    }
+
+    async function createScraper(ScraperClass, workspace, apiClient, options) {
+        const scraper = new ScraperClass(options);
+        scraper.apiClient = apiClient;
+        scraper.deduplicator = workspace.deduplicator; // Survives the "crash", like Redis
+        scraper.fileManager.baseDir = workspace.dir;
+        scraper.checkpointManager.checkpointDir = path.join(workspace.dir, 'checkpoints');
+        await fs.mkdir(scraper.checkpointManager.checkpointDir, { recursive: true });
+        await scraper.initialize();
+        return scraper;
+    }
+
+    async function runKilledThenResumed(ScraperClass, options, killAtRequest) {
+        const workspace = await createWorkspace();
+
+        const killedClient = createFakeApiClient(respond, { killAtRequest });
+        const killedRun = await createScraper(ScraperClass, workspace, killedClient, options);
+        killedRun.start();
+        await killedClient.killed;
+
+        const resumedClient = createFakeApiClient(respond);
+        const resumedRun = await createScraper(ScraperClass, workspace, resumedClient, options);
+        await resumedRun.start({ resume: true });
+
+        return { workspace, killedClient, resumedClient };
+    }
+
+    test('posts scraper resumes mid-feed without gaps or duplicates', async () => {
+        const options = { batchSize: 10, saveInterval: 15 };
+
+        const baseline = await createWorkspace();
+        await (await createScraper(PostsScraper, baseline, createFakeApiClient(respond), options)).start();
+        const expected = (await readSaved(baseline.dir, 'posts')).map(post => post.uri).sort();
+        expect(expected).toHaveLength(75);
+
+        // Users are queued by follower count: requests 1-3 page carol, request 5 is bob's second page
+        const { workspace, resumedClient } = await runKilledThenResumed(PostsScraper, options, 5);
+
+        const uris = (await readSaved(workspace.dir, 'posts')).map(post => post.uri);
+        expect(uris.sort()).toEqual(expected);
+        expect(new Set(uris).size).toBe(uris.length);
+
+        // Carol is not fetched again and bob continues from a cursor
+        expect(resumedClient.calls.some(call => call.actor === 'did:plc:carol')).toBe(false);
+        expect(resumedClient.calls[0]).toMatchObject({ actor: 'did:plc:bob', cursor: '10' });
+    });
+
+    test('relationships scraper resumes mid-list and restores the depth queues', async () => {
+        const options = { batchSize: 10, saveInterval: 15, maxDepth: 1 };
+        const edgeKey = rel => `${rel.type}:${rel.source.did}:${rel.target.did}:${rel.depth}`;
+
+        const baseline = await createWorkspace();
+        await (await createScraper(RelationshipsScraper, baseline, createFakeApiClient(respond), options)).start();
+        const expected = (await readSaved(baseline.dir, 'relationships')).map(edgeKey).sort();
+        expect(expected.filter(key => key.endsWith(':1')).length).toBeGreaterThan(0);
+
+        // Carol (most followers) is crawled first: requests 1-3 page her followers,
+        // request 5 is the second page of her follows
+        const { workspace, killedClient, resumedClient } = await runKilledThenResumed(RelationshipsScraper, options, 5);
+        expect(killedClient.calls[4]).toMatchObject({ actor: 'did:plc:carol', cursor: '10' });
+
+        const edges = (await readSaved(workspace.dir, 'relationships')).map(edgeKey);
+        expect(edges.sort()).toEqual(expected);
+        expect(new Set(edges).size).toBe(edges.length);
+
+        expect(resumedClient.calls[0].endpoint).toContain('getFollows');
+        expect(resumedClient.calls[0].actor).toBe('did:plc:carol');
+    });
+});
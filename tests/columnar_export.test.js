@@ -0,0 +1,141 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+import { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects } from 'hyparquet'
+import { tableFromIPC } from 'apache-arrow'
+
+import FileManager from '../src/utils/file_manager.js'
+import { flattenRecord, EXPORT_SCHEMAS } from '../src/utils/columnar_export.js'
+
+/**
+ * Parquet and Arrow export tests
+ * Posts are saved across several files through FileManager, exported, and
+ * read back with the Parquet and Arrow readers
+ */
+
+const QUOTED_URI = 'at://did:plc:bob/app.bsky.feed.post/quoted';
+
+function post(index) {
+    return {
+        uri: `at://did:plc:alice/app.bsky.feed.post/p${index}`,
+        cid: `bafy${index}`,
+        author: { did: 'did:plc:alice', handle: 'alice.test', displayName: 'Alice' },
+        record: {
+            text: `post ${index}`,
+            createdAt: '2024-05-01T12:00:00.000Z',
+            langs: ['en'],
+            reply: null,
+            embed: null,
+            facets: [],
+            tags: []
+        },
+        likeCount: index,
+        indexedAt: '2024-05-01T12:00:01.000Z'
+    };
+}
+
+const RICH_POST = {
+    ...post(99),
+    record: {
+        text: 'hello @bob.test see https://example.com #news',
+        createdAt: '2024-05-02T08:30:00.000Z',
+        langs: ['en', 'de'],
+        reply: {
+            root: { uri: 'at://did:plc:bob/app.bsky.feed.post/root' },
+            parent: { uri: 'at://did:plc:bob/app.bsky.feed.post/parent' }
+        },
+        embed: {
+            $type: 'app.bsky.embed.recordWithMedia',
+            record: { $type: 'app.bsky.embed.record', record: { uri: QUOTED_URI, cid: 'bafyquoted' } },
+            media: { $type: 'app.bsky.embed.images', images: [{ alt: 'a cat' }, { alt: '' }] }
+        },
+        facets: [
+            { features: [{ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:bob' }] },
+            { features: [{ $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com' }] },
+            { features: [{ $type: 'app.bsky.richtext.facet#tag', tag: 'news' }] }
+        ]
+    }
+};
+
+describe('Columnar export', () => {
+    let tempDir;
+    let fileManager;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'columnar-export-test-'));
+        fileManager = new FileManager();
+        fileManager.baseDir = tempDir;
+        await fileManager.initialize();
+    });
+
+    afterEach(async () => {
+        await fileManager.close();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should flatten nested post fields', () => {
+        const row = flattenRecord('posts', RICH_POST);
+
+        expect(row).toMatchObject({
+            author_did: 'did:plc:alice',
+            author_handle: 'alice.test',
+            langs: ['en', 'de'],
+            reply_parent_uri: 'at://did:plc:bob/app.bsky.feed.post/parent',
+            reply_root_uri: 'at://did:plc:bob/app.bsky.feed.post/root',
+            embed_type: 'recordWithMedia',
+            embed_record_uri: QUOTED_URI,
+            embed_image_count: 2,
+            embed_image_alts: ['a cat', ''],
+            has_video: false,
+            mentions: ['did:plc:bob'],
+            links: ['https://example.com'],
+            hashtags: ['news'],
+            quote_count: null
+        });
+        expect(row.created_at).toEqual(new Date('2024-05-02T08:30:00.000Z'));
+        expect(Object.keys(row)).toEqual(EXPORT_SCHEMAS.posts.map(([name]) => name));
+    });
+
+    test('should export posts to Parquet in row groups', async () => {
+        await fileManager.savePosts(Array.from({ length: 5 }, (_, i) => post(i)));
+        await fileManager.savePosts([...Array.from({ length: 4 }, (_, i) => post(i + 5)), RICH_POST]);
+
+        const exportPath = await fileManager.exportData('posts', 'parquet', { rowGroupSize: 4 });
+        expect(exportPath.endsWith('.parquet')).toBe(true);
+
+        const file = await asyncBufferFromFile(exportPath);
+        const metadata = await parquetMetadataAsync(file);
+        expect(Number(metadata.num_rows)).toBe(10);
+        expect(metadata.row_groups).toHaveLength(3);
+
+        const rows = await parquetReadObjects({ file });
+        const rich = rows.find(item => item.uri === RICH_POST.uri);
+        expect(rich).toMatchObject({ embed_type: 'recordWithMedia', hashtags: ['news'], langs: ['en', 'de'] });
+        expect(rows[0].author_display_name).toBe('Alice');
+        expect(rows[0].created_at).toEqual(new Date('2024-05-01T12:00:00.000Z'));
+        expect(rows[0].quote_count).toBeNull();
+    });
+
+    test('should export relationships to Arrow record batches', async () => {
+        await fileManager.saveRelationships([
+            { source: { did: 'did:plc:alice', handle: 'alice.test' }, target: { did: 'did:plc:bob' }, type: 'following', depth: 0 },
+            { source: { did: 'did:plc:alice' }, target: { did: 'did:plc:carol' }, type: 'follower', depth: 1 },
+            { source: { did: 'did:plc:bob' }, target: { uri: QUOTED_URI, did: 'did:plc:bob' }, type: 'like' }
+        ]);
+
+        const exportPath = await fileManager.exportData('relationships', 'arrow', { rowGroupSize: 2 });
+        const table = tableFromIPC(await fs.readFile(exportPath));
+
+        expect(table.numRows).toBe(3);
+        expect(table.batches).toHaveLength(2);
+        expect(table.schema.fields.map(field => field.name)).toEqual(EXPORT_SCHEMAS.relationships.map(([name]) => name));
+
+        const rows = table.toArray().map(row => row.toJSON());
+        expect(rows[0]).toMatchObject({ type: 'following', source_handle: 'alice.test', target_did: 'did:plc:bob', depth: 0 });
+        expect(rows[2]).toMatchObject({ type: 'like', target_uri: QUOTED_URI, depth: null });
+    });
+
+    test('should reject types without an export schema', async () => {
+        await expect(fileManager.exportData('lists', 'parquet')).rejects.toThrow('No export schema');
+    });
+});
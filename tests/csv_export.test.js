@@ -0,0 +1,147 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+import zlib from 'zlib'
+
+import FileManager from '../src/utils/file_manager.js'
+import { flattenObject, toCsvRow, toEdge } from '../src/utils/csv_export.js'
+
+/**
+ * CSV export tests
+ * Records with differing, nested fields are exported through FileManager and
+ * the raw CSV text is checked against RFC 4180
+ */
+
+const POSTS = [
+    {
+        uri: 'at://did:plc:alice/app.bsky.feed.post/p1',
+        author: { did: 'did:plc:alice', handle: 'alice.test' },
+        record: { text: 'plain text', langs: ['en'] },
+        likeCount: 0
+    },
+    {
+        uri: 'at://did:plc:bob/app.bsky.feed.post/p2',
+        author: { did: 'did:plc:bob', handle: 'bob.test', displayName: 'Bob, "the builder"' },
+        record: { text: 'line one\nline two' },
+        metrics: { viralityScore: 0.75 }
+    }
+];
+
+describe('CSV export', () => {
+    let tempDir;
+    let fileManager;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'csv-export-test-'));
+        fileManager = new FileManager();
+        fileManager.baseDir = tempDir;
+        await fileManager.initialize();
+    });
+
+    afterEach(async () => {
+        await fileManager.close();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should flatten nested fields into dotted paths', () => {
+        expect(flattenObject(POSTS[1])).toEqual({
+            uri: 'at://did:plc:bob/app.bsky.feed.post/p2',
+            'author.did': 'did:plc:bob',
+            'author.handle': 'bob.test',
+            'author.displayName': 'Bob, "the builder"',
+            'record.text': 'line one\nline two',
+            'metrics.viralityScore': 0.75
+        });
+
+        const row = toCsvRow(POSTS[0], ['record.langs', 'author', 'likeCount', 'missing.path']);
+        expect(row).toEqual({
+            'record.langs': '["en"]',
+            author: '{"did":"did:plc:alice","handle":"alice.test"}',
+            likeCount: '0',
+            'missing.path': ''
+        });
+    });
+
+    test('should union headers across records and quote per RFC 4180', async () => {
+        await fileManager.savePosts(POSTS);
+
+        const csv = await fs.readFile(await fileManager.exportData('posts', 'csv'), 'utf8');
+        const records = csv.split('\r\n');
+
+        expect(records[0]).toBe('uri,author.did,author.handle,record.text,record.langs,likeCount,author.displayName,metrics.viralityScore');
+        expect(records[1]).toBe('at://did:plc:alice/app.bsky.feed.post/p1,did:plc:alice,alice.test,plain text,"[""en""]",0,,');
+        expect(records[2]).toBe(
+            'at://did:plc:bob/app.bsky.feed.post/p2,did:plc:bob,bob.test,"line one\nline two",,,"Bob, ""the builder""",0.75'
+        );
+        expect(records[3]).toBe('');
+    });
+
+    test('should export selected columns with renamed headers', async () => {
+        await fileManager.savePosts(POSTS);
+
+        const exportPath = await fileManager.exportData('posts', 'csv', {
+            columns: ['author.handle', 'metrics.viralityScore'],
+            rename: { 'author.handle': 'handle' }
+        });
+
+        expect(await fs.readFile(exportPath, 'utf8')).toBe('handle,metrics.viralityScore\r\nalice.test,\r\nbob.test,0.75\r\n');
+    });
+
+    test('should write one deduplicated edge list per relationship kind', async () => {
+        await fileManager.saveRelationships([
+            // bob follows alice, recorded from both sides
+            { source: { did: 'did:plc:alice', handle: 'alice.test' }, target: { did: 'did:plc:bob', handle: 'bob.test' }, type: 'follower' },
+            { source: { did: 'did:plc:bob', handle: 'bob.test' }, target: { did: 'did:plc:alice', handle: 'alice.test' }, type: 'following' },
+            { source: { did: 'did:plc:alice' }, target: { did: 'did:plc:carol' }, type: 'following', createdAt: '2024-01-01T00:00:00.000Z' },
+            { source: { did: 'did:plc:bob' }, target: { uri: POSTS[0].uri, did: 'did:plc:alice' }, type: 'like' }
+        ]);
+
+        const exportPath = await fileManager.exportData('relationships', 'csv');
+        const exported = await fs.readdir(path.dirname(exportPath));
+        expect(exported.filter(file => file.startsWith('relationships_edges_follows_'))).toHaveLength(1);
+        expect(exported.filter(file => file.startsWith('.edges-'))).toEqual([]); // partition files are removed
+
+        const paths = await fileManager.exportEdgeLists();
+        expect(Object.keys(paths).sort()).toEqual(['follows', 'likes']);
+
+        // Rows come out grouped by dedupe partition, not in input order
+        const [header, ...rows] = (await fs.readFile(paths.follows, 'utf8')).split('\r\n');
+        expect(header).toBe('source,target,source_handle,target_handle,created_at,uri');
+        expect(rows.sort()).toEqual([
+            '',
+            'did:plc:alice,did:plc:carol,,,2024-01-01T00:00:00.000Z,',
+            'did:plc:bob,did:plc:alice,bob.test,alice.test,,'
+        ]);
+
+        const likes = await fs.readFile(paths.likes, 'utf8');
+        expect(likes).toContain(`did:plc:bob,${POSTS[0].uri}`);
+    });
+
+    test('should deduplicate edges spread over many partitions', async () => {
+        const relationships = [];
+        for (let i = 0; i < 300; i++) {
+            const edge = { source: { did: `did:plc:u${i % 150}` }, target: { did: 'did:plc:hub' }, type: 'following' };
+            relationships.push(edge, { ...edge });
+        }
+        await fileManager.saveRelationships(relationships);
+
+        const paths = await fileManager.exportEdgeLists({ gzip: true });
+        const rows = zlib.gunzipSync(await fs.readFile(paths.follows)).toString('utf8').split('\r\n').slice(1, -1);
+
+        expect(rows).toHaveLength(150);
+        expect(new Set(rows).size).toBe(150);
+    });
+
+    test('should surface output stream errors on write and close', async () => {
+        const output = fileManager.openOutputStream(path.join(tempDir, 'missing', 'edges.csv'));
+        await new Promise(resolve => setTimeout(resolve, 50)); // the open fails asynchronously
+
+        await expect(output.write('source,target\r\n')).rejects.toThrow('ENOENT');
+        await expect(output.close()).rejects.toThrow('ENOENT');
+    });
+
+    test('should skip relationships that cannot form an edge', () => {
+        expect(toEdge({ source: { did: 'did:plc:alice' }, target: { handle: 'x.test' }, type: 'following' })).toBeNull();
+        expect(toEdge({ source: { did: 'did:plc:alice' }, target: { did: 'did:plc:bob' }, type: 'mute' })).toBeNull();
+    });
+});
@@ -0,0 +1,277 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+import { WebSocketServer } from 'ws'
+import * as dagCbor from '@ipld/dag-cbor'
+
+import FirehoseScraper from '../src/scrapers/firehose_scraper.js'
+import { decodeFrame, readCarBlocks } from '../src/utils/car_parser.js'
+import { createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+import { createBlock, buildCar } from './fixtures/car.js'
+
+/**
+ * Firehose scraper tests
+ * Replays recorded-style subscribeRepos frames from a local WebSocket server
+ */
+
+const ALICE = 'did:plc:alice000000000000000000';
+const BOB = 'did:plc:bob00000000000000000000';
+
+function encodeFrame(type, body) {
+    return Buffer.concat([
+        dagCbor.encode({ op: 1, t: type }),
+        dagCbor.encode(body)
+    ]);
+}
+
+async function commitFrame(seq, repo, records) {
+    const blocks = [];
+    const ops = [];
+
+    for (const { path: recordPath, record } of records) {
+        const block = await createBlock(record);
+        blocks.push(block);
+        ops.push({ action: 'create', path: recordPath, cid: block.cid });
+    }
+
+    const commitBlock = await createBlock({ did: repo, version: 3, rev: `rev${seq}` });
+
+    return encodeFrame('#commit', {
+        seq,
+        repo,
+        rev: `rev${seq}`,
+        time: '2024-01-01T00:00:00.000Z',
+        tooBig: false,
+        ops,
+        blobs: [],
+        blocks: await buildCar(commitBlock.cid, [commitBlock, ...blocks])
+    });
+}
+
+async function buildFrames() {
+    return [
+        encodeFrame('#identity', { seq: 1, did: ALICE, handle: 'alice.test', time: '2024-01-01T00:00:00.000Z' }),
+        await commitFrame(2, ALICE, [{
+            path: 'app.bsky.feed.post/3kabc000001',
+            record: { $type: 'app.bsky.feed.post', text: 'hello firehose', createdAt: '2024-01-01T00:00:00.000Z', langs: ['en'] }
+        }]),
+        await commitFrame(3, ALICE, [{
+            path: 'app.bsky.graph.follow/3kabc000002',
+            record: { $type: 'app.bsky.graph.follow', subject: BOB, createdAt: '2024-01-01T00:00:01.000Z' }
+        }]),
+        await commitFrame(4, BOB, [{
+            path: 'app.bsky.feed.post/3kabc000003',
+            record: { $type: 'app.bsky.feed.post', text: 'second post', createdAt: '2024-01-01T00:00:02.000Z' }
+        }, {
+            path: 'app.bsky.feed.like/3kabc000004',
+            record: {
+                $type: 'app.bsky.feed.like',
+                subject: { uri: `at://${ALICE}/app.bsky.feed.post/3kabc000001`, cid: 'bafyreiexample' },
+                createdAt: '2024-01-01T00:00:03.000Z'
+            }
+        }])
+    ];
+}
+
+describe('Firehose Scraper', () => {
+    let server;
+    let relayUrl;
+    let frames;
+    let requestedCursors;
+    let tempDir;
+
+    beforeAll(async () => {
+        frames = await buildFrames();
+
+        server = new WebSocketServer({ port: 0 });
+        server.on('connection', (socket, request) => {
+            const url = new URL(request.url, 'ws://localhost');
+            const cursor = url.searchParams.get('cursor');
+            requestedCursors.push({ path: url.pathname, cursor });
+
+            // Replay every frame after the requested cursor, like a relay backfill
+            const from = cursor ? Number(cursor) : 0;
+            frames.forEach((frame, index) => {
+                if (index + 1 > from) {
+                    socket.send(frame);
+                }
+            });
+        });
+
+        await new Promise(resolve => server.on('listening', resolve));
+        relayUrl = `ws://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        requestedCursors = [];
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'firehose-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    function createScraper(options = {}) {
+        const scraper = new FirehoseScraper({
+            relayUrl,
+            reconnectDelay: 10,
+            maxReconnectAttempts: 0,
+            ...options
+        });
+        scraper.deduplicator = createMemoryDeduplicator();
+        scraper.fileManager.baseDir = tempDir;
+        scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+        return scraper;
+    }
+
+    describe('Frame decoding', () => {
+        test('should decode header, body and CAR blocks', async () => {
+            const frame = decodeFrame(frames[1]);
+
+            expect(frame.type).toBe('#commit');
+            expect(frame.isError).toBe(false);
+            expect(frame.body.seq).toBe(2);
+            expect(frame.body.repo).toBe(ALICE);
+
+            const { blocks } = await readCarBlocks(frame.body.blocks);
+            const record = blocks.get(frame.body.ops[0].cid.toString());
+            expect(record.text).toBe('hello firehose');
+        });
+    });
+
+    describe('Ingestion', () => {
+        test('should save posts, follows and likes from commit frames', async () => {
+            const scraper = createScraper({ maxEvents: frames.length });
+            await scraper.initialize();
+            await scraper.start();
+
+            expect(requestedCursors[0].path).toBe('/xrpc/com.atproto.sync.subscribeRepos');
+            expect(requestedCursors[0].cursor).toBeNull();
+
+            const posts = await readSaved(tempDir, 'posts');
+            expect(posts.map(post => post.record.text)).toEqual(['hello firehose', 'second post']);
+            expect(posts[0].uri).toBe(`at://${ALICE}/app.bsky.feed.post/3kabc000001`);
+            expect(posts[0].author.handle).toBe('alice.test');
+            expect(posts[1].author.handle).toBe('handle.invalid');
+
+            const relationships = await readSaved(tempDir, 'relationships');
+            const follow = relationships.find(rel => rel.type === 'following');
+            const like = relationships.find(rel => rel.type === 'like');
+            expect(follow.source.did).toBe(ALICE);
+            expect(follow.target.did).toBe(BOB);
+            expect(like.source.did).toBe(BOB);
+            expect(like.target.uri).toBe(`at://${ALICE}/app.bsky.feed.post/3kabc000001`);
+
+            const stats = scraper.getStats();
+            expect(stats.postsProcessed).toBe(2);
+            expect(stats.followsProcessed).toBe(1);
+            expect(stats.likesProcessed).toBe(1);
+            expect(stats.cursor).toBe(4);
+        });
+
+        test('should skip collections that were not requested', async () => {
+            const scraper = createScraper({
+                maxEvents: frames.length,
+                collections: ['app.bsky.graph.follow']
+            });
+            await scraper.initialize();
+            await scraper.start();
+
+            expect(await readSaved(tempDir, 'posts')).toEqual([]);
+            expect(await readSaved(tempDir, 'relationships')).toHaveLength(1);
+        });
+    });
+
+    describe('Cursor resume', () => {
+        test('should checkpoint the last sequence and resume from it', async () => {
+            const first = createScraper({ maxEvents: 2 });
+            await first.initialize();
+            await first.start();
+
+            const checkpoint = await first.checkpointManager.loadLatestCheckpoint();
+            expect(checkpoint.state.cursor).toBe(2);
+
+            const second = createScraper({ maxEvents: 2 });
+            await second.initialize();
+            await second.start({ resume: true });
+
+            expect(requestedCursors[1].cursor).toBe('2');
+
+            // Each post is stored exactly once across both runs
+            const posts = await readSaved(tempDir, 'posts');
+            expect(posts.map(post => post.record.text)).toEqual(['hello firehose', 'second post']);
+            expect(second.getStats().cursor).toBe(4);
+        });
+
+        test('should replay records that were buffered but not saved when the process died', async () => {
+            const deduplicator = createMemoryDeduplicator();
+
+            // Saves at the checkpoint after frame 2; frames 3 and 4 are still buffered when it dies
+            const first = createScraper({ maxEvents: frames.length, saveInterval: 1000, checkpointInterval: 2 });
+            first.deduplicator = deduplicator;
+            const saveBatch = first.saveBatch.bind(first);
+            first.saveBatch = async (force) => {
+                if (first.sessionEvents < frames.length) {
+                    await saveBatch(force);
+                }
+            };
+            await first.initialize();
+            await first.start();
+
+            expect(first.getBufferedCount()).toBe(3);
+            expect((await first.checkpointManager.loadLatestCheckpoint()).state.cursor).toBe(2);
+
+            const second = createScraper({ maxEvents: 2 });
+            second.deduplicator = deduplicator;
+            await second.initialize();
+            await second.start({ resume: true });
+
+            expect(requestedCursors[1].cursor).toBe('2');
+            const posts = await readSaved(tempDir, 'posts');
+            expect(posts.map(post => post.record.text)).toEqual(['hello firehose', 'second post']);
+            const relationships = await readSaved(tempDir, 'relationships');
+            expect(relationships.map(rel => rel.type).sort()).toEqual(['following', 'like']);
+
+            // Everything is saved now, so a full replay only finds duplicates
+            const third = createScraper({ maxEvents: frames.length });
+            third.deduplicator = deduplicator;
+            await third.initialize();
+            await third.start();
+
+            expect(third.getStats().duplicatesSkipped).toBe(4);
+            expect(await readSaved(tempDir, 'posts')).toHaveLength(2);
+            expect(await readSaved(tempDir, 'relationships')).toHaveLength(2);
+        });
+
+        test('should save buffered records and the cursor when reconnecting gives up', async () => {
+            // A relay that sends everything, then drops the connection
+            const dropping = new WebSocketServer({ port: 0 });
+            dropping.on('connection', (socket) => {
+                frames.forEach(frame => socket.send(frame));
+                socket.close();
+            });
+            await new Promise(resolve => dropping.on('listening', resolve));
+
+            try {
+                const scraper = createScraper({
+                    relayUrl: `ws://127.0.0.1:${dropping.address().port}`,
+                    saveInterval: 1000
+                });
+                await scraper.initialize();
+                await expect(scraper.start()).rejects.toThrow('after 0 reconnect attempts');
+
+                const posts = await readSaved(tempDir, 'posts');
+                expect(posts.map(post => post.record.text)).toEqual(['hello firehose', 'second post']);
+
+                const checkpoint = await scraper.checkpointManager.loadLatestCheckpoint();
+                expect(checkpoint.state.cursor).toBe(4);
+            } finally {
+                await new Promise(resolve => dropping.close(resolve));
+            }
+        });
+    });
+});
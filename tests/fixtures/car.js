@@ -0,0 +1,44 @@
+import * as dagCbor from '@ipld/dag-cbor'
+import { CarWriter } from '@ipld/car'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+
+/**
+ * CAR fixtures
+ * Builds DAG-CBOR blocks and CAR files the way relays and PDSes serve them
+ */
+
+/**
+ * Encode a value as a DAG-CBOR block
+ * @param {Object} value - Block value
+ * @returns {Object} { cid, bytes }
+ */
+export async function createBlock(value) {
+    const bytes = dagCbor.encode(value);
+    const cid = CID.create(1, dagCbor.code, await sha256.digest(bytes));
+    return { cid, bytes };
+}
+
+/**
+ * Serialize blocks as a CAR file
+ * @param {CID} root - CID of the root block
+ * @param {Array} blocks - [{ cid, bytes }]
+ * @returns {Uint8Array} CAR bytes
+ */
+export async function buildCar(root, blocks) {
+    const { writer, out } = CarWriter.create([root]);
+    const chunks = [];
+    const collecting = (async () => {
+        for await (const chunk of out) {
+            chunks.push(chunk);
+        }
+    })();
+
+    for (const block of blocks) {
+        await writer.put(block);
+    }
+    await writer.close();
+    await collecting;
+
+    return new Uint8Array(Buffer.concat(chunks));
+}
@@ -0,0 +1,82 @@
+import path from 'path'
+import fs from 'fs/promises'
+
+import APIClient from '../../src/core/api_client.js'
+
+/**
+ * Shared test fixtures
+ * Stand-ins for the Redis-backed deduplicator and the API client, and a
+ * reader for the data files scrapers save.
+ */
+
+/**
+ * In-memory stand-in for the Redis-backed deduplicator
+ */
+export function createMemoryDeduplicator() {
+    const seen = new Set();
+    return {
+        initialize: async () => {},
+        close: async () => {},
+        getStats: () => ({ size: seen.size }),
+        isPostDuplicate: async (uri) => seen.has(`post:${uri}`),
+        markPostProcessed: async (uri) => { seen.add(`post:${uri}`); },
+        isFollowDuplicate: async (a, b) => seen.has(`follow:${a}:${b}`),
+        hasFollow: async (a, b) => seen.has(`follow:${a}:${b}`),
+        markFollowProcessed: async (a, b) => { seen.add(`follow:${a}:${b}`); },
+        isEngagementDuplicate: async (type, actor, subject) => seen.has(`${type}:${actor}:${subject}`),
+        markEngagementProcessed: async (type, actor, subject) => { seen.add(`${type}:${actor}:${subject}`); }
+    };
+}
+
+/**
+ * Fake API client that answers makeRequest from a script
+ * Every request is recorded in `calls` as { endpoint, ...params }. With
+ * killAtRequest, that request never returns (the process died mid-request)
+ * and `killed` resolves.
+ * @param {Function} respond - (endpoint, params) => response data
+ * @param {Object} options - { killAtRequest }
+ */
+export function createFakeApiClient(respond = () => ({}), { killAtRequest = Infinity } = {}) {
+    const calls = [];
+    let killed;
+    const killedPromise = new Promise(resolve => { killed = resolve; });
+
+    return {
+        calls,
+        killed: killedPromise,
+        logger: { warn: () => {} },
+        initialize: async () => {},
+        cleanup: async () => {},
+        paginate: APIClient.prototype.paginate,
+        makeRequest: async (endpoint, params) => {
+            calls.push({ endpoint, ...params });
+            if (calls.length >= killAtRequest) {
+                killed();
+                return new Promise(() => {});
+            }
+            return respond(endpoint, params);
+        }
+    };
+}
+
+/**
+ * Read every record saved for a data type, in file order
+ * @param {string} dir - FileManager base directory
+ * @param {string} type - Data type ('posts', 'relationships', ...)
+ * @returns {Array} Records, empty when nothing was saved
+ */
+export async function readSaved(dir, type) {
+    let files = [];
+    try {
+        files = await fs.readdir(path.join(dir, type));
+    } catch (error) {
+        return [];
+    }
+
+    const items = [];
+    for (const file of files.sort()) {
+        const content = JSON.parse(await fs.readFile(path.join(dir, type, file), 'utf8'));
+        items.push(...content.data);
+    }
+    return items;
+}
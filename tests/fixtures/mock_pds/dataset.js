@@ -0,0 +1,314 @@
+import crypto from 'crypto'
+import * as dagCbor from '@ipld/dag-cbor'
+import { CID } from 'multiformats/cid'
+import * as Digest from 'multiformats/hashes/digest'
+
+/**
+ * Deterministic synthetic network for the mock PDS
+ * The same options always produce the same actors, follows, posts, likes,
+ * reposts, lists and record CIDs, so tests can assert on exact output.
+ */
+
+export const DEFAULT_DATASET_OPTIONS = {
+    seed: 1,
+    actors: 12,
+    postsPerActor: 8,
+    followDensity: 0.3,
+    likeDensity: 0.25,
+    repostDensity: 0.1,
+    startDate: '2024-06-01T00:00:00.000Z',
+    password: 'mock-mock-mock-mock' // App password format
+};
+
+const LANGS = ['en', 'ja', 'es', 'de'];
+const TOPICS = ['atproto', 'bluesky', 'mock'];
+const POST_SPACING_MS = 10 * 60 * 1000;
+const TID_ALPHABET = '234567abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Record key in TID format (sortable base32 microsecond timestamp)
+ * @param {number} time - Milliseconds since epoch
+ * @param {number} clockId - Disambiguates records created in the same millisecond
+ * @returns {string} 13 character TID
+ */
+export function tid(time, clockId = 0) {
+    let value = BigInt(time) * 1000n * 1024n + BigInt(clockId % 1024);
+    let result = '';
+    for (let i = 0; i < 13; i++) {
+        result = TID_ALPHABET[Number(value & 31n)] + result;
+        value >>= 5n;
+    }
+    return result;
+}
+
+/**
+ * CID of a record as a PDS would compute it (dag-cbor, sha2-256)
+ * @param {Object} record - Record value
+ * @returns {Object} { cid, bytes }
+ */
+export function encodeBlock(record) {
+    const bytes = dagCbor.encode(record);
+    const hash = crypto.createHash('sha256').update(bytes).digest();
+    return { cid: CID.create(1, dagCbor.code, Digest.create(0x12, hash)), bytes };
+}
+
+/**
+ * Drop undefined fields, which dag-cbor refuses to encode
+ */
+function compact(value) {
+    return Object.fromEntries(Object.entries(value).filter(([, field]) => field !== undefined));
+}
+
+function actorDid(index) {
+    const digits = String(index).split('').map(digit => 'abcdefghij'[digit]).join('');
+    return `did:plc:${`mock${digits}`.padEnd(24, 'z')}`;
+}
+
+/**
+ * Build the synthetic network
+ * @param {Object} options - See DEFAULT_DATASET_OPTIONS
+ * @returns {Object} Dataset with lookup maps and per-actor record lists
+ */
+export function createDataset(options = {}) {
+    const config = { ...DEFAULT_DATASET_OPTIONS, ...options };
+    const random = createRandom(config.seed);
+    const start = Date.parse(config.startDate);
+    const at = offset => new Date(start + offset).toISOString();
+
+    const dataset = {
+        config,
+        actors: [],
+        actorsByDid: new Map(),
+        actorsByHandle: new Map(),
+        posts: [],
+        postsByUri: new Map(),
+        follows: [],
+        likes: [],
+        reposts: [],
+        lists: [],
+        starterPacks: [],
+        feedGenerators: [],
+        records: new Map() // did -> [{ collection, rkey, uri, cid, value }]
+    };
+
+    const addRecord = (did, collection, rkey, value) => {
+        const { cid } = encodeBlock(value);
+        const record = { collection, rkey, uri: `at://${did}/${collection}/${rkey}`, cid: cid.toString(), value };
+        dataset.records.get(did).push(record);
+        return record;
+    };
+
+    // Actors: account i was created i days before the start date
+    for (let i = 0; i < config.actors; i++) {
+        const actor = {
+            did: actorDid(i),
+            handle: `user${i}.mock.test`,
+            displayName: `Mock User ${i}`,
+            description: `Synthetic account number ${i}`,
+            createdAt: at(-(i + 1) * 24 * 60 * 60 * 1000),
+            followers: [],
+            follows: [],
+            posts: [],
+            feed: [],
+            likes: []
+        };
+        dataset.actors.push(actor);
+        dataset.actorsByDid.set(actor.did, actor);
+        dataset.actorsByHandle.set(actor.handle, actor);
+        dataset.records.set(actor.did, []);
+        actor.profileRecord = addRecord(actor.did, 'app.bsky.actor.profile', 'self', {
+            $type: 'app.bsky.actor.profile',
+            displayName: actor.displayName,
+            description: actor.description,
+            createdAt: actor.createdAt
+        });
+    }
+
+    // Follows: everyone follows user0 (a hub), the rest is random
+    let clock = 0;
+    for (const source of dataset.actors) {
+        for (const target of dataset.actors) {
+            if (source === target) continue;
+            if (target !== dataset.actors[0] && random() >= config.followDensity) continue;
+
+            const createdAt = at(-(++clock) * 60 * 1000);
+            const record = addRecord(source.did, 'app.bsky.graph.follow', tid(Date.parse(createdAt), clock), {
+                $type: 'app.bsky.graph.follow',
+                subject: target.did,
+                createdAt
+            });
+            const follow = { source, target, uri: record.uri, createdAt };
+            dataset.follows.push(follow);
+            source.follows.push(follow);
+            target.followers.push(follow);
+        }
+    }
+
+    // Posts interleave across actors, one every ten minutes
+    for (let k = 0; k < config.postsPerActor; k++) {
+        for (const [a, author] of dataset.actors.entries()) {
+            const time = start + (k * config.actors + a) * POST_SPACING_MS;
+            const createdAt = new Date(time).toISOString();
+            const topic = TOPICS[(a + k) % TOPICS.length];
+            const earlier = dataset.posts.filter(post => post.author !== author);
+            const kind = earlier.length === 0 ? 'post' : ['post', 'reply', 'quote', 'images', 'video'][k % 5];
+            const target = earlier.length > 0 ? earlier[Math.floor(random() * earlier.length)] : null;
+
+            const record = compact({
+                $type: 'app.bsky.feed.post',
+                text: `Post ${k} from ${author.handle} about #${topic}`,
+                createdAt,
+                langs: [LANGS[(a + k) % LANGS.length]],
+                facets: [],
+                reply: kind === 'reply'
+                    ? { root: { uri: (target.root || target).uri, cid: (target.root || target).cid }, parent: { uri: target.uri, cid: target.cid } }
+                    : undefined,
+                embed: embedFor(kind, target)
+            });
+            const stored = addRecord(author.did, 'app.bsky.feed.post', tid(time, a), record);
+
+            const post = {
+                uri: stored.uri,
+                cid: stored.cid,
+                author,
+                record,
+                kind,
+                createdAt,
+                parent: kind === 'reply' ? target : null,
+                root: kind === 'reply' ? (target.root || target) : null,
+                quoted: kind === 'quote' ? target : null,
+                replies: [],
+                quotes: [],
+                likes: [],
+                reposts: []
+            };
+            post.parent?.replies.push(post);
+            post.quoted?.quotes.push(post);
+
+            dataset.posts.push(post);
+            dataset.postsByUri.set(post.uri, post);
+            author.posts.push(post);
+            author.feed.push({ post, time });
+        }
+    }
+
+    // Likes and reposts come an hour after the post, one minute apart
+    for (const post of dataset.posts) {
+        const postTime = Date.parse(post.createdAt);
+        for (const [i, actor] of dataset.actors.entries()) {
+            if (actor === post.author) continue;
+
+            if (random() < config.likeDensity) {
+                const createdAt = new Date(postTime + 60 * 60 * 1000 + i * 60 * 1000).toISOString();
+                const record = addRecord(actor.did, 'app.bsky.feed.like', tid(Date.parse(createdAt), ++clock), {
+                    $type: 'app.bsky.feed.like',
+                    subject: { uri: post.uri, cid: post.cid },
+                    createdAt
+                });
+                const like = { actor, post, uri: record.uri, createdAt };
+                dataset.likes.push(like);
+                post.likes.push(like);
+                actor.likes.push(like);
+            }
+
+            if (random() < config.repostDensity) {
+                const createdAt = new Date(postTime + 2 * 60 * 60 * 1000 + i * 60 * 1000).toISOString();
+                const record = addRecord(actor.did, 'app.bsky.feed.repost', tid(Date.parse(createdAt), ++clock), {
+                    $type: 'app.bsky.feed.repost',
+                    subject: { uri: post.uri, cid: post.cid },
+                    createdAt
+                });
+                const repost = { actor, post, uri: record.uri, createdAt };
+                dataset.reposts.push(repost);
+                post.reposts.push(repost);
+                actor.feed.push({ post, time: Date.parse(createdAt), repost });
+            }
+        }
+    }
+
+    // user0 curates a list of the next five accounts, a starter pack and a feed
+    const owner = dataset.actors[0];
+    const listRecord = addRecord(owner.did, 'app.bsky.graph.list', 'mocklist', {
+        $type: 'app.bsky.graph.list',
+        name: 'Mock friends',
+        purpose: 'app.bsky.graph.defs#curatelist',
+        description: 'Synthetic curated list',
+        createdAt: at(0)
+    });
+    const list = { ...listRecord, creator: owner, items: [] };
+    for (const member of dataset.actors.slice(1, 6)) {
+        const item = addRecord(owner.did, 'app.bsky.graph.listitem', `item${member.handle.split('.')[0]}`, {
+            $type: 'app.bsky.graph.listitem',
+            subject: member.did,
+            list: list.uri,
+            createdAt: at(0)
+        });
+        list.items.push({ uri: item.uri, subject: member });
+    }
+    dataset.lists.push(list);
+
+    const packRecord = addRecord(owner.did, 'app.bsky.graph.starterpack', 'mockpack', {
+        $type: 'app.bsky.graph.starterpack',
+        name: 'Mock starter pack',
+        list: list.uri,
+        createdAt: at(0)
+    });
+    dataset.starterPacks.push({ ...packRecord, creator: owner, list });
+
+    const feedRecord = addRecord(owner.did, 'app.bsky.feed.generator', 'mockfeed', {
+        $type: 'app.bsky.feed.generator',
+        did: 'did:web:feed.mock.test',
+        displayName: 'Mock feed',
+        description: 'Every top-level post, newest first',
+        createdAt: at(0)
+    });
+    dataset.feedGenerators.push({ ...feedRecord, creator: owner });
+
+    // Newest first everywhere, like the AppView
+    for (const actor of dataset.actors) {
+        actor.followers.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        actor.follows.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        actor.feed.sort((a, b) => b.time - a.time);
+        actor.likes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        dataset.records.get(actor.did).sort((a, b) => `${a.collection}/${a.rkey}`.localeCompare(`${b.collection}/${b.rkey}`));
+    }
+    dataset.posts.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const post of dataset.posts) {
+        post.likes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        post.reposts.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        post.quotes.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    return dataset;
+}
+
+function embedFor(kind, target) {
+    switch (kind) {
+        case 'quote':
+            return { $type: 'app.bsky.embed.record', record: { uri: target.uri, cid: target.cid } };
+        case 'images':
+            return { $type: 'app.bsky.embed.images', images: [{ alt: 'mock image', image: { $type: 'blob', mimeType: 'image/jpeg', size: 1024 } }] };
+        case 'video':
+            return { $type: 'app.bsky.embed.video', video: { $type: 'blob', mimeType: 'video/mp4', size: 4096 } };
+        default:
+            return undefined;
+    }
+}
+
+export default createDataset
@@ -0,0 +1,357 @@
+import http from 'http'
+import * as dagCbor from '@ipld/dag-cbor'
+import { WebSocketServer } from 'ws'
+
+import { createDataset, createRandom, encodeBlock, tid } from './dataset.js'
+import { createRoutes, AUTH_REQUIRED, XrpcError } from './routes.js'
+import { buildCar } from '../car.js'
+
+/**
+ * Mock PDS / AppView
+ * Serves every XRPC method in ENDPOINTS from a deterministic synthetic
+ * network, with real cursors, sessions and a subscribeRepos firehose.
+ * Faults (429 / 5xx), latency and a rate limit window can be injected.
+ *
+ *   const pds = new MockPds({ dataset: { actors: 20 }, latency: 5 })
+ *   await pds.start()
+ *   const client = new APIClient({ baseURL: pds.url, syncBaseURL: pds.url })
+ *   pds.addFault({ endpoint: 'app.bsky.graph.getFollowers', status: 503, times: 2 })
+ *   await pds.stop()
+ */
+
+const ERROR_NAMES = {
+    429: 'RateLimitExceeded',
+    500: 'InternalServerError',
+    501: 'MethodNotImplemented',
+    502: 'UpstreamFailure',
+    503: 'NotEnoughResources',
+    504: 'UpstreamTimeout'
+};
+
+// Query parameters that XRPC sends as repeated keys
+const ARRAY_PARAMS = new Set(['actors', 'uris', 'others', 'tag']);
+
+function encodeJwt(payload) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ typ: 'JWT', alg: 'ES256K' })}.${encode(payload)}.${Buffer.from('mock-signature').toString('base64url')}`;
+}
+
+class MockPds {
+    /**
+     * @param {Object} options
+     * @param {Object} options.dataset - createDataset options (seed, actors, postsPerActor, ...)
+     * @param {number|Object} options.latency - Delay per response in ms, or { min, max }
+     * @param {Array} options.faults - Fault rules, see addFault
+     * @param {Object} options.rateLimit - { limit, windowMs }: send RateLimit-* headers and 429 past the limit
+     * @param {number} options.searchCap - searchPosts results served per query (default 100)
+     * @param {number} options.accessTtlMs - Lifetime of issued access tokens
+     */
+    constructor(options = {}) {
+        this.options = {
+            latency: 0,
+            rateLimit: null,
+            searchCap: 100,
+            accessTtlMs: 2 * 60 * 60 * 1000,
+            ...options
+        };
+        this.dataset = createDataset(this.options.dataset);
+        this.random = createRandom(this.dataset.config.seed + 1);
+        this.routes = createRoutes(this);
+        this.faults = [];
+        this.requests = [];
+        this.sessions = new Map(); // token -> { actor, type }
+        this.tokenCount = 0;
+        this.rateWindow = { start: 0, count: 0 };
+        this.server = null;
+        this.wss = null;
+        this.url = null;
+
+        for (const fault of this.options.faults || []) {
+            this.addFault(fault);
+        }
+    }
+
+    /**
+     * Listen on a local port
+     * @param {number} port - Port (0 = any free port)
+     * @returns {string} Base URL
+     */
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.send(res, 500, { error: 'InternalServerError', message: error.message });
+            });
+        });
+
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== '/xrpc/com.atproto.sync.subscribeRepos') {
+                socket.destroy();
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, ws => this.streamRepos(ws, url.searchParams.get('cursor')));
+        });
+
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        for (const client of this.wss?.clients || []) {
+            client.terminate();
+        }
+        this.wss?.close();
+        if (this.server) {
+            this.server.closeAllConnections();
+            await new Promise(resolve => this.server.close(resolve));
+        }
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Inject a fault
+     * @param {Object} rule
+     * @param {string} rule.endpoint - NSID or /xrpc/ path (default: every method)
+     * @param {number} rule.status - HTTP status to answer with (429, 500, 502, 503, ...)
+     * @param {number} rule.times - Fire at most this many times (default 1, Infinity allowed)
+     * @param {number} rule.after - Let this many matching requests through first
+     * @param {number} rule.every - Fire on every Nth matching request
+     * @param {number} rule.probability - Fire with this probability (seeded)
+     * @param {number} rule.retryAfter - Retry-After header in seconds
+     * @param {Object} rule.headers - Extra response headers
+     * @returns {Object} The rule, with seen / fired counters
+     */
+    addFault(rule) {
+        const fault = {
+            times: 1,
+            after: 0,
+            ...rule,
+            endpoint: rule.endpoint ? rule.endpoint.replace(/^\/xrpc\//, '') : null,
+            seen: 0,
+            fired: 0
+        };
+        this.faults.push(fault);
+        return fault;
+    }
+
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Forget recorded requests and the rate limit window
+     */
+    reset() {
+        this.requests = [];
+        this.rateWindow = { start: 0, count: 0 };
+    }
+
+    /**
+     * Requests received for a method
+     * @param {string} nsid - NSID or /xrpc/ path
+     * @returns {Array} [{ method, nsid, params, status, authenticated }]
+     */
+    requestsFor(nsid) {
+        const name = nsid.replace(/^\/xrpc\//, '');
+        return this.requests.filter(request => request.nsid === name);
+    }
+
+    /**
+     * Create an access / refresh token pair for an actor
+     */
+    issueSession(actor) {
+        const now = Date.now();
+        const accessJwt = encodeJwt({ scope: 'com.atproto.access', sub: actor.did, iat: Math.floor(now / 1000), exp: Math.floor((now + this.options.accessTtlMs) / 1000), jti: ++this.tokenCount });
+        const refreshJwt = encodeJwt({ scope: 'com.atproto.refresh', sub: actor.did, iat: Math.floor(now / 1000), exp: Math.floor(now / 1000) + 90 * 24 * 3600, jti: ++this.tokenCount });
+        this.sessions.set(accessJwt, { actor, type: 'access', expiresAt: now + this.options.accessTtlMs });
+        this.sessions.set(refreshJwt, { actor, type: 'refresh', expiresAt: Infinity });
+
+        return {
+            did: actor.did,
+            handle: actor.handle,
+            accessJwt,
+            refreshJwt,
+            active: true,
+            didDoc: {
+                id: actor.did,
+                service: [{ id: '#atproto_pds', type: 'AtprotoPersonalDataServer', serviceEndpoint: this.url }]
+            }
+        };
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const nsid = url.pathname.replace(/^\/xrpc\//, '');
+        const params = {};
+        for (const key of new Set(url.searchParams.keys())) {
+            params[key] = ARRAY_PARAMS.has(key) ? url.searchParams.getAll(key) : url.searchParams.get(key);
+        }
+
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '') || null;
+        const session = token ? this.sessions.get(token) : null;
+        const viewer = session && session.type === 'access' && session.expiresAt > Date.now() ? session.actor : null;
+        const request = { method: req.method, nsid, params, status: null, authenticated: Boolean(viewer) };
+        this.requests.push(request);
+
+        const body = req.method === 'POST' ? await readBody(req) : null;
+        await this.delay();
+
+        const reply = (status, payload, headers = {}) => {
+            request.status = status;
+            this.send(res, status, payload, headers);
+        };
+
+        const rateHeaders = this.consumeRateLimit();
+        if (rateHeaders && rateHeaders['RateLimit-Remaining'] < 0) {
+            rateHeaders['RateLimit-Remaining'] = 0;
+            return reply(429, { error: 'RateLimitExceeded', message: 'Rate Limit Exceeded' }, rateHeaders);
+        }
+
+        const fault = this.matchFault(nsid);
+        if (fault) {
+            const headers = { ...rateHeaders, ...fault.headers };
+            if (fault.retryAfter !== undefined) {
+                headers['Retry-After'] = String(fault.retryAfter);
+            }
+            return reply(fault.status, { error: ERROR_NAMES[fault.status] || 'InvalidRequest', message: `Injected ${fault.status}` }, headers);
+        }
+
+        const route = this.routes[nsid];
+        if (!route) {
+            return reply(501, { error: 'MethodNotImplemented', message: 'Method Not Implemented' }, rateHeaders);
+        }
+        if (AUTH_REQUIRED.has(nsid) && !viewer) {
+            return reply(401, { error: 'AuthenticationRequired', message: 'Authentication Required' }, rateHeaders);
+        }
+
+        try {
+            const result = await route(params, { viewer, token, body });
+            if (Buffer.isBuffer(result?.body)) {
+                request.status = 200;
+                res.writeHead(200, { 'Content-Type': result.contentType, ...rateHeaders });
+                return res.end(result.body);
+            }
+            return reply(200, result, rateHeaders);
+        } catch (error) {
+            if (error instanceof XrpcError) {
+                return reply(error.status, { error: error.error, message: error.message }, rateHeaders);
+            }
+            throw error;
+        }
+    }
+
+    send(res, status, payload, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+        res.end(JSON.stringify(payload));
+    }
+
+    async delay() {
+        const { latency } = this.options;
+        const ms = typeof latency === 'number'
+            ? latency
+            : latency.min + this.random() * (latency.max - latency.min);
+        if (ms > 0) {
+            await new Promise(resolve => setTimeout(resolve, ms));
+        }
+    }
+
+    matchFault(nsid) {
+        for (const fault of this.faults) {
+            if (fault.endpoint && fault.endpoint !== nsid) continue;
+
+            fault.seen++;
+            if (fault.fired >= fault.times || fault.seen <= fault.after) continue;
+            if (fault.every && (fault.seen - fault.after) % fault.every !== 0) continue;
+            if (fault.probability !== undefined && this.random() >= fault.probability) continue;
+
+            fault.fired++;
+            return fault;
+        }
+        return null;
+    }
+
+    /**
+     * Count the request against the rate limit window
+     * @returns {Object|null} RateLimit-* headers (Remaining < 0 once exceeded)
+     */
+    consumeRateLimit() {
+        const { rateLimit } = this.options;
+        if (!rateLimit) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (now - this.rateWindow.start >= rateLimit.windowMs) {
+            this.rateWindow = { start: now, count: 0 };
+        }
+        this.rateWindow.count++;
+
+        return {
+            'RateLimit-Limit': String(rateLimit.limit),
+            'RateLimit-Remaining': rateLimit.limit - this.rateWindow.count,
+            'RateLimit-Reset': String(Math.ceil((this.rateWindow.start + rateLimit.windowMs) / 1000)),
+            'RateLimit-Policy': `${rateLimit.limit};w=${Math.round(rateLimit.windowMs / 1000)}`
+        };
+    }
+
+    /**
+     * subscribeRepos: one #commit per post, oldest first, seq = 1..n
+     * Frames after `cursor` are sent, then the socket stays open like a live relay
+     */
+    async streamRepos(ws, cursor) {
+        this.requests.push({ method: 'GET', nsid: 'com.atproto.sync.subscribeRepos', params: { cursor }, status: 101, authenticated: false });
+        const posts = this.dataset.posts.slice().reverse();
+        const from = cursor ? parseInt(cursor) : 0;
+
+        for (let seq = from + 1; seq <= posts.length; seq++) {
+            if (ws.readyState !== ws.OPEN) return;
+            ws.send(await this.commitFrame(seq, posts[seq - 1]));
+        }
+    }
+
+    async commitFrame(seq, post) {
+        const record = encodeBlock(post.record);
+        const rkey = post.uri.split('/').pop();
+        const rev = tid(Date.parse(post.createdAt), seq);
+        const commit = encodeBlock({ did: post.author.did, version: 3, rev, data: record.cid, prev: null });
+
+        return Buffer.concat([
+            dagCbor.encode({ op: 1, t: '#commit' }),
+            dagCbor.encode({
+                seq,
+                repo: post.author.did,
+                commit: commit.cid,
+                rev,
+                since: null,
+                time: post.createdAt,
+                tooBig: false,
+                rebase: false,
+                ops: [{ action: 'create', path: `app.bsky.feed.post/${rkey}`, cid: record.cid }],
+                blobs: [],
+                blocks: await buildCar(commit.cid, [commit, record])
+            })
+        ]);
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text ? JSON.parse(text) : null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+export { createDataset } from './dataset.js'
+export default MockPds
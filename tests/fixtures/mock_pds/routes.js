@@ -0,0 +1,494 @@
+import { encodeBlock, tid } from './dataset.js'
+import { buildCar } from '../car.js'
+import {
+    profileViewBasic,
+    profileView,
+    profileViewDetailed,
+    postView,
+    feedViewPost,
+    threadView,
+    listView,
+    didDocument
+} from './views.js'
+
+/**
+ * XRPC method handlers for the mock PDS
+ * Each handler gets (params, context) and returns the response body, or
+ * { body, contentType } for binary responses. Errors are XrpcError.
+ */
+
+export class XrpcError extends Error {
+    constructor(status, error, message) {
+        super(message);
+        this.status = status;
+        this.error = error;
+    }
+}
+
+// Methods that answer 401 without a session, like the AppView
+export const AUTH_REQUIRED = new Set([
+    'app.bsky.feed.getTimeline',
+    'app.bsky.feed.getActorLikes',
+    'app.bsky.graph.getKnownFollowers'
+]);
+
+const CURSOR_PREFIX = 'mock:';
+
+function parseLimit(params, defaultLimit, max = 100) {
+    if (params.limit === undefined) {
+        return defaultLimit;
+    }
+    const limit = parseInt(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+        throw new XrpcError(400, 'InvalidRequest', `limit must be between 1 and ${max}`);
+    }
+    return limit;
+}
+
+/**
+ * Offset pagination behind an opaque cursor
+ * @param {Array} items - Full result list
+ * @param {Object} params - { limit, cursor }
+ * @param {Object} options - { defaultLimit, max }
+ * @returns {Object} { items, cursor }
+ */
+export function paginate(items, params, { defaultLimit = 50, max = 100 } = {}) {
+    const limit = parseLimit(params, defaultLimit, max);
+    let offset = 0;
+
+    if (params.cursor) {
+        const decoded = Buffer.from(params.cursor, 'base64url').toString('utf8');
+        offset = decoded.startsWith(CURSOR_PREFIX) ? parseInt(decoded.slice(CURSOR_PREFIX.length)) : NaN;
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new XrpcError(400, 'InvalidRequest', 'Malformed cursor');
+        }
+    }
+
+    const end = Math.min(offset + limit, items.length);
+    return {
+        items: items.slice(offset, end),
+        cursor: end < items.length ? Buffer.from(`${CURSOR_PREFIX}${end}`).toString('base64url') : undefined
+    };
+}
+
+function requireParam(params, name) {
+    if (params[name] === undefined || params[name] === '') {
+        throw new XrpcError(400, 'InvalidRequest', `Error: Params must have the property "${name}"`);
+    }
+    return params[name];
+}
+
+function findActor(dataset, identifier) {
+    return dataset.actorsByDid.get(identifier) || dataset.actorsByHandle.get(identifier) || null;
+}
+
+function requireActor(dataset, identifier) {
+    const actor = findActor(dataset, identifier);
+    if (!actor) {
+        throw new XrpcError(400, 'InvalidRequest', 'Profile not found');
+    }
+    return actor;
+}
+
+function requirePost(dataset, uri) {
+    const post = dataset.postsByUri.get(uri);
+    if (!post) {
+        throw new XrpcError(400, 'NotFound', `Post not found: ${uri}`);
+    }
+    return post;
+}
+
+function asArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function hasMedia(post, video = false) {
+    const type = post.record.embed?.$type;
+    return video ? type === 'app.bsky.embed.video' : ['app.bsky.embed.images', 'app.bsky.embed.video'].includes(type);
+}
+
+function authorFeed(actor, filter = 'posts_with_replies') {
+    return actor.feed.filter(({ post, repost }) => {
+        switch (filter) {
+            case 'posts_no_replies':
+                return repost || !post.parent;
+            case 'posts_with_media':
+                return !repost && hasMedia(post);
+            case 'posts_with_video':
+                return !repost && hasMedia(post, true);
+            case 'posts_and_author_threads':
+                return repost || !post.parent || post.root.author === actor;
+            case 'posts_with_replies':
+                return true;
+            default:
+                throw new XrpcError(400, 'InvalidRequest', `Invalid filter: ${filter}`);
+        }
+    });
+}
+
+function searchPosts(dataset, params, searchCap) {
+    const words = requireParam(params, 'q').toLowerCase().split(/\s+/).filter(Boolean);
+    const author = params.author ? findActor(dataset, params.author) : null;
+    const since = params.since ? Date.parse(params.since) : -Infinity;
+    const until = params.until ? Date.parse(params.until) : Infinity;
+
+    const matches = dataset.posts.filter(post => {
+        const text = post.record.text.toLowerCase();
+        const time = Date.parse(post.createdAt);
+        return words.every(word => text.includes(word)) &&
+            time >= since && time < until &&
+            (!params.author || post.author === author) &&
+            (!params.lang || post.record.langs.includes(params.lang)) &&
+            (!params.mentions || text.includes(params.mentions.toLowerCase())) &&
+            (!params.domain || text.includes(params.domain.toLowerCase())) &&
+            (!params.url || text.includes(params.url.toLowerCase()));
+    });
+
+    if (params.sort === 'top') {
+        matches.sort((a, b) => b.likes.length - a.likes.length || b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // The AppView stops serving results past a fixed depth
+    return matches.slice(0, searchCap);
+}
+
+/**
+ * Single-node MST and commit for an actor's records
+ */
+export function buildRepo(dataset, actor) {
+    const encoder = new TextEncoder();
+    const records = dataset.records.get(actor.did);
+    const blocks = records.map(record => encodeBlock(record.value));
+
+    let previousKey = '';
+    const entries = records.map((record, i) => {
+        const key = `${record.collection}/${record.rkey}`;
+        let prefix = 0;
+        while (prefix < previousKey.length && previousKey[prefix] === key[prefix]) {
+            prefix++;
+        }
+        previousKey = key;
+        return { p: prefix, k: encoder.encode(key.slice(prefix)), v: blocks[i].cid, t: null };
+    });
+
+    const node = encodeBlock({ l: null, e: entries });
+    const rev = tid(Date.parse(dataset.config.startDate));
+    const commit = encodeBlock({ did: actor.did, version: 3, data: node.cid, rev, prev: null });
+
+    return { commit, rev, blocks: [commit, node, ...blocks] };
+}
+
+/**
+ * Build the route table
+ * @param {Object} mock - MockPds instance (dataset, url, sessions, options)
+ * @returns {Object} NSID -> handler
+ */
+export function createRoutes(mock) {
+    const { dataset } = mock;
+
+    return {
+        // Actor
+        'app.bsky.actor.getProfile': (params) => profileViewDetailed(requireActor(dataset, requireParam(params, 'actor'))),
+        'app.bsky.actor.getProfiles': (params) => ({
+            profiles: asArray(params.actors).map(id => findActor(dataset, id)).filter(Boolean).map(profileViewDetailed)
+        }),
+        'app.bsky.actor.searchActors': (params) => {
+            const q = requireParam(params, 'q').toLowerCase();
+            const matches = dataset.actors.filter(actor =>
+                actor.handle.includes(q) || actor.displayName.toLowerCase().includes(q));
+            const page = paginate(matches, params, { defaultLimit: 25 });
+            return { actors: page.items.map(profileView), cursor: page.cursor };
+        },
+        'app.bsky.actor.searchActorsTypeahead': (params) => {
+            const q = requireParam(params, 'q').toLowerCase();
+            const limit = parseLimit(params, 10);
+            return {
+                actors: dataset.actors.filter(actor => actor.handle.startsWith(q)).slice(0, limit).map(profileViewBasic)
+            };
+        },
+        'app.bsky.actor.getSuggestions': (params, { viewer }) => {
+            const actors = dataset.actors
+                .filter(actor => actor !== viewer)
+                .sort((a, b) => b.followers.length - a.followers.length);
+            const page = paginate(actors, params);
+            return { actors: page.items.map(profileView), cursor: page.cursor };
+        },
+
+        // Feed
+        'app.bsky.feed.getAuthorFeed': (params) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            const page = paginate(authorFeed(actor, params.filter), params);
+            return { feed: page.items.map(feedViewPost), cursor: page.cursor };
+        },
+        'app.bsky.feed.getPostThread': (params) => {
+            const post = requirePost(dataset, requireParam(params, 'uri'));
+            const depth = params.depth === undefined ? 6 : parseInt(params.depth);
+            const parentHeight = params.parentHeight === undefined ? 80 : parseInt(params.parentHeight);
+            return { thread: threadView(post, depth, parentHeight) };
+        },
+        'app.bsky.feed.getPosts': (params) => ({
+            posts: asArray(params.uris).map(uri => dataset.postsByUri.get(uri)).filter(Boolean).map(postView)
+        }),
+        'app.bsky.feed.getLikes': (params) => {
+            const post = requirePost(dataset, requireParam(params, 'uri'));
+            const page = paginate(post.likes, params);
+            return {
+                uri: post.uri,
+                cid: post.cid,
+                likes: page.items.map(like => ({ actor: profileView(like.actor), createdAt: like.createdAt, indexedAt: like.createdAt })),
+                cursor: page.cursor
+            };
+        },
+        'app.bsky.feed.getRepostedBy': (params) => {
+            const post = requirePost(dataset, requireParam(params, 'uri'));
+            const page = paginate(post.reposts, params);
+            return { uri: post.uri, cid: post.cid, repostedBy: page.items.map(repost => profileView(repost.actor)), cursor: page.cursor };
+        },
+        'app.bsky.feed.getQuotes': (params) => {
+            const post = requirePost(dataset, requireParam(params, 'uri'));
+            const page = paginate(post.quotes, params);
+            return { uri: post.uri, cid: post.cid, posts: page.items.map(postView), cursor: page.cursor };
+        },
+        'app.bsky.feed.searchPosts': (params) => {
+            const matches = searchPosts(dataset, params, mock.options.searchCap);
+            const page = paginate(matches, params, { defaultLimit: 25 });
+            return { posts: page.items.map(postView), cursor: page.cursor, hitsTotal: matches.length };
+        },
+        'app.bsky.feed.getTimeline': (params, { viewer }) => {
+            const items = viewer.follows
+                .flatMap(follow => follow.target.feed)
+                .sort((a, b) => b.time - a.time);
+            const page = paginate(items, params);
+            return { feed: page.items.map(feedViewPost), cursor: page.cursor };
+        },
+        'app.bsky.feed.getActorLikes': (params, { viewer }) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            if (actor !== viewer) {
+                throw new XrpcError(400, 'InvalidRequest', 'Profile not found');
+            }
+            const page = paginate(actor.likes, params);
+            return { feed: page.items.map(like => ({ post: postView(like.post) })), cursor: page.cursor };
+        },
+        'app.bsky.feed.getFeed': (params) => {
+            const uri = requireParam(params, 'feed');
+            if (!dataset.feedGenerators.some(generator => generator.uri === uri)) {
+                throw new XrpcError(400, 'UnknownFeed', `Unknown feed: ${uri}`);
+            }
+            const page = paginate(dataset.posts.filter(post => !post.parent), params);
+            return { feed: page.items.map(post => ({ post: postView(post) })), cursor: page.cursor };
+        },
+        'app.bsky.feed.getFeedGenerator': (params) => {
+            const uri = requireParam(params, 'feed');
+            const generator = dataset.feedGenerators.find(feed => feed.uri === uri);
+            if (!generator) {
+                throw new XrpcError(400, 'UnknownFeed', `Unknown feed: ${uri}`);
+            }
+            return {
+                view: {
+                    uri: generator.uri,
+                    cid: generator.cid,
+                    did: generator.value.did,
+                    creator: profileView(generator.creator),
+                    displayName: generator.value.displayName,
+                    description: generator.value.description,
+                    likeCount: 0,
+                    indexedAt: generator.value.createdAt
+                },
+                isOnline: true,
+                isValid: true
+            };
+        },
+
+        // Graph
+        'app.bsky.graph.getFollowers': (params) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            const page = paginate(actor.followers, params);
+            return { subject: profileView(actor), followers: page.items.map(follow => profileView(follow.source)), cursor: page.cursor };
+        },
+        'app.bsky.graph.getFollows': (params) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            const page = paginate(actor.follows, params);
+            return { subject: profileView(actor), follows: page.items.map(follow => profileView(follow.target)), cursor: page.cursor };
+        },
+        'app.bsky.graph.getKnownFollowers': (params, { viewer }) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            const followed = new Set(viewer.follows.map(follow => follow.target));
+            const page = paginate(actor.followers.filter(follow => followed.has(follow.source)), params);
+            return { subject: profileView(actor), followers: page.items.map(follow => profileView(follow.source)), cursor: page.cursor };
+        },
+        'app.bsky.graph.getRelationships': (params) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            return {
+                actor: actor.did,
+                relationships: asArray(params.others).map(id => {
+                    const other = findActor(dataset, id);
+                    if (!other) {
+                        return { $type: 'app.bsky.graph.defs#notFoundActor', actor: id, notFound: true };
+                    }
+                    return {
+                        $type: 'app.bsky.graph.defs#relationship',
+                        did: other.did,
+                        following: actor.follows.find(follow => follow.target === other)?.uri,
+                        followedBy: actor.followers.find(follow => follow.source === other)?.uri
+                    };
+                })
+            };
+        },
+        'app.bsky.graph.getSuggestedFollowsByActor': (params) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            const followed = new Set(actor.follows.map(follow => follow.target));
+            const suggestions = new Set();
+            for (const follow of actor.follows) {
+                for (const next of follow.target.follows) {
+                    if (next.target !== actor && !followed.has(next.target)) {
+                        suggestions.add(next.target);
+                    }
+                }
+            }
+            return { suggestions: [...suggestions].slice(0, 10).map(profileView) };
+        },
+        'app.bsky.graph.getList': (params) => {
+            const uri = requireParam(params, 'list');
+            const list = dataset.lists.find(entry => entry.uri === uri);
+            if (!list) {
+                throw new XrpcError(400, 'InvalidRequest', 'List not found');
+            }
+            const page = paginate(list.items, params);
+            return {
+                list: listView(list),
+                items: page.items.map(item => ({ uri: item.uri, subject: profileView(item.subject) })),
+                cursor: page.cursor
+            };
+        },
+        'app.bsky.graph.getLists': (params) => {
+            const actor = requireActor(dataset, requireParam(params, 'actor'));
+            const page = paginate(dataset.lists.filter(list => list.creator === actor), params);
+            return { lists: page.items.map(listView), cursor: page.cursor };
+        },
+        'app.bsky.graph.getStarterPack': (params) => {
+            const uri = requireParam(params, 'starterPack');
+            const pack = dataset.starterPacks.find(entry => entry.uri === uri);
+            if (!pack) {
+                throw new XrpcError(400, 'InvalidRequest', 'Starter pack not found');
+            }
+            return {
+                starterPack: {
+                    uri: pack.uri,
+                    cid: pack.cid,
+                    record: pack.value,
+                    creator: profileViewBasic(pack.creator),
+                    list: listView(pack.list),
+                    listItemsSample: pack.list.items.map(item => ({ uri: item.uri, subject: profileView(item.subject) })),
+                    joinedWeekCount: 0,
+                    joinedAllTimeCount: 0,
+                    indexedAt: pack.value.createdAt
+                }
+            };
+        },
+
+        // Server
+        'com.atproto.server.createSession': (params, { body }) => {
+            const actor = findActor(dataset, body?.identifier);
+            if (!actor || body.password !== dataset.config.password) {
+                throw new XrpcError(401, 'AuthenticationRequired', 'Invalid identifier or password');
+            }
+            return mock.issueSession(actor);
+        },
+        'com.atproto.server.refreshSession': (params, { token }) => {
+            const session = mock.sessions.get(token);
+            if (!session || session.type !== 'refresh') {
+                throw new XrpcError(400, 'ExpiredToken', 'Token has expired');
+            }
+            mock.sessions.delete(token);
+            return mock.issueSession(session.actor);
+        },
+
+        // Identity
+        'com.atproto.identity.resolveHandle': (params) => {
+            const actor = dataset.actorsByHandle.get(requireParam(params, 'handle'));
+            if (!actor) {
+                throw new XrpcError(400, 'InvalidRequest', 'Unable to resolve handle');
+            }
+            return { did: actor.did };
+        },
+        'com.atproto.identity.resolveDid': (params) => {
+            const actor = dataset.actorsByDid.get(requireParam(params, 'did'));
+            if (!actor) {
+                throw new XrpcError(400, 'DidNotFound', 'DID not found');
+            }
+            return { didDoc: didDocument(actor, mock.url) };
+        },
+
+        // Repository
+        'com.atproto.repo.describeRepo': (params) => {
+            const actor = requireRepo(dataset, requireParam(params, 'repo'));
+            return {
+                handle: actor.handle,
+                did: actor.did,
+                didDoc: didDocument(actor, mock.url),
+                collections: [...new Set(dataset.records.get(actor.did).map(record => record.collection))],
+                handleIsCorrect: true
+            };
+        },
+        'com.atproto.repo.listRecords': (params) => {
+            const actor = requireRepo(dataset, requireParam(params, 'repo'));
+            const collection = requireParam(params, 'collection');
+            const limit = parseLimit(params, 50);
+            const reverse = params.reverse === 'true';
+
+            // Record keys are the cursor, newest first unless reversed
+            let records = dataset.records.get(actor.did).filter(record => record.collection === collection);
+            if (!reverse) {
+                records = records.slice().reverse();
+            }
+            if (params.cursor) {
+                records = records.filter(record => reverse ? record.rkey > params.cursor : record.rkey < params.cursor);
+            }
+
+            const page = records.slice(0, limit);
+            return {
+                records: page.map(record => ({ uri: record.uri, cid: record.cid, value: record.value })),
+                cursor: records.length > limit ? page[page.length - 1].rkey : undefined
+            };
+        },
+        'com.atproto.repo.getRecord': (params) => {
+            const actor = requireRepo(dataset, requireParam(params, 'repo'));
+            const collection = requireParam(params, 'collection');
+            const rkey = requireParam(params, 'rkey');
+            const record = dataset.records.get(actor.did).find(entry => entry.collection === collection && entry.rkey === rkey);
+            if (!record) {
+                throw new XrpcError(400, 'RecordNotFound', `Could not locate record: at://${actor.did}/${collection}/${rkey}`);
+            }
+            return { uri: record.uri, cid: record.cid, value: record.value };
+        },
+
+        // Sync
+        'com.atproto.sync.listRepos': (params) => {
+            const page = paginate(dataset.actors, params, { defaultLimit: 500, max: 1000 });
+            return {
+                repos: page.items.map(actor => {
+                    const { commit, rev } = buildRepo(dataset, actor);
+                    return { did: actor.did, head: commit.cid.toString(), rev, active: true };
+                }),
+                cursor: page.cursor
+            };
+        },
+        'com.atproto.sync.getRepo': async (params) => {
+            const actor = dataset.actorsByDid.get(requireParam(params, 'did'));
+            if (!actor) {
+                throw new XrpcError(400, 'RepoNotFound', `Could not find repo: ${params.did}`);
+            }
+            const { commit, blocks } = buildRepo(dataset, actor);
+            return { body: Buffer.from(await buildCar(commit.cid, blocks)), contentType: 'application/vnd.ipld.car' };
+        }
+    };
+}
+
+function requireRepo(dataset, identifier) {
+    const actor = findActor(dataset, identifier);
+    if (!actor) {
+        throw new XrpcError(400, 'RepoNotFound', `Could not find repo: ${identifier}`);
+    }
+    return actor;
+}
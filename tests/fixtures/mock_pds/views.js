@@ -0,0 +1,153 @@
+/**
+ * AppView-shaped views over the mock dataset (app.bsky.*.defs)
+ */
+
+export function profileViewBasic(actor) {
+    return {
+        did: actor.did,
+        handle: actor.handle,
+        displayName: actor.displayName,
+        labels: [],
+        createdAt: actor.createdAt
+    };
+}
+
+export function profileView(actor) {
+    return {
+        ...profileViewBasic(actor),
+        description: actor.description,
+        indexedAt: actor.createdAt
+    };
+}
+
+export function profileViewDetailed(actor) {
+    return {
+        ...profileView(actor),
+        followersCount: actor.followers.length,
+        followsCount: actor.follows.length,
+        postsCount: actor.posts.length
+    };
+}
+
+function embedView(post) {
+    const embed = post.record.embed;
+    if (!embed) {
+        return undefined;
+    }
+
+    switch (embed.$type) {
+        case 'app.bsky.embed.record':
+            return {
+                $type: 'app.bsky.embed.record#view',
+                record: {
+                    $type: 'app.bsky.embed.record#viewRecord',
+                    uri: post.quoted.uri,
+                    cid: post.quoted.cid,
+                    author: profileViewBasic(post.quoted.author),
+                    value: post.quoted.record,
+                    indexedAt: post.quoted.createdAt
+                }
+            };
+        case 'app.bsky.embed.images':
+            return {
+                $type: 'app.bsky.embed.images#view',
+                images: embed.images.map((image, i) => ({
+                    thumb: `https://cdn.mock.test/thumb/${post.cid}/${i}`,
+                    fullsize: `https://cdn.mock.test/full/${post.cid}/${i}`,
+                    alt: image.alt
+                }))
+            };
+        case 'app.bsky.embed.video':
+            return {
+                $type: 'app.bsky.embed.video#view',
+                cid: post.cid,
+                playlist: `https://video.mock.test/${post.cid}/playlist.m3u8`
+            };
+        default:
+            return undefined;
+    }
+}
+
+export function postView(post) {
+    const view = {
+        uri: post.uri,
+        cid: post.cid,
+        author: profileViewBasic(post.author),
+        record: post.record,
+        replyCount: post.replies.length,
+        repostCount: post.reposts.length,
+        likeCount: post.likes.length,
+        quoteCount: post.quotes.length,
+        indexedAt: post.createdAt,
+        labels: []
+    };
+    const embed = embedView(post);
+    if (embed) {
+        view.embed = embed;
+    }
+    return view;
+}
+
+/**
+ * Feed item ({ post, reply, reason }) for getAuthorFeed / getTimeline
+ */
+export function feedViewPost({ post, repost }) {
+    const item = { post: postView(post) };
+    if (post.parent) {
+        item.reply = {
+            root: postView(post.root),
+            parent: postView(post.parent)
+        };
+    }
+    if (repost) {
+        item.reason = {
+            $type: 'app.bsky.feed.defs#reasonRepost',
+            by: profileViewBasic(repost.actor),
+            indexedAt: repost.createdAt
+        };
+    }
+    return item;
+}
+
+/**
+ * threadViewPost with replies down to `depth` and parents up to `parentHeight`
+ */
+export function threadView(post, depth, parentHeight, includeParent = true) {
+    const view = {
+        $type: 'app.bsky.feed.defs#threadViewPost',
+        post: postView(post)
+    };
+    if (includeParent && post.parent && parentHeight > 0) {
+        view.parent = threadView(post.parent, 0, parentHeight - 1);
+    }
+    if (depth > 0) {
+        view.replies = post.replies.map(reply => threadView(reply, depth - 1, 0, false));
+    }
+    return view;
+}
+
+export function listView(list) {
+    return {
+        uri: list.uri,
+        cid: list.cid,
+        creator: profileView(list.creator),
+        name: list.value.name,
+        purpose: list.value.purpose,
+        description: list.value.description,
+        listItemCount: list.items.length,
+        indexedAt: list.value.createdAt
+    };
+}
+
+export function didDocument(actor, serviceEndpoint) {
+    return {
+        '@context': ['https://www.w3.org/ns/did/v1'],
+        id: actor.did,
+        alsoKnownAs: [`at://${actor.handle}`],
+        service: [{
+            id: '#atproto_pds',
+            type: 'AtprotoPersonalDataServer',
+            serviceEndpoint
+        }]
+    };
+}
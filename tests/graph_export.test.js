@@ -0,0 +1,114 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import FileManager from '../src/utils/file_manager.js'
+import { buildGraph, exportGraph } from '../src/utils/graph_export.js'
+
+/**
+ * Graph export tests
+ * Users and relationships are saved through FileManager, turned into a graph
+ * and written in each output format
+ */
+
+const POST_URI = 'at://did:plc:alice/app.bsky.feed.post/p1';
+
+const RELATIONSHIPS = [
+    // alice was crawled at depth 0, bob and carol were reached from her
+    { source: { did: 'did:plc:alice', handle: 'alice.test' }, target: { did: 'did:plc:bob', handle: 'bob.test' }, type: 'follower', depth: 0 },
+    { source: { did: 'did:plc:alice', handle: 'alice.test' }, target: { did: 'did:plc:carol', handle: 'carol.test' }, type: 'following', depth: 0 },
+    { source: { did: 'did:plc:bob', handle: 'bob.test' }, target: { did: 'did:plc:alice', handle: 'alice.test' }, type: 'following', depth: 1 },
+    { source: { did: 'did:plc:carol' }, target: { did: 'did:plc:dave', handle: 'dave.test' }, type: 'following', depth: 1 },
+    { source: { did: 'did:plc:dave' }, target: { did: 'did:plc:erin' }, type: 'following', depth: 2 },
+    { source: { did: 'did:plc:bob' }, target: { uri: POST_URI, did: 'did:plc:alice' }, type: 'like' },
+    { source: { did: 'did:plc:bob' }, target: { uri: 'at://did:plc:alice/app.bsky.feed.post/p2' }, type: 'like' }
+];
+
+describe('Graph export', () => {
+    let tempDir;
+    let fileManager;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-export-test-'));
+        fileManager = new FileManager();
+        fileManager.baseDir = tempDir;
+        await fileManager.initialize();
+
+        await fileManager.saveRelationships(RELATIONSHIPS);
+        await fileManager.saveUsers([
+            { did: 'did:plc:alice', handle: 'alice.test', displayName: 'Alice & <Co>\u0007', followersCount: 120 },
+            { did: 'did:plc:carol', handle: 'carol.test', followersCount: 7 },
+            { did: 'did:plc:zed', handle: 'zed.test', followersCount: 1 }
+        ]);
+    });
+
+    afterEach(async () => {
+        await fileManager.close();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should build nodes with profile attributes and crawl depth', async () => {
+        const { nodes, edges } = await buildGraph(fileManager);
+
+        expect([...nodes.keys()].sort()).toEqual(['alice', 'bob', 'carol', 'dave', 'erin'].map(name => `did:plc:${name}`));
+        expect(nodes.get('did:plc:alice')).toMatchObject({ handle: 'alice.test', followersCount: 120, depth: 0 });
+        expect(nodes.get('did:plc:bob')).toMatchObject({ handle: 'bob.test', depth: 1 });
+        expect(nodes.get('did:plc:erin').depth).toBe(3);
+
+        // bob -> alice is recorded from both sides but kept once
+        expect([...edges.values()].filter(edge => edge.source === 'did:plc:bob')).toEqual([
+            { source: 'did:plc:bob', target: 'did:plc:alice', type: 'follows', weight: 1 }
+        ]);
+    });
+
+    test('should filter by edge type, depth and degree', async () => {
+        const likes = await buildGraph(fileManager, { types: ['likes'] });
+        expect([...likes.edges.values()]).toEqual([
+            { source: 'did:plc:bob', target: 'did:plc:alice', type: 'likes', weight: 2 }
+        ]);
+
+        const shallow = await buildGraph(fileManager, { maxDepth: 0 });
+        expect([...shallow.nodes.keys()].sort()).toEqual(['did:plc:alice', 'did:plc:bob', 'did:plc:carol']);
+
+        const connected = await buildGraph(fileManager, { minDegree: 2 });
+        expect([...connected.nodes.keys()].sort()).toEqual(['did:plc:alice', 'did:plc:carol', 'did:plc:dave']);
+        expect(connected.edges.size).toBe(2);
+
+        await expect(buildGraph(fileManager, { types: ['mutes'] })).rejects.toThrow('Unknown edge type');
+    });
+
+    test('should write GEXF and GraphML with escaped attributes', async () => {
+        const gexf = await exportGraph(fileManager, 'gexf');
+        expect(gexf).toMatchObject({ nodes: 5, edges: 4 });
+        expect(gexf.path.endsWith('.gexf')).toBe(true);
+
+        const gexfText = await fs.readFile(gexf.path, 'utf8');
+        expect(gexfText).toContain('<attvalue for="displayName" value="Alice &amp; &lt;Co&gt;"/>');
+        expect(gexfText).toContain('<attvalue for="followersCount" value="120"/>');
+        expect(gexfText).toContain('source="did:plc:bob" target="did:plc:alice" weight="1"');
+
+        const graphml = await exportGraph(fileManager, 'graphml', { output: path.join(tempDir, 'graph.graphml') });
+        const graphmlText = await fs.readFile(graphml.path, 'utf8');
+        expect(graphmlText).toContain('<key id="depth" for="node" attr.name="depth" attr.type="int"/>');
+        expect(graphmlText).toContain('<node id="did:plc:carol"><data key="handle">carol.test</data>');
+        expect(graphmlText.match(/<edge /g)).toHaveLength(4);
+    });
+
+    test('should write Pajek and weighted edge lists summed across types', async () => {
+        const types = ['follows', 'likes'];
+
+        const edgelist = await exportGraph(fileManager, 'edgelist', { types });
+        const lines = (await fs.readFile(edgelist.path, 'utf8')).trim().split('\n');
+        expect(lines).toContain('did:plc:bob did:plc:alice 3');
+        expect(lines).toHaveLength(4);
+
+        const pajek = await exportGraph(fileManager, 'pajek', { types });
+        const rows = (await fs.readFile(pajek.path, 'utf8')).split('\r\n');
+        expect(rows[0]).toBe('*Vertices 5');
+        expect(rows[1]).toBe('1 "bob.test"');
+        expect(rows[6]).toBe('*Arcs');
+        expect(rows).toContain('1 2 3');
+
+        await expect(exportGraph(fileManager, 'dot')).rejects.toThrow('Unsupported graph format');
+    });
+});
@@ -0,0 +1,123 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import FileManager from '../src/utils/file_manager.js'
+import { createStorage } from '../src/storage/index.js'
+import { computeGraphMetrics, analyzeGraph } from '../src/analysis/graph_metrics.js'
+
+/**
+ * Graph metrics tests
+ * A small follow graph: a mutual triangle (alice, bob, carol), carol
+ * following dave, a mutual pair (dave, erin) and a separate pair (frank -> gina)
+ */
+
+const FOLLOWS = [
+    ['alice', 'bob'], ['bob', 'alice'],
+    ['bob', 'carol'], ['carol', 'bob'],
+    ['alice', 'carol'], ['carol', 'alice'],
+    ['carol', 'dave'],
+    ['dave', 'erin'], ['erin', 'dave'],
+    ['frank', 'gina']
+];
+
+function graphOf(follows) {
+    const nodes = new Map();
+    const edges = new Map();
+    for (const [source, target] of follows) {
+        for (const name of [source, target]) {
+            if (!nodes.has(`did:plc:${name}`)) {
+                nodes.set(`did:plc:${name}`, { handle: `${name}.test`, depth: 0 });
+            }
+        }
+        edges.set(`follows ${source} ${target}`, {
+            source: `did:plc:${source}`, target: `did:plc:${target}`, type: 'follows', weight: 1
+        });
+    }
+    return { nodes, edges };
+}
+
+describe('Graph metrics', () => {
+    test('should compute degree, reciprocity, components and k-core', () => {
+        const { metrics, summary } = computeGraphMetrics(graphOf(FOLLOWS));
+
+        expect(metrics.get('did:plc:carol')).toMatchObject({
+            inDegree: 2, outDegree: 3, mutualCount: 2, component: 0, componentSize: 5, coreNumber: 2
+        });
+        expect(metrics.get('did:plc:carol').reciprocity).toBeCloseTo(2 / 3);
+        expect(metrics.get('did:plc:gina')).toMatchObject({
+            inDegree: 1, outDegree: 0, reciprocity: null, component: 1, componentSize: 2, coreNumber: 1
+        });
+        expect(metrics.get('did:plc:dave').coreNumber).toBe(1);
+
+        expect(summary).toMatchObject({ nodes: 7, edges: 10, components: 2, largestComponent: 5, maxCore: 2 });
+        expect(summary.reciprocity).toBeCloseTo(0.8);
+    });
+
+    test('should rank PageRank and detect communities', () => {
+        const { metrics, summary } = computeGraphMetrics(graphOf(FOLLOWS));
+        const ranks = [...metrics.values()].map(item => item.pageRank);
+
+        expect(ranks.reduce((sum, rank) => sum + rank, 0)).toBeCloseTo(1);
+        expect(metrics.get('did:plc:gina').pageRank).toBeGreaterThan(metrics.get('did:plc:frank').pageRank);
+        expect(metrics.get('did:plc:dave').pageRank).toBeGreaterThan(metrics.get('did:plc:alice').pageRank);
+
+        const community = name => metrics.get(`did:plc:${name}`).community;
+        expect(['alice', 'bob', 'carol'].map(community)).toEqual([0, 0, 0]);
+        expect(['dave', 'erin'].map(community)).toEqual([1, 1]);
+        expect(['frank', 'gina'].map(community)).toEqual([2, 2]);
+        expect(summary.communities).toBe(3);
+        expect(summary.modularity).toBeGreaterThan(0.3);
+    });
+
+    test('should handle an empty graph', () => {
+        const { metrics, summary } = computeGraphMetrics({ nodes: new Map(), edges: new Map() });
+
+        expect(metrics.size).toBe(0);
+        expect(summary).toMatchObject({ nodes: 0, edges: 0, components: 0, maxCore: 0, modularity: 0 });
+    });
+
+    describe('from stored relationships', () => {
+        let tempDir;
+        let fileManager;
+
+        beforeEach(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'graph-metrics-test-'));
+            fileManager = new FileManager();
+            fileManager.baseDir = tempDir;
+            fileManager.storage = createStorage('sqlite', { path: path.join(tempDir, 'bluesky.db') });
+            await fileManager.initialize();
+        });
+
+        afterEach(async () => {
+            await fileManager.close();
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        test('should write metrics back per user to the analysis file and storage', async () => {
+            await fileManager.saveRelationships(FOLLOWS.map(([source, target]) => ({
+                source: { did: `did:plc:${source}`, handle: `${source}.test` },
+                target: { did: `did:plc:${target}`, handle: `${target}.test` },
+                type: 'following',
+                depth: 0
+            })));
+
+            const result = await analyzeGraph(fileManager);
+            expect(path.dirname(result.path)).toBe(path.join(tempDir, 'analysis'));
+
+            const saved = JSON.parse(await fs.readFile(result.path, 'utf8'));
+            expect(saved.metadata).toMatchObject({ type: 'graph_metrics', count: 7, summary: { edges: 10 } });
+            expect(saved.data.find(item => item.did === 'did:plc:carol')).toMatchObject({
+                handle: 'carol.test', inDegree: 2, outDegree: 3, coreNumber: 2, community: 0
+            });
+
+            const carol = await fileManager.storage.getActor('did:plc:carol');
+            expect(carol.graphMetrics).toMatchObject({ inDegree: 2, outDegree: 3, coreNumber: 2, community: 0 });
+            expect(carol.graphMetrics.pageRank).toBeCloseTo(result.metrics.get('did:plc:carol').pageRank);
+
+            // A second run replaces the first
+            await analyzeGraph(fileManager);
+            expect((await fileManager.storage.getStats()).actor_metrics).toBe(7);
+        });
+    });
+});
@@ -0,0 +1,126 @@
+import IdentityResolver from '../src/core/identity_resolver.js'
+import { handleToDid, didToHandle } from '../src/utils/url_parser.js'
+
+/**
+ * Identity resolver tests
+ * DNS and HTTP are replaced with in-memory fakes; the cache runs in memory
+ */
+
+const ALICE = 'did:plc:alice000000000000000000';
+
+const DOCUMENTS = {
+    [`https://plc.test/${ALICE}`]: {
+        id: ALICE,
+        alsoKnownAs: ['at://alice.test'],
+        verificationMethod: [{
+            id: `${ALICE}#atproto`,
+            type: 'Multikey',
+            controller: ALICE,
+            publicKeyMultibase: 'zQ3shexamplekey'
+        }],
+        service: [{
+            id: '#atproto_pds',
+            type: 'AtprotoPersonalDataServer',
+            serviceEndpoint: 'https://pds.example'
+        }]
+    },
+    'https://web.example/.well-known/did.json': {
+        id: 'did:web:web.example',
+        alsoKnownAs: ['at://impostor.test'],
+        service: [{
+            id: '#atproto_pds',
+            type: 'AtprotoPersonalDataServer',
+            serviceEndpoint: 'https://web-pds.example'
+        }]
+    },
+    'https://wellknown.example/.well-known/atproto-did': 'did:web:web.example\n'
+};
+
+function createResolver() {
+    const requests = [];
+    const dnsRecords = {
+        '_atproto.alice.test': [['did=', ALICE]],
+        '_atproto.impostor.test': [['did=did:plc:someoneelse']]
+    };
+
+    const resolver = new IdentityResolver({
+        plcDirectoryUrl: 'https://plc.test/',
+        httpClient: {
+            get: async (url) => {
+                requests.push(url);
+                if (!(url in DOCUMENTS)) {
+                    throw new Error('Request failed with status code 404');
+                }
+                return { data: DOCUMENTS[url] };
+            }
+        },
+        dnsResolver: {
+            resolveTxt: async (name) => {
+                if (!dnsRecords[name]) {
+                    const error = new Error('queryTxt ENOTFOUND');
+                    error.code = 'ENOTFOUND';
+                    throw error;
+                }
+                return dnsRecords[name];
+            }
+        }
+    });
+
+    return { resolver, requests };
+}
+
+describe('Identity Resolver', () => {
+    test('should resolve handles via DNS TXT', async () => {
+        const { resolver } = createResolver();
+        expect(await resolver.resolveHandle('@Alice.Test')).toBe(ALICE);
+    });
+
+    test('should fall back to /.well-known/atproto-did', async () => {
+        const { resolver, requests } = createResolver();
+
+        expect(await resolver.resolveHandle('wellknown.example')).toBe('did:web:web.example');
+        expect(requests).toContain('https://wellknown.example/.well-known/atproto-did');
+    });
+
+    test('should extract PDS endpoint and signing key from did:plc documents', async () => {
+        const { resolver } = createResolver();
+        const identity = await resolver.resolveIdentity(ALICE);
+
+        expect(identity.handle).toBe('alice.test');
+        expect(identity.handleVerified).toBe(true);
+        expect(identity.pdsEndpoint).toBe('https://pds.example');
+        expect(identity.signingKey).toBe('zQ3shexamplekey');
+    });
+
+    test('should resolve did:web and reject handles that do not point back', async () => {
+        const { resolver } = createResolver();
+        const identity = await resolver.resolveIdentity('did:web:web.example');
+
+        expect(identity.pdsEndpoint).toBe('https://web-pds.example');
+        expect(identity.claimedHandle).toBe('impostor.test');
+        expect(identity.handleVerified).toBe(false);
+        expect(identity.handle).toBe('handle.invalid');
+        expect(await resolver.verifyHandle('impostor.test', 'did:web:web.example')).toBe(false);
+    });
+
+    test('should cache results, including failures', async () => {
+        const { resolver, requests } = createResolver();
+
+        await resolver.resolveDid(ALICE);
+        await resolver.resolveDid(ALICE);
+        expect(await resolver.resolveHandle('missing.example')).toBeNull();
+        expect(await resolver.resolveHandle('missing.example')).toBeNull();
+
+        expect(requests.filter(url => url.includes(ALICE))).toHaveLength(1);
+        expect(requests.filter(url => url.includes('missing.example'))).toHaveLength(1);
+        expect(resolver.getStats().cacheHits).toBe(2);
+    });
+
+    test('should back the url_parser helpers', async () => {
+        const { resolver } = createResolver();
+
+        expect(await handleToDid('alice.test', resolver)).toBe(ALICE);
+        expect(await didToHandle(ALICE, resolver)).toBe('alice.test');
+        expect(await didToHandle('did:web:web.example', resolver)).toBeNull();
+    });
+});
@@ -382,7 +382,21 @@ describe('Bluesky Scraper Integration Tests', () => {
                 'getPostThread',
                 'getTimeline',
                 'getLikes',
-                'getRepostedBy'
+                'getRepostedBy',
+                'getQuotes',
+                'getPosts',
+                'searchActorsTypeahead',
+                'getRelationships',
+                'getSuggestedFollowsByActor',
+                'describeRepo',
+                'listRecords',
+                'getRecord',
+                'getList',
+                'getLists',
+                'getFeed',
+                'getFeedGenerator',
+                'getActorLikes',
+                'getStarterPack'
             ];
 
             requiredMethods.forEach(method => {
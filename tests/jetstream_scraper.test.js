@@ -0,0 +1,156 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+import { WebSocketServer } from 'ws'
+
+import JetstreamScraper from '../src/scrapers/jetstream_scraper.js'
+import { createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * Jetstream scraper tests
+ * Replays Jetstream JSON events from a local WebSocket server
+ */
+
+const ALICE = 'did:plc:alice000000000000000000';
+const BOB = 'did:plc:bob00000000000000000000';
+
+const EVENTS = [
+    {
+        did: ALICE,
+        time_us: 1725000000000001,
+        kind: 'identity',
+        identity: { did: ALICE, handle: 'alice.test', seq: 1, time: '2024-08-30T06:40:00.000Z' }
+    },
+    {
+        did: ALICE,
+        time_us: 1725000000000002,
+        kind: 'commit',
+        commit: {
+            rev: '3kabc',
+            operation: 'create',
+            collection: 'app.bsky.feed.post',
+            rkey: '3kabc000001',
+            cid: 'bafyreipost1',
+            record: { $type: 'app.bsky.feed.post', text: 'hello jetstream', createdAt: '2024-08-30T06:40:00.000Z' }
+        }
+    },
+    {
+        did: ALICE,
+        time_us: 1725000000000003,
+        kind: 'commit',
+        commit: {
+            rev: '3kabd',
+            operation: 'create',
+            collection: 'app.bsky.graph.follow',
+            rkey: '3kabc000002',
+            cid: 'bafyreifollow1',
+            record: { $type: 'app.bsky.graph.follow', subject: BOB, createdAt: '2024-08-30T06:40:01.000Z' }
+        }
+    },
+    {
+        did: BOB,
+        time_us: 1725000000000004,
+        kind: 'commit',
+        commit: {
+            rev: '3kabe',
+            operation: 'delete',
+            collection: 'app.bsky.feed.post',
+            rkey: '3kabc000003'
+        }
+    }
+];
+
+describe('Jetstream Scraper', () => {
+    let server;
+    let url;
+    let requests;
+    let tempDir;
+
+    beforeAll(async () => {
+        server = new WebSocketServer({ port: 0 });
+        server.on('connection', (socket, request) => {
+            const requestUrl = new URL(request.url, 'ws://localhost');
+            requests.push(requestUrl);
+
+            const cursor = Number(requestUrl.searchParams.get('cursor') || 0);
+            EVENTS
+                .filter(event => event.time_us > cursor)
+                .forEach(event => socket.send(JSON.stringify(event)));
+        });
+
+        await new Promise(resolve => server.on('listening', resolve));
+        url = `ws://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        requests = [];
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jetstream-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    function createScraper(options = {}) {
+        const scraper = new JetstreamScraper({
+            url,
+            wantedCollections: ['app.bsky.feed.post', 'app.bsky.graph.follow'],
+            reconnectDelay: 10,
+            maxReconnectAttempts: 0,
+            ...options
+        });
+        scraper.deduplicator = createMemoryDeduplicator();
+        scraper.fileManager.baseDir = tempDir;
+        scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+        return scraper;
+    }
+
+    test('should send collection and DID filters to the server', async () => {
+        const scraper = createScraper({ maxEvents: EVENTS.length, wantedDids: [ALICE] });
+        await scraper.initialize();
+        await scraper.start();
+
+        expect(requests[0].pathname).toBe('/subscribe');
+        expect(requests[0].searchParams.getAll('wantedCollections'))
+            .toEqual(['app.bsky.feed.post', 'app.bsky.graph.follow']);
+        expect(requests[0].searchParams.getAll('wantedDids')).toEqual([ALICE]);
+    });
+
+    test('should normalize events into validated posts and follows', async () => {
+        const scraper = createScraper({ maxEvents: EVENTS.length });
+        await scraper.initialize();
+        await scraper.start();
+
+        const posts = await readSaved(tempDir, 'posts');
+        expect(posts).toHaveLength(1);
+        expect(posts[0].uri).toBe(`at://${ALICE}/app.bsky.feed.post/3kabc000001`);
+        expect(posts[0].author.handle).toBe('alice.test');
+        expect(posts[0]._metadata.source).toBe('jetstream');
+
+        const relationships = await readSaved(tempDir, 'relationships');
+        expect(relationships).toHaveLength(1);
+        expect(relationships[0].type).toBe('following');
+        expect(relationships[0].target.did).toBe(BOB);
+    });
+
+    test('should persist the time_us cursor and resume from it', async () => {
+        const first = createScraper({ maxEvents: 2 });
+        await first.initialize();
+        await first.start();
+
+        const checkpoint = await first.checkpointManager.loadLatestCheckpoint();
+        expect(checkpoint.state.cursor).toBe(1725000000000002);
+
+        const second = createScraper({ maxEvents: 2 });
+        await second.initialize();
+        await second.start({ resume: true });
+
+        expect(requests[1].searchParams.get('cursor')).toBe('1725000000000002');
+        expect(second.getStats().cursor).toBe(1725000000000004);
+        expect(await readSaved(tempDir, 'relationships')).toHaveLength(1);
+    });
+});
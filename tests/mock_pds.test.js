@@ -0,0 +1,280 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import APIClient from '../src/core/api_client.js'
+import SETTINGS from '../src/config/settings.js'
+import PostsScraper from '../src/scrapers/posts_scraper.js'
+import RelationshipsScraper from '../src/scrapers/relationships_scraper.js'
+import SearchScraper from '../src/scrapers/search_scraper.js'
+import PostInfoScraper from '../src/scrapers/post_info_scraper.js'
+import RepoScraper from '../src/scrapers/repo_scraper.js'
+import FirehoseScraper from '../src/scrapers/firehose_scraper.js'
+import MockPds from './fixtures/mock_pds/index.js'
+import { createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * End-to-end tests against the mock PDS
+ * The real APIClient talks HTTP to tests/fixtures/mock_pds, which serves a
+ * deterministic 12 account network; expectations are read off the dataset.
+ */
+
+describe('Mock PDS', () => {
+    let pds;
+    let dataset;
+    let tempDir;
+    let clients;
+    const settings = {
+        randomizeDelays: SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS,
+        retryDelay: SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS
+    };
+
+    beforeAll(async () => {
+        SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = false;
+        SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS = 10;
+        pds = new MockPds();
+        dataset = pds.dataset;
+        await pds.start();
+    });
+
+    afterAll(async () => {
+        await pds.stop();
+        SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = settings.randomizeDelays;
+        SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS = settings.retryDelay;
+    });
+
+    beforeEach(async () => {
+        clients = [];
+        pds.clearFaults();
+        pds.reset();
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-pds-test-'));
+    });
+
+    afterEach(async () => {
+        for (const client of clients) {
+            await client.cleanup();
+        }
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    function createClient(server = pds, options = {}) {
+        const client = new APIClient({ baseURL: server.url, syncBaseURL: server.url, serviceUrl: server.url, accounts: [], ...options });
+        client.rateLimiter.waitForSlot = async () => {}; // Pacing is covered by the rate limiter itself
+        clients.push(client);
+        return client;
+    }
+
+    async function prepare(scraper, client = createClient()) {
+        scraper.apiClient = client;
+        scraper.deduplicator = createMemoryDeduplicator();
+        scraper.fileManager.baseDir = tempDir;
+        if (scraper.checkpointManager) {
+            scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+            await fs.mkdir(scraper.checkpointManager.checkpointDir, { recursive: true });
+        }
+        await scraper.initialize();
+        return scraper;
+    }
+
+    async function writeUsers(actors) {
+        await fs.mkdir(path.join(tempDir, 'users'), { recursive: true });
+        const users = actors.map(actor => ({ did: actor.did, handle: actor.handle, followersCount: actor.followers.length, followsCount: actor.follows.length }));
+        await fs.writeFile(path.join(tempDir, 'users', 'users_seed.json'), JSON.stringify({ data: users }));
+    }
+
+    describe('XRPC surface', () => {
+        test('should page with opaque cursors and reject malformed ones', async () => {
+            const client = createClient();
+            const hub = dataset.actors[0];
+
+            const dids = [];
+            const cursors = [];
+            for await (const page of client.paginate('app.bsky.graph.getFollowers', { actor: hub.handle, limit: 4 })) {
+                dids.push(...page.items.map(profile => profile.did));
+                cursors.push(page.cursor);
+            }
+
+            expect(dids).toEqual(hub.followers.map(follow => follow.source.did));
+            expect(pds.requestsFor('app.bsky.graph.getFollowers')).toHaveLength(Math.ceil(hub.followers.length / 4));
+            expect(cursors.slice(0, -1).every(cursor => !/^\d+$/.test(cursor))).toBe(true);
+
+            await expect(client.getFollowers(hub.did, { cursor: 'bogus' })).rejects.toMatchObject({ type: 'CLIENT_ERROR', status: 400 });
+        });
+
+        test('should serve profiles, threads, records and repositories from one dataset', async () => {
+            const client = createClient();
+            const actor = dataset.actors[3];
+            const reply = dataset.posts.find(post => post.parent);
+
+            const profile = await client.getProfile(actor.handle);
+            expect(profile).toMatchObject({ did: actor.did, followersCount: actor.followers.length, postsCount: actor.posts.length });
+
+            const { thread } = await client.getPostThread(reply.uri);
+            expect(thread.parent.post.uri).toBe(reply.parent.uri);
+
+            const records = await client.listRecords(actor.did, 'app.bsky.feed.post', { limit: 100 });
+            expect(records.records.map(record => record.uri).sort()).toEqual(actor.posts.map(post => post.uri).sort());
+
+            const repos = await client.listRepos();
+            expect(repos.repos.map(repo => repo.did)).toEqual(dataset.actors.map(entry => entry.did));
+
+            await expect(client.makeRequest('/xrpc/app.bsky.unknown.method')).rejects.toBeDefined();
+            expect(pds.requestsFor('app.bsky.unknown.method').every(request => request.status === 501)).toBe(true);
+        });
+    });
+
+    describe('Fault injection', () => {
+        test('should retry injected 5xx and 429 responses', async () => {
+            const client = createClient();
+            const actor = dataset.actors[1];
+            pds.addFault({ endpoint: 'app.bsky.actor.getProfile', status: 503, times: 2 });
+            const rateLimit = pds.addFault({ endpoint: '/xrpc/app.bsky.actor.getProfile', status: 429, retryAfter: 1 });
+
+            const profile = await client.getProfile(actor.did);
+
+            expect(profile.handle).toBe(actor.handle);
+            expect(pds.requestsFor('app.bsky.actor.getProfile').map(request => request.status)).toEqual([503, 503, 429, 200]);
+            expect(rateLimit).toMatchObject({ seen: 2, fired: 1 });
+            expect(client.stats.rateLimitedRequests).toBe(1);
+        });
+
+        test('should delay responses and enforce a rate limit window', async () => {
+            const limited = new MockPds({ latency: { min: 20, max: 30 }, rateLimit: { limit: 2, windowMs: 60000 } });
+            await limited.start();
+
+            try {
+                const url = `${limited.url}/xrpc/app.bsky.actor.getProfile?actor=user0.mock.test`;
+                const startedAt = Date.now();
+                const responses = [];
+                for (let i = 0; i < 3; i++) {
+                    responses.push(await fetch(url));
+                }
+
+                expect(Date.now() - startedAt).toBeGreaterThanOrEqual(60);
+                expect(responses.map(response => response.status)).toEqual([200, 200, 429]);
+                expect(responses[0].headers.get('ratelimit-limit')).toBe('2');
+                expect(responses[0].headers.get('ratelimit-remaining')).toBe('1');
+                expect(responses[0].headers.get('ratelimit-policy')).toBe('2;w=60');
+                expect(await responses[2].json()).toEqual({ error: 'RateLimitExceeded', message: 'Rate Limit Exceeded' });
+            } finally {
+                await limited.stop();
+            }
+        });
+    });
+
+    describe('Sessions', () => {
+        test('should log in app-password accounts and serve authenticated endpoints', async () => {
+            const viewer = dataset.actors[2];
+            const client = createClient(pds, { accounts: [`${viewer.handle}:${dataset.config.password}`] });
+            await client.initialize();
+
+            const { feed } = await client.getTimeline({ limit: 10 });
+            const followed = new Set(viewer.follows.map(follow => follow.target.did));
+            expect(feed).toHaveLength(10);
+            expect(feed.every(item => followed.has(item.reason ? item.reason.by.did : item.post.author.did))).toBe(true);
+            expect(pds.requestsFor('app.bsky.feed.getTimeline')[0].authenticated).toBe(true);
+
+            await expect(createClient().getTimeline()).rejects.toMatchObject({ type: 'AUTH_ERROR' });
+        });
+    });
+
+    describe('Scrapers', () => {
+        test('should collect author feeds and follow edges', async () => {
+            const actors = dataset.actors.slice(1, 4);
+            await writeUsers(actors);
+
+            const posts = await prepare(new PostsScraper({ maxPostAge: 0, maxPostsPerUser: 1000, batchSize: 25 }));
+            await posts.start();
+
+            const expected = new Set(actors.flatMap(actor => actor.feed
+                .filter(item => item.repost || !item.post.parent)
+                .map(item => item.post.uri)));
+            const saved = await readSaved(tempDir, 'posts');
+            expect(new Set(saved.map(post => post.uri))).toEqual(expected);
+            expect(saved).toHaveLength(expected.size);
+
+            const relationships = await prepare(new RelationshipsScraper({ maxDepth: 0, minFollowerCount: 0 }));
+            await relationships.start();
+
+            const edges = (await readSaved(tempDir, 'relationships')).map(rel => rel.type === 'follower'
+                ? `${rel.target.did} ${rel.source.did}`
+                : `${rel.source.did} ${rel.target.did}`);
+            const crawled = new Set(actors);
+            const expectedEdges = dataset.follows
+                .filter(follow => crawled.has(follow.source) || crawled.has(follow.target))
+                .map(follow => `${follow.source.did} ${follow.target.did}`);
+            expect(new Set(edges)).toEqual(new Set(expectedEdges));
+        });
+
+        test('should harvest every search match past the result cap', async () => {
+            const capped = new MockPds({ searchCap: 10 });
+            await capped.start();
+
+            try {
+                const scraper = await prepare(new SearchScraper({
+                    queries: ['#atproto'],
+                    since: '2024-06-01T00:00:00.000Z',
+                    until: '2024-06-02T00:00:00.000Z',
+                    batchSize: 5,
+                    resultCap: 10
+                }), createClient(capped));
+                await scraper.start();
+
+                const expected = dataset.posts.filter(post => post.record.text.includes('#atproto')).map(post => post.uri);
+                const saved = (await readSaved(tempDir, 'posts')).map(post => post.uri);
+                expect(saved.sort()).toEqual(expected.sort());
+                expect(scraper.getStats().windowsSplit).toBeGreaterThan(0);
+            } finally {
+                await capped.stop();
+            }
+        });
+
+        test('should rebuild threads and quote cascades', async () => {
+            const root = dataset.posts.find(post => !post.parent && post.replies.length > 0 && post.quotes.length > 0);
+            const scraper = await prepare(new PostInfoScraper({ includeThread: true, includeQuotes: true, saveToFile: false }));
+
+            const post = await scraper.scrapeByAtUri(root.uri);
+
+            const replies = [];
+            const collect = node => node.replies.forEach(reply => { replies.push(reply.uri); collect(reply); });
+            collect(root);
+            expect(post.thread.posts.slice(1).map(item => item.uri).sort()).toEqual(replies.sort());
+            expect(post.quotes.map(quote => quote.uri).sort()).toEqual(root.quotes.map(quote => quote.uri).sort());
+        });
+
+        test('should export repositories with getRepo', async () => {
+            const actor = dataset.actors[5];
+            const scraper = await prepare(new RepoScraper({ dids: [actor.did], baseURL: pds.url }));
+            scraper.identityResolver = {
+                initialize: async () => {},
+                cleanup: async () => {},
+                resolveIdentity: async (did) => ({ did, handle: actor.handle, handleVerified: true })
+            };
+            await scraper.start();
+
+            const posts = await readSaved(tempDir, 'posts');
+            expect(posts.map(post => post.uri).sort()).toEqual(actor.posts.map(post => post.uri).sort());
+            expect(pds.requestsFor('com.atproto.sync.getRepo')[0].params).toEqual({ did: actor.did });
+        });
+
+        test('should replay the firehose from a cursor', async () => {
+            const scraper = new FirehoseScraper({
+                relayUrl: pds.url.replace(/^http/, 'ws'),
+                reconnectDelay: 10,
+                maxReconnectAttempts: 0,
+                maxEvents: 5
+            });
+            scraper.deduplicator = createMemoryDeduplicator();
+            scraper.fileManager.baseDir = tempDir;
+            scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+            scraper.cursor = 10;
+            await scraper.initialize();
+            await scraper.start();
+
+            const oldestFirst = dataset.posts.slice().reverse();
+            const saved = await readSaved(tempDir, 'posts');
+            expect(saved.map(post => post.uri)).toEqual(oldestFirst.slice(10, 15).map(post => post.uri));
+            expect(scraper.getStats().cursor).toBe(15);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import RelationshipsScraper from '../src/scrapers/relationships_scraper.js'
+import { createFakeApiClient, createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * Mutual follow detection tests
+ * alice and bob follow each other, carol follows alice and alice follows dave.
+ * Both alice and bob are crawled, so the alice <-> bob pair is seen from
+ * every side.
+ */
+
+const NETWORK = {
+    alice: { followers: ['bob', 'carol'], follows: ['bob', 'dave'] },
+    bob: { followers: ['alice'], follows: ['alice'] }
+};
+
+const USERS = [
+    { did: 'did:plc:alice', handle: 'alice.test', followersCount: 20, followsCount: 2 },
+    { did: 'did:plc:bob', handle: 'bob.test', followersCount: 10, followsCount: 1 }
+];
+
+function profile(name) {
+    return { did: `did:plc:${name}`, handle: `${name}.test`, followersCount: 0 };
+}
+
+function respond(endpoint, params) {
+    const lists = NETWORK[params.actor.replace('did:plc:', '')];
+    return endpoint.endsWith('getFollowers')
+        ? { followers: lists.followers.map(profile) }
+        : { follows: lists.follows.map(profile) };
+}
+
+describe('Mutual follow detection', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mutual-follows-test-'));
+        await fs.mkdir(path.join(tempDir, 'users'), { recursive: true });
+        await fs.writeFile(path.join(tempDir, 'users', 'users_seed.json'), JSON.stringify({ data: USERS }));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function crawl(options) {
+        const scraper = new RelationshipsScraper({ maxDepth: 0, minFollowerCount: 1, ...options });
+        scraper.apiClient = createFakeApiClient(respond);
+        scraper.deduplicator = createMemoryDeduplicator();
+        scraper.fileManager.baseDir = tempDir;
+        scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+        await fs.mkdir(scraper.checkpointManager.checkpointDir, { recursive: true });
+        await scraper.initialize();
+        await scraper.start();
+        return scraper;
+    }
+
+    const follow = rel => rel.type === 'follower'
+        ? `${rel.target.handle} -> ${rel.source.handle}`
+        : `${rel.source.handle} -> ${rel.target.handle}`;
+
+    test('should keep both directions of a mutual follow and flag them in the batch', async () => {
+        const scraper = await crawl({ bidirectional: true });
+        const saved = await readSaved(tempDir, 'relationships');
+
+        expect(saved.map(rel => `${follow(rel)} ${rel.mutual}`).sort()).toEqual([
+            'alice.test -> bob.test true',
+            'alice.test -> dave.test false',
+            'bob.test -> alice.test true',
+            'carol.test -> alice.test false'
+        ]);
+
+        expect(scraper.stats.mutualFollows).toBe(1);
+        expect(scraper.getMutualCounts()).toEqual([
+            { did: 'did:plc:alice', mutualCount: 1 },
+            { did: 'did:plc:bob', mutualCount: 1 }
+        ]);
+        expect(scraper.getNetworkStats()).toMatchObject({ mutualFollows: 1, usersWithMutuals: 2 });
+    });
+
+    test('should export both directions of a pair saved in different batches', async () => {
+        // Every page is saved on its own, so alice -> bob is checked against the deduplicator
+        const scraper = await crawl({ bidirectional: true, saveInterval: 1 });
+        const saved = await readSaved(tempDir, 'relationships');
+
+        expect(saved.map(follow)).toEqual([
+            'bob.test -> alice.test',
+            'carol.test -> alice.test',
+            'alice.test -> bob.test',
+            'alice.test -> dave.test'
+        ]);
+        expect(saved.find(rel => follow(rel) === 'alice.test -> bob.test').mutual).toBe(true);
+        expect(scraper.stats.mutualFollows).toBe(1);
+
+        const exportPath = await scraper.exportMutuals('json');
+        expect(path.basename(exportPath)).toMatch(/^relationships_mutuals_.*\.json$/);
+        const mutuals = JSON.parse(await fs.readFile(exportPath, 'utf8'));
+        expect(mutuals.map(rel => `${follow(rel)} ${rel.mutual}`).sort()).toEqual([
+            'alice.test -> bob.test true',
+            'bob.test -> alice.test true'
+        ]);
+    });
+
+    test('should not look for reverse edges without bidirectional', async () => {
+        const scraper = await crawl({});
+        const saved = await readSaved(tempDir, 'relationships');
+
+        expect(saved).toHaveLength(4);
+        expect(saved.every(rel => rel.mutual === undefined)).toBe(true);
+        expect(scraper.getMutualCounts()).toEqual([]);
+    });
+});
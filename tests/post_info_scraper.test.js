@@ -0,0 +1,427 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import PostInfoScraper from '../src/scrapers/post_info_scraper.js'
+import { createFakeApiClient, createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * Thread reconstruction tests
+ * A fake getPostThread serves a fixed thread and, like the AppView, omits
+ * `replies` on posts at the requested depth:
+ *
+ *   root (alice)
+ *   ├── a1 (bob) ── a2 (carol) ── a3 (dave) ── a4 (bob)
+ *   ├── b1 (deleted)
+ *   ├── c1 (blocked)
+ *   └── d1 (erin)
+ */
+
+const uri = id => `at://did:plc:${THREAD[id].author}/app.bsky.feed.post/${id}`;
+
+const THREAD = {
+    root: { author: 'alice', replies: ['a1', 'b1', 'c1', 'd1'] },
+    a1: { author: 'bob', parent: 'root', replies: ['a2'] },
+    a2: { author: 'carol', parent: 'a1', replies: ['a3'] },
+    a3: { author: 'dave', parent: 'a2', replies: ['a4'] },
+    a4: { author: 'bob', parent: 'a3', replies: [] },
+    b1: { author: 'gone', parent: 'root', notFound: true },
+    c1: { author: 'troll', parent: 'root', blocked: true },
+    d1: { author: 'erin', parent: 'root', replies: [] }
+};
+
+function postView(id) {
+    const item = THREAD[id];
+    const reply = item.parent ? { root: { uri: uri('root') }, parent: { uri: uri(item.parent) } } : undefined;
+    return {
+        uri: uri(id),
+        cid: `bafy${id}`,
+        author: { did: `did:plc:${item.author}`, handle: `${item.author}.test` },
+        record: { text: `post ${id}`, createdAt: '2024-06-01T00:00:00.000Z', reply },
+        replyCount: item.replies.length,
+        likeCount: 1
+    };
+}
+
+function threadView(id, depth, parentHeight) {
+    const item = THREAD[id];
+    if (item.notFound) {
+        return { $type: 'app.bsky.feed.defs#notFoundPost', uri: uri(id), notFound: true };
+    }
+    if (item.blocked) {
+        return { $type: 'app.bsky.feed.defs#blockedPost', uri: uri(id), blocked: true, author: { did: `did:plc:${item.author}` } };
+    }
+
+    const view = { $type: 'app.bsky.feed.defs#threadViewPost', post: postView(id) };
+    if (depth > 0) {
+        view.replies = item.replies.map(reply => threadView(reply, depth - 1, 0));
+    }
+    if (item.parent && parentHeight > 0) {
+        view.parent = threadView(item.parent, 0, parentHeight - 1);
+    }
+    return view;
+}
+
+function createApiClient() {
+    const apiClient = createFakeApiClient();
+    apiClient.getPostThread = async (atUri, options = {}) => {
+        apiClient.calls.push({ uri: atUri, ...options });
+        const id = atUri.split('/').pop();
+        return { thread: threadView(id, options.depth ?? 6, options.parentHeight ?? 80) };
+    };
+    return apiClient;
+}
+
+describe('PostInfoScraper thread reconstruction', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'post-info-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function createScraper(options) {
+        const scraper = new PostInfoScraper(options);
+        scraper.apiClient = createApiClient();
+        scraper.fileManager.baseDir = tempDir;
+        await scraper.initialize();
+        return scraper;
+    }
+
+    const describePost = item => `${item.depth} ${item.uri.split('/').pop()} ${item.status}`;
+
+    test('should rebuild the full tree with follow-up calls past the response depth', async () => {
+        const scraper = await createScraper({ includeThread: true, includeReplies: true, threadFetchDepth: 2 });
+        const post = await scraper.scrapeByAtUri(uri('root'));
+
+        expect(post.thread.posts.map(describePost)).toEqual([
+            '0 root post',
+            '1 a1 post',
+            '2 a2 post',
+            '3 a3 post',
+            '4 a4 post',
+            '1 b1 notFound',
+            '1 c1 blocked',
+            '1 d1 post'
+        ]);
+        expect(post.thread.posts[3]).toMatchObject({
+            rootUri: uri('root'),
+            parentUri: uri('a2'),
+            author: { handle: 'dave.test' }
+        });
+        expect(post.thread.posts[6].author).toEqual({ did: 'did:plc:troll' });
+
+        // a2 was cut off at depth 2 and fetched again, without parents
+        expect(post.thread.stats).toEqual({ replies: 7, followUpRequests: 1, truncated: false });
+        expect(scraper.apiClient.calls[1]).toEqual({ uri: uri('a2'), depth: 2, parentHeight: 0 });
+
+        const a1 = post.thread.tree.replies[0];
+        expect(a1.replies[0].replies[0].replies[0]).toMatchObject({ uri: uri('a4'), depth: 4, parentUri: uri('a3') });
+        expect(post.replies.map(item => item.uri)).toEqual(post.thread.posts.slice(1).map(item => item.uri));
+    });
+
+    test('should respect max thread depth and max replies', async () => {
+        const shallow = await createScraper({ maxThreadDepth: 2, threadFetchDepth: 2 });
+        const limited = await shallow.reconstructThread(uri('root'));
+        expect(limited.posts.map(item => item.uri.split('/').pop())).toEqual(['root', 'a1', 'a2', 'b1', 'c1', 'd1']);
+        expect(limited.stats.followUpRequests).toBe(0);
+
+        // Breadth-first, so every direct reply is kept before deeper ones
+        const capped = await createScraper({ maxReplies: 4 });
+        const truncated = await capped.reconstructThread(uri('root'));
+        expect(truncated.posts.map(describePost)).toEqual(['0 root post', '1 a1 post', '1 b1 notFound', '1 c1 blocked', '1 d1 post']);
+        expect(truncated.stats).toMatchObject({ replies: 4, truncated: true });
+    });
+
+    test('should place a reply inside its thread with its ancestors', async () => {
+        const scraper = await createScraper({ includeThread: true });
+        const post = await scraper.scrapeByAtUri(uri('a2'));
+
+        expect(post.thread.ancestors.map(item => `${item.depth} ${item.uri.split('/').pop()}`)).toEqual(['-2 root', '-1 a1']);
+        expect(post.thread.rootUri).toBe(uri('root'));
+        expect(post.thread.posts[0]).toMatchObject({ uri: uri('a2'), depth: 0, parentUri: uri('a1'), rootUri: uri('root') });
+        expect(post.thread.posts.map(item => item.uri.split('/').pop())).toEqual(['a2', 'a3', 'a4']);
+    });
+
+    test('should reject deleted and blocked posts', async () => {
+        const scraper = await createScraper({});
+
+        await expect(scraper.scrapeByAtUri(uri('b1'))).rejects.toThrow('Post not found');
+        await expect(scraper.scrapeByAtUri(uri('c1'))).rejects.toThrow('Post is blocked');
+    });
+});
+
+/**
+ * Quote cascade tests
+ * getQuotes is served two posts per page:
+ *
+ *   root (alice)
+ *   ├── q1 (bob) ── q4 (erin) ── q5 (frank)
+ *   ├── q2 (carol, with images)
+ *   └── q3 (dave)
+ */
+
+const QUOTES = {
+    root: { author: 'alice', quotes: ['q1', 'q2', 'q3'] },
+    q1: { author: 'bob', quoted: 'root', quotes: ['q4'] },
+    q2: { author: 'carol', quoted: 'root', media: true, quotes: [] },
+    q3: { author: 'dave', quoted: 'root', quotes: [] },
+    q4: { author: 'erin', quoted: 'q1', quotes: ['q5'] },
+    q5: { author: 'frank', quoted: 'q4', quotes: [] }
+};
+
+const quoteUri = id => `at://did:plc:${QUOTES[id].author}/app.bsky.feed.post/${id}`;
+
+function quoteEmbed(item) {
+    const record = { $type: 'app.bsky.embed.record', record: { uri: quoteUri(item.quoted), cid: `bafy${item.quoted}` } };
+    if (!item.media) {
+        return record;
+    }
+    return {
+        $type: 'app.bsky.embed.recordWithMedia',
+        record,
+        media: { $type: 'app.bsky.embed.images', images: [] }
+    };
+}
+
+function quotePostView(id) {
+    const item = QUOTES[id];
+    return {
+        uri: quoteUri(id),
+        cid: `bafy${id}`,
+        author: { did: `did:plc:${item.author}`, handle: `${item.author}.test` },
+        record: { text: `post ${id}`, createdAt: '2024-06-01T00:00:00.000Z', embed: item.quoted ? quoteEmbed(item) : undefined },
+        quoteCount: item.quotes.length
+    };
+}
+
+function createQuotesApiClient() {
+    const apiClient = createFakeApiClient((endpoint, params) => {
+        const ids = QUOTES[params.uri.split('/').pop()].quotes;
+        const offset = params.cursor ? parseInt(params.cursor) : 0;
+        const next = offset + Math.min(2, params.limit);
+        return {
+            uri: params.uri,
+            posts: ids.slice(offset, next).map(quotePostView),
+            cursor: next < ids.length ? String(next) : undefined
+        };
+    });
+    apiClient.getPostThread = async (atUri) => ({
+        thread: { $type: 'app.bsky.feed.defs#threadViewPost', post: quotePostView(atUri.split('/').pop()) }
+    });
+    return apiClient;
+}
+
+describe('PostInfoScraper quote cascades', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quote-cascade-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function createScraper(options) {
+        const scraper = new PostInfoScraper(options);
+        scraper.apiClient = createQuotesApiClient();
+        scraper.fileManager.baseDir = tempDir;
+        await scraper.initialize();
+        return scraper;
+    }
+
+    const describeQuote = item => `${item.depth} ${item.uri.split('/').pop()} ${item.embedType}`;
+
+    test('should page through every quote of a post', async () => {
+        const scraper = await createScraper({});
+        const quotes = await scraper.getPostQuotes(quoteUri('root'));
+
+        expect(quotes.map(post => post.uri)).toEqual(['q1', 'q2', 'q3'].map(quoteUri));
+        expect(scraper.apiClient.calls.map(call => call.cursor)).toEqual([undefined, '2']);
+        expect(scraper.apiClient.calls[0].endpoint).toBe('/xrpc/app.bsky.feed.getQuotes');
+        expect(scraper.stats.quoteRequests).toBe(2);
+    });
+
+    test('should classify record and recordWithMedia embeds', async () => {
+        const scraper = await createScraper({});
+
+        expect(scraper.classifyEmbed(quotePostView('q1').record.embed)).toEqual({
+            type: 'record', mediaType: null, isQuote: true, quotedUri: quoteUri('root')
+        });
+        expect(scraper.classifyEmbed(quotePostView('q2').record.embed)).toEqual({
+            type: 'recordWithMedia', mediaType: 'images', isQuote: true, quotedUri: quoteUri('root')
+        });
+        expect(scraper.classifyEmbed({
+            $type: 'app.bsky.embed.record#view',
+            record: { $type: 'app.bsky.embed.record#viewRecord', uri: 'at://did:plc:x/app.bsky.feed.generator/hot' }
+        })).toMatchObject({ type: 'record', isQuote: false });
+        expect(scraper.classifyEmbed(undefined).type).toBe('none');
+
+        expect(scraper.analyzePostContent(quotePostView('q2'))).toMatchObject({
+            hasMedia: true, embedType: 'recordWithMedia', mediaType: 'images', isQuote: true, quotedUri: quoteUri('root')
+        });
+    });
+
+    test('should build and save the cascade up to the max quote depth', async () => {
+        const scraper = await createScraper({ includeQuotes: true, maxQuoteDepth: 3 });
+        const post = await scraper.scrapeByAtUri(quoteUri('root'));
+
+        expect(post.quotes.map(describeQuote)).toEqual(['1 q1 record', '1 q2 recordWithMedia', '1 q3 record']);
+        expect(post.quoteCascade.tree.quotes[0].quotes[0].quotes[0]).toMatchObject({
+            uri: quoteUri('q5'), depth: 3, parentUri: quoteUri('q4'), rootUri: quoteUri('root'), author: { handle: 'frank.test' }
+        });
+        expect(post.quoteCascade.stats).toMatchObject({ quotes: 5, maxDepth: 3, maxBreadth: 3, truncated: false });
+        // Mean distance over the 15 pairs of six posts
+        expect(post.quoteCascade.stats.structuralVirality).toBeCloseTo(32 / 15);
+
+        // Posts without quotes are not queried
+        expect(scraper.apiClient.calls.map(call => call.uri.split('/').pop())).toEqual(['root', 'root', 'q1', 'q4']);
+
+        const files = await fs.readdir(path.join(tempDir, 'analysis'));
+        expect(files).toHaveLength(1);
+        expect(files[0]).toMatch(/^quote_cascade_root_.*\.json$/);
+        const saved = JSON.parse(await fs.readFile(path.join(tempDir, 'analysis', files[0]), 'utf8'));
+        expect(saved.metadata).toMatchObject({ type: 'quote_cascade', rootUri: quoteUri('root'), maxQuoteDepth: 3 });
+        expect(saved.tree.quotes.map(describeQuote)).toEqual(post.quotes.map(describeQuote));
+    });
+
+    test('should stop at the depth and size limits', async () => {
+        const direct = await createScraper({ maxQuoteDepth: 1 });
+        const shallow = await direct.buildQuoteCascade(quoteUri('root'));
+        expect(shallow.posts.map(describeQuote)).toEqual(['0 root none', '1 q1 record', '1 q2 recordWithMedia', '1 q3 record']);
+
+        const capped = await createScraper({ maxQuoteDepth: 5, maxCascadeSize: 4 });
+        const truncated = await capped.buildQuoteCascade(quoteUri('root'));
+        expect(truncated.posts.map(item => item.uri.split('/').pop())).toEqual(['root', 'q1', 'q4', 'q2', 'q3']);
+        expect(truncated.stats).toMatchObject({ quotes: 4, maxDepth: 2, truncated: true });
+    });
+});
+
+/**
+ * Engagement tests
+ * alice's post has five likes and three reposts, served two per page
+ */
+
+const ENGAGED_URI = 'at://did:plc:alice/app.bsky.feed.post/hot';
+const LIKERS = ['bob', 'carol', 'dave', 'erin', 'frank'];
+const REPOSTERS = ['carol', 'gina', 'hank'];
+
+function engagementProfile(name) {
+    return { did: `did:plc:${name}`, handle: `${name}.test`, displayName: name.toUpperCase() };
+}
+
+function createEngagementApiClient() {
+    const page = (items, params) => {
+        const offset = params.cursor ? parseInt(params.cursor) : 0;
+        const next = offset + Math.min(2, params.limit);
+        return { items: items.slice(offset, next), cursor: next < items.length ? String(next) : undefined };
+    };
+
+    const apiClient = createFakeApiClient((endpoint, params) => {
+        if (endpoint.endsWith('getLikes')) {
+            const { items, cursor } = page(LIKERS, params);
+            return {
+                likes: items.map(name => ({
+                    actor: engagementProfile(name),
+                    createdAt: `2024-06-0${2 + LIKERS.indexOf(name)}T00:00:00.000Z`,
+                    indexedAt: `2024-06-0${2 + LIKERS.indexOf(name)}T00:00:01.000Z`
+                })),
+                cursor
+            };
+        }
+        const { items, cursor } = page(REPOSTERS, params);
+        return { repostedBy: items.map(engagementProfile), cursor };
+    });
+    apiClient.getPostThread = async () => ({
+        thread: {
+            $type: 'app.bsky.feed.defs#threadViewPost',
+            post: {
+                uri: ENGAGED_URI,
+                cid: 'bafyhot',
+                author: { did: 'did:plc:alice', handle: 'alice.test' },
+                record: { text: 'hot take', createdAt: '2024-06-01T00:00:00.000Z' },
+                likeCount: LIKERS.length,
+                repostCount: REPOSTERS.length
+            }
+        }
+    });
+    return apiClient;
+}
+
+describe('PostInfoScraper engagement', () => {
+    let tempDir;
+    let deduplicator;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'engagement-test-'));
+        deduplicator = createMemoryDeduplicator();
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function createScraper(options) {
+        const scraper = new PostInfoScraper(options);
+        scraper.apiClient = createEngagementApiClient();
+        scraper.deduplicator = deduplicator;
+        scraper.fileManager.baseDir = tempDir;
+        await scraper.initialize();
+        return scraper;
+    }
+
+    test('should page through every liker and reposter', async () => {
+        const scraper = await createScraper({ includeEngagement: true, maxLikes: 0, maxReposts: 0 });
+        const post = await scraper.scrapeByAtUri(ENGAGED_URI);
+
+        expect(post.likes.map(like => like.actor.handle)).toEqual(LIKERS.map(name => `${name}.test`));
+        expect(post.likes[4].createdAt).toBe('2024-06-06T00:00:00.000Z');
+        expect(post.reposts.map(profile => profile.handle)).toEqual(REPOSTERS.map(name => `${name}.test`));
+        const requests = scraper.apiClient.calls.map(call => ({ endpoint: call.endpoint.split('.').pop(), cursor: call.cursor }));
+        expect(requests).toEqual([
+            { endpoint: 'getLikes', cursor: undefined },
+            { endpoint: 'getLikes', cursor: '2' },
+            { endpoint: 'getLikes', cursor: '4' },
+            { endpoint: 'getRepostedBy', cursor: undefined },
+            { endpoint: 'getRepostedBy', cursor: '2' }
+        ]);
+        expect(scraper.getStats()).toMatchObject({ likesCollected: 5, repostsCollected: 3 });
+    });
+
+    test('should cap likes and reposts at the configured limits', async () => {
+        const scraper = await createScraper({ includeLikes: true, includeReposts: true, maxLikes: 3, maxReposts: 1 });
+        const post = await scraper.scrapeByAtUri(ENGAGED_URI);
+
+        expect(post.likes.map(like => like.actor.did)).toEqual(['did:plc:bob', 'did:plc:carol', 'did:plc:dave']);
+        expect(post.reposts).toHaveLength(1);
+        expect(scraper.apiClient.calls.filter(call => call.endpoint.endsWith('getRepostedBy'))).toHaveLength(1);
+    });
+
+    test('should store like and repost edges once', async () => {
+        const first = await createScraper({ includeEngagement: true, maxLikes: 0, maxReposts: 0 });
+        await first.scrapeByAtUri(ENGAGED_URI);
+
+        const edges = await readSaved(tempDir, 'relationships');
+        expect(edges).toHaveLength(8);
+        expect(edges[0]).toEqual({
+            source: { did: 'did:plc:bob', handle: 'bob.test', displayName: 'BOB' },
+            target: { uri: ENGAGED_URI, cid: 'bafyhot', did: 'did:plc:alice', handle: 'alice.test' },
+            type: 'like',
+            createdAt: '2024-06-02T00:00:00.000Z',
+            indexedAt: '2024-06-02T00:00:01.000Z'
+        });
+        expect(edges.filter(edge => edge.type === 'repost').map(edge => edge.source.did))
+            .toEqual(['did:plc:carol', 'did:plc:gina', 'did:plc:hank']);
+
+        // A second run of the same post finds every edge in the deduplicator
+        const second = await createScraper({ includeEngagement: true, maxLikes: 0, maxReposts: 0 });
+        await second.scrapeByAtUri(ENGAGED_URI);
+
+        expect(await readSaved(tempDir, 'relationships')).toHaveLength(8);
+        expect(second.getStats()).toMatchObject({ engagementsSaved: 0, engagementDuplicates: 8 });
+    });
+});
@@ -0,0 +1,156 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import PostsScraper from '../src/scrapers/posts_scraper.js'
+import { createFakeApiClient, createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * Author feed filter tests
+ * alice's feed has a plain post, a reply, a quote, an image post, a video
+ * quote, a post without langs and a repost of bob. The fake getAuthorFeed
+ * applies the filter parameter the way the AppView does.
+ */
+
+const USERS = [{ did: 'did:plc:alice', handle: 'alice.test', followersCount: 10, postsCount: 7 }];
+
+const IMAGES = { $type: 'app.bsky.embed.images', images: [] };
+const VIDEO = { $type: 'app.bsky.embed.video', video: {} };
+const QUOTE = { $type: 'app.bsky.embed.record', record: { uri: 'at://did:plc:bob/app.bsky.feed.post/b9', cid: 'bafyb9' } };
+
+const FEED = [
+    { id: 'plain', langs: ['en'] },
+    { id: 'reply', langs: ['ja'], reply: { root: { uri: 'at://did:plc:bob/app.bsky.feed.post/b1' } } },
+    { id: 'quote', langs: ['en-US'], embed: QUOTE },
+    { id: 'photo', langs: ['en'], embed: IMAGES },
+    { id: 'clip', langs: ['de'], embed: { $type: 'app.bsky.embed.recordWithMedia', record: QUOTE, media: VIDEO } },
+    { id: 'nolang', langs: [] },
+    { id: 'b0', author: 'bob', langs: ['en'], repostedBy: 'alice' }
+];
+
+function feedItem(entry) {
+    const author = entry.author || 'alice';
+    const item = {
+        post: {
+            uri: `at://did:plc:${author}/app.bsky.feed.post/${entry.id}`,
+            cid: `bafy${entry.id}`,
+            author: { did: `did:plc:${author}`, handle: `${author}.test` },
+            record: {
+                text: `${entry.id} post`,
+                createdAt: new Date().toISOString(),
+                langs: entry.langs,
+                reply: entry.reply,
+                embed: entry.embed
+            },
+            indexedAt: new Date().toISOString()
+        }
+    };
+    if (entry.repostedBy) {
+        item.reason = {
+            $type: 'app.bsky.feed.defs#reasonRepost',
+            by: { did: `did:plc:${entry.repostedBy}`, handle: `${entry.repostedBy}.test` },
+            indexedAt: '2024-06-01T00:00:00.000Z'
+        };
+    }
+    return item;
+}
+
+function mediaOf(entry) {
+    return entry.embed?.$type === 'app.bsky.embed.recordWithMedia' ? entry.embed.media.$type : entry.embed?.$type;
+}
+
+function applyFilter(filter, entry) {
+    switch (filter) {
+        case 'posts_no_replies':
+            return !entry.reply;
+        case 'posts_with_media':
+            return !entry.repostedBy && [IMAGES.$type, VIDEO.$type].includes(mediaOf(entry));
+        case 'posts_with_video':
+            return !entry.repostedBy && mediaOf(entry) === VIDEO.$type;
+        default:
+            return true;
+    }
+}
+
+function respond(endpoint, params) {
+    return { feed: FEED.filter(entry => applyFilter(params.filter, entry)).map(feedItem) };
+}
+
+describe('Posts scraper feed filters', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'feed-filters-test-'));
+        await fs.mkdir(path.join(tempDir, 'users'), { recursive: true });
+        await fs.writeFile(path.join(tempDir, 'users', 'users_seed.json'), JSON.stringify({ data: USERS }));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function scrape(options) {
+        const scraper = new PostsScraper(options);
+        scraper.apiClient = createFakeApiClient(respond);
+        scraper.deduplicator = createMemoryDeduplicator();
+        scraper.fileManager.baseDir = tempDir;
+        scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+        await fs.mkdir(scraper.checkpointManager.checkpointDir, { recursive: true });
+        await scraper.initialize();
+        await scraper.start();
+        return scraper;
+    }
+
+    async function readMetadata() {
+        const posts = await readSaved(tempDir, 'posts');
+        return Object.fromEntries(posts.map(post => [post.uri.split('/').pop(), post._metadata]));
+    }
+
+    test('should tag every post with why it was included', async () => {
+        const scraper = await scrape({});
+        expect(scraper.apiClient.calls[0]).toMatchObject({ actor: 'did:plc:alice', filter: 'posts_no_replies' });
+
+        const saved = await readMetadata();
+        expect(Object.keys(saved).sort()).toEqual(['b0', 'clip', 'nolang', 'photo', 'plain', 'quote']);
+        expect(saved.plain).toMatchObject({ source: 'user_feed', feedFilter: 'posts_no_replies', inclusion: { reason: 'post', media: null, language: 'en' } });
+        expect(saved.quote.inclusion).toEqual({ reason: 'quote', media: null, language: 'en-US' });
+        expect(saved.photo.inclusion).toMatchObject({ reason: 'post', media: 'images' });
+        expect(saved.clip.inclusion).toMatchObject({ reason: 'quote', media: 'video' });
+        expect(saved.nolang.inclusion.language).toBeNull();
+        expect(saved.b0.inclusion).toEqual({
+            reason: 'repost',
+            media: null,
+            language: 'en',
+            repostedBy: 'did:plc:alice',
+            repostedAt: '2024-06-01T00:00:00.000Z'
+        });
+        expect(scraper.stats.included).toEqual({ post: 3, reply: 0, quote: 2, repost: 1 });
+    });
+
+    test('should harvest media-only feeds and filter on record.langs', async () => {
+        const media = await scrape({ includeMedia: true, includeReplies: true });
+        expect(media.apiClient.calls[0].filter).toBe('posts_with_media');
+        expect(Object.keys(await readMetadata()).sort()).toEqual(['clip', 'photo']);
+
+        await fs.rm(path.join(tempDir, 'posts'), { recursive: true });
+        const english = await scrape({ feedFilter: 'posts_and_author_threads', filterLanguages: ['EN'] });
+        const saved = await readMetadata();
+        expect(Object.keys(saved).sort()).toEqual(['b0', 'photo', 'plain', 'quote']);
+        expect(saved.quote.inclusion.language).toBe('en-US');
+        expect(english.stats.languageSkipped).toBe(3);
+    });
+
+    test('should keep reposts and quotes apart', async () => {
+        const scraper = await scrape({ feedFilter: 'posts_with_replies', includeReposts: false, includeQuotes: false });
+        const saved = await readMetadata();
+
+        expect(Object.keys(saved).sort()).toEqual(['nolang', 'photo', 'plain', 'reply']);
+        expect(saved.reply.inclusion.reason).toBe('reply');
+        expect(scraper.stats).toMatchObject({ repostsSkipped: 1, quotesSkipped: 2 });
+        expect(scraper.stats.included).toEqual({ post: 3, reply: 1, quote: 0, repost: 0 });
+    });
+
+    test('should reject unknown feed filters', () => {
+        expect(() => new PostsScraper({ feedFilter: 'posts_with_gifs' })).toThrow('Unknown author feed filter: posts_with_gifs');
+    });
+});
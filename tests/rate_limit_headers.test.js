@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals'
+
+import APIClient from '../src/core/api_client.js'
+import RateLimiter, { parseRateLimitHeaders } from '../src/core/rate_limiter.js'
+import SETTINGS from '../src/config/settings.js'
+import MockPds from './fixtures/mock_pds/index.js'
+
+/**
+ * Server rate limit header tests
+ * Header parsing is checked directly; pausing and reservoir adaptation run
+ * against the mock PDS with its rate limit window and 429/503 faults.
+ */
+
+const PROFILE = '/xrpc/app.bsky.actor.getProfile';
+const NOW = Date.parse('2024-06-01T00:00:00.000Z');
+
+describe('Rate limit headers', () => {
+    describe('parseRateLimitHeaders', () => {
+        test('should parse Bluesky RateLimit-* headers', () => {
+            const quota = parseRateLimitHeaders({
+                'RateLimit-Limit': '3000',
+                'RateLimit-Remaining': '2999',
+                'RateLimit-Reset': String(NOW / 1000 + 300),
+                'RateLimit-Policy': '3000;w=300'
+            }, NOW);
+
+            expect(quota).toEqual({
+                limit: 3000,
+                remaining: 2999,
+                resetAt: NOW + 300000,
+                windowMs: 300000,
+                retryAfterMs: null,
+                policy: '3000;w=300'
+            });
+        });
+
+        test('should accept delta resets and both Retry-After forms', () => {
+            expect(parseRateLimitHeaders({ 'ratelimit-reset': '30' }, NOW).resetAt).toBe(NOW + 30000);
+            expect(parseRateLimitHeaders({ 'retry-after': '120' }, NOW).retryAfterMs).toBe(120000);
+            expect(parseRateLimitHeaders({ 'retry-after': new Date(NOW + 5000).toUTCString() }, NOW).retryAfterMs).toBe(5000);
+            expect(parseRateLimitHeaders({ 'retry-after': 'soon' }, NOW)).toBeNull();
+            expect(parseRateLimitHeaders({ 'content-type': 'application/json' }, NOW)).toBeNull();
+            expect(parseRateLimitHeaders(undefined, NOW)).toBeNull();
+        });
+    });
+
+    describe('RateLimiter', () => {
+        let limiter;
+
+        afterEach(async () => {
+            jest.useRealTimers();
+            await limiter.cleanup();
+        });
+
+        // Bottleneck yields to timers before settling its promises
+        async function settle(promise) {
+            await jest.advanceTimersByTimeAsync(1);
+            return await promise;
+        }
+
+        test('should refill the reservoir on the server window, not every minute', async () => {
+            jest.useFakeTimers({ now: NOW });
+            limiter = new RateLimiter();
+            const endpointLimiter = limiter.getLimiterForEndpoint(PROFILE);
+
+            await settle(limiter.recordQuota(PROFILE, parseRateLimitHeaders({
+                'RateLimit-Limit': '3000',
+                'RateLimit-Remaining': '10',
+                'RateLimit-Reset': String(NOW / 1000 + 300),
+                'RateLimit-Policy': '3000;w=300'
+            }, NOW)));
+            expect(await settle(endpointLimiter.currentReservoir())).toBe(10);
+
+            // Past the one minute default refresh, the server quota still holds
+            await jest.advanceTimersByTimeAsync(61000);
+            expect(await settle(endpointLimiter.currentReservoir())).toBe(10);
+
+            await jest.advanceTimersByTimeAsync(240000);
+            expect(await settle(endpointLimiter.currentReservoir())).toBe(3000);
+
+            // and from then on once per 5 minute window
+            await settle(endpointLimiter.updateSettings({ reservoir: 7 }));
+            await jest.advanceTimersByTimeAsync(200000);
+            expect(await settle(endpointLimiter.currentReservoir())).toBe(7);
+            await jest.advanceTimersByTimeAsync(100000);
+            expect(await settle(endpointLimiter.currentReservoir())).toBe(3000);
+        });
+    });
+
+    describe('APIClient', () => {
+        let pds;
+        let dataset;
+        let clients;
+        const settings = {
+            randomizeDelays: SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS,
+            retryDelay: SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS,
+            maxRetries: SETTINGS.ERROR_HANDLING.MAX_RETRIES
+        };
+
+        beforeAll(async () => {
+            SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = false;
+            SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS = 10;
+            pds = new MockPds();
+            dataset = pds.dataset;
+            await pds.start();
+        });
+
+        afterAll(async () => {
+            await pds.stop();
+            SETTINGS.RATE_LIMITING.RANDOMIZE_DELAYS = settings.randomizeDelays;
+            SETTINGS.ERROR_HANDLING.RETRY_DELAY_MS = settings.retryDelay;
+        });
+
+        beforeEach(() => {
+            clients = [];
+            pds.clearFaults();
+            pds.reset();
+        });
+
+        afterEach(async () => {
+            SETTINGS.ERROR_HANDLING.MAX_RETRIES = settings.maxRetries;
+            for (const client of clients) {
+                await client.cleanup();
+            }
+        });
+
+        function createClient(server = pds) {
+            const client = new APIClient({ baseURL: server.url, serviceUrl: server.url, accounts: [] });
+            client.rateLimiter.calculateMinTime = () => 0; // Only the server's limits pace these tests
+            clients.push(client);
+            return client;
+        }
+
+        test('should pause when the advertised quota runs out and adopt the server limit', async () => {
+            const limited = new MockPds({ rateLimit: { limit: 3, windowMs: 1000 } });
+            await limited.start();
+
+            try {
+                const client = createClient(limited);
+                const actor = limited.dataset.actors[1];
+                for (let i = 0; i < 3; i++) {
+                    await client.getProfile(actor.did);
+                }
+
+                const quota = (await client.getStats()).quotas[PROFILE];
+                expect(quota).toMatchObject({ limit: 3, remaining: 0, windowMs: 1000, via: 'direct' });
+                const { pausedUntil } = client.rateLimiter.stats.endpointStats.get(PROFILE);
+                expect(Math.abs(pausedUntil - quota.resetAt)).toBeLessThan(50);
+
+                await client.getProfile(actor.did);
+                expect(Date.now()).toBeGreaterThanOrEqual(pausedUntil);
+                expect(limited.requestsFor(PROFILE).map(request => request.status)).toEqual([200, 200, 200, 200]);
+                expect(await client.rateLimiter.limiters.get(PROFILE).currentReservoir()).toBe(2);
+            } finally {
+                await limited.stop();
+            }
+        });
+
+        test('should wait out Retry-After before retrying a 429', async () => {
+            const client = createClient();
+            pds.addFault({ endpoint: PROFILE, status: 429, retryAfter: 1 });
+
+            const startedAt = Date.now();
+            await expect(client.getProfile(dataset.actors[1].did)).resolves.toBeDefined();
+
+            expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+            expect(client.rateLimiter.stats.endpointStats.get(PROFILE).rateLimited).toBe(1);
+            expect((await client.getStats()).quotas[PROFILE]).toMatchObject({ retryAfterMs: 1000 });
+        });
+
+        test('should wait out Retry-After on 503 responses', async () => {
+            const client = createClient();
+            pds.addFault({ endpoint: PROFILE, status: 503, retryAfter: 1 });
+
+            const startedAt = Date.now();
+            await expect(client.getProfile(dataset.actors[1].did)).resolves.toBeDefined();
+
+            expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1000);
+            expect(pds.requestsFor(PROFILE).map(request => request.status)).toEqual([503, 200]);
+        });
+
+        test('should report the server delay on rate limit errors', async () => {
+            SETTINGS.ERROR_HANDLING.MAX_RETRIES = 0;
+            const client = createClient();
+            pds.addFault({ endpoint: PROFILE, status: 429, retryAfter: 7 });
+
+            await expect(client.getProfile(dataset.actors[1].did)).rejects.toMatchObject({ type: 'RATE_LIMIT', status: 429, retryAfter: 7 });
+            expect(client.rateLimiter.stats.endpointStats.get(PROFILE).pausedUntil).toBeGreaterThan(Date.now() + 6000);
+        });
+    });
+});
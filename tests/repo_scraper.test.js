@@ -0,0 +1,174 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import RepoScraper from '../src/scrapers/repo_scraper.js'
+import { readRepo } from '../src/utils/car_parser.js'
+import { createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+import { createBlock, buildCar } from './fixtures/car.js'
+
+/**
+ * Repo scraper tests
+ * Builds a small repository CAR (commit + multi-level MST) in memory
+ */
+
+const ALICE = 'did:plc:alice000000000000000000';
+const BOB = 'did:plc:bob00000000000000000000';
+
+const encoder = new TextEncoder();
+
+function entry(previousKey, key, value, subtree = null) {
+    let prefix = 0;
+    while (prefix < previousKey.length && previousKey[prefix] === key[prefix]) {
+        prefix++;
+    }
+
+    return { p: prefix, k: encoder.encode(key.slice(prefix)), v: value, t: subtree };
+}
+
+async function buildRepo(did) {
+    const profile = await createBlock({ $type: 'app.bsky.actor.profile', displayName: 'Alice' });
+    const post = await createBlock({ $type: 'app.bsky.feed.post', text: 'from the repo', createdAt: '2024-01-01T00:00:00.000Z' });
+    const block = await createBlock({ $type: 'app.bsky.graph.block', subject: BOB, createdAt: '2024-01-02T00:00:00.000Z' });
+    const follow = await createBlock({ $type: 'app.bsky.graph.follow', subject: BOB, createdAt: '2024-01-03T00:00:00.000Z' });
+    const list = await createBlock({ $type: 'app.bsky.graph.list', name: 'Friends', purpose: 'app.bsky.graph.defs#curatelist', createdAt: '2024-01-04T00:00:00.000Z' });
+
+    const leftNode = await createBlock({
+        l: null,
+        e: [entry('', 'app.bsky.actor.profile/self', profile.cid)]
+    });
+    const rightNode = await createBlock({
+        l: null,
+        e: [
+            entry('', 'app.bsky.graph.follow/3kfollow', follow.cid),
+            entry('app.bsky.graph.follow/3kfollow', 'app.bsky.graph.list/3klist', list.cid)
+        ]
+    });
+    const rootNode = await createBlock({
+        l: leftNode.cid,
+        e: [
+            entry('', 'app.bsky.feed.post/3kpost', post.cid),
+            entry('app.bsky.feed.post/3kpost', 'app.bsky.graph.block/3kblock', block.cid, rightNode.cid)
+        ]
+    });
+    const commit = await createBlock({ did, version: 3, data: rootNode.cid, rev: '3krev', prev: null });
+
+    return buildCar(commit.cid, [commit, rootNode, leftNode, rightNode, profile, post, block, follow, list]);
+}
+
+describe('Repo Scraper', () => {
+    let carBytes;
+    let tempDir;
+
+    beforeAll(async () => {
+        carBytes = await buildRepo(ALICE);
+    });
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'repo-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    function createScraper(apiClient, options = {}) {
+        const scraper = new RepoScraper(options);
+        scraper.apiClient = {
+            initialize: async () => {},
+            cleanup: async () => {},
+            ...apiClient
+        };
+        scraper.identityResolver = {
+            initialize: async () => {},
+            cleanup: async () => {},
+            resolveIdentity: async (did) => ({
+                did,
+                handle: 'alice.test',
+                handleVerified: did === ALICE,
+                pdsEndpoint: 'https://pds.example'
+            })
+        };
+        scraper.deduplicator = createMemoryDeduplicator();
+        scraper.fileManager.baseDir = tempDir;
+        scraper.checkpointManager.checkpointDir = path.join(tempDir, 'checkpoints');
+        return scraper;
+    }
+
+    test('should walk the MST in key order', async () => {
+        const repo = await readRepo(carBytes);
+
+        expect(repo.did).toBe(ALICE);
+        expect(repo.rev).toBe('3krev');
+        expect(repo.records.map(record => `${record.collection}/${record.rkey}`)).toEqual([
+            'app.bsky.actor.profile/self',
+            'app.bsky.feed.post/3kpost',
+            'app.bsky.graph.block/3kblock',
+            'app.bsky.graph.follow/3kfollow',
+            'app.bsky.graph.list/3klist'
+        ]);
+        expect(repo.records[1].record.text).toBe('from the repo');
+    });
+
+    test('should extract every record type and store the raw CAR', async () => {
+        const downloads = [];
+        const scraper = createScraper({
+            getRepo: async (did, options) => {
+                downloads.push(options.baseURL);
+                return carBytes;
+            }
+        }, { dids: [ALICE], storeRawCar: true });
+
+        await scraper.initialize();
+        await scraper.start();
+
+        const posts = await readSaved(tempDir, 'posts');
+        expect(posts).toHaveLength(1);
+        expect(posts[0].uri).toBe(`at://${ALICE}/app.bsky.feed.post/3kpost`);
+        expect(posts[0].author.handle).toBe('alice.test');
+        expect(downloads).toEqual(['https://pds.example']);
+
+        const relationships = await readSaved(tempDir, 'relationships');
+        expect(relationships.map(rel => rel.type).sort()).toEqual(['block', 'following']);
+
+        const lists = await readSaved(tempDir, 'lists');
+        expect(lists[0].name).toBe('Friends');
+
+        const profiles = await readSaved(tempDir, 'users');
+        expect(profiles[0].displayName).toBe('Alice');
+
+        const cars = await fs.readdir(path.join(tempDir, 'repos'));
+        expect(cars).toEqual(['did_plc_alice000000000000000000_3krev.car']);
+
+        expect(scraper.getStats().reposProcessed).toBe(1);
+    });
+
+    test('should enumerate repos with listRepos and skip inactive ones', async () => {
+        const pages = {
+            start: { repos: [{ did: ALICE, active: true }, { did: 'did:plc:gone', active: false }], cursor: 'page2' },
+            page2: { repos: [{ did: BOB, active: true }] }
+        };
+        const requested = [];
+
+        const scraper = createScraper({
+            listRepos: async ({ cursor }) => pages[cursor || 'start'],
+            getRepo: async (did) => {
+                requested.push(did);
+                if (did === BOB) {
+                    throw new Error('Repo not found');
+                }
+                return carBytes;
+            }
+        }, { listRepos: true });
+
+        await scraper.initialize();
+        await scraper.start();
+
+        expect(requested).toEqual([ALICE, BOB]);
+
+        const stats = scraper.getStats();
+        expect(stats.reposProcessed).toBe(1);
+        expect(stats.reposFailed).toBe(1);
+        expect(stats.position.listCursor).toBe('page2');
+    });
+});
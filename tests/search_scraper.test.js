@@ -0,0 +1,182 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import SearchScraper from '../src/scrapers/search_scraper.js'
+import { createFakeApiClient, createMemoryDeduplicator, readSaved } from './fixtures/helpers.js'
+
+/**
+ * Search harvest tests
+ * The fake searchPosts serves at most 10 results per query (like the
+ * AppView's cap), newest first, 4 per page. June 1st has 15 #atproto posts,
+ * one per hour from 00:30, and June 2nd has 5, every three hours.
+ */
+
+const BASE = Date.parse('2024-06-01T00:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+const API_CAP = 10;
+
+const CORPUS = [
+    ...Array.from({ length: 15 }, (_, i) => ({ id: `a${i}`, time: BASE + i * HOUR + HOUR / 2 })),
+    ...Array.from({ length: 5 }, (_, i) => ({ id: `b${i}`, time: BASE + 24 * HOUR + i * 3 * HOUR }))
+].map((item, i) => ({
+    ...item,
+    author: i % 2 === 0 ? 'alice' : 'bob',
+    lang: i % 3 === 0 ? 'ja' : 'en',
+    text: `#atproto post ${item.id}`
+}));
+
+function postView(item) {
+    return {
+        uri: `at://did:plc:${item.author}/app.bsky.feed.post/${item.id}`,
+        cid: `bafy${item.id}`,
+        author: { did: `did:plc:${item.author}`, handle: `${item.author}.test` },
+        record: { text: item.text, createdAt: new Date(item.time).toISOString(), langs: [item.lang] },
+        indexedAt: new Date(item.time).toISOString()
+    };
+}
+
+function search(params) {
+    const matches = CORPUS
+        .filter(item => item.text.includes(params.q))
+        .filter(item => item.time >= Date.parse(params.since) && item.time < Date.parse(params.until))
+        .filter(item => !params.lang || item.lang === params.lang)
+        .filter(item => !params.author || `${item.author}.test` === params.author)
+        .sort((a, b) => b.time - a.time)
+        .slice(0, API_CAP);
+
+    const offset = parseInt(params.cursor || '0');
+    const end = Math.min(offset + params.limit, matches.length);
+    return {
+        posts: matches.slice(offset, end).map(postView),
+        cursor: end < matches.length ? String(end) : undefined
+    };
+}
+
+function createApiClient(options) {
+    return createFakeApiClient((endpoint, params) => search(params), options);
+}
+
+describe('Search scraper', () => {
+    let tempDirs;
+
+    beforeEach(() => {
+        tempDirs = [];
+    });
+
+    afterEach(async () => {
+        for (const dir of tempDirs) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    async function createWorkspace() {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-test-'));
+        tempDirs.push(dir);
+        return { dir, deduplicator: createMemoryDeduplicator() };
+    }
+
+    async function createScraper(workspace, apiClient, options) {
+        const scraper = new SearchScraper({
+            queries: ['#atproto'],
+            since: '2024-06-01T00:00:00.000Z',
+            until: '2024-06-03T00:00:00.000Z',
+            batchSize: 4,
+            resultCap: API_CAP,
+            ...options
+        });
+        scraper.apiClient = apiClient;
+        scraper.deduplicator = workspace.deduplicator; // Survives a "crash", like Redis
+        scraper.fileManager.baseDir = workspace.dir;
+        scraper.checkpointManager.checkpointDir = path.join(workspace.dir, 'checkpoints');
+        await fs.mkdir(scraper.checkpointManager.checkpointDir, { recursive: true });
+        await scraper.initialize();
+        return scraper;
+    }
+
+    const windowsOf = calls => [...new Set(calls.map(call => `${call.since.slice(5, 16)} - ${call.until.slice(5, 16)}`))];
+
+    test('should split capped windows until every post is collected', async () => {
+        const workspace = await createWorkspace();
+        const apiClient = createApiClient();
+        const scraper = await createScraper(workspace, apiClient);
+        await scraper.start();
+
+        const ids = (await readSaved(workspace.dir, 'posts')).map(post => post.uri.split('/').pop());
+        expect(ids.sort()).toEqual(CORPUS.map(item => item.id).sort());
+
+        // June 1st is capped, then its first half; the quarters fit
+        expect(windowsOf(apiClient.calls)).toEqual([
+            '06-01T00:00 - 06-02T00:00',
+            '06-01T00:00 - 06-01T12:00',
+            '06-01T00:00 - 06-01T06:00',
+            '06-01T06:00 - 06-01T12:00',
+            '06-01T12:00 - 06-02T00:00',
+            '06-02T00:00 - 06-03T00:00'
+        ]);
+        expect(apiClient.calls[0]).toMatchObject({ q: '#atproto', sort: 'latest', limit: 4 });
+        expect(scraper.getStats()).toMatchObject({
+            windowsPlanned: 2,
+            windowsSplit: 2,
+            windowsCompleted: 4,
+            windowsTruncated: 0,
+            postsSaved: 20,
+            pendingWindows: 0
+        });
+        expect(scraper.stats.duplicatesSkipped).toBeGreaterThan(0);
+    });
+
+    test('should keep capped windows at the minimum width and pass filters through', async () => {
+        const workspace = await createWorkspace();
+        const apiClient = createApiClient();
+        const scraper = await createScraper(workspace, apiClient, {
+            minWindowMinutes: 12 * 60,
+            lang: 'en',
+            author: 'bob.test',
+            domain: 'example.com',
+            url: 'https://example.com/a',
+            mentions: 'alice.test'
+        });
+
+        // The fake applies lang and author only
+        await scraper.start();
+        expect(apiClient.calls[0]).toMatchObject({
+            lang: 'en', author: 'bob.test', domain: 'example.com', url: 'https://example.com/a', mentions: 'alice.test'
+        });
+        expect((await readSaved(workspace.dir, 'posts')).every(post => post.author.handle === 'bob.test')).toBe(true);
+        expect(scraper.stats.windowsSplit).toBe(0);
+
+        const capped = await createScraper(await createWorkspace(), createApiClient(), { minWindowMinutes: 12 * 60 });
+        await capped.start();
+        expect(capped.getStats()).toMatchObject({ windowsSplit: 1, windowsTruncated: 1, postsSaved: 18 });
+    });
+
+    test('should resume mid-window without gaps or duplicates', async () => {
+        const workspace = await createWorkspace();
+        const options = { saveInterval: 3 };
+
+        // Request 3 is the last page of June 1st, after two saved pages
+        const killedClient = createApiClient({ killAtRequest: 3 });
+        const killedRun = await createScraper(workspace, killedClient, options);
+        killedRun.start();
+        await killedClient.killed;
+
+        const resumedClient = createApiClient();
+        const resumedRun = await createScraper(workspace, resumedClient, options);
+        await resumedRun.start({ resume: true });
+
+        expect(resumedClient.calls[0]).toMatchObject({ since: '2024-06-01T00:00:00.000Z', until: '2024-06-02T00:00:00.000Z', cursor: '8', limit: 2 });
+        const uris = (await readSaved(workspace.dir, 'posts')).map(post => post.uri);
+        expect(uris).toHaveLength(CORPUS.length);
+        expect(new Set(uris).size).toBe(CORPUS.length);
+        expect(resumedRun.getStats()).toMatchObject({ windowsSplit: 2, windowsCompleted: 4, pendingWindows: 0 });
+    });
+
+    test('should reject an empty query list or date range', async () => {
+        const scraper = await createScraper(await createWorkspace(), createApiClient(), { queries: [] });
+        await expect(scraper.start()).rejects.toThrow('No search queries given');
+
+        const reversed = await createScraper(await createWorkspace(), createApiClient(), { since: '2024-06-03T00:00:00.000Z' });
+        await expect(reversed.start()).rejects.toThrow('Invalid search date range');
+    });
+});
@@ -0,0 +1,196 @@
+import http from 'http'
+
+import SessionManager, { parseAccountString, getJwtExpiry } from '../src/core/session_manager.js'
+import APIClient from '../src/core/api_client.js'
+
+/**
+ * Session manager tests
+ * A local HTTP server plays the PDS (createSession / refreshSession / getTimeline)
+ */
+
+function makeJwt(payload) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none' })}.${encode(payload)}.signature`;
+}
+
+describe('Session Manager', () => {
+    let server;
+    let serviceUrl;
+    let calls;
+    let accessTtlSeconds;
+    let refreshFails;
+
+    function sessionBody(identifier) {
+        const did = `did:plc:${identifier.split('.')[0]}`;
+        return {
+            did,
+            handle: identifier,
+            accessJwt: makeJwt({ sub: did, exp: Math.floor(Date.now() / 1000) + accessTtlSeconds, n: Math.random() }),
+            refreshJwt: makeJwt({ sub: did, scope: 'refresh', exp: Math.floor(Date.now() / 1000) + 86400 }),
+            didDoc: {
+                id: did,
+                service: [{ id: '#atproto_pds', type: 'AtprotoPersonalDataServer', serviceEndpoint: serviceUrl }]
+            }
+        };
+    }
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const url = new URL(req.url, serviceUrl);
+                calls.push({ path: url.pathname, authorization: req.headers.authorization || null });
+
+                const send = (status, data) => {
+                    res.writeHead(status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(data));
+                };
+
+                if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+                    const { identifier, password } = JSON.parse(body);
+                    if (password === 'wrong-pass') {
+                        return send(401, { error: 'AuthenticationRequired', message: 'Invalid identifier or password' });
+                    }
+                    return send(200, sessionBody(identifier));
+                }
+
+                if (url.pathname === '/xrpc/com.atproto.server.refreshSession') {
+                    if (refreshFails) {
+                        return send(400, { error: 'ExpiredToken' });
+                    }
+                    const token = req.headers.authorization.split(' ')[1];
+                    const { sub } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+                    return send(200, sessionBody(`${sub.split(':')[2]}.test`));
+                }
+
+                if (url.pathname === '/xrpc/app.bsky.feed.getTimeline') {
+                    if (!req.headers.authorization) {
+                        return send(401, { error: 'AuthRequired' });
+                    }
+                    return send(200, { feed: [], cursor: 'next' });
+                }
+
+                send(404, { error: 'NotFound' });
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        serviceUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        calls = [];
+        accessTtlSeconds = 7200;
+        refreshFails = false;
+    });
+
+    test('should parse account strings, including DID identifiers', () => {
+        expect(parseAccountString('alice.test:abcd-efgh-ijkl-mnop'))
+            .toEqual({ identifier: 'alice.test', password: 'abcd-efgh-ijkl-mnop' });
+        expect(parseAccountString('did:plc:alice:abcd-efgh-ijkl-mnop').identifier).toBe('did:plc:alice');
+        expect(parseAccountString('no-password')).toBeNull();
+        expect(getJwtExpiry(makeJwt({ exp: 100 }))).toBe(100000);
+    });
+
+    test('should log in accounts and rotate between them', async () => {
+        const manager = new SessionManager({
+            serviceUrl,
+            accounts: ['alice.test:abcd-efgh-ijkl-mnop', 'bob.test:abcd-efgh-ijkl-mnop', 'eve.test:wrong-pass']
+        });
+        await manager.initialize();
+
+        const first = await manager.getSession();
+        const second = await manager.getSession();
+        const third = await manager.getSession();
+
+        expect([first.did, second.did, third.did])
+            .toEqual(['did:plc:alice', 'did:plc:bob', 'did:plc:alice']);
+        expect(first.serviceEndpoint).toBe(serviceUrl);
+
+        const stats = manager.getStats();
+        expect(stats.activeAccounts).toBe(2);
+        expect(stats.disabledAccounts).toBe(1);
+        expect(JSON.stringify(stats)).not.toContain('abcd-efgh');
+    });
+
+    test('should skip rate-limited accounts', async () => {
+        const manager = new SessionManager({
+            serviceUrl,
+            accounts: ['alice.test:abcd-efgh-ijkl-mnop', 'bob.test:abcd-efgh-ijkl-mnop']
+        });
+        await manager.initialize();
+
+        const first = await manager.getSession();
+        manager.markRateLimited(first.accountId, 60000);
+
+        expect((await manager.getSession()).did).toBe('did:plc:bob');
+        expect((await manager.getSession()).did).toBe('did:plc:bob');
+
+        manager.markRateLimited((await manager.getSession()).accountId, 60000);
+        expect(await manager.getSession()).toBeNull();
+    });
+
+    test('should refresh access tokens before they expire', async () => {
+        accessTtlSeconds = 60; // inside the refresh margin
+        const manager = new SessionManager({ serviceUrl, accounts: ['alice.test:abcd-efgh-ijkl-mnop'] });
+        await manager.initialize();
+
+        const session = await manager.getSession();
+
+        expect(calls.map(call => call.path)).toEqual([
+            '/xrpc/com.atproto.server.createSession',
+            '/xrpc/com.atproto.server.refreshSession'
+        ]);
+        expect(calls[1].authorization).toMatch(/^Bearer /);
+        expect(session.did).toBe('did:plc:alice');
+        expect(manager.getStats().accounts[0].refreshes).toBe(1);
+    });
+
+    test('should log in again when the refresh token is rejected', async () => {
+        accessTtlSeconds = 60;
+        refreshFails = true;
+        const manager = new SessionManager({ serviceUrl, accounts: ['alice.test:abcd-efgh-ijkl-mnop'] });
+        await manager.initialize();
+
+        await manager.getSession();
+
+        expect(calls.map(call => call.path)).toEqual([
+            '/xrpc/com.atproto.server.createSession',
+            '/xrpc/com.atproto.server.refreshSession',
+            '/xrpc/com.atproto.server.createSession'
+        ]);
+    });
+
+    test('should authenticate getTimeline through APIClient', async () => {
+        const sessionManager = new SessionManager({ serviceUrl, accounts: ['alice.test:abcd-efgh-ijkl-mnop'] });
+        const client = new APIClient({ baseURL: 'http://127.0.0.1:1', sessionManager });
+        await client.initialize();
+
+        const timeline = await client.getTimeline({ limit: 10 });
+        expect(timeline.cursor).toBe('next');
+
+        const timelineCall = calls.find(call => call.path === '/xrpc/app.bsky.feed.getTimeline');
+        expect(timelineCall.authorization).toMatch(/^Bearer /);
+
+        const stats = await client.getStats();
+        expect(stats.sessions.authenticatedRequests).toBe(1);
+        expect(client.rateLimiter.stats.accountStats.get('account-0').requests).toBe(1);
+
+        await client.cleanup();
+    });
+
+    test('should fail fast when a session is required but none is configured', async () => {
+        const client = new APIClient({ sessionManager: new SessionManager({ serviceUrl, accounts: [] }) });
+        await client.initialize();
+
+        expect(client.hasSession()).toBe(false);
+        await expect(client.getTimeline()).rejects.toMatchObject({ type: 'AUTH_ERROR' });
+
+        await client.cleanup();
+    });
+});
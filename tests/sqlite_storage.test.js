@@ -0,0 +1,193 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+
+import SQLiteStorage from '../src/storage/sqlite_storage.js'
+import { createStorage } from '../src/storage/index.js'
+import FileManager from '../src/utils/file_manager.js'
+import RelationshipsScraper from '../src/scrapers/relationships_scraper.js'
+import PostsScraper from '../src/scrapers/posts_scraper.js'
+
+/**
+ * SQLite storage backend tests
+ * Records use the shapes the scrapers save (profile views, post views and
+ * relationship records), written to an in-memory database unless a test
+ * needs a FileManager on disk
+ */
+
+function actor(name, followersCount) {
+    return {
+        did: `did:plc:${name}`,
+        handle: `${name}.test`,
+        displayName: name,
+        followersCount,
+        followsCount: 10,
+        postsCount: 5
+    };
+}
+
+function post(name, index, createdAt) {
+    return {
+        uri: `at://did:plc:${name}/app.bsky.feed.post/p${index}`,
+        cid: `bafy${name}${index}`,
+        author: { did: `did:plc:${name}`, handle: `${name}.test` },
+        record: { text: `post ${index}`, createdAt, langs: ['en'] },
+        likeCount: index,
+        indexedAt: createdAt
+    };
+}
+
+describe('SQLite Storage', () => {
+    let storage;
+
+    beforeEach(async () => {
+        storage = new SQLiteStorage({ path: ':memory:' });
+        await storage.initialize();
+    });
+
+    afterEach(async () => {
+        await storage.close();
+    });
+
+    test('should upsert actors keyed on DID without erasing known fields', async () => {
+        await storage.upsertActors([actor('alice', 120), actor('bob', 5)]);
+        await storage.upsertActors([{ ...actor('alice', 150), displayName: undefined }]);
+
+        // A relationship stub only carries the DID and handle
+        await storage.upsertRelationships([{
+            source: { did: 'did:plc:carol', handle: 'handle.invalid' },
+            target: { did: 'did:plc:alice', handle: 'alice.test' },
+            type: 'following'
+        }]);
+
+        const alice = await storage.getActor('did:plc:alice');
+        expect(alice).toMatchObject({ handle: 'alice.test', displayName: 'alice', followersCount: 150, postsCount: 5 });
+        expect((await storage.getActor('did:plc:carol')).handle).toBeNull();
+        expect((await storage.getStats()).actors).toBe(3);
+    });
+
+    test('should store posts and query them by author and date', async () => {
+        await storage.upsertPosts([
+            post('alice', 1, '2024-01-01T00:00:00.000Z'),
+            post('alice', 2, '2024-03-01T00:00:00.000Z'),
+            post('bob', 1, '2024-02-01T00:00:00.000Z')
+        ]);
+        await storage.upsertPosts([{ ...post('alice', 2, '2024-03-01T00:00:00.000Z'), likeCount: 40 }]);
+
+        const posts = await storage.getPostsByAuthor('did:plc:alice');
+        expect(posts.map(item => item.uri)).toEqual([
+            'at://did:plc:alice/app.bsky.feed.post/p2',
+            'at://did:plc:alice/app.bsky.feed.post/p1'
+        ]);
+        expect(posts[0].likeCount).toBe(40);
+
+        const recent = await storage.getPostsByAuthor('did:plc:alice', { since: '2024-02-01T00:00:00.000Z' });
+        expect(recent).toHaveLength(1);
+
+        const stats = await storage.getStats();
+        expect(stats.posts).toBe(3);
+        expect(stats.actors).toBe(2); // Authors are recorded from the posts
+    });
+
+    test('should route relationship records to the edge tables', async () => {
+        const written = await storage.upsertRelationships([
+            // bob follows alice, seen from both sides of the crawl
+            { source: { did: 'did:plc:alice' }, target: { did: 'did:plc:bob' }, type: 'follower' },
+            { source: { did: 'did:plc:bob' }, target: { did: 'did:plc:alice' }, type: 'following' },
+            { source: { did: 'did:plc:alice' }, target: { did: 'did:plc:carol' }, type: 'following' },
+            {
+                source: { did: 'did:plc:bob' },
+                target: { uri: 'at://did:plc:alice/app.bsky.feed.post/p1', did: 'did:plc:alice' },
+                type: 'like',
+                createdAt: '2024-01-02T00:00:00.000Z'
+            },
+            { source: { did: 'did:plc:bob' }, target: { uri: 'at://did:plc:alice/app.bsky.feed.post/p1' }, type: 'repost' },
+            { source: { did: 'did:plc:bob' }, target: { did: 'did:plc:dave' }, type: 'block' }
+        ]);
+
+        expect(written).toEqual({ follows: 3, likes: 1, reposts: 1 });
+        expect(await storage.getStats()).toMatchObject({ follows: 2, likes: 1, reposts: 1 });
+
+        const followers = storage.db.prepare('SELECT actor_did FROM follows WHERE subject_did = ?').all('did:plc:alice');
+        expect(followers).toEqual([{ actor_did: 'did:plc:bob' }]);
+    });
+
+    test('should list uncrawled actors by follower count', async () => {
+        await storage.upsertActors([actor('alice', 120), actor('bob', 5), actor('carol', 300), actor('dave', 40)]);
+        await storage.markActorCrawled('did:plc:carol', 'relationships');
+
+        const uncrawled = await storage.getUncrawledActors({ crawl: 'relationships', minFollowers: 10 });
+        expect(uncrawled.map(user => user.did)).toEqual(['did:plc:alice', 'did:plc:dave']);
+
+        // Crawl types are tracked separately
+        const forPosts = await storage.getUncrawledActors({ crawl: 'posts', limit: 2 });
+        expect(forPosts.map(user => user.did)).toEqual(['did:plc:carol', 'did:plc:alice']);
+
+        await expect(storage.getUncrawledActors({ crawl: 'likes' })).rejects.toThrow('Unknown crawl type');
+    });
+
+    test('should only create a backend when one is configured', () => {
+        expect(createStorage('json')).toBeNull();
+        expect(createStorage('sqlite', { path: ':memory:' })).toBeInstanceOf(SQLiteStorage);
+        expect(() => createStorage('postgres')).toThrow('Unknown storage backend');
+    });
+});
+
+describe('FileManager with SQLite storage', () => {
+    let tempDir;
+    let fileManager;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sqlite-storage-test-'));
+        fileManager = new FileManager();
+        fileManager.baseDir = tempDir;
+        fileManager.storage = createStorage('sqlite', { path: path.join(tempDir, 'bluesky.db') });
+        await fileManager.initialize();
+    });
+
+    afterEach(async () => {
+        await fileManager.close();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should write saved batches to both JSON files and the database', async () => {
+        await fileManager.saveUsers([actor('alice', 120), actor('bob', 5)]);
+        await fileManager.savePosts([post('alice', 1, '2024-01-01T00:00:00.000Z')]);
+
+        expect(await fileManager.listFiles('users')).toHaveLength(1);
+
+        const stats = await fileManager.getStats();
+        expect(stats.storage).toMatchObject({ backend: 'sqlite', actors: 2, posts: 1 });
+    });
+
+    test('should seed the relationships scraper from uncrawled actors', async () => {
+        await fileManager.saveUsers([actor('alice', 120), actor('bob', 5), actor('carol', 300)]);
+        await fileManager.storage.markActorCrawled('did:plc:carol', 'relationships');
+
+        const scraper = new RelationshipsScraper({ minFollowerCount: 10 });
+        scraper.fileManager = fileManager;
+        scraper.fileManager.listFiles = async () => { throw new Error('user files should not be scanned'); };
+        scraper.depthQueues.set(0, []);
+        await scraper.loadInitialUserQueue();
+
+        expect(scraper.depthQueues.get(0)).toEqual([
+            expect.objectContaining({ did: 'did:plc:alice', followersCount: 120, depth: 0 })
+        ]);
+    });
+
+    test('should seed the posts scraper without stub actors', async () => {
+        await fileManager.saveUsers([actor('alice', 120), actor('bob', 5)]);
+        // Carol is only known from a follow record, so her row has no counts
+        await fileManager.saveRelationships([{
+            source: { did: 'did:plc:carol', handle: 'carol.test' },
+            target: { did: 'did:plc:alice', handle: 'alice.test' },
+            type: 'following'
+        }]);
+
+        const scraper = new PostsScraper();
+        scraper.fileManager = fileManager;
+        await scraper.loadUserQueue();
+
+        expect(scraper.userQueue.map(user => user.did)).toEqual(['did:plc:alice', 'did:plc:bob']);
+    });
+});
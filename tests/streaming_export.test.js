@@ -0,0 +1,105 @@
+import path from 'path'
+import os from 'os'
+import fs from 'fs/promises'
+import zlib from 'zlib'
+
+import FileManager from '../src/utils/file_manager.js'
+import RelationshipsScraper from '../src/scrapers/relationships_scraper.js'
+
+/**
+ * Streaming export tests
+ * Data files (plain and gzipped) are written through FileManager and read
+ * back record by record; whole-file loadData must never be used
+ */
+
+function user(index) {
+    return {
+        did: `did:plc:user${index}`,
+        handle: `user${index}.test`,
+        followersCount: index * 10,
+        followsCount: 3
+    };
+}
+
+describe('Streaming export', () => {
+    let tempDir;
+    let fileManager;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'streaming-export-test-'));
+        fileManager = new FileManager();
+        fileManager.baseDir = tempDir;
+        await fileManager.initialize();
+
+        await fileManager.saveUsers([user(0), user(1), user(2)]);
+        fileManager.compression = true;
+        await fileManager.saveUsers([user(3), user(4)]);
+        fileManager.compression = false;
+
+        fileManager.loadData = async () => { throw new Error('loadData should not be used'); };
+    });
+
+    afterEach(async () => {
+        await fileManager.close();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    async function collect(records) {
+        const items = [];
+        for await (const item of records) {
+            items.push(item);
+        }
+        return items;
+    }
+
+    test('should stream records from plain and gzipped files', async () => {
+        const files = [];
+        const users = await collect(fileManager.streamData('users', {
+            onFile: (file, progress) => { files.push({ file: path.basename(file), ...progress }); }
+        }));
+
+        expect(users.map(item => item.did)).toEqual([0, 1, 2, 3, 4].map(i => `did:plc:user${i}`));
+        expect(files).toHaveLength(2);
+        expect(files[1]).toMatchObject({ index: 1, totalFiles: 2, records: 5 });
+        expect(files[1].file.endsWith('.json.gz')).toBe(true);
+    });
+
+    test('should skip unreadable files and keep streaming', async () => {
+        await fs.writeFile(path.join(tempDir, 'users', 'users_0000-broken.json'), '{"data": [{"did": "did:plc:x"}, {');
+
+        const users = await collect(fileManager.streamData('users'));
+        expect(users.map(item => item.did)).toContain('did:plc:user4');
+    });
+
+    test('should export json, ndjson and gzipped output with progress', async () => {
+        const progress = [];
+        const jsonPath = await fileManager.exportData('users', 'json', { onProgress: update => progress.push(update) });
+        expect(JSON.parse(await fs.readFile(jsonPath, 'utf8'))).toHaveLength(5);
+        expect(progress.map(update => update.filesProcessed)).toEqual([1, 2]);
+        expect(progress[1]).toMatchObject({ totalFiles: 2, records: 5 });
+
+        const ndjsonPath = await fileManager.exportData('users', 'ndjson', { gzip: true });
+        expect(ndjsonPath.endsWith('.ndjson.gz')).toBe(true);
+        const lines = zlib.gunzipSync(await fs.readFile(ndjsonPath)).toString('utf8').trim().split('\n');
+        expect(lines.map(line => JSON.parse(line).handle)).toEqual([0, 1, 2, 3, 4].map(i => `user${i}.test`));
+
+        const emptyPath = await fileManager.exportData('posts', 'json');
+        expect(JSON.parse(await fs.readFile(emptyPath, 'utf8'))).toEqual([]);
+    });
+
+    test('should reject unsupported export options', async () => {
+        await expect(fileManager.exportData('users', 'xml')).rejects.toThrow('Unsupported export format');
+        await expect(fileManager.exportData('users', 'parquet', { gzip: true })).rejects.toThrow('gzip');
+    });
+
+    test('should seed the relationships scraper from the stream', async () => {
+        const scraper = new RelationshipsScraper({ minFollowerCount: 15 });
+        scraper.fileManager = fileManager;
+        scraper.depthQueues.set(0, []);
+        await scraper.loadInitialUserQueue();
+
+        expect(scraper.depthQueues.get(0).map(item => item.did)).toEqual(
+            ['did:plc:user4', 'did:plc:user3', 'did:plc:user2']
+        );
+    });
+});